@@ -29,22 +29,54 @@ float maxAltitude = 0.0;
 bool enableReturnToHome = false;
 const float waypointReachedDistance = 5.0;
 String missionId = "";
+long commandSeq = -1;  // Sequence id of the command being processed, echoed in replies
+
+// The station resends an unanswered command unchanged (same seq). A lost
+// reply must not run the command twice - a second start_mission would
+// restart the mission from WP1 - so a repeat only gets the first reply again.
+const unsigned long commandRepeatWindow = 60000;
+String lastCommand = "";
+unsigned long lastCommandAt = 0;
+String lastReply = "";
 
 enum MissionState { WAITING, LOADED, NAVIGATING, COMPLETE };
 MissionState missionState = WAITING;
 
+const int MAX_WAYPOINTS = 100;
+
 struct Waypoint {
   String name;
   float lat, lng, alt;
   bool reached;
 };
-Waypoint waypoints[20];
+Waypoint waypoints[MAX_WAYPOINTS];
+
+// Chunked upload (mission_begin / mission_item / mission_end) fills a staging
+// copy, so a mission in flight is only replaced once the new one is complete
+Waypoint uploadWaypoints[MAX_WAYPOINTS];
+bool uploadReceived[MAX_WAYPOINTS];
+bool uploadInProgress = false;
+int uploadTotal = 0;
+float uploadMaxSpeed = 0.0;
+float uploadMaxAltitude = 0.0;
+bool uploadReturnToHome = false;
+String uploadMissionId = "";
+unsigned long missionLoadedAt = 0;  // when the last mission was committed
 
 // Function Declarations
 float calculateDistance(float lat1, float lng1, float lat2, float lng2);
+String vehicleId();
 void sendJSON(const char* type, DynamicJsonDocument& doc);
 void processCommand(String command);
-void loadMission(DynamicJsonDocument& doc);
+void loadMission(DynamicJsonDocument& doc, bool start);
+void commitMission();
+void sendMissionLoaded();
+void startLoadedMission();
+void beginUpload(DynamicJsonDocument& doc);
+void receiveUploadItem(DynamicJsonDocument& doc);
+void endUpload();
+void sendMissionInfo();
+void sendMissionItem(int index);
 void checkWaypoint();
 void completeMission();
 void resetMission();
@@ -62,6 +94,7 @@ void setup() {
   
   DynamicJsonDocument doc(256);
   doc["status"] = "system_ready";
+  doc["vehicle_id"] = vehicleId();
   sendJSON("status", doc);
 }
 
@@ -111,23 +144,63 @@ void loop() {
   }
 }
 
+// Unique per board (factory MAC), so the station can tell several trackers apart
+String vehicleId() {
+  uint64_t mac = ESP.getEfuseMac();
+  char id[13];
+  snprintf(id, sizeof(id), "%04X%08X", (uint16_t)(mac >> 32), (uint32_t)mac);
+  return String(id);
+}
+
 void sendJSON(const char* type, DynamicJsonDocument& doc) {
   doc["type"] = type;
+  if (commandSeq >= 0) doc["seq"] = commandSeq;
   String output;
   serializeJson(doc, output);
   Serial.println(output);
+  if (commandSeq >= 0 && lastReply.length() == 0) lastReply = output;
 }
 
 void processCommand(String command) {
   DynamicJsonDocument doc(4096);
-  if (deserializeJson(doc, command)) return;
+  if (deserializeJson(doc, command)) {
+    DynamicJsonDocument err(128);
+    err["status"] = "command_error";
+    sendJSON("status", err);
+    return;
+  }
   
+  commandSeq = doc["seq"] | -1L;
   String action = doc["action"];
+
+  if (commandSeq >= 0 && command == lastCommand && millis() - lastCommandAt < commandRepeatWindow) {
+    if (lastReply.length() > 0) Serial.println(lastReply);
+    commandSeq = -1;
+    return;
+  }
+  lastCommand = command;
+  lastCommandAt = millis();
+  lastReply = "";
   
   if (action == "start_mission") {
-    loadMission(doc);
+    loadMission(doc, true);
+  } else if (action == "mission_load") {
+    loadMission(doc, false);
+  } else if (action == "mission_start") {
+    startLoadedMission();
+  } else if (action == "mission_begin") {
+    beginUpload(doc);
+  } else if (action == "mission_item") {
+    receiveUploadItem(doc);
+  } else if (action == "mission_end") {
+    endUpload();
+  } else if (action == "mission_request") {
+    sendMissionInfo();
+  } else if (action == "mission_item_request") {
+    sendMissionItem(doc["index"] | -1);
   } else if (action == "get_status") {
     DynamicJsonDocument status(512);
+    status["vehicle_id"] = vehicleId();
     status["mission_active"] = missionActive;
     status["mission_state"] = missionState;
     status["current_waypoint"] = currentWaypointIndex;
@@ -138,6 +211,9 @@ void processCommand(String command) {
     missionState = WAITING;
     Serial.println("EMERGENCY STOP");
     resetMission();
+    DynamicJsonDocument stop(128);
+    stop["status"] = "emergency_stop";
+    sendJSON("status", stop);
   } else if (action == "return_home") {
     if (missionActive) {
       Serial.println("Return to Home");
@@ -145,27 +221,54 @@ void processCommand(String command) {
       DynamicJsonDocument rth(256);
       rth["status"] = "returning_home";
       sendJSON("navigation_update", rth);
+    } else {
+      DynamicJsonDocument rejected(128);
+      rejected["status"] = "no_active_mission";
+      sendJSON("status", rejected);
     }
+  } else {
+    DynamicJsonDocument unknown(128);
+    unknown["status"] = "unknown_command";
+    sendJSON("status", unknown);
   }
+  commandSeq = -1;
+}
+
+String missionIdFrom(DynamicJsonDocument& doc) {
+  // Without created_at the id would read "null"; make one from the uptime
+  const char* createdAt = doc["created_at"] | "";
+  if (strlen(createdAt) > 0) return String(createdAt);
+  return "mission-" + String(millis());
 }
 
-void loadMission(DynamicJsonDocument& doc) {
-  totalWaypoints = doc["total_waypoints"];
+// start_mission loads and starts at once; mission_load only loads, so the
+// station can read the mission back before it sends mission_start
+void loadMission(DynamicJsonDocument& doc, bool start) {
+  totalWaypoints = min((int)doc["total_waypoints"], MAX_WAYPOINTS);
   maxSpeed = doc["max_speed"];
   maxAltitude = doc["max_altitude"];
   enableReturnToHome = doc["return_to_home"];
-  missionId = doc["created_at"].as<String>();
+  missionId = missionIdFrom(doc);
   
   Serial.println("Mission Loading...");
   
   JsonArray waypointArray = doc["waypoints"];
-  for (int i = 0; i < totalWaypoints && i < 20; i++) {
+  for (int i = 0; i < totalWaypoints; i++) {
     waypoints[i].name = waypointArray[i]["name"].as<String>();
     waypoints[i].lat = waypointArray[i]["latitude"];
     waypoints[i].lng = waypointArray[i]["longitude"];
     waypoints[i].alt = waypointArray[i]["altitude"];
     waypoints[i].reached = false;
-    
+  }
+  
+  commitMission();
+  if (start) startLoadedMission();
+}
+
+// Shared by start_mission, mission_load and a committed chunked upload. The
+// mission is held in LOADED until mission_start; a mission being flown stops here.
+void commitMission() {
+  for (int i = 0; i < totalWaypoints; i++) {
     Serial.print("WP"); Serial.print(i + 1); Serial.print(": ");
     Serial.print(waypoints[i].name); Serial.print(" (");
     Serial.print(waypoints[i].lat, 6); Serial.print(", ");
@@ -175,30 +278,159 @@ void loadMission(DynamicJsonDocument& doc) {
   Serial.print("Mission: "); Serial.print(totalWaypoints); Serial.print(" waypoints, ");
   Serial.print(maxSpeed); Serial.print("km/h, "); Serial.print(maxAltitude); Serial.println("m");
   
-  missionActive = true;
+  missionActive = false;
   currentWaypointIndex = 0;
   missionState = LOADED;
-  
+  missionLoadedAt = millis();
+  sendMissionLoaded();
+}
+
+void sendMissionLoaded() {
   DynamicJsonDocument conf(256);
   conf["mission_id"] = missionId;
   conf["total_waypoints"] = totalWaypoints;
   conf["status"] = "mission_loaded";
   sendJSON("mission_confirmation", conf);
+}
+
+void startLoadedMission() {
+  if (missionState != LOADED || totalWaypoints == 0) {
+    DynamicJsonDocument rejected(128);
+    rejected["status"] = "no_mission_loaded";
+    sendJSON("status", rejected);
+    return;
+  }
+
+  missionActive = true;
+  missionState = NAVIGATING;
+  Serial.print("Navigation started to: "); Serial.println(waypoints[0].name);
   
-  // Start navigation
-  if (totalWaypoints > 0) {
-    missionState = NAVIGATING;
-    Serial.print("Navigation started to: "); Serial.println(waypoints[0].name);
-    
-    DynamicJsonDocument nav(512);
-    nav["mission_id"] = missionId;
-    nav["status"] = "navigation_started";
-    nav["current_waypoint_index"] = 0;
-    nav["waypoint_name"] = waypoints[0].name;
-    nav["target_lat"] = waypoints[0].lat;
-    nav["target_lng"] = waypoints[0].lng;
-    sendJSON("navigation_update", nav);
+  DynamicJsonDocument nav(512);
+  nav["mission_id"] = missionId;
+  nav["status"] = "navigation_started";
+  nav["current_waypoint_index"] = 0;
+  nav["waypoint_name"] = waypoints[0].name;
+  nav["target_lat"] = waypoints[0].lat;
+  nav["target_lng"] = waypoints[0].lng;
+  sendJSON("navigation_update", nav);
+}
+
+void beginUpload(DynamicJsonDocument& doc) {
+  int total = doc["total_waypoints"] | 0;
+  DynamicJsonDocument reply(256);
+  reply["total_waypoints"] = total;
+
+  if (total < 1 || total > MAX_WAYPOINTS) {
+    uploadInProgress = false;
+    reply["status"] = "rejected";
+    reply["reason"] = "too_many_waypoints";
+    reply["max_waypoints"] = MAX_WAYPOINTS;
+    sendJSON("mission_upload", reply);
+    return;
+  }
+
+  uploadInProgress = true;
+  uploadTotal = total;
+  uploadMaxSpeed = doc["max_speed"];
+  uploadMaxAltitude = doc["max_altitude"];
+  uploadReturnToHome = doc["return_to_home"];
+  uploadMissionId = missionIdFrom(doc);
+  for (int i = 0; i < MAX_WAYPOINTS; i++) uploadReceived[i] = false;
+
+  Serial.print("Mission upload started: "); Serial.print(total); Serial.println(" waypoints");
+  reply["status"] = "ready";
+  reply["max_waypoints"] = MAX_WAYPOINTS;
+  sendJSON("mission_upload", reply);
+}
+
+void receiveUploadItem(DynamicJsonDocument& doc) {
+  int index = doc["index"] | -1;
+  DynamicJsonDocument ack(128);
+  ack["index"] = index;
+
+  if (!uploadInProgress || index < 0 || index >= uploadTotal) {
+    ack["status"] = "rejected";
+    ack["reason"] = uploadInProgress ? "bad_index" : "no_upload";
+    sendJSON("mission_item_ack", ack);
+    return;
+  }
+
+  // A resent item simply overwrites the earlier copy
+  uploadWaypoints[index].name = doc["name"].as<String>();
+  uploadWaypoints[index].lat = doc["latitude"];
+  uploadWaypoints[index].lng = doc["longitude"];
+  uploadWaypoints[index].alt = doc["altitude"];
+  uploadWaypoints[index].reached = false;
+  uploadReceived[index] = true;
+
+  ack["status"] = "ok";
+  sendJSON("mission_item_ack", ack);
+}
+
+void endUpload() {
+  // mission_end again after the commit (its confirmation was lost): confirm again
+  if (!uploadInProgress && missionState == LOADED && millis() - missionLoadedAt < commandRepeatWindow) {
+    sendMissionLoaded();
+    return;
+  }
+
+  if (!uploadInProgress) {
+    DynamicJsonDocument reply(128);
+    reply["status"] = "rejected";
+    reply["reason"] = "no_upload";
+    sendJSON("mission_upload", reply);
+    return;
+  }
+
+  DynamicJsonDocument reply(1024);
+  JsonArray missing = reply.createNestedArray("missing");
+  for (int i = 0; i < uploadTotal; i++) {
+    if (!uploadReceived[i]) missing.add(i);
+  }
+
+  if (missing.size() > 0) {
+    reply["status"] = "incomplete";
+    reply["total_waypoints"] = uploadTotal;
+    sendJSON("mission_upload", reply);
+    return;
+  }
+
+  uploadInProgress = false;
+  for (int i = 0; i < uploadTotal; i++) waypoints[i] = uploadWaypoints[i];
+  totalWaypoints = uploadTotal;
+  maxSpeed = uploadMaxSpeed;
+  maxAltitude = uploadMaxAltitude;
+  enableReturnToHome = uploadReturnToHome;
+  missionId = uploadMissionId;
+
+  Serial.println("Mission upload complete, loading...");
+  commitMission();
+}
+
+void sendMissionInfo() {
+  DynamicJsonDocument info(256);
+  info["mission_id"] = missionId;
+  info["total_waypoints"] = totalWaypoints;
+  info["max_speed"] = maxSpeed;
+  info["max_altitude"] = maxAltitude;
+  info["return_to_home"] = enableReturnToHome;
+  info["mission_state"] = missionState;
+  sendJSON("mission_info", info);
+}
+
+void sendMissionItem(int index) {
+  DynamicJsonDocument item(256);
+  item["index"] = index;
+
+  if (index < 0 || index >= totalWaypoints) {
+    item["error"] = "bad_index";
+  } else {
+    item["name"] = waypoints[index].name;
+    item["latitude"] = serialized(String(waypoints[index].lat, 6));
+    item["longitude"] = serialized(String(waypoints[index].lng, 6));
+    item["altitude"] = waypoints[index].alt;
   }
+  sendJSON("mission_item", item);
 }
 
 void checkWaypoint() {
@@ -267,7 +499,7 @@ void completeMission() {
 }
 
 void resetMission() {
-  for (int i = 0; i < 20; i++) {
+  for (int i = 0; i < MAX_WAYPOINTS; i++) {
     waypoints[i].name = "";
     waypoints[i].lat = waypoints[i].lng = waypoints[i].alt = 0;
     waypoints[i].reached = false;
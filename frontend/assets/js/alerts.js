@@ -0,0 +1,624 @@
+/**
+ * alerts.js - Alert Rules, Alarms and Spoken Callouts
+ *
+ * Handles:
+ * - User-configurable rules: thresholds over telemetry held for a time
+ *   ("sat < 6 for 5 s") and events from the vehicle ("emergency stop", "waypoint reached")
+ * - Severity, acknowledgement and repeat suppression for each rule
+ * - Alert bar over the map listing the alerts that are waiting for acknowledgement
+ * - Warning tones (Web Audio) and spoken callouts (Web Speech)
+ * - Alerts modal for the rules and the sound/speech settings
+ *
+ * Rules follow the selected vehicle's link; replayed sessions raise no alerts.
+ */
+
+const alertsLog = window.createLogger('alerts');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadAlertSettings();
+    initializeAlertControls();
+    renderAlertBar();
+
+    document.addEventListener('telemetry-received', function(e) {
+        lastAlertTelemetry = e.detail;
+        lastAlertTelemetryAt = Date.now();
+        evaluateThresholdRules();
+    });
+
+    document.addEventListener('status-received', e => handleAlertEvent('status', e.detail));
+    document.addEventListener('navigation-update-received', e => handleAlertEvent('navigation', e.detail));
+    document.addEventListener('link-lost', e => handleAlertEvent('link', e.detail || {}));
+
+    // "No telemetry" counts from the moment the link comes up
+    document.addEventListener('link-connected', function() {
+        lastAlertTelemetryAt = Date.now();
+    });
+
+    document.addEventListener('vehicle-selected', function() {
+        lastAlertTelemetry = null;
+        lastAlertTelemetryAt = window.isConnected ? Date.now() : null;
+        clearAllAlerts();
+    });
+
+    // Browsers only allow audio after the first user gesture
+    document.addEventListener('click', unlockAlertAudio, { once: true });
+
+    setInterval(evaluateThresholdRules, 1000);
+});
+
+// ================== ALERT SETTINGS AND RULES ==================
+
+const DEFAULT_ALERT_SETTINGS = {
+    sound: true,
+    speech: true,
+    volume: 0.6
+};
+
+const ALERT_SEVERITIES = {
+    info: { label: 'Info', logLevel: 'INFO', icon: 'fa-info-circle' },
+    warning: { label: 'Warning', logLevel: 'WARNING', icon: 'fa-exclamation-triangle' },
+    critical: { label: 'Critical', logLevel: 'ERROR', icon: 'fa-exclamation-circle' }
+};
+
+// read(telemetry, now) returns the current value, or null when it is unknown
+const ALERT_METRICS = {
+    sat: { label: 'Satellites', unit: '', read: t => t ? t.sat : null },
+    hdop: { label: 'HDOP', unit: '', read: t => t ? t.hdop : null },
+    alt: { label: 'Altitude', unit: 'm', read: t => t ? t.alt : null },
+    speed: { label: 'Speed', unit: 'km/h', read: t => t ? t.speed : null },
+    homeDistance: {
+        label: 'Distance from home',
+        unit: 'm',
+        read: t => t ? window.calculateDistance(t.lat, t.lng, window.HOME_COORDINATES.lat, window.HOME_COORDINATES.lng) : null
+    },
+    battery: { label: 'Battery', unit: '%', read: () => window.batteryState ? window.batteryState.percent : null },
+    telemetryAge: {
+        label: 'Time without telemetry',
+        unit: 's',
+        read: (t, now) => window.isConnected && lastAlertTelemetryAt ? (now - lastAlertTelemetryAt) / 1000 : null
+    },
+    linkQuality: {
+        label: 'Link quality',
+        unit: '%',
+        read: () => window.getLinkStatsSnapshot ? window.getLinkStatsSnapshot().quality : null
+    }
+};
+
+// Thresholds may name a mission setting instead of a number
+const ALERT_THRESHOLD_REFERENCES = {
+    maxAltitude: () => window.missionSettings.maxAltitude,
+    maxSpeed: () => window.missionSettings.maxSpeed
+};
+
+const ALERT_OPERATORS = {
+    '<': (value, limit) => value < limit,
+    '<=': (value, limit) => value <= limit,
+    '>': (value, limit) => value > limit,
+    '>=': (value, limit) => value >= limit
+};
+
+// source matches the DOM event the rule listens to (see the listeners above)
+const ALERT_EVENTS = {
+    emergency_stop: { label: 'Emergency stop', source: 'status', match: d => d.status === 'emergency_stop' },
+    waiting_gps_fix: { label: 'GPS fix lost', source: 'status', match: d => d.status === 'waiting_gps_fix' },
+    command_error: { label: 'Command error', source: 'status', match: d => d.status === 'command_error' },
+    waypoint_reached: { label: 'Waypoint reached', source: 'navigation', match: d => d.status === 'waypoint_reached' },
+    returning_home: { label: 'Returning home', source: 'navigation', match: d => d.status === 'returning_home' },
+    mission_complete: { label: 'Mission complete', source: 'navigation', match: d => d.status === 'mission_complete' },
+    link_lost: { label: 'Link lost', source: 'link', match: () => true }
+};
+
+// Messages may use {value}, {unit}, {waypoint} and {name}
+const DEFAULT_ALERT_RULES = [
+    { id: 'low-satellites', name: 'Low satellites', enabled: true, severity: 'warning', kind: 'threshold', metric: 'sat', operator: '<', threshold: 6, holdSeconds: 5, repeatSeconds: 30, message: 'Low satellites, {value}' },
+    { id: 'no-telemetry', name: 'No telemetry', enabled: true, severity: 'critical', kind: 'threshold', metric: 'telemetryAge', operator: '>', threshold: 6, holdSeconds: 0, repeatSeconds: 15, message: 'No telemetry' },
+    { id: 'far-from-home', name: 'Far from home', enabled: true, severity: 'warning', kind: 'threshold', metric: 'homeDistance', operator: '>', threshold: 500, holdSeconds: 3, repeatSeconds: 60, message: '{value} metres from home' },
+    { id: 'above-max-altitude', name: 'Above max altitude', enabled: false, severity: 'critical', kind: 'threshold', metric: 'alt', operator: '>', threshold: 'maxAltitude', holdSeconds: 2, repeatSeconds: 20, message: 'Altitude {value} metres, above limit' },
+    { id: 'emergency-stop', name: 'Emergency stop', enabled: true, severity: 'critical', kind: 'event', event: 'emergency_stop', repeatSeconds: 10, message: 'Emergency stop' },
+    { id: 'gps-lost', name: 'GPS fix lost', enabled: true, severity: 'critical', kind: 'event', event: 'waiting_gps_fix', repeatSeconds: 30, message: 'GPS lost' },
+    { id: 'link-lost', name: 'Link lost', enabled: true, severity: 'critical', kind: 'event', event: 'link_lost', repeatSeconds: 10, message: 'Link lost' },
+    { id: 'waypoint-reached', name: 'Waypoint reached', enabled: true, severity: 'info', kind: 'event', event: 'waypoint_reached', repeatSeconds: 0, message: 'Waypoint {waypoint} reached' },
+    { id: 'returning-home', name: 'Returning home', enabled: true, severity: 'info', kind: 'event', event: 'returning_home', repeatSeconds: 0, message: 'Returning home' },
+    { id: 'mission-complete', name: 'Mission complete', enabled: true, severity: 'info', kind: 'event', event: 'mission_complete', repeatSeconds: 0, message: 'Mission complete' }
+];
+
+window.alertSettings = { ...DEFAULT_ALERT_SETTINGS };
+window.alertRules = DEFAULT_ALERT_RULES.map(rule => ({ ...rule }));
+
+function loadAlertSettings() {
+    const savedSettings = localStorage.getItem('droneAlertSettings');
+    if (savedSettings) {
+        try {
+            window.alertSettings = { ...DEFAULT_ALERT_SETTINGS, ...JSON.parse(savedSettings) };
+        } catch (error) {
+            window.alertSettings = { ...DEFAULT_ALERT_SETTINGS };
+        }
+    }
+
+    const savedRules = localStorage.getItem('droneAlertRules');
+    if (savedRules) {
+        try {
+            const rules = JSON.parse(savedRules);
+            if (Array.isArray(rules)) window.alertRules = rules;
+        } catch (error) {
+            // Keep the default rules
+        }
+    }
+}
+
+function saveAlertSettings() {
+    localStorage.setItem('droneAlertSettings', JSON.stringify(window.alertSettings));
+}
+
+function saveAlertRules() {
+    localStorage.setItem('droneAlertRules', JSON.stringify(window.alertRules));
+}
+
+// ================== RULE EVALUATION ==================
+
+let lastAlertTelemetry = null;
+let lastAlertTelemetryAt = null;
+let thresholdSince = {};          // rule id -> time the condition started holding
+let activeAlerts = {};            // rule id -> { rule, message, raisedAt, lastAt, announcedAt, acknowledged, count }
+let acknowledgedAt = {};          // rule id -> time of the last acknowledgement
+
+function isAlertingSuspended() {
+    return window.playback && window.playback.active;
+}
+
+function resolveThreshold(threshold) {
+    if (typeof threshold === 'number') return threshold;
+    const reference = ALERT_THRESHOLD_REFERENCES[threshold];
+    return reference ? reference() : null;
+}
+
+function readAlertMetric(rule, now) {
+    const metric = ALERT_METRICS[rule.metric];
+    if (!metric) return null;
+    const value = metric.read(lastAlertTelemetry, now);
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+function evaluateThresholdRules() {
+    if (isAlertingSuspended()) return;
+
+    const now = Date.now();
+    window.alertRules.forEach(rule => {
+        if (rule.kind !== 'threshold') return;
+
+        const value = rule.enabled ? readAlertMetric(rule, now) : null;
+        const limit = resolveThreshold(rule.threshold);
+        const compare = ALERT_OPERATORS[rule.operator];
+        const holding = value !== null && limit !== null && compare && compare(value, limit);
+
+        if (!holding) {
+            delete thresholdSince[rule.id];
+            if (activeAlerts[rule.id]) clearAlert(rule.id);
+            return;
+        }
+
+        if (thresholdSince[rule.id] === undefined) thresholdSince[rule.id] = now;
+        if (now - thresholdSince[rule.id] < (rule.holdSeconds || 0) * 1000) return;
+
+        raiseAlert(rule, { value: value }, now);
+    });
+}
+
+function handleAlertEvent(source, detail) {
+    if (isAlertingSuspended()) return;
+
+    const now = Date.now();
+    window.alertRules.forEach(rule => {
+        if (!rule.enabled || rule.kind !== 'event') return;
+
+        const definition = ALERT_EVENTS[rule.event];
+        if (!definition || definition.source !== source || !definition.match(detail)) return;
+
+        const waypoint = typeof detail.current_waypoint_index === 'number' ? detail.current_waypoint_index + 1 : '';
+        raiseAlert(rule, { waypoint: waypoint }, now);
+    });
+}
+
+function formatAlertMessage(rule, values) {
+    const metric = ALERT_METRICS[rule.metric];
+    const replacements = {
+        value: typeof values.value === 'number' ? String(Math.round(values.value * 10) / 10) : '',
+        unit: metric ? metric.unit : '',
+        waypoint: values.waypoint !== undefined ? String(values.waypoint) : '',
+        name: rule.name
+    };
+    return (rule.message || rule.name).replace(/\{(value|unit|waypoint|name)\}/g, (match, key) => replacements[key]);
+}
+
+// Each rule has one alert at a time. It is announced when raised and again
+// every repeatSeconds until acknowledged; after an acknowledgement the rule
+// stays quiet for repeatSeconds, and a threshold alert until it clears
+function raiseAlert(rule, values, now) {
+    const message = formatAlertMessage(rule, values);
+    const repeatMs = (rule.repeatSeconds || 0) * 1000;
+
+    // Info callouts only speak; there is nothing to acknowledge. A threshold
+    // callout without a repeat speaks once until its condition clears
+    if (rule.severity === 'info') {
+        const last = activeAlerts[rule.id];
+        if (last && ((rule.kind === 'threshold' && repeatMs === 0) || now - last.announcedAt < repeatMs)) return;
+        activeAlerts[rule.id] = { rule: rule, message: message, raisedAt: now, lastAt: now, announcedAt: now, acknowledged: true, count: 1 };
+        announceAlert(rule, message, !last);
+        return;
+    }
+
+    const alert = activeAlerts[rule.id];
+    if (alert) {
+        alert.message = message;
+        alert.lastAt = now;
+        alert.count++;
+        if (!alert.acknowledged && repeatMs > 0 && now - alert.announcedAt >= repeatMs) {
+            alert.announcedAt = now;
+            announceAlert(rule, message, false);
+        }
+        renderAlertBar();
+        return;
+    }
+
+    if (acknowledgedAt[rule.id] && now - acknowledgedAt[rule.id] < repeatMs) return;
+
+    activeAlerts[rule.id] = { rule: rule, message: message, raisedAt: now, lastAt: now, announcedAt: now, acknowledged: false, count: 1 };
+    announceAlert(rule, message, true);
+    renderAlertBar();
+}
+
+function clearAlert(ruleId) {
+    const alert = activeAlerts[ruleId];
+    delete activeAlerts[ruleId];
+    if (alert && alert.rule.severity !== 'info') {
+        alertsLog(`Alert cleared: ${alert.rule.name}`, window.LOG_LEVEL.INFO);
+    }
+    renderAlertBar();
+}
+
+// Threshold alerts stay listed (acknowledged) while the condition holds;
+// event alerts are done once acknowledged
+function acknowledgeAlert(ruleId) {
+    const alert = activeAlerts[ruleId];
+    if (!alert || alert.acknowledged) return;
+
+    alert.acknowledged = true;
+    acknowledgedAt[ruleId] = Date.now();
+    if (alert.rule.kind === 'event') {
+        delete activeAlerts[ruleId];
+    }
+
+    alertsLog(`Alert acknowledged: ${alert.rule.name}`, window.LOG_LEVEL.INFO);
+    renderAlertBar();
+}
+
+function acknowledgeAllAlerts() {
+    Object.keys(activeAlerts).forEach(acknowledgeAlert);
+}
+
+function clearAllAlerts() {
+    thresholdSince = {};
+    activeAlerts = {};
+    acknowledgedAt = {};
+    renderAlertBar();
+}
+
+window.acknowledgeAllAlerts = acknowledgeAllAlerts;
+
+// ================== SOUND AND SPEECH ==================
+
+// Beeps as [frequency Hz, start s, length s]
+const ALERT_TONES = {
+    info: [[660, 0, 0.12]],
+    warning: [[880, 0, 0.15], [880, 0.25, 0.15]],
+    critical: [[988, 0, 0.15], [740, 0.2, 0.15], [988, 0.4, 0.15], [740, 0.6, 0.15]]
+};
+
+const ALERT_SPEECH_DELAY_MS = 800;
+
+let alertAudioContext = null;
+
+function unlockAlertAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    if (!alertAudioContext) {
+        alertAudioContext = new AudioContextClass();
+    }
+    if (alertAudioContext.state === 'suspended') {
+        alertAudioContext.resume();
+    }
+}
+
+function playAlertTone(severity) {
+    unlockAlertAudio();
+    if (!alertAudioContext) return;
+
+    const start = alertAudioContext.currentTime;
+    (ALERT_TONES[severity] || ALERT_TONES.info).forEach(([frequency, offset, length]) => {
+        const oscillator = alertAudioContext.createOscillator();
+        const gain = alertAudioContext.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+        gain.gain.value = window.alertSettings.volume * 0.3;
+        oscillator.connect(gain);
+        gain.connect(alertAudioContext.destination);
+        oscillator.start(start + offset);
+        oscillator.stop(start + offset + length);
+    });
+}
+
+function speakAlert(text, severity) {
+    if (!('speechSynthesis' in window) || typeof SpeechSynthesisUtterance === 'undefined') return;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = window.alertSettings.volume;
+    utterance.rate = 1.05;
+
+    // A critical callout goes ahead of anything still queued
+    if (severity === 'critical') {
+        window.speechSynthesis.cancel();
+    }
+    window.speechSynthesis.speak(utterance);
+}
+
+function announceAlert(rule, message, isNew) {
+    const settings = window.alertSettings;
+
+    if (settings.sound) {
+        playAlertTone(rule.severity);
+    }
+    if (settings.speech) {
+        setTimeout(() => speakAlert(message, rule.severity), settings.sound ? ALERT_SPEECH_DELAY_MS : 0);
+    }
+
+    if (!isNew) return;
+
+    const level = ALERT_SEVERITIES[rule.severity] || ALERT_SEVERITIES.warning;
+    alertsLog(`${rule.severity === 'info' ? '' : 'ALERT: '}${message}`, window.LOG_LEVEL[level.logLevel]);
+
+    if (rule.severity !== 'info' && window.showNotification) {
+        window.showNotification(message, rule.severity === 'critical' ? 'error' : 'warning', 6000);
+    }
+}
+
+// ================== ALERT BAR ==================
+
+function escapeAlertText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderAlertBar() {
+    const bar = document.getElementById('alertBar');
+    if (!bar) return;
+
+    const alerts = Object.keys(activeAlerts)
+        .map(id => ({ id: id, ...activeAlerts[id] }))
+        .filter(alert => alert.rule.severity !== 'info')
+        .sort((a, b) => (a.rule.severity === 'critical' ? 0 : 1) - (b.rule.severity === 'critical' ? 0 : 1) || a.raisedAt - b.raisedAt);
+
+    bar.style.display = alerts.length ? 'flex' : 'none';
+    const unacknowledged = alerts.filter(alert => !alert.acknowledged).length;
+
+    bar.innerHTML = alerts.map(alert => `
+        <div class="alert-item alert-${alert.rule.severity}${alert.acknowledged ? ' acknowledged' : ''}">
+            <i class="fas ${ALERT_SEVERITIES[alert.rule.severity].icon}"></i>
+            <div class="alert-text">
+                <strong>${escapeAlertText(alert.rule.name)}</strong>
+                <span>${escapeAlertText(alert.message)} • ${new Date(alert.raisedAt).toLocaleTimeString()}${alert.count > 1 ? ` • ${alert.count}x` : ''}</span>
+            </div>
+            ${alert.acknowledged ? '<span class="alert-ack-label">ACK</span>'
+                : `<button class="btn btn-sm" data-alert-ack="${alert.id}" title="Acknowledge"><i class="fas fa-check"></i> Ack</button>`}
+        </div>`).join('') +
+        (unacknowledged > 1 ? '<button class="btn btn-sm alert-ack-all" data-alert-ack="all"><i class="fas fa-check-double"></i> Acknowledge all</button>' : '');
+}
+
+// ================== ALERTS MODAL ==================
+
+function describeAlertRule(rule) {
+    if (rule.kind === 'event') {
+        const definition = ALERT_EVENTS[rule.event];
+        return `On ${definition ? definition.label.toLowerCase() : rule.event}`;
+    }
+
+    const metric = ALERT_METRICS[rule.metric];
+    const hold = rule.holdSeconds ? ` for ${rule.holdSeconds} s` : '';
+    const unit = metric && metric.unit && typeof rule.threshold === 'number' ? ` ${metric.unit}` : '';
+    return `${metric ? metric.label : rule.metric} ${rule.operator} ${rule.threshold}${unit}${hold}`;
+}
+
+function renderAlertRules() {
+    const list = document.getElementById('alertRuleList');
+    if (!list) return;
+
+    if (window.alertRules.length === 0) {
+        list.innerHTML = '<div class="no-waypoints">No alert rules. Add one below or restore the defaults.</div>';
+        return;
+    }
+
+    list.innerHTML = window.alertRules.map(rule => `
+        <div class="alert-rule${rule.enabled ? '' : ' disabled'}">
+            <input type="checkbox" data-rule-action="toggle" data-rule-id="${rule.id}" ${rule.enabled ? 'checked' : ''} title="Enabled">
+            <span class="alert-severity alert-${rule.severity}">${ALERT_SEVERITIES[rule.severity].label}</span>
+            <div class="alert-rule-text">
+                <strong>${escapeAlertText(rule.name)}</strong>
+                <span>${escapeAlertText(describeAlertRule(rule))}${rule.repeatSeconds ? ` • repeat ${rule.repeatSeconds} s` : ''} • "${escapeAlertText(rule.message)}"</span>
+            </div>
+            <button class="btn btn-sm" data-rule-action="delete" data-rule-id="${rule.id}" title="Delete rule"><i class="fas fa-trash"></i></button>
+        </div>`).join('');
+}
+
+function readNewAlertRule() {
+    const value = id => document.getElementById(id).value.trim();
+    const kind = value('alertRuleKind');
+
+    const rule = {
+        id: `rule-${Date.now()}`,
+        name: value('alertRuleName'),
+        enabled: true,
+        severity: value('alertRuleSeverity'),
+        kind: kind,
+        repeatSeconds: Math.max(0, parseFloat(value('alertRuleRepeat')) || 0),
+        message: value('alertRuleMessage')
+    };
+
+    if (kind === 'event') {
+        rule.event = value('alertRuleEvent');
+        if (!rule.name) rule.name = ALERT_EVENTS[rule.event].label;
+    } else {
+        const thresholdText = value('alertRuleThreshold');
+        const threshold = ALERT_THRESHOLD_REFERENCES[thresholdText] ? thresholdText : parseFloat(thresholdText);
+        if (typeof threshold === 'number' && isNaN(threshold)) {
+            alertsLog(`Alert threshold must be a number or one of: ${Object.keys(ALERT_THRESHOLD_REFERENCES).join(', ')}`, window.LOG_LEVEL.WARNING);
+            return null;
+        }
+
+        rule.metric = value('alertRuleMetric');
+        rule.operator = value('alertRuleOperator');
+        rule.threshold = threshold;
+        rule.holdSeconds = Math.max(0, parseFloat(value('alertRuleHold')) || 0);
+        if (!rule.name) rule.name = `${ALERT_METRICS[rule.metric].label} ${rule.operator} ${threshold}`;
+    }
+
+    if (!rule.message) rule.message = rule.name;
+    return rule;
+}
+
+function initializeAlertControls() {
+    const openBtn = document.getElementById('openAlerts');
+    const alertsModal = document.getElementById('alertsModal');
+
+    const bar = document.getElementById('alertBar');
+    if (bar) {
+        bar.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-alert-ack]');
+            if (!button) return;
+            if (button.dataset.alertAck === 'all') {
+                acknowledgeAllAlerts();
+            } else {
+                acknowledgeAlert(button.dataset.alertAck);
+            }
+        });
+    }
+
+    if (!openBtn || !alertsModal) return;
+
+    const fillSelect = (id, options) => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.innerHTML = Object.keys(options)
+                .map(key => `<option value="${key}">${options[key].label || key}</option>`)
+                .join('');
+        }
+    };
+
+    fillSelect('alertRuleMetric', ALERT_METRICS);
+    fillSelect('alertRuleOperator', ALERT_OPERATORS);
+    fillSelect('alertRuleEvent', ALERT_EVENTS);
+    fillSelect('alertRuleSeverity', ALERT_SEVERITIES);
+
+    const kindSelect = document.getElementById('alertRuleKind');
+    const showKindFields = () => {
+        const isEvent = kindSelect.value === 'event';
+        document.querySelectorAll('.alert-threshold-field').forEach(el => { el.style.display = isEvent ? 'none' : ''; });
+        document.querySelectorAll('.alert-event-field').forEach(el => { el.style.display = isEvent ? '' : 'none'; });
+    };
+    if (kindSelect) {
+        kindSelect.addEventListener('change', showKindFields);
+        showKindFields();
+    }
+
+    ['sound', 'speech'].forEach(key => {
+        const input = document.getElementById(`alert${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+        if (!input) return;
+
+        input.checked = window.alertSettings[key];
+        input.addEventListener('change', function() {
+            window.alertSettings[key] = this.checked;
+            saveAlertSettings();
+        });
+    });
+
+    const volumeInput = document.getElementById('alertVolume');
+    if (volumeInput) {
+        volumeInput.value = window.alertSettings.volume;
+        volumeInput.addEventListener('change', function() {
+            window.alertSettings.volume = parseFloat(this.value);
+            saveAlertSettings();
+        });
+    }
+
+    const ruleList = document.getElementById('alertRuleList');
+    if (ruleList) {
+        ruleList.addEventListener('change', function(e) {
+            const input = e.target.closest('[data-rule-action="toggle"]');
+            const rule = input && window.alertRules.find(r => r.id === input.dataset.ruleId);
+            if (!rule) return;
+
+            rule.enabled = input.checked;
+            saveAlertRules();
+            renderAlertRules();
+            if (!rule.enabled && activeAlerts[rule.id]) clearAlert(rule.id);
+        });
+
+        ruleList.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-rule-action="delete"]');
+            if (!button) return;
+
+            const rule = window.alertRules.find(r => r.id === button.dataset.ruleId);
+            if (!rule || !confirm(`Delete alert rule "${rule.name}"?`)) return;
+
+            window.alertRules = window.alertRules.filter(r => r !== rule);
+            saveAlertRules();
+            renderAlertRules();
+            if (activeAlerts[rule.id]) clearAlert(rule.id);
+        });
+    }
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('alertRuleAdd', function() {
+        const rule = readNewAlertRule();
+        if (!rule) return;
+
+        window.alertRules.push(rule);
+        saveAlertRules();
+        renderAlertRules();
+        alertsLog(`Alert rule added: ${rule.name}`, window.LOG_LEVEL.INFO);
+        ['alertRuleName', 'alertRuleMessage'].forEach(id => { document.getElementById(id).value = ''; });
+    });
+
+    bind('alertTest', function() {
+        const severity = document.getElementById('alertRuleSeverity').value;
+        announceAlert({ severity: severity, name: 'Test' }, 'Alert test', false);
+    });
+
+    bind('alertRestoreDefaults', function() {
+        if (!confirm('Replace all alert rules with the defaults?')) return;
+        window.alertRules = DEFAULT_ALERT_RULES.map(rule => ({ ...rule }));
+        saveAlertRules();
+        clearAllAlerts();
+        renderAlertRules();
+    });
+
+    openBtn.addEventListener('click', function() {
+        renderAlertRules();
+        window.showModal(alertsModal);
+    });
+
+    const closeBtn = document.getElementById('alertsModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(alertsModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === alertsModal) {
+            window.hideModal(alertsModal);
+        }
+    });
+}
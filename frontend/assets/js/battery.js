@@ -0,0 +1,329 @@
+/**
+ * battery.js - Battery Model and Return-to-Home Reserve
+ *
+ * Handles:
+ * - Reading the optional battery_voltage / battery_percent / current telemetry fields
+ * - Estimating charge from pack voltage when no percentage is reported
+ * - Discharge rate from the measured current, or from the charge trend without it
+ * - Remaining flight time down to the landing reserve
+ * - Warning when the charge needed to fly home approaches what is left
+ * - Battery settings modal (pack capacity, cell count, reserve)
+ */
+
+const batteryLog = window.createLogger('battery');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadBatterySettings();
+    initializeBatteryControls();
+    renderBatteryPrediction();
+
+    document.addEventListener('telemetry-received', function(e) {
+        updateBatteryModel(e.detail);
+    });
+
+    ['recording-session-started', 'playback-started'].forEach(eventName => {
+        document.addEventListener(eventName, resetBatteryModel);
+    });
+
+    document.addEventListener('playback-seeked', function(e) {
+        rebuildBatteryModel(e.detail.history || []);
+    });
+});
+
+// ================== BATTERY SETTINGS ==================
+
+const DEFAULT_BATTERY_SETTINGS = {
+    capacityMah: 5000,
+    cells: 4,
+    reservePercent: 20     // charge kept for landing, never planned into flight time
+};
+
+// Resting LiPo cell voltage against state of charge; under load the pack
+// sags, so voltage-only estimates read low while the motors are running
+const LIPO_CELL_CURVE = [
+    [3.27, 0], [3.61, 5], [3.69, 10], [3.71, 15], [3.73, 20], [3.75, 25],
+    [3.77, 30], [3.79, 35], [3.80, 40], [3.82, 45], [3.84, 50], [3.85, 55],
+    [3.87, 60], [3.91, 65], [3.95, 70], [3.98, 75], [4.02, 80], [4.08, 85],
+    [4.11, 90], [4.15, 95], [4.20, 100]
+];
+
+// Without a current sensor the rate comes from how fast the charge falls
+const BATTERY_TREND_WINDOW_MS = 180000;
+const BATTERY_TREND_MIN_MS = 30000;
+
+const BATTERY_CURRENT_SMOOTHING = 0.2;
+
+// Warn once the flight home needs this share of the usable charge
+const BATTERY_RTH_WARNING_RATIO = 0.75;
+
+window.batterySettings = { ...DEFAULT_BATTERY_SETTINGS };
+
+function loadBatterySettings() {
+    const savedSettings = localStorage.getItem('droneBatterySettings');
+    if (!savedSettings) return;
+
+    try {
+        window.batterySettings = { ...DEFAULT_BATTERY_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.batterySettings = { ...DEFAULT_BATTERY_SETTINGS };
+    }
+}
+
+function saveBatterySettings() {
+    localStorage.setItem('droneBatterySettings', JSON.stringify(window.batterySettings));
+}
+
+// ================== CHARGE ESTIMATE ==================
+
+function estimateBatteryPercent(voltage) {
+    const cellVoltage = voltage / Math.max(1, window.batterySettings.cells);
+    const curve = LIPO_CELL_CURVE;
+
+    if (cellVoltage <= curve[0][0]) return 0;
+    if (cellVoltage >= curve[curve.length - 1][0]) return 100;
+
+    for (let i = 1; i < curve.length; i++) {
+        if (cellVoltage <= curve[i][0]) {
+            const [v0, p0] = curve[i - 1];
+            const [v1, p1] = curve[i];
+            return p0 + (cellVoltage - v0) / (v1 - v0) * (p1 - p0);
+        }
+    }
+    return 100;
+}
+
+window.estimateBatteryPercent = estimateBatteryPercent;
+
+// Reported percentage first, voltage estimate second, null without battery fields
+function getBatteryPercent(data) {
+    if (typeof data.battery_percent === 'number') {
+        return Math.max(0, Math.min(100, data.battery_percent));
+    }
+    if (typeof data.battery_voltage === 'number' && data.battery_voltage > 0) {
+        return estimateBatteryPercent(data.battery_voltage);
+    }
+    return null;
+}
+
+window.getBatteryPercent = getBatteryPercent;
+
+// ================== BATTERY MODEL ==================
+
+function createBatteryState() {
+    return {
+        percent: null,
+        voltage: null,
+        current: null,          // A, smoothed
+        dischargeRate: null,    // % per second
+        remainingSeconds: null,
+        rthSeconds: null,
+        rthPercent: null,
+        level: 'ok',            // ok | warning | critical
+        history: []             // { time, percent } for the trend estimate
+    };
+}
+
+window.batteryState = createBatteryState();
+
+function resetBatteryModel() {
+    window.batteryState = createBatteryState();
+    renderBatteryPrediction();
+}
+
+// After a playback jump: restores the charge trend and smoothed current from
+// the fixes before the target (history: { time, data }, oldest first). The
+// replayed fix that follows updates the estimate and the warning level.
+function rebuildBatteryModel(history) {
+    const state = createBatteryState();
+
+    history.forEach(entry => {
+        const percent = getBatteryPercent(entry.data);
+        if (percent === null) return;
+
+        state.percent = percent;
+        if (typeof entry.data.current === 'number') {
+            state.current = state.current === null
+                ? entry.data.current
+                : state.current + BATTERY_CURRENT_SMOOTHING * (entry.data.current - state.current);
+        }
+        state.history.push({ time: entry.time, percent: percent });
+    });
+
+    const last = state.history[state.history.length - 1];
+    if (last) {
+        const start = state.history.findIndex(point => last.time - point.time <= BATTERY_TREND_WINDOW_MS);
+        state.history = state.history.slice(Math.min(start, state.history.length - 2));
+    }
+
+    window.batteryState = state;
+    renderBatteryPrediction();
+}
+
+function getDischargeRate(state) {
+    const settings = window.batterySettings;
+
+    if (state.current !== null && settings.capacityMah > 0) {
+        // A → mAh per second → share of the pack per second
+        return state.current * 1000 / 3600 / settings.capacityMah * 100;
+    }
+
+    const history = state.history;
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const elapsed = last.time - first.time;
+    if (elapsed < BATTERY_TREND_MIN_MS || first.percent <= last.percent) return null;
+
+    return (first.percent - last.percent) / (elapsed / 1000);
+}
+
+function updateBatteryModel(data) {
+    const percent = getBatteryPercent(data);
+    if (percent === null) return;
+
+    const state = window.batteryState;
+    const now = Date.now();
+
+    state.percent = percent;
+    state.voltage = typeof data.battery_voltage === 'number' ? data.battery_voltage : null;
+    if (typeof data.current === 'number') {
+        state.current = state.current === null
+            ? data.current
+            : state.current + BATTERY_CURRENT_SMOOTHING * (data.current - state.current);
+    }
+
+    state.history.push({ time: now, percent: percent });
+    while (state.history.length > 2 && now - state.history[0].time > BATTERY_TREND_WINDOW_MS) {
+        state.history.shift();
+    }
+
+    state.dischargeRate = getDischargeRate(state);
+    const usable = percent - window.batterySettings.reservePercent;
+
+    state.remainingSeconds = state.dischargeRate ? Math.max(0, usable) / state.dischargeRate : null;
+
+    // Home at the current ground speed, or the planned speed while hovering
+    const home = window.HOME_COORDINATES;
+    const hasFix = !(data.lat === 0 && data.lng === 0);
+    if (hasFix) {
+        const distance = window.calculateDistance(data.lat, data.lng, home.lat, home.lng);
+        const speedKmh = data.speed >= 1 ? data.speed : window.missionSettings.maxSpeed;
+        state.rthSeconds = distance / (speedKmh / 3.6);
+        state.rthPercent = state.dischargeRate ? state.rthSeconds * state.dischargeRate : null;
+    }
+
+    let level = 'ok';
+    if (usable <= 0) {
+        level = 'critical';
+    } else if (state.rthPercent !== null) {
+        if (state.rthPercent >= usable) {
+            level = 'critical';
+        } else if (state.rthPercent >= usable * BATTERY_RTH_WARNING_RATIO) {
+            level = 'warning';
+        }
+    }
+    setBatteryLevel(level);
+
+    renderBatteryPrediction();
+}
+
+// Announces a level only when it gets worse, so it does not repeat every fix
+function setBatteryLevel(level) {
+    const state = window.batteryState;
+    const rank = { ok: 0, warning: 1, critical: 2 };
+    const previous = state.level;
+    state.level = level;
+
+    if (rank[level] <= rank[previous]) return;
+
+    const rthText = state.rthPercent !== null ? `return home needs ~${state.rthPercent.toFixed(0)}%` : 'reserve reached';
+    const message = `Battery ${state.percent.toFixed(0)}%: ${rthText} (reserve ${window.batterySettings.reservePercent}%)`;
+
+    if (level === 'critical') {
+        batteryLog(`${message} - return home now`, window.LOG_LEVEL.ERROR);
+        if (window.showNotification) {
+            window.showNotification(`BATTERY CRITICAL - ${message}`, 'error', 10000);
+        }
+    } else {
+        batteryLog(`${message} - plan to return soon`, window.LOG_LEVEL.WARNING);
+        if (window.showNotification) {
+            window.showNotification(`Battery low - ${message}`, 'warning', 6000);
+        }
+    }
+}
+
+// ================== BATTERY DISPLAY ==================
+
+function renderBatteryPrediction() {
+    const state = window.batteryState;
+    const element = document.getElementById('batteryPrediction');
+    if (!element) return;
+
+    element.classList.remove('warning', 'critical');
+    if (state.percent === null) {
+        element.textContent = 'No battery data';
+        return;
+    }
+
+    const formatDuration = seconds => seconds === null ? '--:--' : window.formatTime(seconds);
+    const parts = [`Flight time ${formatDuration(state.remainingSeconds)}`];
+    if (state.rthSeconds !== null) {
+        parts.push(`RTH ${formatDuration(state.rthSeconds)}${state.rthPercent !== null ? ` / ${state.rthPercent.toFixed(0)}%` : ''}`);
+    }
+    if (state.voltage !== null) parts.push(`${state.voltage.toFixed(2)} V`);
+    if (state.current !== null) parts.push(`${state.current.toFixed(1)} A`);
+
+    element.textContent = parts.join(' · ');
+    if (state.level !== 'ok') {
+        element.classList.add(state.level);
+    }
+}
+
+// ================== BATTERY CONTROLS ==================
+
+const BATTERY_FIELDS = [
+    { id: 'batteryCapacity', key: 'capacityMah', min: 1 },
+    { id: 'batteryCells', key: 'cells', min: 1 },
+    { id: 'batteryReserve', key: 'reservePercent', min: 0 }
+];
+
+function initializeBatteryControls() {
+    const batteryTile = document.querySelector('.status-item .battery');
+    const batteryModal = document.getElementById('batteryModal');
+    if (!batteryTile || !batteryModal) return;
+
+    BATTERY_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.batterySettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < field.min) {
+                this.value = window.batterySettings[field.key];
+                return;
+            }
+            window.batterySettings[field.key] = value;
+            saveBatterySettings();
+        });
+    });
+
+    batteryTile.setAttribute('title', 'Battery settings');
+    batteryTile.addEventListener('click', function() {
+        window.showModal(batteryModal);
+    });
+
+    const closeBtn = document.getElementById('batteryModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(batteryModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === batteryModal) {
+            window.hideModal(batteryModal);
+        }
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * charts.js - Telemetry Charts
+ *
+ * Handles:
+ * - Buffering altitude, speed, satellite count and HDOP from every telemetry message
+ * - Plotting each field over a rolling window (1/5/15 min or the whole session)
+ * - Hover readouts shared across all charts
+ *
+ * Charts are drawn on plain canvas. Each redraw reduces the visible samples
+ * to one min/max pair per pixel column, so the cost follows the chart width
+ * rather than the telemetry rate. The buffer starts over with each new
+ * connection or playback, and is rebuilt from the recording when playback
+ * jumps, like the flight track.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadChartSettings();
+    initializeChartsPanel();
+
+    document.addEventListener('telemetry-received', function(e) {
+        addChartSample(e.detail);
+    });
+
+    ['recording-session-started', 'playback-started'].forEach(eventName => {
+        document.addEventListener(eventName, clearChartSamples);
+    });
+
+    document.addEventListener('playback-seeked', function(e) {
+        rebuildChartSamples(e.detail.history || []);
+    });
+});
+
+// ================== CHART SETTINGS ==================
+
+const CHART_SERIES = [
+    { field: 'alt', label: 'Altitude', unit: 'm', color: '#3498db', decimals: 1 },
+    { field: 'speed', label: 'Speed', unit: 'km/h', color: '#2ecc71', decimals: 1 },
+    { field: 'sat', label: 'Satellites', unit: '', color: '#f39c12', decimals: 0 },
+    { field: 'hdop', label: 'HDOP', unit: '', color: '#e74c3c', decimals: 1 }
+];
+
+const CHART_WINDOWS = [
+    { seconds: 60, label: '1 min' },
+    { seconds: 300, label: '5 min' },
+    { seconds: 900, label: '15 min' },
+    { seconds: 0, label: 'Session' }  // 0 shows everything buffered
+];
+
+// About 5.5 hours at 10 Hz; the oldest samples go first beyond that
+const CHART_MAX_SAMPLES = 200000;
+
+// Longer silences break the line instead of bridging the gap
+const CHART_GAP_MS = 5000;
+
+const DEFAULT_CHART_SETTINGS = {
+    windowSeconds: 300
+};
+
+window.chartSettings = { ...DEFAULT_CHART_SETTINGS };
+window.chartSamples = [];
+
+let chartsOpen = false;
+let chartRenderPending = false;
+let chartHoverTime = null;
+
+function loadChartSettings() {
+    const savedSettings = localStorage.getItem('droneChartSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.chartSettings = { ...DEFAULT_CHART_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.chartSettings = { ...DEFAULT_CHART_SETTINGS };
+    }
+}
+
+function saveChartSettings() {
+    localStorage.setItem('droneChartSettings', JSON.stringify(window.chartSettings));
+}
+
+// ================== CHART DATA ==================
+
+function toChartSample(data, time) {
+    const sample = { time: time };
+    CHART_SERIES.forEach(series => {
+        sample[series.field] = typeof data[series.field] === 'number' ? data[series.field] : null;
+    });
+    return sample;
+}
+
+function addChartSample(data) {
+    window.chartSamples.push(toChartSample(data, Date.now()));
+    if (window.chartSamples.length > CHART_MAX_SAMPLES) {
+        window.chartSamples.splice(0, window.chartSamples.length - CHART_MAX_SAMPLES);
+    }
+
+    scheduleChartRender();
+}
+
+function clearChartSamples() {
+    window.chartSamples = [];
+    chartHoverTime = null;
+    scheduleChartRender();
+}
+
+// history: { time, data } fixes before a playback seek target, oldest first
+function rebuildChartSamples(history) {
+    window.chartSamples = history.slice(-CHART_MAX_SAMPLES).map(entry => toChartSample(entry.data, entry.time));
+    chartHoverTime = null;
+    scheduleChartRender();
+}
+
+// First sample at or after the given time (samples are in time order)
+function findChartSampleIndex(time) {
+    const samples = window.chartSamples;
+    let low = 0;
+    let high = samples.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (samples[mid].time < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function getChartTimeRange() {
+    const samples = window.chartSamples;
+    if (samples.length === 0) return null;
+
+    const end = samples[samples.length - 1].time;
+    const windowMs = window.chartSettings.windowSeconds * 1000;
+    const start = windowMs > 0 ? end - windowMs : samples[0].time;
+    return { start: start, end: Math.max(end, start + 1000) };
+}
+
+function getNearestChartSample(time) {
+    const samples = window.chartSamples;
+    const index = findChartSampleIndex(time);
+    const after = samples[index];
+    const before = samples[index - 1];
+    if (!after) return before || null;
+    if (!before) return after;
+    return time - before.time <= after.time - time ? before : after;
+}
+
+// ================== RENDERING ==================
+
+function scheduleChartRender() {
+    if (!chartsOpen || chartRenderPending) return;
+
+    chartRenderPending = true;
+    requestAnimationFrame(function() {
+        chartRenderPending = false;
+        renderCharts();
+    });
+}
+
+function renderCharts() {
+    const range = getChartTimeRange();
+    CHART_SERIES.forEach(series => renderChart(series, range));
+    renderChartReadouts(range);
+}
+
+function prepareChartCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx: ctx, width: width, height: height };
+}
+
+// One {min, max, first, last} bucket per pixel column; null where the column has no data
+function bucketChartSeries(field, range, width) {
+    const samples = window.chartSamples;
+    const buckets = new Array(width).fill(null);
+    const span = range.end - range.start;
+    let previousTime = null;
+
+    for (let i = Math.max(0, findChartSampleIndex(range.start) - 1); i < samples.length; i++) {
+        const sample = samples[i];
+        const value = sample[field];
+        if (value === null) continue;
+
+        const column = Math.min(width - 1, Math.max(0, Math.floor((sample.time - range.start) / span * width)));
+        const bucket = buckets[column];
+        const gap = previousTime !== null && sample.time - previousTime > CHART_GAP_MS;
+        previousTime = sample.time;
+
+        if (!bucket) {
+            buckets[column] = { min: value, max: value, first: value, last: value, gap: gap };
+        } else {
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+            bucket.last = value;
+        }
+    }
+
+    return buckets;
+}
+
+function getChartValueRange(buckets, series) {
+    let min = Infinity;
+    let max = -Infinity;
+    buckets.forEach(bucket => {
+        if (!bucket) return;
+        min = Math.min(min, bucket.min);
+        max = Math.max(max, bucket.max);
+    });
+    if (min === Infinity) return null;
+
+    // Keep flat lines off the edges and counts on whole numbers
+    const padding = Math.max((max - min) * 0.1, series.decimals === 0 ? 1 : 0.5);
+    min -= padding;
+    max += padding;
+    if (series.decimals === 0) {
+        min = Math.floor(min);
+        max = Math.ceil(max);
+    }
+    return { min: min, max: max };
+}
+
+function renderChart(series, range) {
+    const canvas = document.getElementById(`chartCanvas-${series.field}`);
+    if (!canvas) return;
+
+    const { ctx, width, height } = prepareChartCanvas(canvas);
+    if (width === 0 || height === 0) return;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+        const y = Math.round(height * i / 4) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+
+    if (!range) return;
+
+    const buckets = bucketChartSeries(series.field, range, Math.floor(width));
+    const valueRange = getChartValueRange(buckets, series);
+    if (!valueRange) return;
+
+    const toY = value => height - (value - valueRange.min) / (valueRange.max - valueRange.min) * height;
+
+    ctx.strokeStyle = series.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    buckets.forEach((bucket, x) => {
+        if (!bucket) return;
+        if (!drawing || bucket.gap) {
+            ctx.moveTo(x + 0.5, toY(bucket.first));
+        } else {
+            ctx.lineTo(x + 0.5, toY(bucket.first));
+        }
+        ctx.lineTo(x + 0.5, toY(bucket.min));
+        ctx.lineTo(x + 0.5, toY(bucket.max));
+        ctx.lineTo(x + 0.5, toY(bucket.last));
+        drawing = true;
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.font = '10px Inter, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillText(valueRange.max.toFixed(series.decimals), 3, 2);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(valueRange.min.toFixed(series.decimals), 3, height - 2);
+
+    if (chartHoverTime !== null) {
+        const x = Math.round((chartHoverTime - range.start) / (range.end - range.start) * width) + 0.5;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+}
+
+function formatChartValue(series, value) {
+    if (value === null || value === undefined) return '--';
+    return `${value.toFixed(series.decimals)}${series.unit ? ' ' + series.unit : ''}`;
+}
+
+// Shows the hovered sample, or the latest one when the pointer is away
+function renderChartReadouts(range) {
+    const samples = window.chartSamples;
+    const sample = chartHoverTime !== null
+        ? getNearestChartSample(chartHoverTime)
+        : samples[samples.length - 1] || null;
+
+    CHART_SERIES.forEach(series => {
+        const readout = document.getElementById(`chartReadout-${series.field}`);
+        if (readout) {
+            readout.textContent = formatChartValue(series, sample ? sample[series.field] : null);
+        }
+    });
+
+    const timeLabel = document.getElementById('chartsTime');
+    if (timeLabel) {
+        if (!sample || !range) {
+            timeLabel.textContent = 'No telemetry';
+        } else {
+            const clock = new Date(sample.time).toLocaleTimeString();
+            timeLabel.textContent = chartHoverTime !== null ? clock : `${clock} (latest)`;
+        }
+    }
+}
+
+// ================== CHARTS PANEL ==================
+
+function initializeChartsPanel() {
+    const panel = document.getElementById('chartsPanel');
+    const openBtn = document.getElementById('openCharts');
+    const list = document.getElementById('chartsList');
+    if (!panel || !openBtn || !list) return;
+
+    list.innerHTML = CHART_SERIES.map(series => `
+        <div class="chart-row">
+            <div class="chart-row-header">
+                <span class="chart-label" style="color: ${series.color};">${series.label}</span>
+                <span class="chart-readout" id="chartReadout-${series.field}">--</span>
+            </div>
+            <canvas class="chart-canvas" id="chartCanvas-${series.field}"></canvas>
+        </div>`).join('');
+
+    const setPanelOpen = open => {
+        chartsOpen = open;
+        panel.style.display = open ? 'flex' : 'none';
+        openBtn.classList.toggle('active', open);
+        scheduleChartRender();
+    };
+
+    openBtn.addEventListener('click', function() {
+        setPanelOpen(!chartsOpen);
+    });
+
+    const closeBtn = document.getElementById('chartsClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => setPanelOpen(false));
+    }
+
+    const windowButtons = document.getElementById('chartWindows');
+    if (windowButtons) {
+        windowButtons.innerHTML = CHART_WINDOWS
+            .map(option => `<button class="btn btn-sm" data-seconds="${option.seconds}">${option.label}</button>`)
+            .join('');
+
+        const markSelected = () => {
+            windowButtons.querySelectorAll('button').forEach(button => {
+                button.classList.toggle('active', parseInt(button.dataset.seconds) === window.chartSettings.windowSeconds);
+            });
+        };
+
+        windowButtons.addEventListener('click', function(e) {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            window.chartSettings.windowSeconds = parseInt(button.dataset.seconds);
+            saveChartSettings();
+            markSelected();
+            scheduleChartRender();
+        });
+        markSelected();
+    }
+
+    // Hovering any chart moves the cursor on all of them
+    list.addEventListener('mousemove', function(e) {
+        const canvas = e.target.closest('.chart-canvas');
+        const range = getChartTimeRange();
+        if (!canvas || !range) return;
+
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const sample = getNearestChartSample(range.start + fraction * (range.end - range.start));
+        chartHoverTime = sample ? sample.time : null;
+        scheduleChartRender();
+    });
+
+    list.addEventListener('mouseleave', function() {
+        chartHoverTime = null;
+        scheduleChartRender();
+    });
+
+    window.addEventListener('resize', scheduleChartRender);
+}
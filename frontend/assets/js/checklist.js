@@ -0,0 +1,390 @@
+/**
+ * checklist.js - Pre-flight Checklist and Arming Gate
+ *
+ * Handles:
+ * - Automatic checks: live link and fresh telemetry, satellites, HDOP,
+ *   home position, mission validation and battery charge
+ * - Manual ticks (propellers, area clear, ...) with a configurable item list
+ * - Keeping Start Mission disabled until every item passes
+ * - Writing the checklist to the system log when a mission is started
+ * - Checklist modal with thresholds and items
+ *
+ * Manual ticks are cleared after each mission start and on every new
+ * connection, so every flight is checked again.
+ */
+
+const checklistLog = window.createLogger('checklist');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadChecklistSettings();
+    initializeChecklistControls();
+
+    document.addEventListener('telemetry-received', function(e) {
+        lastChecklistTelemetry = e.detail;
+    });
+
+    document.addEventListener('recording-session-started', function() {
+        lastChecklistTelemetry = null;
+        clearManualTicks();
+    });
+
+    if (window.registerMissionStartCheck) {
+        window.registerMissionStartCheck('checklist', function() {
+            return evaluateChecklist()
+                .filter(item => !item.pass)
+                .map(item => `Pre-flight: ${item.label} - ${item.detail}`);
+        });
+    }
+
+    // Telemetry age changes without any event, so the gate is re-evaluated on a timer
+    setInterval(updateStartMissionGate, CHECKLIST_REFRESH_MS);
+    updateStartMissionGate();
+});
+
+// ================== CHECKLIST SETTINGS ==================
+
+const CHECKLIST_REFRESH_MS = 1000;
+
+const DEFAULT_CHECKLIST_SETTINGS = {
+    maxTelemetryAgeSeconds: 5,
+    minSatellites: 6,
+    maxHdop: 2.5,
+    minBatteryPercent: 50,
+    manualItems: [
+        'Propellers checked and secure',
+        'Battery secured and connected',
+        'Area clear of people and obstacles',
+        'Pilot ready to take over'
+    ]
+};
+
+window.checklistSettings = { ...DEFAULT_CHECKLIST_SETTINGS };
+
+let lastChecklistTelemetry = null;
+let manualTicks = {};              // item text -> true
+let batteryCheckedManually = false;
+
+function loadChecklistSettings() {
+    const savedSettings = localStorage.getItem('droneChecklistSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.checklistSettings = { ...DEFAULT_CHECKLIST_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.checklistSettings = { ...DEFAULT_CHECKLIST_SETTINGS };
+    }
+}
+
+function saveChecklistSettings() {
+    localStorage.setItem('droneChecklistSettings', JSON.stringify(window.checklistSettings));
+}
+
+function clearManualTicks() {
+    manualTicks = {};
+    batteryCheckedManually = false;
+    renderChecklist();
+    updateStartMissionGate();
+}
+
+// ================== CHECKS ==================
+
+// Each check returns { pass, detail }; manual: true turns the row into a tick box
+const AUTOMATIC_CHECKS = [
+    {
+        id: 'link',
+        label: 'Link and telemetry',
+        evaluate(settings, telemetry) {
+            if (!window.isConnected) return { pass: false, detail: 'not connected' };
+            if (!window.lastTelemetryTime) return { pass: false, detail: 'no telemetry yet' };
+
+            const age = (Date.now() - window.lastTelemetryTime) / 1000;
+            return {
+                pass: age <= settings.maxTelemetryAgeSeconds,
+                detail: `last fix ${age.toFixed(1)} s ago (max ${settings.maxTelemetryAgeSeconds} s)`
+            };
+        }
+    },
+    {
+        id: 'satellites',
+        label: 'Satellites',
+        evaluate(settings, telemetry) {
+            if (!telemetry || typeof telemetry.sat !== 'number') return { pass: false, detail: 'no GPS data' };
+            return {
+                pass: telemetry.sat >= settings.minSatellites,
+                detail: `${telemetry.sat} in view (min ${settings.minSatellites})`
+            };
+        }
+    },
+    {
+        id: 'hdop',
+        label: 'HDOP',
+        evaluate(settings, telemetry) {
+            if (!telemetry || typeof telemetry.hdop !== 'number') return { pass: false, detail: 'no HDOP reported' };
+            return {
+                pass: telemetry.hdop <= settings.maxHdop,
+                detail: `${telemetry.hdop.toFixed(1)} (max ${settings.maxHdop})`
+            };
+        }
+    },
+    {
+        id: 'home',
+        label: 'Home position',
+        evaluate() {
+            const home = window.HOME_COORDINATES;
+            const valid = home && typeof home.lat === 'number' && typeof home.lng === 'number' &&
+                Math.abs(home.lat) <= 90 && Math.abs(home.lng) <= 180 && !(home.lat === 0 && home.lng === 0);
+            return {
+                pass: !!valid,
+                detail: valid ? `${home.lat.toFixed(6)}, ${home.lng.toFixed(6)}` : 'not set'
+            };
+        }
+    },
+    {
+        id: 'mission',
+        label: 'Mission validated',
+        evaluate() {
+            if (!window.waypoints || window.waypoints.length === 0) return { pass: false, detail: 'no waypoints' };
+
+            const problems = window.runMissionStartChecks ? window.runMissionStartChecks('checklist') : [];
+            return {
+                pass: problems.length === 0,
+                detail: problems.length === 0
+                    ? `${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''}, no problems`
+                    : `${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}`
+            };
+        }
+    },
+    {
+        id: 'battery',
+        label: 'Battery',
+        evaluate(settings, telemetry) {
+            const percent = telemetry && window.getBatteryPercent ? window.getBatteryPercent(telemetry) : null;
+            // Vehicles without battery sensing fall back to a manual confirmation
+            if (percent === null) {
+                return {
+                    pass: batteryCheckedManually,
+                    manual: true,
+                    detail: `no battery telemetry - confirm charge is above ${settings.minBatteryPercent}%`
+                };
+            }
+            return {
+                pass: percent >= settings.minBatteryPercent,
+                detail: `${percent.toFixed(0)}% (min ${settings.minBatteryPercent}%)`
+            };
+        }
+    }
+];
+
+function evaluateChecklist() {
+    const settings = window.checklistSettings;
+    const items = AUTOMATIC_CHECKS.map(check => {
+        let result;
+        try {
+            result = check.evaluate(settings, lastChecklistTelemetry);
+        } catch (error) {
+            result = { pass: false, detail: `check failed: ${error.message}` };
+        }
+        return { id: check.id, label: check.label, automatic: true, ...result };
+    });
+
+    settings.manualItems.forEach(text => {
+        items.push({
+            id: `manual:${text}`,
+            label: text,
+            automatic: false,
+            manual: true,
+            pass: !!manualTicks[text],
+            detail: manualTicks[text] ? 'checked' : 'not checked'
+        });
+    });
+
+    return items;
+}
+
+window.evaluateChecklist = evaluateChecklist;
+
+// Called once the operator confirms the start, before the mission is sent
+function recordPreflightChecklist() {
+    const items = evaluateChecklist();
+    const passed = items.filter(item => item.pass).length;
+
+    checklistLog(`Pre-flight checklist: ${passed}/${items.length} passed`, window.LOG_LEVEL.INFO);
+    items.forEach(item => {
+        const kind = item.automatic && !item.manual ? 'auto' : 'manual';
+        checklistLog(`  [${item.pass ? 'x' : ' '}] ${item.label} (${kind}): ${item.detail}`,
+            item.pass ? window.LOG_LEVEL.INFO : window.LOG_LEVEL.WARNING);
+    });
+
+    clearManualTicks();
+}
+
+window.recordPreflightChecklist = recordPreflightChecklist;
+
+// ================== ARMING GATE ==================
+
+function updateStartMissionGate() {
+    const items = evaluateChecklist();
+    const failing = items.filter(item => !item.pass);
+
+    const startBtn = document.getElementById('startMission');
+    if (startBtn) {
+        const allowed = window.isConnected && failing.length === 0;
+        startBtn.disabled = !allowed;
+        startBtn.style.opacity = allowed ? '1' : '0.6';
+        startBtn.style.cursor = allowed ? 'pointer' : 'not-allowed';
+        startBtn.title = failing.length > 0
+            ? `Pre-flight checklist: ${failing.map(item => item.label).join(', ')}`
+            : 'Start mission';
+    }
+
+    const summary = document.getElementById('checklistSummary');
+    if (summary) {
+        summary.textContent = `${items.length - failing.length}/${items.length}`;
+        summary.classList.toggle('checklist-ready', failing.length === 0);
+    }
+
+    const modal = document.getElementById('checklistModal');
+    if (modal && modal.style.display === 'flex') {
+        renderChecklistItems(items);
+    }
+}
+
+window.updateStartMissionGate = updateStartMissionGate;
+
+// ================== CHECKLIST MODAL ==================
+
+const CHECKLIST_FIELDS = [
+    { id: 'checklistTelemetryAge', key: 'maxTelemetryAgeSeconds', min: 1 },
+    { id: 'checklistMinSatellites', key: 'minSatellites', min: 0 },
+    { id: 'checklistMaxHdop', key: 'maxHdop', min: 0.5 },
+    { id: 'checklistMinBattery', key: 'minBatteryPercent', min: 0 }
+];
+
+function renderChecklist() {
+    renderChecklistItems(evaluateChecklist());
+}
+
+// Rows are only rebuilt when the list of items changes. The refresh every
+// second updates them in place, so a click on a checkbox is not lost to a
+// rebuild and keyboard focus stays where it is.
+let renderedChecklistKey = null;
+
+function renderChecklistItems(items) {
+    const list = document.getElementById('checklistItems');
+    if (!list) return;
+
+    const key = items.map(item => `${item.id}:${item.manual ? 'manual' : 'auto'}`).join('|');
+    if (key === renderedChecklistKey && list.children.length === items.length) {
+        items.forEach((item, index) => updateChecklistRow(list.children[index], item));
+        return;
+    }
+
+    renderedChecklistKey = key;
+    list.innerHTML = '';
+    items.forEach(item => {
+        const row = createChecklistRow(item);
+        updateChecklistRow(row, item);
+        list.appendChild(row);
+    });
+}
+
+function createChecklistRow(item) {
+    const row = document.createElement('label');
+
+    if (item.manual) {
+        const tick = document.createElement('input');
+        tick.type = 'checkbox';
+        tick.addEventListener('change', function() {
+            if (item.id === 'battery') {
+                batteryCheckedManually = this.checked;
+            } else {
+                manualTicks[item.label] = this.checked;
+            }
+            updateStartMissionGate();
+            renderChecklist();
+        });
+        row.appendChild(tick);
+    } else {
+        row.appendChild(document.createElement('i'));
+    }
+
+    const label = document.createElement('span');
+    label.className = 'checklist-label';
+    label.textContent = item.label;
+    row.appendChild(label);
+
+    const detail = document.createElement('span');
+    detail.className = 'checklist-detail';
+    row.appendChild(detail);
+
+    return row;
+}
+
+function updateChecklistRow(row, item) {
+    row.className = `checklist-item ${item.pass ? 'checklist-pass' : 'checklist-fail'}`;
+
+    if (item.manual) {
+        const tick = row.querySelector('input');
+        if (tick.checked !== item.pass) tick.checked = item.pass;
+    } else {
+        row.querySelector('i').className = item.pass ? 'fas fa-check-circle' : 'fas fa-times-circle';
+    }
+
+    const detail = row.querySelector('.checklist-detail');
+    if (detail.textContent !== item.detail) detail.textContent = item.detail;
+}
+
+function initializeChecklistControls() {
+    const openBtn = document.getElementById('openChecklist');
+    const checklistModal = document.getElementById('checklistModal');
+    if (!openBtn || !checklistModal) return;
+
+    CHECKLIST_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.checklistSettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < field.min) {
+                this.value = window.checklistSettings[field.key];
+                return;
+            }
+            window.checklistSettings[field.key] = value;
+            saveChecklistSettings();
+            updateStartMissionGate();
+        });
+    });
+
+    const itemsInput = document.getElementById('checklistManualItems');
+    if (itemsInput) {
+        itemsInput.value = window.checklistSettings.manualItems.join('\n');
+        itemsInput.addEventListener('change', function() {
+            window.checklistSettings.manualItems = this.value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0);
+            saveChecklistSettings();
+            renderChecklist();
+            updateStartMissionGate();
+        });
+    }
+
+    openBtn.addEventListener('click', function() {
+        renderChecklist();
+        window.showModal(checklistModal);
+    });
+
+    const closeBtn = document.getElementById('checklistModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(checklistModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === checklistModal) {
+            window.hideModal(checklistModal);
+        }
+    });
+}
@@ -0,0 +1,312 @@
+/**
+ * commands.js - Command Acknowledgement, Timeout and Retry
+ *
+ * Handles:
+ * - Tagging outgoing commands with a sequence id
+ * - Tracking each command until the ESP32 answers it
+ * - Retrying unanswered commands with backoff
+ * - Surfacing pending, acknowledged and failed commands in the UI
+ */
+
+const commandsLog = window.createLogger('commands');
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderCommandStatus();
+});
+
+// ================== ACKNOWLEDGEMENT RULES ==================
+
+// Timeout and retry count follow docs/API.md. Emergency stop uses a
+// shorter timeout so an unanswered stop is resent sooner. Mission upload
+// items are quiet: they stay out of the log and the status list, which
+// would otherwise fill with one line per waypoint. A retry resends the
+// command unchanged; the vehicle answers a repeat with its first reply
+// instead of running the command again. rejects() names the reason when
+// a reply refuses the command, which then fails without waiting.
+const COMMAND_TIMEOUT_MS = 5000;
+const COMMAND_MAX_RETRIES = 3;
+const COMMAND_BACKOFF_MS = 1000;
+const COMMAND_HISTORY_SIZE = 6;
+
+const COMMAND_ACK_RULES = {
+    start_mission: {
+        matches: message => message.type === 'mission_confirmation'
+    },
+    mission_load: {
+        matches: message => message.type === 'mission_confirmation'
+    },
+    mission_start: {
+        matches: message => message.type === 'navigation_update' && message.status === 'navigation_started',
+        rejects: message => message.type === 'status' && message.status === 'no_mission_loaded' ? 'no mission loaded' : null
+    },
+    get_status: {
+        matches: message => message.type === 'mission_status'
+    },
+    emergency_stop: {
+        matches: message => message.type === 'status' && message.status === 'emergency_stop',
+        timeoutMs: 2000,
+        backoffMs: 250
+    },
+    return_home: {
+        matches: message => message.type === 'navigation_update' && message.status === 'returning_home',
+        rejects: message => message.type === 'status' && message.status === 'no_active_mission' ? 'no active mission' : null
+    },
+    mission_begin: {
+        matches: message => message.type === 'mission_upload'
+    },
+    mission_item: {
+        matches: (message, command) => message.type === 'mission_item_ack' && message.index === command.index,
+        timeoutMs: 1000,
+        backoffMs: 250,
+        quiet: true
+    },
+    mission_end: {
+        matches: message => message.type === 'mission_confirmation' || message.type === 'mission_upload'
+    },
+    mission_request: {
+        matches: message => message.type === 'mission_info'
+    },
+    mission_item_request: {
+        matches: (message, command) => message.type === 'mission_item' && message.index === command.index,
+        timeoutMs: 1000,
+        backoffMs: 250,
+        quiet: true
+    }
+};
+
+const COMMAND_BUTTONS = {
+    start_mission: 'startMission',
+    mission_start: 'startMission',
+    return_home: 'returnHome',
+    emergency_stop: 'emergencyStop'
+};
+
+let nextCommandSeq = 1;
+const pendingCommands = [];
+const commandHistory = [];
+
+// Background links (vehicles.js) tag their commands from the same sequence
+function allocateCommandSeq() {
+    return nextCommandSeq++;
+}
+
+window.allocateCommandSeq = allocateCommandSeq;
+
+function requiresAcknowledgement(command) {
+    return !!(command && COMMAND_ACK_RULES[command.action]);
+}
+
+window.requiresAcknowledgement = requiresAcknowledgement;
+
+// ================== TRACKED SENDING ==================
+
+// Resolves with the settled entry; status tells how it ended and
+// response holds the message that acknowledged it
+function trackCommand(command) {
+    const rule = COMMAND_ACK_RULES[command.action];
+
+    // A newer command of the same kind replaces one still in flight
+    pendingCommands
+        .filter(entry => entry.action === command.action)
+        .forEach(entry => settleCommand(entry, 'superseded'));
+
+    return new Promise(resolve => {
+        const entry = {
+            seq: nextCommandSeq++,
+            action: command.action,
+            command: command,
+            rule: rule,
+            attempts: 0,
+            status: 'pending',
+            sentAt: Date.now(),
+            timer: null,
+            response: null,
+            resolve: resolve
+        };
+
+        entry.command.seq = entry.seq;
+        pendingCommands.push(entry);
+        if (!rule.quiet) {
+            commandHistory.unshift(entry);
+            commandHistory.splice(COMMAND_HISTORY_SIZE);
+        }
+
+        attemptCommand(entry);
+    });
+}
+
+// Resolves true once the matching response arrives, false when the
+// command was superseded, could not be written or ran out of retries
+function sendTrackedCommand(command) {
+    return trackCommand(command).then(entry => entry.status === 'acknowledged');
+}
+
+window.sendTrackedCommand = sendTrackedCommand;
+
+// Like sendTrackedCommand, but resolves with the acknowledging message
+// (null on failure) for commands whose answer carries data
+function sendTrackedRequest(command) {
+    return trackCommand(command).then(entry => entry.status === 'acknowledged' ? entry.response : null);
+}
+
+window.sendTrackedRequest = sendTrackedRequest;
+
+async function attemptCommand(entry) {
+    if (entry.status !== 'pending') return;
+
+    entry.attempts++;
+    renderCommandStatus();
+
+    const written = await window.writeCommand(entry.command, entry.rule.quiet);
+    if (entry.status !== 'pending') return;
+
+    if (!written) {
+        settleCommand(entry, 'failed', 'could not be sent');
+        return;
+    }
+
+    entry.timer = setTimeout(() => handleCommandTimeout(entry), entry.rule.timeoutMs || COMMAND_TIMEOUT_MS);
+}
+
+function handleCommandTimeout(entry) {
+    if (entry.status !== 'pending') return;
+
+    if (entry.attempts > COMMAND_MAX_RETRIES) {
+        settleCommand(entry, 'failed', `no response after ${entry.attempts} attempts`);
+        return;
+    }
+
+    const delay = (entry.rule.backoffMs || COMMAND_BACKOFF_MS) * Math.pow(2, entry.attempts - 1);
+    if (!entry.rule.quiet) {
+        commandsLog(`No response to ${entry.action} (#${entry.seq}) - retry ${entry.attempts}/${COMMAND_MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s`, window.LOG_LEVEL.WARNING);
+    }
+
+    entry.timer = setTimeout(() => attemptCommand(entry), delay);
+}
+
+function settleCommand(entry, status, reason, response) {
+    if (entry.status !== 'pending') return;
+
+    clearTimeout(entry.timer);
+    entry.status = status;
+    entry.settledAt = Date.now();
+    entry.response = response || null;
+
+    const index = pendingCommands.indexOf(entry);
+    if (index !== -1) {
+        pendingCommands.splice(index, 1);
+    }
+
+    // Quiet commands are reported by whoever sent them
+    if (entry.rule.quiet) {
+        entry.resolve(entry);
+        return;
+    }
+
+    if (status === 'acknowledged') {
+        const latency = entry.settledAt - entry.sentAt;
+        commandsLog(`${entry.action} acknowledged (#${entry.seq}, ${latency} ms)`, window.LOG_LEVEL.INFO);
+    } else if (status === 'failed') {
+        const message = `Command ${entry.action} failed: ${reason}`;
+        const isSafetyCritical = entry.action === 'emergency_stop';
+
+        commandsLog(message, window.LOG_LEVEL.ERROR);
+        if (window.showNotification) {
+            window.showNotification(isSafetyCritical ? `EMERGENCY STOP NOT CONFIRMED - ${reason}` : message, 'error', isSafetyCritical ? 15000 : 6000);
+        }
+    }
+
+    renderCommandStatus();
+    entry.resolve(entry);
+}
+
+// ================== RESPONSE MATCHING ==================
+
+function handleCommandResponse(message) {
+    if (!message || pendingCommands.length === 0) return;
+
+    const answers = candidate => candidate.rule.matches(message, candidate.command) ||
+        !!(candidate.rule.rejects && candidate.rule.rejects(message, candidate.command));
+    let entry = null;
+
+    // Firmware that echoes the sequence id gets an exact match; otherwise
+    // the oldest pending command the message answers is acknowledged
+    if (message.seq !== undefined) {
+        entry = pendingCommands.find(candidate => candidate.seq === message.seq && answers(candidate));
+    }
+    if (!entry) {
+        entry = pendingCommands.find(answers);
+    }
+    if (!entry) return;
+
+    const rejection = entry.rule.rejects ? entry.rule.rejects(message, entry.command) : null;
+    if (rejection) {
+        settleCommand(entry, 'failed', rejection, message);
+    } else {
+        settleCommand(entry, 'acknowledged', null, message);
+    }
+}
+
+window.handleCommandResponse = handleCommandResponse;
+
+// Actions listed in handOff are settled as handed off instead of failed,
+// for a caller that keeps sending them another way; returns those actions
+function cancelPendingCommands(reason, handOff) {
+    const handedOff = [];
+    pendingCommands.slice().forEach(entry => {
+        if (handOff && handOff.includes(entry.action)) {
+            settleCommand(entry, 'handed-off');
+            handedOff.push(entry.action);
+        } else {
+            settleCommand(entry, 'failed', reason);
+        }
+    });
+    return handedOff;
+}
+
+window.cancelPendingCommands = cancelPendingCommands;
+
+// ================== COMMAND STATUS UI ==================
+
+function renderCommandStatus() {
+    Object.keys(COMMAND_BUTTONS).forEach(action => {
+        const button = document.getElementById(COMMAND_BUTTONS[action]);
+        if (!button) return;
+
+        const latest = commandHistory.find(entry => entry.action === action);
+        button.classList.toggle('command-pending', !!latest && latest.status === 'pending');
+        button.classList.toggle('command-failed', !!latest && latest.status === 'failed');
+    });
+
+    const statusList = document.getElementById('commandStatus');
+    if (!statusList) return;
+
+    if (commandHistory.length === 0) {
+        statusList.innerHTML = '<div class="command-status-empty">No commands sent</div>';
+        return;
+    }
+
+    statusList.innerHTML = '';
+    commandHistory.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `command-status-item command-${entry.status}`;
+
+        const name = document.createElement('span');
+        name.className = 'command-name';
+        name.textContent = `#${entry.seq} ${entry.action}`;
+
+        const state = document.createElement('span');
+        state.className = 'command-state';
+        if (entry.status === 'pending') {
+            state.textContent = `pending (try ${entry.attempts}/${COMMAND_MAX_RETRIES + 1})`;
+        } else if (entry.status === 'acknowledged') {
+            state.textContent = `ack ${entry.settledAt - entry.sentAt} ms`;
+        } else {
+            state.textContent = entry.status;
+        }
+
+        item.appendChild(name);
+        item.appendChild(state);
+        statusList.appendChild(item);
+    });
+}
@@ -0,0 +1,420 @@
+/**
+ * console.js - Serial Console
+ *
+ * Handles:
+ * - Timestamped record of every line sent to and received from the active link
+ * - Colour coding by message type or command action
+ * - Pausing the view and filtering by direction and text
+ * - Byte view of received chunks before line framing, for framing and noise problems
+ * - Composing JSON commands by hand or from templates and sending them with sendCommand
+ *
+ * main.js reports lines through recordConsoleLine() and raw chunks through
+ * recordConsoleBytes(); both are kept while the panel is closed.
+ */
+
+const consoleLog = window.createLogger('console');
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeConsolePanel();
+
+    document.addEventListener('link-connected', function(e) {
+        const transport = e.detail && e.detail.transport;
+        recordConsoleNote(`Connected${transport ? ` (${transport.label})` : ''}`);
+    });
+
+    document.addEventListener('link-disconnected', function() {
+        recordConsoleNote('Disconnected');
+    });
+
+    document.addEventListener('vehicle-selected', function(e) {
+        const vehicle = window.getVehicle ? window.getVehicle(e.detail.id) : null;
+        recordConsoleNote(`${vehicle ? vehicle.label : 'Vehicle'} selected`);
+    });
+});
+
+// ================== CONSOLE BUFFER ==================
+
+const CONSOLE_MAX_ENTRIES = 2000;   // lines and byte chunks kept
+const CONSOLE_MAX_ROWS = 500;       // rows shown at once
+const CONSOLE_HEX_ROW_BYTES = 16;
+
+// Message types and actions from docs/API.md; anything else is shown in grey
+const CONSOLE_KIND_COLORS = {
+    telemetry: '#58a6ff',
+    navigation_update: '#a371f7',
+    status: '#d29922',
+    mission_status: '#3fb950',
+    mission_confirmation: '#3fb950',
+    start_mission: '#3fb950',
+    mission_upload: '#39c5cf',
+    mission_begin: '#39c5cf',
+    mission_item: '#39c5cf',
+    mission_item_ack: '#39c5cf',
+    mission_end: '#39c5cf',
+    mission_request: '#39c5cf',
+    mission_item_request: '#39c5cf',
+    mission_info: '#39c5cf',
+    get_status: '#e6edf3',
+    return_home: '#d29922',
+    emergency_stop: '#f85149'
+};
+
+const CONSOLE_OTHER_COLOR = '#8b949e';
+const CONSOLE_ERROR_COLOR = '#f85149';
+
+let consoleEntries = [];
+let consoleOpen = false;
+let consolePaused = false;
+let consoleHeldCount = 0;           // entries recorded while paused
+let consoleHexView = false;
+let consoleFilter = { direction: 'all', text: '' };
+const consoleEncoder = new TextEncoder();
+
+// direction is 'rx' or 'tx'; source is 'link' or 'playback' for received lines
+function recordConsoleLine(direction, line, source = 'link') {
+    let kind = 'text';
+    let isError = false;
+
+    try {
+        const message = JSON.parse(line);
+        if (message && typeof message === 'object') {
+            kind = message.type || message.action || 'json';
+            isError = message.error !== undefined || message.status === 'error';
+        }
+    } catch (error) {
+        // Non-JSON lines are shown as they arrived
+    }
+
+    addConsoleEntry({
+        time: Date.now(),
+        direction: direction,
+        source: source,
+        kind: kind,
+        isError: isError,
+        text: line
+    });
+}
+
+// chunk is a Uint8Array from byte links or a string from text links
+function recordConsoleBytes(direction, chunk) {
+    const bytes = typeof chunk === 'string' ? consoleEncoder.encode(chunk) : chunk;
+    if (!bytes || bytes.length === 0) return;
+
+    addConsoleEntry({
+        time: Date.now(),
+        direction: direction,
+        source: 'link',
+        kind: 'bytes',
+        isError: false,
+        bytes: bytes
+    });
+}
+
+function recordConsoleNote(text) {
+    addConsoleEntry({
+        time: Date.now(),
+        direction: 'note',
+        source: 'station',
+        kind: 'note',
+        isError: false,
+        text: text
+    });
+}
+
+window.recordConsoleLine = recordConsoleLine;
+window.recordConsoleBytes = recordConsoleBytes;
+
+function addConsoleEntry(entry) {
+    consoleEntries.push(entry);
+    if (consoleEntries.length > CONSOLE_MAX_ENTRIES) {
+        consoleEntries.splice(0, consoleEntries.length - CONSOLE_MAX_ENTRIES);
+    }
+
+    if (!consoleOpen) return;
+
+    if (consolePaused) {
+        consoleHeldCount++;
+        renderConsolePauseButton();
+        return;
+    }
+
+    if (isConsoleEntryVisible(entry)) {
+        appendConsoleRows([entry]);
+    }
+}
+
+function clearConsole() {
+    consoleEntries = [];
+    consoleHeldCount = 0;
+    renderConsole();
+}
+
+// ================== FILTERING ==================
+
+// The text view shows framed lines; the byte view shows received chunks
+// as they came off the link, next to the bytes written for each command
+function isConsoleEntryVisible(entry) {
+    if (entry.direction === 'note') return true;
+
+    if (consoleHexView) {
+        if (entry.direction === 'rx' && entry.kind !== 'bytes') return false;
+    } else if (entry.kind === 'bytes') {
+        return false;
+    }
+
+    if (consoleFilter.direction !== 'all' && entry.direction !== consoleFilter.direction) return false;
+
+    if (consoleFilter.text) {
+        const haystack = `${entry.kind} ${entry.text || bytesToAscii(entry.bytes)}`.toLowerCase();
+        if (!haystack.includes(consoleFilter.text)) return false;
+    }
+
+    return true;
+}
+
+// ================== RENDERING ==================
+
+function formatConsoleTime(time) {
+    const date = new Date(time);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+function bytesToAscii(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        text += byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+    }
+    return text;
+}
+
+// Classic dump: offset, 16 hex bytes, printable characters
+function formatHexDump(bytes) {
+    const rows = [];
+    for (let offset = 0; offset < bytes.length; offset += CONSOLE_HEX_ROW_BYTES) {
+        const slice = bytes.subarray(offset, offset + CONSOLE_HEX_ROW_BYTES);
+        const hex = Array.from(slice, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+        rows.push(`${offset.toString(16).padStart(4, '0')}  ${hex.padEnd(CONSOLE_HEX_ROW_BYTES * 3 - 1)}  ${bytesToAscii(slice)}`);
+    }
+    return rows.join('\n');
+}
+
+function getConsoleKindColor(entry) {
+    if (entry.isError) return CONSOLE_ERROR_COLOR;
+    return CONSOLE_KIND_COLORS[entry.kind] || CONSOLE_OTHER_COLOR;
+}
+
+function createConsoleRow(entry) {
+    const row = document.createElement('div');
+    row.className = `console-row console-${entry.direction}`;
+    if (entry.source === 'playback') {
+        row.classList.add('console-playback');
+        row.title = 'Replayed from a recording';
+    }
+
+    const time = document.createElement('span');
+    time.className = 'console-time';
+    time.textContent = formatConsoleTime(entry.time);
+    row.appendChild(time);
+
+    if (entry.direction === 'note') {
+        const note = document.createElement('span');
+        note.className = 'console-note';
+        note.textContent = entry.text;
+        row.appendChild(note);
+        return row;
+    }
+
+    const direction = document.createElement('span');
+    direction.className = 'console-direction';
+    direction.textContent = entry.direction === 'tx' ? 'TX' : 'RX';
+    row.appendChild(direction);
+
+    const kind = document.createElement('span');
+    kind.className = 'console-kind';
+    kind.style.color = getConsoleKindColor(entry);
+    kind.textContent = entry.kind;
+    row.appendChild(kind);
+
+    if (consoleHexView) {
+        const bytes = entry.bytes || consoleEncoder.encode(entry.text + '\n');
+        const dump = document.createElement('pre');
+        dump.className = 'console-hex';
+        dump.textContent = formatHexDump(bytes);
+        row.appendChild(dump);
+    } else {
+        const text = document.createElement('span');
+        text.className = 'console-text';
+        text.textContent = entry.text;
+        row.appendChild(text);
+    }
+
+    return row;
+}
+
+function appendConsoleRows(entries) {
+    const list = document.getElementById('consoleLines');
+    if (!list) return;
+
+    // Follow new lines only while the view is scrolled to the bottom
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+
+    const fragment = document.createDocumentFragment();
+    entries.forEach(entry => fragment.appendChild(createConsoleRow(entry)));
+    list.appendChild(fragment);
+
+    while (list.childElementCount > CONSOLE_MAX_ROWS) {
+        list.removeChild(list.firstElementChild);
+    }
+
+    if (atBottom) {
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+function renderConsole() {
+    const list = document.getElementById('consoleLines');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const visible = consoleEntries.filter(isConsoleEntryVisible).slice(-CONSOLE_MAX_ROWS);
+    appendConsoleRows(visible);
+    list.scrollTop = list.scrollHeight;
+
+    renderConsolePauseButton();
+}
+
+function renderConsolePauseButton() {
+    const pauseBtn = document.getElementById('consolePause');
+    if (!pauseBtn) return;
+
+    pauseBtn.classList.toggle('active', consolePaused);
+    pauseBtn.innerHTML = consolePaused
+        ? `<i class="fas fa-play"></i> Resume${consoleHeldCount ? ` (${consoleHeldCount} new)` : ''}`
+        : '<i class="fas fa-pause"></i> Pause';
+}
+
+// ================== COMMAND COMPOSER ==================
+
+// Templates fill the composer; the text can be edited before sending
+const CONSOLE_TEMPLATES = [
+    { id: 'get_status', label: 'get_status', build: () => ({ action: 'get_status' }) },
+    { id: 'return_home', label: 'return_home', build: () => ({ action: 'return_home' }) },
+    { id: 'emergency_stop', label: 'emergency_stop', build: () => ({ action: 'emergency_stop' }) },
+    { id: 'start_mission', label: 'start_mission (current plan)', build: () => window.buildMissionCommand() },
+    { id: 'mission_request', label: 'mission_request', build: () => ({ action: 'mission_request' }) },
+    { id: 'mission_item_request', label: 'mission_item_request', build: () => ({ action: 'mission_item_request', index: 0 }) }
+];
+
+async function sendConsoleCommand(text) {
+    let command;
+    try {
+        command = JSON.parse(text);
+    } catch (error) {
+        consoleLog(`Console: invalid JSON - ${error.message}`, window.LOG_LEVEL.WARNING);
+        return false;
+    }
+
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+        consoleLog('Console: a command must be a JSON object', window.LOG_LEVEL.WARNING);
+        return false;
+    }
+
+    return window.sendCommand(command);
+}
+
+// ================== CONSOLE PANEL ==================
+
+function initializeConsolePanel() {
+    const panel = document.getElementById('consolePanel');
+    const openBtn = document.getElementById('openConsole');
+    if (!panel || !openBtn) return;
+
+    const setPanelOpen = open => {
+        consoleOpen = open;
+        panel.style.display = open ? 'flex' : 'none';
+        openBtn.classList.toggle('active', open);
+        if (open) renderConsole();
+    };
+
+    openBtn.addEventListener('click', function() {
+        setPanelOpen(!consoleOpen);
+    });
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('consoleClose', () => setPanelOpen(false));
+    bind('consoleClear', clearConsole);
+
+    bind('consolePause', function() {
+        consolePaused = !consolePaused;
+        consoleHeldCount = 0;
+        if (consolePaused) {
+            renderConsolePauseButton();
+        } else {
+            renderConsole();
+        }
+    });
+
+    const directionSelect = document.getElementById('consoleDirection');
+    if (directionSelect) {
+        directionSelect.addEventListener('change', function() {
+            consoleFilter.direction = this.value;
+            renderConsole();
+        });
+    }
+
+    const filterInput = document.getElementById('consoleFilter');
+    if (filterInput) {
+        filterInput.addEventListener('input', function() {
+            consoleFilter.text = this.value.trim().toLowerCase();
+            renderConsole();
+        });
+    }
+
+    const hexInput = document.getElementById('consoleHex');
+    if (hexInput) {
+        hexInput.addEventListener('change', function() {
+            consoleHexView = this.checked;
+            renderConsole();
+        });
+    }
+
+    const commandInput = document.getElementById('consoleCommand');
+    const templateSelect = document.getElementById('consoleTemplate');
+    if (templateSelect && commandInput) {
+        templateSelect.innerHTML = '<option value="">Template...</option>' + CONSOLE_TEMPLATES
+            .map(template => `<option value="${template.id}">${template.label}</option>`)
+            .join('');
+
+        templateSelect.addEventListener('change', function() {
+            const template = CONSOLE_TEMPLATES.find(t => t.id === this.value);
+            if (template) {
+                commandInput.value = JSON.stringify(template.build(), null, 2);
+                commandInput.focus();
+            }
+            this.value = '';
+        });
+    }
+
+    if (commandInput) {
+        const send = () => {
+            if (commandInput.value.trim()) sendConsoleCommand(commandInput.value);
+        };
+
+        bind('consoleSend', send);
+
+        // Ctrl+Enter sends; Enter alone adds a line
+        commandInput.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                send();
+            }
+        });
+    }
+
+    renderConsolePauseButton();
+}
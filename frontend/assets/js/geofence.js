@@ -0,0 +1,820 @@
+/**
+ * geofence.js - Geofence Editor, Mission Checks and Breach Alarm
+ *
+ * Handles:
+ * - One keep-in area (polygon or circle) plus any number of keep-out zones
+ * - Drawing and editing fences on the Leaflet map
+ * - Checking every waypoint and route leg before start_mission is sent
+ * - Checking live telemetry positions and raising a breach alarm
+ * - Saving fences per site and importing/exporting GeoJSON
+ *
+ * Fences are stored per site: by the active site name when one is set,
+ * otherwise under a single default key. Moving home never swaps fences;
+ * only selecting another site does.
+ *
+ * Shapes:
+ *   { type: 'polygon', name, points: [{ lat, lng }, ...] }
+ *   { type: 'circle', name, center: { lat, lng }, radius }   (radius in m)
+ */
+
+const geofenceLog = window.createLogger('geofence');
+
+document.addEventListener('DOMContentLoaded', function() {
+    window.fenceLayer = L.layerGroup().addTo(window.map);
+    window.fenceHandleLayer = L.layerGroup().addTo(window.map);
+
+    loadGeofences();
+    initializeGeofenceControls();
+
+    if (window.registerMissionStartCheck) {
+        window.registerMissionStartCheck('Geofence', checkMissionAgainstFences);
+    }
+
+    document.addEventListener('waypoints-changed', updateGeofenceMissionStatus);
+    document.addEventListener('mission-settings-changed', updateGeofenceMissionStatus);
+
+    // Fences are stored per site, so selecting another site brings its fences
+    document.addEventListener('home-changed', function() {
+        if (getSiteKey() !== loadedSiteKey) {
+            loadGeofences();
+        }
+    });
+
+    document.addEventListener('telemetry-received', function(e) {
+        checkLivePosition(e.detail.lat, e.detail.lng);
+    });
+});
+
+// ================== FENCE STATE ==================
+
+const GEOFENCE_STORAGE_KEY = 'droneGeofences';
+const DEFAULT_FENCE_RADIUS = 300;
+const GEOFENCE_DEFAULT_SITE = 'default';   // fences used while no site is selected
+
+window.geofence = { keepIn: null, keepOut: [] };
+
+let fenceDrawing = null;
+let fenceEditing = false;
+let breachAlarm = { active: false, dismissed: false, message: '' };
+let loadedSiteKey = null;
+
+// Keyed by site name rather than position: home follows the first GPS fix of
+// every connection and must not make the fences disappear
+function getSiteKey() {
+    return window.currentSiteName || GEOFENCE_DEFAULT_SITE;
+}
+
+window.getSiteKey = getSiteKey;
+
+function hasFences() {
+    return !!window.geofence.keepIn || window.geofence.keepOut.length > 0;
+}
+
+function loadGeofences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(GEOFENCE_STORAGE_KEY)) || {};
+    } catch (error) {
+        geofenceLog('Stored geofences could not be read', window.LOG_LEVEL.WARNING);
+    }
+
+    loadedSiteKey = getSiteKey();
+    const fences = stored[loadedSiteKey];
+    window.geofence = {
+        keepIn: fences && fences.keepIn ? fences.keepIn : null,
+        keepOut: fences && Array.isArray(fences.keepOut) ? fences.keepOut : []
+    };
+
+    renderGeofences();
+    updateGeofenceMissionStatus();
+
+    if (hasFences()) {
+        geofenceLog(`Geofence loaded for site ${getSiteKey()}`, window.LOG_LEVEL.INFO);
+    }
+}
+
+window.loadGeofences = loadGeofences;
+
+function saveGeofences() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GEOFENCE_STORAGE_KEY)) || {};
+        if (hasFences()) {
+            stored[getSiteKey()] = window.geofence;
+        } else {
+            delete stored[getSiteKey()];
+        }
+        localStorage.setItem(GEOFENCE_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        geofenceLog(`Could not save geofence: ${error.message}`, window.LOG_LEVEL.ERROR);
+    }
+}
+
+function geofenceChanged() {
+    saveGeofences();
+    renderGeofences();
+    updateGeofenceMissionStatus();
+}
+
+// ================== GEOMETRY ==================
+
+// Flat projection in metres around home; fences span a few km at most
+function projectToLocal(point) {
+    const lat0 = window.HOME_COORDINATES.lat * Math.PI / 180;
+    const metersPerDegree = 6371000 * Math.PI / 180;
+    return {
+        x: (point.lng - window.HOME_COORDINATES.lng) * metersPerDegree * Math.cos(lat0),
+        y: (point.lat - window.HOME_COORDINATES.lat) * metersPerDegree
+    };
+}
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared > 0 ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+function shapeContains(shape, point) {
+    if (shape.type === 'circle') {
+        return window.calculateDistance(shape.center.lat, shape.center.lng, point.lat, point.lng) <= shape.radius;
+    }
+    return pointInPolygon(projectToLocal(point), shape.points.map(projectToLocal));
+}
+
+function segmentCrossesPolygonEdge(shape, from, to) {
+    const a = projectToLocal(from);
+    const b = projectToLocal(to);
+    const polygon = shape.points.map(projectToLocal);
+
+    return polygon.some((corner, i) => segmentsIntersect(a, b, corner, polygon[(i + 1) % polygon.length]));
+}
+
+function segmentLeavesKeepIn(shape, from, to) {
+    if (!shapeContains(shape, from) || !shapeContains(shape, to)) return true;
+    // A circle is convex, so a leg between two inside points stays inside
+    return shape.type === 'polygon' && segmentCrossesPolygonEdge(shape, from, to);
+}
+
+function segmentEntersKeepOut(shape, from, to) {
+    if (shape.type === 'circle') {
+        return distanceToSegment(projectToLocal(shape.center), projectToLocal(from), projectToLocal(to)) < shape.radius;
+    }
+    return shapeContains(shape, from) || shapeContains(shape, to) || segmentCrossesPolygonEdge(shape, from, to);
+}
+
+function getKeepOutName(shape, index) {
+    return shape.name || `Keep-out ${index + 1}`;
+}
+
+// ================== MISSION CHECK ==================
+
+function getRoutePoints() {
+    const home = { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng, name: 'Home' };
+    const points = [home, ...window.waypoints];
+    if (window.missionSettings.returnToHome && window.waypoints.length > 0) {
+        points.push(home);
+    }
+    return points;
+}
+
+function checkMissionAgainstFences() {
+    const problems = [];
+    if (!hasFences() || window.waypoints.length === 0) return problems;
+
+    const fence = window.geofence;
+    const badPoints = new Set();
+
+    window.waypoints.forEach(wp => {
+        if (fence.keepIn && !shapeContains(fence.keepIn, wp)) {
+            problems.push(`${wp.name} is outside the keep-in fence`);
+            badPoints.add(wp);
+        }
+        fence.keepOut.forEach((zone, index) => {
+            if (shapeContains(zone, wp)) {
+                problems.push(`${wp.name} is inside ${getKeepOutName(zone, index)}`);
+                badPoints.add(wp);
+            }
+        });
+    });
+
+    // Legs are only reported when their end points are fine, so one bad
+    // waypoint does not produce three messages
+    const route = getRoutePoints();
+    for (let i = 1; i < route.length; i++) {
+        const from = route[i - 1];
+        const to = route[i];
+        if (badPoints.has(from) || badPoints.has(to)) continue;
+
+        const leg = `${from.name} → ${to.name}`;
+        if (fence.keepIn && segmentLeavesKeepIn(fence.keepIn, from, to)) {
+            problems.push(`Leg ${leg} leaves the keep-in fence`);
+        }
+        fence.keepOut.forEach((zone, index) => {
+            if (segmentEntersKeepOut(zone, from, to)) {
+                problems.push(`Leg ${leg} crosses ${getKeepOutName(zone, index)}`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+window.checkMissionAgainstFences = checkMissionAgainstFences;
+
+function updateGeofenceMissionStatus() {
+    const status = document.getElementById('geofenceMissionStatus');
+    if (!status) return;
+
+    status.title = '';
+    if (!hasFences()) {
+        status.className = 'geofence-mission-status';
+        status.textContent = 'No fences for this site';
+        return;
+    }
+    if (window.waypoints.length === 0) {
+        status.className = 'geofence-mission-status';
+        status.textContent = 'No mission to check';
+        return;
+    }
+
+    const problems = checkMissionAgainstFences();
+    if (problems.length === 0) {
+        status.className = 'geofence-mission-status ok';
+        status.textContent = 'Mission inside fences';
+    } else {
+        status.className = 'geofence-mission-status breach';
+        status.textContent = `${problems.length} breach${problems.length > 1 ? 'es' : ''}: ${problems[0]}`;
+        status.title = problems.join('\n');
+    }
+}
+
+// ================== LIVE BREACH ALARM ==================
+
+function describePositionBreach(point) {
+    const fence = window.geofence;
+    if (fence.keepIn && !shapeContains(fence.keepIn, point)) {
+        return 'Vehicle is outside the keep-in fence';
+    }
+
+    const index = fence.keepOut.findIndex(zone => shapeContains(zone, point));
+    if (index !== -1) {
+        return `Vehicle is inside ${getKeepOutName(fence.keepOut[index], index)}`;
+    }
+    return null;
+}
+
+function checkLivePosition(lat, lng) {
+    if (!hasFences()) return;
+
+    // 0,0 is what the firmware reports without a fix
+    if (lat === 0 && lng === 0) return;
+
+    const breach = describePositionBreach({ lat: lat, lng: lng });
+
+    if (breach && !breachAlarm.active) {
+        breachAlarm = { active: true, dismissed: false, message: breach };
+        geofenceLog(`GEOFENCE BREACH: ${breach} (${lat.toFixed(6)}, ${lng.toFixed(6)})`, window.LOG_LEVEL.ERROR);
+        if (window.showNotification) {
+            window.showNotification(`GEOFENCE BREACH - ${breach}`, 'error', 8000);
+        }
+    } else if (breach) {
+        breachAlarm.message = breach;
+    } else if (breachAlarm.active) {
+        breachAlarm = { active: false, dismissed: false, message: '' };
+        geofenceLog('Vehicle back inside geofence', window.LOG_LEVEL.INFO);
+    }
+
+    renderBreachAlarm();
+}
+
+function renderBreachAlarm() {
+    const alarm = document.getElementById('geofenceAlarm');
+    if (!alarm) return;
+
+    alarm.style.display = breachAlarm.active && !breachAlarm.dismissed ? 'flex' : 'none';
+
+    const message = document.getElementById('geofenceAlarmMessage');
+    if (message) {
+        message.textContent = breachAlarm.message;
+    }
+}
+
+// ================== MAP RENDERING ==================
+
+function shapeToLayer(shape, style) {
+    if (shape.type === 'circle') {
+        return L.circle([shape.center.lat, shape.center.lng], { radius: shape.radius, ...style });
+    }
+    return L.polygon(shape.points.map(p => [p.lat, p.lng]), style);
+}
+
+function renderGeofences() {
+    drawFenceShapes();
+    renderFenceHandles();
+    renderFenceZoneList();
+}
+
+// Fences are not interactive so clicks inside them still add waypoints
+function drawFenceShapes() {
+    window.fenceLayer.clearLayers();
+
+    const fence = window.geofence;
+    if (fence.keepIn) {
+        shapeToLayer(fence.keepIn, {
+            color: '#2ecc71',
+            weight: 2,
+            dashArray: '8 6',
+            fillOpacity: 0.04,
+            interactive: false
+        }).addTo(window.fenceLayer);
+    }
+
+    fence.keepOut.forEach(zone => {
+        shapeToLayer(zone, {
+            color: '#e74c3c',
+            weight: 2,
+            fillColor: '#e74c3c',
+            fillOpacity: 0.2,
+            interactive: false
+        }).addTo(window.fenceLayer);
+    });
+
+    if (fenceDrawing && fenceDrawing.points.length > 0) {
+        L.polyline(fenceDrawing.points.map(p => [p.lat, p.lng]), {
+            color: fenceDrawing.role === 'keepIn' ? '#2ecc71' : '#e74c3c',
+            weight: 2,
+            dashArray: '4 4',
+            interactive: false
+        }).addTo(window.fenceLayer);
+    }
+}
+
+// Dragging only redraws the shapes so the handle being dragged survives
+function createFenceHandle(lat, lng, onMove) {
+    const handle = L.marker([lat, lng], {
+        icon: L.divIcon({ className: 'fence-handle', iconSize: [12, 12], iconAnchor: [6, 6] }),
+        draggable: true
+    });
+
+    handle.on('drag', function() {
+        const position = handle.getLatLng();
+        onMove(position.lat, position.lng);
+        drawFenceShapes();
+    });
+    handle.on('dragend', geofenceChanged);
+
+    return handle.addTo(window.fenceHandleLayer);
+}
+
+function renderFenceHandles() {
+    window.fenceHandleLayer.clearLayers();
+    if (!fenceEditing) return;
+
+    const shapes = [window.geofence.keepIn, ...window.geofence.keepOut].filter(Boolean);
+    shapes.forEach(shape => {
+        if (shape.type === 'circle') {
+            createFenceHandle(shape.center.lat, shape.center.lng, (lat, lng) => {
+                shape.center = { lat: lat, lng: lng };
+            });
+        } else {
+            shape.points.forEach(point => {
+                createFenceHandle(point.lat, point.lng, (lat, lng) => {
+                    point.lat = lat;
+                    point.lng = lng;
+                });
+            });
+        }
+    });
+}
+
+// ================== DRAWING ==================
+
+function startFenceDrawing(role, type) {
+    cancelFenceDrawing();
+
+    // The keep-in circle is centred on home straight away
+    if (role === 'keepIn' && type === 'circle') {
+        window.geofence.keepIn = {
+            type: 'circle',
+            name: 'Keep-in',
+            center: { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng },
+            radius: getFenceRadiusInput()
+        };
+        geofenceLog(`Keep-in circle set: ${window.geofence.keepIn.radius} m around home`, window.LOG_LEVEL.INFO);
+        geofenceChanged();
+        return;
+    }
+
+    fenceDrawing = { role: role, type: type, points: [] };
+    window.map.doubleClickZoom.disable();
+    window.setMapClickInterceptor(handleFenceDrawClick);
+
+    const hint = document.getElementById('geofenceDrawingHint');
+    if (hint) {
+        hint.textContent = type === 'circle'
+            ? 'Click the map to place the zone centre'
+            : 'Click the map to add corners, then Finish';
+    }
+    setFenceDrawingVisible(true);
+}
+
+function handleFenceDrawClick(e) {
+    if (!fenceDrawing) return false;
+
+    const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+
+    if (fenceDrawing.type === 'circle') {
+        window.geofence.keepOut.push({
+            type: 'circle',
+            center: point,
+            radius: getFenceRadiusInput()
+        });
+        geofenceLog(`Keep-out circle added (${getFenceRadiusInput()} m)`, window.LOG_LEVEL.INFO);
+        endFenceDrawing();
+        geofenceChanged();
+        return true;
+    }
+
+    fenceDrawing.points.push(point);
+    renderGeofences();
+    return true;
+}
+
+function finishFenceDrawing() {
+    if (!fenceDrawing) return;
+
+    if (fenceDrawing.points.length < 3) {
+        geofenceLog('A fence polygon needs at least 3 corners', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    const shape = { type: 'polygon', points: fenceDrawing.points };
+    if (fenceDrawing.role === 'keepIn') {
+        shape.name = 'Keep-in';
+        window.geofence.keepIn = shape;
+        geofenceLog(`Keep-in polygon set (${shape.points.length} corners)`, window.LOG_LEVEL.INFO);
+    } else {
+        window.geofence.keepOut.push(shape);
+        geofenceLog(`Keep-out polygon added (${shape.points.length} corners)`, window.LOG_LEVEL.INFO);
+    }
+
+    endFenceDrawing();
+    geofenceChanged();
+}
+
+function cancelFenceDrawing() {
+    if (!fenceDrawing) return;
+    endFenceDrawing();
+    renderGeofences();
+}
+
+function endFenceDrawing() {
+    fenceDrawing = null;
+    window.map.doubleClickZoom.enable();
+    window.setMapClickInterceptor(null);
+    setFenceDrawingVisible(false);
+}
+
+function setFenceDrawingVisible(visible) {
+    const drawingRow = document.getElementById('geofenceDrawing');
+    if (drawingRow) {
+        drawingRow.style.display = visible ? 'flex' : 'none';
+    }
+}
+
+function getFenceRadiusInput() {
+    const input = document.getElementById('fenceRadius');
+    const radius = input ? parseFloat(input.value) : DEFAULT_FENCE_RADIUS;
+    return radius > 0 ? radius : DEFAULT_FENCE_RADIUS;
+}
+
+// ================== ZONE LIST ==================
+
+function renderFenceZoneList() {
+    const list = document.getElementById('geofenceZones');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const fence = window.geofence;
+
+    const addRow = (label, shape, onDelete) => {
+        const row = document.createElement('div');
+        row.className = 'geofence-zone';
+
+        const name = document.createElement('span');
+        name.className = 'geofence-zone-name';
+        name.textContent = label;
+        row.appendChild(name);
+
+        if (shape.type === 'circle') {
+            const radius = document.createElement('input');
+            radius.type = 'number';
+            radius.min = '1';
+            radius.className = 'form-input geofence-radius';
+            radius.value = shape.radius;
+            radius.title = 'Radius (m)';
+            radius.addEventListener('change', function() {
+                const value = parseFloat(this.value);
+                if (value > 0) {
+                    shape.radius = value;
+                    geofenceChanged();
+                } else {
+                    this.value = shape.radius;
+                }
+            });
+            row.appendChild(radius);
+        } else {
+            const corners = document.createElement('span');
+            corners.className = 'geofence-zone-detail';
+            corners.textContent = `${shape.points.length} corners`;
+            row.appendChild(corners);
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-sm';
+        deleteBtn.title = 'Delete';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.addEventListener('click', onDelete);
+        row.appendChild(deleteBtn);
+
+        list.appendChild(row);
+    };
+
+    if (fence.keepIn) {
+        addRow('Keep-in', fence.keepIn, function() {
+            window.geofence.keepIn = null;
+            geofenceLog('Keep-in fence removed', window.LOG_LEVEL.INFO);
+            geofenceChanged();
+        });
+    }
+
+    fence.keepOut.forEach((zone, index) => {
+        addRow(getKeepOutName(zone, index), zone, function() {
+            window.geofence.keepOut.splice(index, 1);
+            geofenceLog(`${getKeepOutName(zone, index)} removed`, window.LOG_LEVEL.INFO);
+            geofenceChanged();
+        });
+    });
+
+    if (!hasFences()) {
+        list.innerHTML = '<div class="geofence-empty">No fences drawn</div>';
+    }
+}
+
+// ================== GEOJSON ==================
+
+const KEEP_OUT_ROLES = ['keep_out', 'keepout', 'exclusion', 'no_fly', 'nofly'];
+const KEEP_IN_ROLES = ['keep_in', 'keepin', 'inclusion'];
+
+function getFeatureRole(properties) {
+    if (properties.inclusion === true) return 'keepIn';
+    if (properties.inclusion === false) return 'keepOut';
+
+    const role = String(properties.fence || properties.role || properties.type || '').toLowerCase().replace(/[\s-]/g, '_');
+    if (KEEP_OUT_ROLES.includes(role)) return 'keepOut';
+    if (KEEP_IN_ROLES.includes(role)) return 'keepIn';
+    return null;
+}
+
+function ringToPoints(ring) {
+    const points = ring.map(coord => ({ lat: coord[1], lng: coord[0] }));
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+        points.pop();
+    }
+    return points;
+}
+
+// Throws when more than one keep-in area is tagged; guessed roles of
+// untagged shapes are listed in assumedRoles for the import to report
+function parseGeofenceGeoJson(data) {
+    let features;
+    if (data.type === 'FeatureCollection') {
+        features = data.features || [];
+    } else if (data.type === 'Feature') {
+        features = [data];
+    } else {
+        features = [{ type: 'Feature', properties: {}, geometry: data }];
+    }
+
+    const fences = { keepIn: null, keepOut: [] };
+    const keepIns = [];
+    const unassigned = [];
+
+    features.forEach((feature, featureIndex) => {
+        const geometry = feature.geometry;
+        const properties = feature.properties || {};
+        if (!geometry) return;
+
+        const label = properties.name ? String(properties.name) : `feature ${featureIndex + 1}`;
+        const shapes = [];
+        if (geometry.type === 'Polygon') {
+            shapes.push({ type: 'polygon', points: ringToPoints(geometry.coordinates[0]), label: label });
+        } else if (geometry.type === 'MultiPolygon') {
+            geometry.coordinates.forEach((polygon, polygonIndex) => {
+                shapes.push({ type: 'polygon', points: ringToPoints(polygon[0]), label: `${label} polygon ${polygonIndex + 1}` });
+            });
+        } else if (geometry.type === 'Point' && properties.radius > 0) {
+            shapes.push({
+                type: 'circle',
+                center: { lat: geometry.coordinates[1], lng: geometry.coordinates[0] },
+                radius: properties.radius,
+                label: label
+            });
+        }
+
+        const role = getFeatureRole(properties);
+        shapes
+            .filter(shape => shape.type === 'circle' || shape.points.length >= 3)
+            .forEach(shape => {
+                if (properties.name) shape.name = String(properties.name);
+
+                if (role === 'keepIn') {
+                    keepIns.push(shape);
+                } else if (role === 'keepOut') {
+                    fences.keepOut.push(shape);
+                } else {
+                    unassigned.push(shape);
+                }
+            });
+    });
+
+    // A second keep-in area has no safe meaning: it is not a no-fly zone
+    if (keepIns.length > 1) {
+        throw new Error(`only one keep-in area is allowed, found ${keepIns.length}: ${keepIns.map(shape => shape.label).join(', ')}`);
+    }
+    fences.keepIn = keepIns[0] || null;
+
+    // Untagged shapes: the first becomes keep-in if none was tagged, the rest keep-out
+    const assumedRoles = [];
+    unassigned.forEach(shape => {
+        if (!fences.keepIn) {
+            fences.keepIn = shape;
+            assumedRoles.push(`${shape.label} as keep-in`);
+        } else {
+            fences.keepOut.push(shape);
+            assumedRoles.push(`${shape.label} as keep-out`);
+        }
+    });
+
+    [fences.keepIn, ...fences.keepOut].forEach(shape => {
+        if (shape) delete shape.label;
+    });
+
+    return { fences: fences, assumedRoles: assumedRoles };
+}
+
+function importGeofenceFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = function() {
+        try {
+            const { fences, assumedRoles } = parseGeofenceGeoJson(JSON.parse(reader.result));
+            if (!fences.keepIn && fences.keepOut.length === 0) {
+                throw new Error('no polygons or radius points found');
+            }
+
+            if (hasFences() && !confirm(`Replace the fences for site ${getSiteKey()}?`)) {
+                return;
+            }
+
+            cancelFenceDrawing();
+            window.geofence = fences;
+            geofenceChanged();
+            geofenceLog(`Imported geofence from ${file.name}: ${fences.keepIn ? 'keep-in + ' : ''}${fences.keepOut.length} keep-out zone(s)`, window.LOG_LEVEL.INFO);
+            if (assumedRoles.length > 0) {
+                geofenceLog(`Shapes without a "fence" property were taken as: ${assumedRoles.join(', ')}; check them on the map`, window.LOG_LEVEL.WARNING);
+            }
+        } catch (error) {
+            geofenceLog(`Geofence import failed (${file.name}): ${error.message}`, window.LOG_LEVEL.ERROR);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+function shapeToFeature(shape, role) {
+    const properties = { fence: role === 'keepIn' ? 'keep_in' : 'keep_out' };
+    if (shape.name) properties.name = shape.name;
+
+    if (shape.type === 'circle') {
+        properties.radius = shape.radius;
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: { type: 'Point', coordinates: [shape.center.lng, shape.center.lat] }
+        };
+    }
+
+    const ring = shape.points.map(p => [p.lng, p.lat]);
+    ring.push(ring[0]);
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: { type: 'Polygon', coordinates: [ring] }
+    };
+}
+
+function exportGeofenceGeoJson() {
+    if (!hasFences()) {
+        geofenceLog('No geofence to export', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    const features = [];
+    if (window.geofence.keepIn) {
+        features.push(shapeToFeature(window.geofence.keepIn, 'keepIn'));
+    }
+    window.geofence.keepOut.forEach(zone => features.push(shapeToFeature(zone, 'keepOut')));
+
+    const text = JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+    window.downloadTextFile(`geofence-${getSiteKey().replace(/[^\w.-]+/g, '_')}.geojson`, text, 'application/geo+json');
+}
+
+// ================== GEOFENCE PANEL ==================
+
+function initializeGeofenceControls() {
+    const panel = document.getElementById('geofencePanel');
+    const openBtn = document.getElementById('openGeofence');
+    if (!panel || !openBtn) return;
+
+    const setPanelOpen = open => {
+        panel.style.display = open ? 'flex' : 'none';
+        openBtn.classList.toggle('active', open);
+        fenceEditing = open;
+        if (!open) cancelFenceDrawing();
+        renderFenceHandles();
+
+        const site = document.getElementById('geofenceSite');
+        if (site) site.textContent = getSiteKey();
+    };
+
+    openBtn.addEventListener('click', function() {
+        setPanelOpen(panel.style.display !== 'flex');
+    });
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('geofenceClose', () => setPanelOpen(false));
+    bind('fenceKeepInPolygon', () => startFenceDrawing('keepIn', 'polygon'));
+    bind('fenceKeepInCircle', () => startFenceDrawing('keepIn', 'circle'));
+    bind('fenceKeepOutPolygon', () => startFenceDrawing('keepOut', 'polygon'));
+    bind('fenceKeepOutCircle', () => startFenceDrawing('keepOut', 'circle'));
+    bind('fenceFinish', finishFenceDrawing);
+    bind('fenceCancel', cancelFenceDrawing);
+    bind('fenceExport', exportGeofenceGeoJson);
+
+    const importInput = document.getElementById('fenceImport');
+    if (importInput) {
+        importInput.addEventListener('change', function() {
+            if (this.files.length > 0) {
+                importGeofenceFile(this.files[0]);
+            }
+            this.value = '';
+        });
+    }
+
+    bind('geofenceAlarmReturnHome', async function() {
+        geofenceLog('Return home requested from geofence alarm', window.LOG_LEVEL.WARNING);
+        await window.sendCommand({ action: 'return_home' });
+    });
+    bind('geofenceAlarmDismiss', function() {
+        breachAlarm.dismissed = true;
+        renderBreachAlarm();
+    });
+
+    const radiusInput = document.getElementById('fenceRadius');
+    if (radiusInput && !radiusInput.value) {
+        radiusInput.value = DEFAULT_FENCE_RADIUS;
+    }
+
+    setFenceDrawingVisible(false);
+}
@@ -0,0 +1,196 @@
+/**
+ * history.js - Undo/Redo for Mission Edits
+ *
+ * Handles:
+ * - Recording every waypoint edit and mission settings change
+ * - Undo/redo of add, insert, move, update, reorder, remove and clear
+ * - Grouping multi-step edits (imports, generators) into one entry
+ * - Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) shortcuts and the Undo/Redo buttons
+ *
+ * Each entry keeps the full mission before and after the edit, so
+ * restoring brings back markers, list, numbering and settings exactly.
+ */
+
+const historyLog = window.createLogger('history');
+
+document.addEventListener('DOMContentLoaded', function() {
+    lastMissionState = captureMissionState();
+
+    document.addEventListener('waypoints-changed', function(e) {
+        recordMissionEdit(HISTORY_ACTION_LABELS[e.detail.action] || 'Edit waypoints');
+    });
+
+    document.addEventListener('mission-settings-changed', function(e) {
+        recordMissionEdit(HISTORY_ACTION_LABELS[e.detail.setting] || 'Change mission settings');
+    });
+
+    initializeHistoryControls();
+});
+
+// ================== HISTORY STATE ==================
+
+const HISTORY_LIMIT = 100;
+
+const HISTORY_ACTION_LABELS = {
+    insert: 'Add waypoint',
+    move: 'Move waypoint',
+    update: 'Edit waypoint',
+    reorder: 'Reorder waypoints',
+    remove: 'Remove waypoint',
+    clear: 'Clear waypoints',
+    maxSpeed: 'Change max speed',
+    maxAltitude: 'Change max altitude',
+    returnToHome: 'Change mission end action',
+    all: 'Change mission settings'
+};
+
+const undoStack = [];
+const redoStack = [];
+let lastMissionState = null;
+let historySuspended = false;
+
+function captureMissionState() {
+    return {
+        waypoints: window.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng, alt: wp.alt, name: wp.name })),
+        settings: {
+            maxSpeed: window.missionSettings.maxSpeed,
+            maxAltitude: window.missionSettings.maxAltitude,
+            returnToHome: window.missionSettings.returnToHome
+        }
+    };
+}
+
+function isSameMissionState(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function recordMissionEdit(label) {
+    if (historySuspended) return;
+
+    const current = captureMissionState();
+    if (isSameMissionState(current, lastMissionState)) return;
+
+    undoStack.push({ label: label, before: lastMissionState, after: current });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    lastMissionState = current;
+
+    updateHistoryButtons();
+}
+
+// Runs several edits (an import, a generated pattern) as one undo step
+function runAsSingleEdit(label, fn) {
+    const wasSuspended = historySuspended;
+    historySuspended = true;
+
+    try {
+        return fn();
+    } finally {
+        historySuspended = wasSuspended;
+        recordMissionEdit(label);
+    }
+}
+
+window.runAsSingleEdit = runAsSingleEdit;
+
+// Starts a fresh history from the current mission (another vehicle's mission was loaded)
+function resetMissionHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    lastMissionState = captureMissionState();
+    updateHistoryButtons();
+}
+
+window.resetMissionHistory = resetMissionHistory;
+
+// ================== UNDO / REDO ==================
+
+function restoreMissionState(state) {
+    historySuspended = true;
+
+    try {
+        window.applyMissionSettings(state.settings);
+        window.replaceWaypoints(state.waypoints, 'restore');
+    } finally {
+        historySuspended = false;
+    }
+
+    lastMissionState = captureMissionState();
+    updateHistoryButtons();
+}
+
+function undoMissionEdit() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    redoStack.push(entry);
+    restoreMissionState(entry.before);
+    historyLog(`Undo: ${entry.label}`, window.LOG_LEVEL.INFO);
+}
+
+window.undoMissionEdit = undoMissionEdit;
+
+function redoMissionEdit() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    undoStack.push(entry);
+    restoreMissionState(entry.after);
+    historyLog(`Redo: ${entry.label}`, window.LOG_LEVEL.INFO);
+}
+
+window.redoMissionEdit = redoMissionEdit;
+
+// ================== HISTORY CONTROLS ==================
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoEdit');
+    const redoBtn = document.getElementById('redoEdit');
+
+    if (undoBtn) {
+        const entry = undoStack[undoStack.length - 1];
+        undoBtn.disabled = !entry;
+        undoBtn.title = entry ? `Undo: ${entry.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+
+    if (redoBtn) {
+        const entry = redoStack[redoStack.length - 1];
+        redoBtn.disabled = !entry;
+        redoBtn.title = entry ? `Redo: ${entry.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+}
+
+function initializeHistoryControls() {
+    const undoBtn = document.getElementById('undoEdit');
+    const redoBtn = document.getElementById('redoEdit');
+
+    if (undoBtn) {
+        undoBtn.addEventListener('click', undoMissionEdit);
+    }
+    if (redoBtn) {
+        redoBtn.addEventListener('click', redoMissionEdit);
+    }
+
+    document.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Leave text fields to their own undo
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            if (target.type !== 'range' && target.type !== 'radio' && target.type !== 'checkbox') return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoMissionEdit();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoMissionEdit();
+        }
+    });
+
+    updateHistoryButtons();
+}
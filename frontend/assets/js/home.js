@@ -0,0 +1,366 @@
+/**
+ * home.js - Home Position and Sites
+ *
+ * Handles:
+ * - Setting home from the first good GPS fix after connecting
+ *   (minimum satellites and maximum HDOP)
+ * - Setting home by right-clicking the map, dragging the home marker or typing coordinates
+ * - Named sites, each remembering its own home position
+ * - Announcing every change with a home-changed event, so the route, ETA,
+ *   mission checks, geofences and pattern previews follow
+ *
+ * window.HOME_COORDINATES is updated in place; main.js only supplies the
+ * default used before any home has been saved.
+ */
+
+const homeLog = window.createLogger('home');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadHomeSettings();
+    restoreSavedHome();
+    initializeHomeMarker();
+    initializeHomeControls();
+
+    window.map.on('contextmenu', handleMapRightClick);
+
+    document.addEventListener('telemetry-received', function(e) {
+        lastHomeTelemetry = e.detail;
+        checkAutoHome(e.detail);
+    });
+
+    // A new connection takes home from its own first good fix
+    document.addEventListener('link-connected', function() {
+        autoHomeTaken = false;
+    });
+});
+
+// ================== HOME SETTINGS ==================
+
+const DEFAULT_HOME_SETTINGS = {
+    autoFromGps: true,
+    minSatellites: 6,
+    maxHdop: 2.0,
+    activeSite: null,         // name of the selected site, null for none
+    lastHome: null            // { lat, lng } used when no site is selected
+};
+
+const HOME_SOURCE_LABELS = {
+    gps: 'first GPS fix',
+    map: 'map',
+    marker: 'home marker',
+    manual: 'coordinates',
+    vehicle: 'vehicle position',
+    site: 'site',
+    import: 'mission file'
+};
+
+window.homeSettings = { ...DEFAULT_HOME_SETTINGS };
+
+let homeSites = {};           // site name -> { lat, lng }
+let homeMarker = null;
+let autoHomeTaken = false;
+let lastHomeTelemetry = null;
+
+function loadHomeSettings() {
+    const savedSettings = localStorage.getItem('droneHomeSettings');
+    if (savedSettings) {
+        try {
+            window.homeSettings = { ...DEFAULT_HOME_SETTINGS, ...JSON.parse(savedSettings) };
+        } catch (error) {
+            window.homeSettings = { ...DEFAULT_HOME_SETTINGS };
+        }
+    }
+
+    try {
+        homeSites = JSON.parse(localStorage.getItem('droneHomeSites')) || {};
+    } catch (error) {
+        homeSites = {};
+    }
+
+    if (window.homeSettings.activeSite && !homeSites[window.homeSettings.activeSite]) {
+        window.homeSettings.activeSite = null;
+    }
+    window.currentSiteName = window.homeSettings.activeSite;
+}
+
+function saveHomeSettings() {
+    localStorage.setItem('droneHomeSettings', JSON.stringify(window.homeSettings));
+}
+
+function saveHomeSites() {
+    localStorage.setItem('droneHomeSites', JSON.stringify(homeSites));
+}
+
+function restoreSavedHome() {
+    const settings = window.homeSettings;
+    const saved = settings.activeSite ? homeSites[settings.activeSite] : settings.lastHome;
+    if (!saved) return;
+
+    window.HOME_COORDINATES.lat = saved.lat;
+    window.HOME_COORDINATES.lng = saved.lng;
+    window.map.setView([saved.lat, saved.lng], window.map.getZoom());
+    if (window.droneMarker) {
+        window.droneMarker.setLatLng([saved.lat, saved.lng]);
+    }
+    homeLog(`Home restored${settings.activeSite ? ` for site ${settings.activeSite}` : ''}: ${saved.lat.toFixed(6)}, ${saved.lng.toFixed(6)}`, window.LOG_LEVEL.INFO);
+
+    // map.js is already initialized; modules loaded later read the restored home directly
+    notifyHomeChanged('saved');
+}
+
+// ================== SETTING HOME ==================
+
+function isValidHome(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' && isFinite(lat) && isFinite(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 && !(lat === 0 && lng === 0);
+}
+
+// source is a HOME_SOURCE_LABELS key; returns false for an invalid position
+function setHomePosition(lat, lng, source) {
+    if (!isValidHome(lat, lng)) {
+        homeLog(`Invalid home position: ${lat}, ${lng}`, window.LOG_LEVEL.WARNING);
+        return false;
+    }
+
+    window.HOME_COORDINATES.lat = lat;
+    window.HOME_COORDINATES.lng = lng;
+
+    // The active site remembers its home; without one the last home is kept
+    if (window.homeSettings.activeSite) {
+        homeSites[window.homeSettings.activeSite] = { lat: lat, lng: lng };
+        saveHomeSites();
+    } else {
+        window.homeSettings.lastHome = { lat: lat, lng: lng };
+        saveHomeSettings();
+    }
+
+    homeLog(`Home set from ${HOME_SOURCE_LABELS[source] || source}: ${lat.toFixed(6)}, ${lng.toFixed(6)}`, window.LOG_LEVEL.INFO);
+    notifyHomeChanged(source);
+    return true;
+}
+
+window.setHomePosition = setHomePosition;
+
+function notifyHomeChanged(source) {
+    renderHomeMarker();
+    renderHomeInputs();
+    document.dispatchEvent(new CustomEvent('home-changed', {
+        detail: { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng, source: source }
+    }));
+}
+
+function checkAutoHome(data) {
+    const settings = window.homeSettings;
+    if (!settings.autoFromGps || autoHomeTaken) return;
+
+    // Replayed flights and a reconnect mid-mission must not move home
+    if ((window.playback && window.playback.active) || (window.missionProgress && window.missionProgress.active)) return;
+
+    if (!isValidHome(data.lat, data.lng)) return;
+    if (typeof data.sat !== 'number' || data.sat < settings.minSatellites) return;
+    if (typeof data.hdop === 'number' && data.hdop > settings.maxHdop) return;
+
+    autoHomeTaken = true;
+    setHomePosition(data.lat, data.lng, 'gps');
+}
+
+function handleMapRightClick(e) {
+    const { lat, lng } = e.latlng;
+    if (confirm(`Set home to ${lat.toFixed(6)}, ${lng.toFixed(6)}?`)) {
+        setHomePosition(lat, lng, 'map');
+    }
+}
+
+// ================== SITES ==================
+
+function activateSite(name) {
+    window.homeSettings.activeSite = name || null;
+    window.currentSiteName = window.homeSettings.activeSite;
+    saveHomeSettings();
+
+    const site = name ? homeSites[name] : window.homeSettings.lastHome;
+    if (site) {
+        window.HOME_COORDINATES.lat = site.lat;
+        window.HOME_COORDINATES.lng = site.lng;
+        window.map.setView([site.lat, site.lng], window.map.getZoom());
+    }
+
+    homeLog(name ? `Site ${name} selected` : 'No site selected', window.LOG_LEVEL.INFO);
+    renderSiteOptions();
+    notifyHomeChanged('site');
+}
+
+function saveCurrentAsSite(name) {
+    name = name.trim();
+    if (!name) {
+        homeLog('Enter a site name first', window.LOG_LEVEL.WARNING);
+        return;
+    }
+    if (homeSites[name] && !confirm(`Overwrite the home saved for site ${name}?`)) return;
+
+    homeSites[name] = { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng };
+    saveHomeSites();
+    activateSite(name);
+}
+
+function deleteActiveSite() {
+    const name = window.homeSettings.activeSite;
+    if (!name || !confirm(`Delete site ${name}? Its geofences stay saved under the site name.`)) return;
+
+    delete homeSites[name];
+    saveHomeSites();
+    window.homeSettings.lastHome = { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng };
+    activateSite(null);
+}
+
+// ================== HOME DISPLAY ==================
+
+function initializeHomeMarker() {
+    homeMarker = L.marker([window.HOME_COORDINATES.lat, window.HOME_COORDINATES.lng], {
+        icon: L.divIcon({
+            html: '<i class="fas fa-home"></i>',
+            className: 'home-marker',
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        }),
+        draggable: true,
+        title: 'Home - drag to move',
+        zIndexOffset: 500
+    }).addTo(window.map);
+
+    homeMarker.on('dragend', function() {
+        const position = homeMarker.getLatLng();
+        setHomePosition(position.lat, position.lng, 'marker');
+    });
+}
+
+function renderHomeMarker() {
+    if (homeMarker) {
+        homeMarker.setLatLng([window.HOME_COORDINATES.lat, window.HOME_COORDINATES.lng]);
+    }
+}
+
+function renderHomeInputs() {
+    const latInput = document.getElementById('homeLat');
+    const lngInput = document.getElementById('homeLng');
+    if (latInput) latInput.value = window.HOME_COORDINATES.lat.toFixed(7);
+    if (lngInput) lngInput.value = window.HOME_COORDINATES.lng.toFixed(7);
+}
+
+function renderSiteOptions() {
+    const select = document.getElementById('homeSite');
+    if (!select) return;
+
+    select.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+
+    addOption('', 'No site');
+    Object.keys(homeSites).sort().forEach(name => addOption(name, name));
+    select.value = window.homeSettings.activeSite || '';
+
+    const deleteBtn = document.getElementById('homeDeleteSite');
+    if (deleteBtn) deleteBtn.disabled = !window.homeSettings.activeSite;
+}
+
+// ================== HOME MODAL ==================
+
+const HOME_FIELDS = [
+    { id: 'homeMinSatellites', key: 'minSatellites', min: 0 },
+    { id: 'homeMaxHdop', key: 'maxHdop', min: 0.5 }
+];
+
+function initializeHomeControls() {
+    const openBtn = document.getElementById('openHome');
+    const homeModal = document.getElementById('homeModal');
+    if (!openBtn || !homeModal) return;
+
+    HOME_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.homeSettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < field.min) {
+                this.value = window.homeSettings[field.key];
+                return;
+            }
+            window.homeSettings[field.key] = value;
+            saveHomeSettings();
+        });
+    });
+
+    const autoInput = document.getElementById('homeAutoGps');
+    if (autoInput) {
+        autoInput.checked = window.homeSettings.autoFromGps;
+        autoInput.addEventListener('change', function() {
+            window.homeSettings.autoFromGps = this.checked;
+            saveHomeSettings();
+        });
+    }
+
+    const siteSelect = document.getElementById('homeSite');
+    if (siteSelect) {
+        siteSelect.addEventListener('change', function() {
+            activateSite(this.value);
+        });
+    }
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('homeApply', function() {
+        const lat = parseFloat(document.getElementById('homeLat').value);
+        const lng = parseFloat(document.getElementById('homeLng').value);
+        if (setHomePosition(lat, lng, 'manual')) {
+            window.map.setView([lat, lng], window.map.getZoom());
+        } else {
+            renderHomeInputs();
+        }
+    });
+
+    bind('homeFromVehicle', function() {
+        if (!lastHomeTelemetry || !isValidHome(lastHomeTelemetry.lat, lastHomeTelemetry.lng)) {
+            homeLog('No vehicle position to use as home', window.LOG_LEVEL.WARNING);
+            return;
+        }
+        setHomePosition(lastHomeTelemetry.lat, lastHomeTelemetry.lng, 'vehicle');
+    });
+
+    bind('homeSaveSite', function() {
+        const nameInput = document.getElementById('homeSiteName');
+        saveCurrentAsSite(nameInput ? nameInput.value : '');
+        if (nameInput) nameInput.value = '';
+    });
+
+    bind('homeDeleteSite', deleteActiveSite);
+
+    openBtn.addEventListener('click', function() {
+        renderHomeInputs();
+        renderSiteOptions();
+        window.showModal(homeModal);
+    });
+
+    const closeBtn = document.getElementById('homeModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(homeModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === homeModal) {
+            window.hideModal(homeModal);
+        }
+    });
+
+    renderHomeInputs();
+    renderSiteOptions();
+}
@@ -0,0 +1,375 @@
+/**
+ * link-quality.js - Link Quality Statistics
+ *
+ * Handles:
+ * - Message rates by type over the last 10 seconds
+ * - Intervals between periodic messages (telemetry, or the GPS-wait status
+ *   sent in its place) against the expected 2 s, with jitter and gaps
+ * - JSON parse failures, non-JSON lines, buffer overruns and reconnects
+ * - One-way latency estimated from the board's millis() timestamp
+ * - Link-quality gauge in the header and the diagnostics panel
+ * - Saving the statistics with the recorded session
+ *
+ * Only lines from the live link are counted; playback leaves the statistics alone.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    resetLinkStats();
+    initializeLinkQualityControls();
+
+    document.addEventListener('link-connected', function() {
+        linkStats.connects++;
+        linkStats.connectedAt = Date.now();
+        // The time spent reconnecting is counted as a reconnect, not as a gap
+        linkStats.lastPeriodicAt = 0;
+        linkStats.lastBoardTimestamp = null;
+        linkStats.clockOffsets = [];
+    });
+
+    document.addEventListener('link-disconnected', function() {
+        linkStats.disconnects++;
+        linkStats.connectedAt = null;
+    });
+
+    // Statistics describe the selected vehicle's link
+    document.addEventListener('vehicle-selected', function() {
+        resetLinkStats();
+    });
+
+    setInterval(updateLinkQualityDisplay, 1000);
+    setInterval(function() {
+        if (window.currentRecordingSessionId !== null) {
+            saveLinkStatsToSession(window.currentRecordingSessionId);
+        }
+    }, LINK_STATS_SAVE_INTERVAL_MS);
+});
+
+// ================== LINK STATISTICS ==================
+
+const LINK_EXPECTED_INTERVAL_MS = 2000;     // firmware sendInterval
+const LINK_GAP_FACTOR = 2;                  // an interval over 2x expected is a gap
+const LINK_RATE_WINDOW_MS = 10000;
+const LINK_QUALITY_WINDOW_MS = 20000;
+const LINK_SAMPLE_COUNT = 30;               // intervals and latencies kept for averages
+const LINK_CLOCK_SAMPLE_COUNT = 60;
+const LINK_STATS_SAVE_INTERVAL_MS = 10000;
+
+let linkStats = null;
+
+function resetLinkStats() {
+    linkStats = {
+        startedAt: Date.now(),
+        connectedAt: window.isConnected ? Date.now() : null,
+        connects: window.isConnected ? 1 : 0,   // the current connection is not a reconnect
+        disconnects: 0,
+        messageCount: 0,
+        typeCounts: {},
+        recentMessages: [],         // { time, type, periodic } inside the quality window
+        recentBadLines: [],         // receive times of unusable lines inside the quality window
+        parseFailures: 0,
+        nonJsonLines: 0,
+        overruns: 0,
+        lastPeriodicAt: 0,
+        intervals: [],
+        gaps: 0,
+        longestGap: 0,
+        lastBoardTimestamp: null,
+        clockOffsets: [],
+        latencies: [],
+        lastQuality: null           // last quality measured while connected
+    };
+}
+
+// Firmware sends telemetry every interval, or a waiting_gps_fix status without a fix
+function isPeriodicMessage(message) {
+    return message.type === 'telemetry' || (message.type === 'status' && message.status === 'waiting_gps_fix');
+}
+
+function pushSample(samples, value, limit) {
+    samples.push(value);
+    if (samples.length > limit) samples.shift();
+}
+
+function pruneLinkWindows(now) {
+    const cutoff = now - LINK_QUALITY_WINDOW_MS;
+    while (linkStats.recentMessages.length && linkStats.recentMessages[0].time < cutoff) {
+        linkStats.recentMessages.shift();
+    }
+    while (linkStats.recentBadLines.length && linkStats.recentBadLines[0] < cutoff) {
+        linkStats.recentBadLines.shift();
+    }
+}
+
+function recordLinkMessage(message, source) {
+    if (source !== 'link' || !linkStats) return;
+
+    const now = Date.now();
+    const type = message.type || 'unknown';
+    const periodic = isPeriodicMessage(message);
+
+    linkStats.messageCount++;
+    linkStats.typeCounts[type] = (linkStats.typeCounts[type] || 0) + 1;
+    linkStats.recentMessages.push({ time: now, type: type, periodic: periodic });
+    pruneLinkWindows(now);
+
+    if (periodic) {
+        if (linkStats.lastPeriodicAt > 0) {
+            const interval = now - linkStats.lastPeriodicAt;
+            pushSample(linkStats.intervals, interval, LINK_SAMPLE_COUNT);
+            if (interval > LINK_EXPECTED_INTERVAL_MS * LINK_GAP_FACTOR) {
+                linkStats.gaps++;
+                linkStats.longestGap = Math.max(linkStats.longestGap, interval);
+            }
+        }
+        linkStats.lastPeriodicAt = now;
+    }
+
+    if (typeof message.timestamp === 'number') {
+        recordBoardTimestamp(message.timestamp, now);
+    }
+}
+
+// The board clock has an unknown offset, so latency is measured above the
+// fastest recent message: receive time minus board time, minus its minimum
+function recordBoardTimestamp(boardTime, now) {
+    // A smaller timestamp means the board restarted and its clock with it
+    if (linkStats.lastBoardTimestamp !== null && boardTime < linkStats.lastBoardTimestamp) {
+        linkStats.clockOffsets = [];
+    }
+    linkStats.lastBoardTimestamp = boardTime;
+
+    const offset = now - boardTime;
+    pushSample(linkStats.clockOffsets, offset, LINK_CLOCK_SAMPLE_COUNT);
+    pushSample(linkStats.latencies, offset - Math.min(...linkStats.clockOffsets), LINK_SAMPLE_COUNT);
+}
+
+// Lines that look like JSON but do not parse are framing or noise damage;
+// other text is firmware debug output
+function recordLinkBadLine(line, source) {
+    if (source !== 'link' || !linkStats) return;
+
+    if (line.trim().startsWith('{')) {
+        linkStats.parseFailures++;
+    } else {
+        linkStats.nonJsonLines++;
+    }
+    linkStats.recentBadLines.push(Date.now());
+}
+
+function recordLinkOverrun() {
+    if (linkStats) linkStats.overruns++;
+}
+
+window.recordLinkMessage = recordLinkMessage;
+window.recordLinkBadLine = recordLinkBadLine;
+window.recordLinkOverrun = recordLinkOverrun;
+
+// ================== DERIVED VALUES ==================
+
+function averageOf(samples) {
+    return samples.length ? samples.reduce((sum, value) => sum + value, 0) / samples.length : null;
+}
+
+function standardDeviationOf(samples) {
+    const mean = averageOf(samples);
+    if (mean === null) return null;
+    return Math.sqrt(averageOf(samples.map(value => (value - mean) * (value - mean))));
+}
+
+// Share of the expected periodic messages that arrived in the window,
+// reduced by the share of unusable lines; null while there is too little to judge
+function computeLinkQuality(now) {
+    if (!window.isConnected || !linkStats.connectedAt) return null;
+
+    const windowStart = Math.max(now - LINK_QUALITY_WINDOW_MS, linkStats.connectedAt);
+    const expected = Math.floor((now - windowStart) / LINK_EXPECTED_INTERVAL_MS);
+    if (expected < 1) return null;
+
+    const inWindow = linkStats.recentMessages.filter(m => m.time >= windowStart);
+    const periodic = inWindow.filter(m => m.periodic).length;
+    const badLines = linkStats.recentBadLines.filter(time => time >= windowStart).length;
+
+    const delivery = Math.min(1, periodic / expected);
+    const errorShare = badLines / Math.max(1, inWindow.length + badLines);
+    return Math.round(100 * delivery * (1 - errorShare));
+}
+
+function getMessageRates(now) {
+    const windowStart = Math.max(now - LINK_RATE_WINDOW_MS, linkStats.connectedAt || linkStats.startedAt);
+    const seconds = Math.max(1, (now - windowStart) / 1000);
+    const rates = {};
+    linkStats.recentMessages.forEach(m => {
+        if (m.time >= windowStart) rates[m.type] = (rates[m.type] || 0) + 1;
+    });
+    Object.keys(rates).forEach(type => { rates[type] /= seconds; });
+    return rates;
+}
+
+// Plain object for the recorder and the diagnostics panel
+function getLinkStatsSnapshot() {
+    const now = Date.now();
+    pruneLinkWindows(now);
+
+    const quality = computeLinkQuality(now);
+    if (quality !== null) linkStats.lastQuality = quality;
+
+    return {
+        time: now,
+        quality: quality,
+        messageCount: linkStats.messageCount,
+        typeCounts: { ...linkStats.typeCounts },
+        rates: getMessageRates(now),
+        intervalMean: averageOf(linkStats.intervals),
+        intervalJitter: standardDeviationOf(linkStats.intervals),
+        intervalMax: linkStats.intervals.length ? Math.max(...linkStats.intervals) : null,
+        sinceLastPeriodic: linkStats.lastPeriodicAt ? now - linkStats.lastPeriodicAt : null,
+        gaps: linkStats.gaps,
+        longestGap: linkStats.longestGap,
+        latencyCurrent: linkStats.latencies.length ? linkStats.latencies[linkStats.latencies.length - 1] : null,
+        latencyMean: averageOf(linkStats.latencies),
+        latencyMax: linkStats.latencies.length ? Math.max(...linkStats.latencies) : null,
+        parseFailures: linkStats.parseFailures,
+        nonJsonLines: linkStats.nonJsonLines,
+        overruns: linkStats.overruns,
+        reconnects: Math.max(0, linkStats.connects - 1),
+        disconnects: linkStats.disconnects
+    };
+}
+
+window.getLinkStatsSnapshot = getLinkStatsSnapshot;
+
+// Copy kept with the recorded session (recorder.js also takes one when the
+// session ends); null before anything was received
+function getLinkStatsForSession() {
+    if (!linkStats || linkStats.messageCount === 0) return null;
+
+    const snapshot = getLinkStatsSnapshot();
+    delete snapshot.rates;
+    delete snapshot.sinceLastPeriodic;
+    snapshot.quality = linkStats.lastQuality;
+    return snapshot;
+}
+
+window.getLinkStatsForSession = getLinkStatsForSession;
+
+async function saveLinkStatsToSession(sessionId) {
+    const stats = getLinkStatsForSession();
+    if (!window.updateRecordingSession || !stats) return;
+
+    try {
+        await window.updateRecordingSession(sessionId, { linkStats: stats });
+    } catch (error) {
+        console.warn('Error saving link statistics:', error);
+    }
+}
+
+// ================== DISPLAY ==================
+
+function formatLinkMs(value) {
+    if (value === null || value === undefined) return '--';
+    return value >= 10000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+}
+
+function getQualityClass(quality) {
+    if (quality === null) return 'quality-unknown';
+    if (quality >= 90) return 'quality-good';
+    if (quality >= 60) return 'quality-fair';
+    return 'quality-poor';
+}
+
+function updateLinkQualityDisplay() {
+    if (!linkStats) return;
+
+    const snapshot = getLinkStatsSnapshot();
+    const gauge = document.getElementById('linkQuality');
+    if (gauge) {
+        const quality = snapshot.quality;
+        const bars = quality === null ? 0 : Math.ceil(quality / 25);
+
+        gauge.className = `link-quality ${getQualityClass(quality)}`;
+        gauge.querySelectorAll('.link-quality-bars span').forEach((bar, index) => {
+            bar.classList.toggle('lit', index < bars);
+        });
+
+        const valueLabel = document.getElementById('linkQualityValue');
+        if (valueLabel) valueLabel.textContent = quality === null ? '--' : `${quality}%`;
+    }
+
+    const modal = document.getElementById('linkStatsModal');
+    if (modal && modal.style.display === 'flex') {
+        renderLinkDiagnostics(snapshot);
+    }
+}
+
+function renderLinkDiagnostics(snapshot) {
+    const content = document.getElementById('linkStatsContent');
+    if (!content) return;
+
+    const row = (label, value, warn) => `<tr${warn ? ' class="link-stats-warn"' : ''}><td>${label}</td><td>${value}</td></tr>`;
+    const types = Object.keys(snapshot.typeCounts).sort();
+
+    content.innerHTML = `
+        <table class="link-stats-table">
+            <tr><th colspan="2">Link</th></tr>
+            ${row('Quality', snapshot.quality === null ? '--' : `${snapshot.quality}%`, snapshot.quality !== null && snapshot.quality < 60)}
+            ${row('Connected for', linkStats.connectedAt ? formatLinkMs(snapshot.time - linkStats.connectedAt) : 'not connected')}
+            ${row('Messages received', snapshot.messageCount)}
+            ${row('Reconnects / disconnects', `${snapshot.reconnects} / ${snapshot.disconnects}`)}
+
+            <tr><th colspan="2">Periodic messages (expected every ${LINK_EXPECTED_INTERVAL_MS / 1000} s)</th></tr>
+            ${row('Since last', formatLinkMs(snapshot.sinceLastPeriodic), snapshot.sinceLastPeriodic > LINK_EXPECTED_INTERVAL_MS * LINK_GAP_FACTOR)}
+            ${row('Mean interval', formatLinkMs(snapshot.intervalMean))}
+            ${row('Jitter (std dev)', formatLinkMs(snapshot.intervalJitter))}
+            ${row('Longest interval', formatLinkMs(snapshot.intervalMax))}
+            ${row(`Gaps (over ${LINK_EXPECTED_INTERVAL_MS * LINK_GAP_FACTOR / 1000} s)`, snapshot.gaps ? `${snapshot.gaps}, longest ${formatLinkMs(snapshot.longestGap)}` : '0', snapshot.gaps > 0)}
+
+            <tr><th colspan="2">Latency (above the fastest recent message)</th></tr>
+            ${row('Current', formatLinkMs(snapshot.latencyCurrent))}
+            ${row('Mean', formatLinkMs(snapshot.latencyMean))}
+            ${row('Max', formatLinkMs(snapshot.latencyMax))}
+
+            <tr><th colspan="2">Errors</th></tr>
+            ${row('JSON parse failures', snapshot.parseFailures, snapshot.parseFailures > 0)}
+            ${row('Non-JSON lines', snapshot.nonJsonLines)}
+            ${row('Buffer overruns', snapshot.overruns, snapshot.overruns > 0)}
+        </table>
+        <table class="link-stats-table">
+            <tr><th>Message type</th><th>Count</th><th>Rate (last ${LINK_RATE_WINDOW_MS / 1000} s)</th></tr>
+            ${types.length ? types.map(type => `
+                <tr><td>${type}</td><td>${snapshot.typeCounts[type]}</td><td>${(snapshot.rates[type] || 0).toFixed(2)}/s</td></tr>`).join('')
+                : '<tr><td colspan="3">No messages yet</td></tr>'}
+        </table>
+    `;
+}
+
+function initializeLinkQualityControls() {
+    const gauge = document.getElementById('linkQuality');
+    const modal = document.getElementById('linkStatsModal');
+    if (!gauge || !modal) return;
+
+    gauge.addEventListener('click', function() {
+        renderLinkDiagnostics(getLinkStatsSnapshot());
+        window.showModal(modal);
+    });
+
+    const resetBtn = document.getElementById('linkStatsReset');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', function() {
+            resetLinkStats();
+            renderLinkDiagnostics(getLinkStatsSnapshot());
+        });
+    }
+
+    const closeBtn = document.getElementById('linkStatsModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(modal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === modal) {
+            window.hideModal(modal);
+        }
+    });
+}
@@ -3,18 +3,19 @@
  * 
  * Handles:
  * - Overall UI initialization and startup sequence
- * - ESP32 connection management (Web Serial API)
+ * - ESP32 connection management (Web Serial, WebSocket or loopback transport)
  * - Button actions and event listeners
- * - System log updates and filtering
  * - Connection status monitoring
  * - Mission settings management
  */
 
+const mainLog = window.createLogger('main');
+
 document.addEventListener('DOMContentLoaded', function () {
     // Professional startup sequence
     initializeStartupSequence();
 
-    // Define home coordinates (consistent across the application)
+    // Default home; home.js restores the saved site or takes it from the first GPS fix
     window.HOME_COORDINATES = { lat: 16.9918971, lng: 73.286756 };
 
     // Mission settings
@@ -24,14 +25,14 @@ document.addEventListener('DOMContentLoaded', function () {
         maxAltitude: 3.0
     };
 
-    // Web Serial API variables
-    window.serialPort = null;
-    window.reader = null;
-    window.writer = null;
+    // Link state (see transport.js for the available transports)
+    window.transport = null;
     window.isConnected = false;
 
     // Connection persistence settings
     window.connectionSettings = {
+        transportType: 'serial',
+        websocketUrl: window.DEFAULT_WEBSOCKET_URL,
         autoConnect: true,
         persistentConnection: true,
         lastConnectedDevice: null,
@@ -42,102 +43,13 @@ document.addEventListener('DOMContentLoaded', function () {
     initializeSystemClock();
     initializeConnectionMonitoring();
     initializeArduinoStyleConnection();
-    initializeSystemLog();
     initializeMissionSettings();
     initializeEventListeners();
 
     // Add log entry for map initialization
-    addLogEntry(`Map initialized. Coordinates: ${window.HOME_COORDINATES.lat.toFixed(4)}, ${window.HOME_COORDINATES.lng.toFixed(4)}`);
+    mainLog(`Map initialized. Coordinates: ${window.HOME_COORDINATES.lat.toFixed(4)}, ${window.HOME_COORDINATES.lng.toFixed(4)}`);
 });
 
-// ================== SYSTEM LOG FUNCTIONS ==================
-
-const LOG_LEVEL = {
-    INFO: 'info',
-    WARNING: 'warning',
-    ERROR: 'error'
-};
-
-function initializeSystemLog() {
-    const logFilter = document.getElementById('logFilter');
-    const clearLogBtn = document.getElementById('clearLog');
-
-    if (logFilter) {
-        logFilter.addEventListener('change', function () {
-            const selectedLevel = this.value;
-            const logEntries = document.querySelectorAll('.log-entry');
-
-            logEntries.forEach(entry => {
-                if (selectedLevel === 'all') {
-                    entry.style.display = 'flex';
-                } else {
-                    entry.style.display = entry.classList.contains(`log-${selectedLevel}`) ? 'flex' : 'none';
-                }
-            });
-        });
-    }
-
-    if (clearLogBtn) {
-        clearLogBtn.addEventListener('click', function () {
-            const systemLog = document.getElementById('system-log');
-            while (systemLog.children.length > 1) {
-                systemLog.removeChild(systemLog.lastChild);
-            }
-            addLogEntry('Log cleared', LOG_LEVEL.INFO);
-        });
-    }
-}
-
-function addLogEntry(message, level = LOG_LEVEL.INFO) {
-    const systemLog = document.getElementById('system-log');
-    const timestamp = new Date().toLocaleTimeString();
-    const logEntry = document.createElement('div');
-    logEntry.className = `log-entry log-${level}`;
-    logEntry.style.opacity = '0';
-    logEntry.style.transform = 'translateY(-10px)';
-
-    const timeSpan = document.createElement('span');
-    timeSpan.className = 'log-time';
-    timeSpan.textContent = timestamp;
-
-    const messageSpan = document.createElement('span');
-    messageSpan.className = 'log-message';
-    messageSpan.textContent = message;
-
-    logEntry.appendChild(timeSpan);
-    logEntry.appendChild(messageSpan);
-
-    systemLog.appendChild(logEntry);
-
-    requestAnimationFrame(() => {
-        logEntry.style.transition = 'all 0.3s ease';
-        logEntry.style.opacity = '1';
-        logEntry.style.transform = 'translateY(0)';
-    });
-
-    setTimeout(() => {
-        systemLog.scrollTo({
-            top: systemLog.scrollHeight,
-            behavior: 'smooth'
-        });
-    }, 100);
-
-    if (systemLog.children.length > 50) {
-        const oldEntry = systemLog.children[0];
-        oldEntry.style.transition = 'all 0.2s ease';
-        oldEntry.style.opacity = '0';
-        oldEntry.style.transform = 'translateY(-10px)';
-        setTimeout(() => {
-            if (systemLog.contains(oldEntry)) {
-                systemLog.removeChild(oldEntry);
-            }
-        }, 200);
-    }
-}
-
-window.addLogEntry = addLogEntry;
-window.LOG_LEVEL = LOG_LEVEL;
-
 // ================== CONNECTION MANAGEMENT ==================
 
 function checkWebSerialSupport() {
@@ -165,13 +77,13 @@ function checkWebSerialSupport() {
             }
         }
 
-        addLogEntry(`Web Serial API not supported. Current browser: ${browserInfo}`, LOG_LEVEL.ERROR);
-        addLogEntry('Please use Chrome 89+ or Edge 89+ with Web Serial API enabled', LOG_LEVEL.ERROR);
+        mainLog(`Web Serial API not supported. Current browser: ${browserInfo}`, LOG_LEVEL.ERROR);
+        mainLog('Please use Chrome 89+ or Edge 89+ with Web Serial API enabled', LOG_LEVEL.ERROR);
         updateConnectionStatus('error', 'Browser Not Supported');
         return false;
     }
 
-    addLogEntry('Web Serial API supported - ready to connect', LOG_LEVEL.INFO);
+    mainLog('Web Serial API supported - ready to connect', LOG_LEVEL.INFO);
     return true;
 }
 
@@ -198,6 +110,11 @@ function enableControlButtons(enabled) {
         }
     });
 
+    // Start Mission also waits for the pre-flight checklist
+    if (window.updateStartMissionGate) {
+        window.updateStartMissionGate();
+    }
+
     const connectBtn = document.getElementById('connectDevice');
     if (connectBtn) {
         connectBtn.disabled = false;
@@ -225,20 +142,29 @@ function initializeArduinoStyleConnection() {
         try {
             window.connectionSettings = { ...window.connectionSettings, ...JSON.parse(savedSettings) };
         } catch (error) {
-            addLogEntry('Using default connection settings', LOG_LEVEL.INFO);
+            mainLog('Using default connection settings', LOG_LEVEL.INFO);
         }
     }
 
     addConnectionToggle();
+    initializeTransportSelector();
 
     if (window.connectionSettings.autoConnect) {
         connectImmediately();
     }
 }
 
+function getActiveTransport() {
+    const settings = window.connectionSettings;
+    if (!window.transport || window.transport.type !== settings.transportType) {
+        window.transport = window.createTransport(settings.transportType, settings);
+    }
+    return window.transport;
+}
+
 async function connectImmediately() {
-    if (!('serial' in navigator)) {
-        addLogEntry('Web Serial API not supported in this browser', LOG_LEVEL.WARNING);
+    if (window.connectionSettings.transportType === 'serial' && !('serial' in navigator)) {
+        mainLog('Web Serial API not supported in this browser', LOG_LEVEL.WARNING);
         return;
     }
 
@@ -248,87 +174,59 @@ async function connectImmediately() {
     }
 
     try {
-        const ports = await navigator.serial.getPorts();
-
-        if (ports.length > 0) {
-            window.serialPort = ports[0];
-
-            // Check if port is already open
-            if (window.serialPort.readable) {
-                // Port is already open, just setup communication
-                setupSerialCommunication();
-                window.isConnected = true;
-                updateConnectionStatus('connected', 'Connected');
-                addLogEntry('Device already connected', LOG_LEVEL.INFO);
-                enableControlButtons(true);
-                readSerialData();
-                return;
-            }
+        const transport = getActiveTransport();
 
-            await window.serialPort.open({
-                baudRate: 115200,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
+        readSerialData(transport);
+        // Each vehicle reopens its own board, not whichever port was granted first
+        const portChoice = window.getSerialPortChoice ? window.getSerialPortChoice() : {};
+        await transport.open({ prompt: false, ...portChoice });
 
-            setupSerialCommunication();
+        window.isConnected = true;
+        updateConnectionStatus('connected', 'Connected');
+        mainLog(`Device connected automatically (${transport.label})`, LOG_LEVEL.INFO);
 
-            window.isConnected = true;
-            updateConnectionStatus('connected', 'Connected');
-            addLogEntry('Device connected automatically', LOG_LEVEL.INFO);
+        if (window.stopPlayback) {
+            window.stopPlayback();
+        }
+        if (window.startRecordingSession) {
+            window.startRecordingSession(getSessionLabel(transport));
+        }
+        document.dispatchEvent(new CustomEvent('link-connected', { detail: { transport: transport } }));
 
-            saveConnectionState();
-            enableControlButtons(true);
-            readSerialData();
+        saveConnectionState();
+        enableControlButtons(true);
 
-            setTimeout(() => {
-                sendCommand({ action: 'get_status' });
-            }, 500);
+        setTimeout(() => {
+            sendCommand({ action: 'get_status' });
+        }, 500);
 
+    } catch (error) {
+        if (error.name === 'NotFoundError') {
+            mainLog('No devices found. Click Connect to select device.', LOG_LEVEL.INFO);
         } else {
-            addLogEntry('No devices found. Click Connect to select device.', LOG_LEVEL.INFO);
-            updateConnectionStatus('disconnected', 'Click Connect');
+            mainLog('Device not connected. Click Connect to select device.', LOG_LEVEL.INFO);
         }
-
-    } catch (error) {
-        addLogEntry('Device not connected. Click Connect to select device.', LOG_LEVEL.INFO);
         updateConnectionStatus('disconnected', 'Click Connect');
     }
 }
 
-function setupSerialCommunication() {
-    const textDecoder = new TextDecoderStream();
-    window.readableStreamClosed = window.serialPort.readable.pipeTo(textDecoder.writable);
-    window.reader = textDecoder.readable.pipeThrough(new TransformStream({
-        transform(chunk, controller) {
-            controller.enqueue(chunk);
-        }
-    })).getReader();
-
-    const textEncoder = new TextEncoderStream();
-    window.writableStreamClosed = textEncoder.readable.pipeTo(window.serialPort.writable);
-    window.writer = textEncoder.writable.getWriter();
-
-    window.readableStreamClosed.catch(() => {
-        // Ignore errors during close
-    });
-
-    window.writableStreamClosed.catch(() => {
-        // Ignore errors during close
-    });
+// Recorder sessions name the vehicle once there is more than one
+function getSessionLabel(transport) {
+    const vehicleLabel = window.describeActiveVehicle ? window.describeActiveVehicle() : null;
+    return vehicleLabel ? `${vehicleLabel} (${transport.label})` : transport.label;
 }
 
+window.getSessionLabel = getSessionLabel;
+
 function saveConnectionState() {
-    if (!window.serialPort) return;
+    if (!window.transport) return;
 
     try {
         const deviceInfo = {
             connected: true,
             timestamp: Date.now(),
-            vendorId: window.serialPort.getInfo().usbVendorId,
-            productId: window.serialPort.getInfo().usbProductId
+            transportType: window.transport.type,
+            ...window.transport.getInfo()
         };
 
         window.connectionSettings.lastConnectedDevice = deviceInfo;
@@ -341,7 +239,7 @@ function saveConnectionState() {
 function handleConnectionLoss() {
     if (!window.isConnected) return;
 
-    addLogEntry('Connection lost - attempting to reconnect...', LOG_LEVEL.WARNING);
+    mainLog('Connection lost - attempting to reconnect...', LOG_LEVEL.WARNING);
     updateConnectionStatus('warning', 'Reconnecting...');
 
     setTimeout(() => {
@@ -361,30 +259,31 @@ async function connectManually() {
     }
 
     try {
-        addLogEntry('Select serial device...', LOG_LEVEL.INFO);
-
-        window.serialPort = await navigator.serial.requestPort();
-
-        // Check if port is already open
-        if (!window.serialPort.readable) {
-            await window.serialPort.open({
-                baudRate: 115200,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
+        const transport = getActiveTransport();
+
+        if (transport.type === 'serial') {
+            mainLog('Select serial device...', LOG_LEVEL.INFO);
+        } else {
+            mainLog(`Opening ${transport.label} link...`, LOG_LEVEL.INFO);
         }
 
-        setupSerialCommunication();
+        readSerialData(transport);
+        await transport.open({ prompt: true });
 
         window.isConnected = true;
         updateConnectionStatus('connected', 'Connected');
-        addLogEntry('Device connected successfully', LOG_LEVEL.INFO);
+        mainLog(`Device connected successfully (${transport.label})`, LOG_LEVEL.INFO);
+
+        if (window.stopPlayback) {
+            window.stopPlayback();
+        }
+        if (window.startRecordingSession) {
+            window.startRecordingSession(getSessionLabel(transport));
+        }
+        document.dispatchEvent(new CustomEvent('link-connected', { detail: { transport: transport } }));
 
         saveConnectionState();
         enableControlButtons(true);
-        readSerialData();
 
         setTimeout(() => {
             sendCommand({ action: 'get_status' });
@@ -398,12 +297,12 @@ async function connectManually() {
         } else if (error.name === 'SecurityError') {
             errorMessage = 'Permission denied';
         } else if (error.name === 'NetworkError') {
-            errorMessage = 'Device busy or unavailable';
+            errorMessage = `Device busy or unavailable: ${error.message}`;
         } else {
             errorMessage = `Connection error: ${error.message}`;
         }
 
-        addLogEntry(errorMessage, LOG_LEVEL.ERROR);
+        mainLog(errorMessage, LOG_LEVEL.ERROR);
         updateConnectionStatus('disconnected', 'Connection Failed');
     }
 }
@@ -414,60 +313,28 @@ async function disconnectDevice() {
     try {
         window.isConnected = false;
 
-        // 1. Close Reader
-        if (window.reader) {
-            try {
-                await window.reader.cancel();
-                if (window.readableStreamClosed) {
-                    await window.readableStreamClosed.catch(() => { });
-                }
-            } catch (e) {
-                console.warn('Reader cancel error:', e);
-            }
-            window.reader = null;
-            window.readableStreamClosed = null;
+        if (window.transport) {
+            await window.transport.close();
         }
 
-        // 2. Close Writer
-        if (window.writer) {
-            try {
-                await window.writer.close();
-                if (window.writableStreamClosed) {
-                    await window.writableStreamClosed.catch(() => { });
-                }
-            } catch (e) {
-                console.warn('Writer close error:', e);
-            }
-            window.writer = null;
-            window.writableStreamClosed = null;
+        if (window.endRecordingSession) {
+            window.endRecordingSession();
         }
-
-        // 3. Close Port
-        if (window.serialPort) {
-            try {
-                await window.serialPort.close();
-            } catch (e) {
-                console.warn('Serial port close error:', e);
-            }
-            window.serialPort = null;
+        if (window.cancelPendingCommands) {
+            window.cancelPendingCommands('link closed');
         }
 
-        window.serialBuffer = '';
-
         updateConnectionStatus('disconnected', 'Disconnected');
-        addLogEntry('Device disconnected', LOG_LEVEL.INFO);
+        mainLog('Device disconnected', LOG_LEVEL.INFO);
+        document.dispatchEvent(new CustomEvent('link-disconnected'));
 
         clearConnectionState();
         enableControlButtons(false);
 
     } catch (error) {
-        addLogEntry(`Error during disconnection: ${error.message}`, LOG_LEVEL.ERROR);
+        mainLog(`Error during disconnection: ${error.message}`, LOG_LEVEL.ERROR);
 
         window.isConnected = false;
-        window.serialPort = null;
-        window.reader = null;
-        window.writer = null;
-        window.serialBuffer = '';
     }
 }
 
@@ -492,7 +359,7 @@ function addConnectionToggle() {
 
     connectionContainer.innerHTML = `
         <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; font-size: 14px;">
-            <input type="checkbox" id="autoConnectToggle" ${window.connectionSettings.autoConnect ? 'checked' : ''} 
+            <input type="checkbox" id="autoConnectToggle" ${window.connectionSettings.autoConnect ? 'checked' : ''}
                    style="margin: 0;">
             <span>Auto-connect on startup (like Arduino IDE)</span>
         </label>
@@ -504,115 +371,189 @@ function addConnectionToggle() {
     autoConnectToggle.addEventListener('change', function () {
         window.connectionSettings.autoConnect = this.checked;
         localStorage.setItem('droneConnectionSettings', JSON.stringify(window.connectionSettings));
-        addLogEntry(`Auto-connect ${this.checked ? 'enabled' : 'disabled'}`, LOG_LEVEL.INFO);
+        mainLog(`Auto-connect ${this.checked ? 'enabled' : 'disabled'}`, LOG_LEVEL.INFO);
     });
 }
 
-// ================== SERIAL DATA HANDLING ==================
-
-window.serialBuffer = '';
-
-async function readSerialData() {
-    try {
-        while (window.isConnected && window.reader) {
-            const { value, done } = await window.reader.read();
-            if (done) {
-                addLogEntry('Serial stream ended', LOG_LEVEL.WARNING);
-                break;
-            }
+function initializeTransportSelector() {
+    const transportSelect = document.getElementById('transportSelect');
+    const websocketUrlInput = document.getElementById('websocketUrl');
+    if (!transportSelect || !window.getTransportTypes) return;
+
+    transportSelect.innerHTML = '';
+    window.getTransportTypes().forEach(({ type, label }) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        transportSelect.appendChild(option);
+    });
+    transportSelect.value = window.connectionSettings.transportType;
 
-            window.serialBuffer += value;
+    function updateUrlVisibility() {
+        if (websocketUrlInput) {
+            websocketUrlInput.style.display = transportSelect.value === 'websocket' ? '' : 'none';
+        }
+    }
 
-            let lines = window.serialBuffer.split('\n');
-            window.serialBuffer = lines.pop() || '';
+    if (websocketUrlInput) {
+        websocketUrlInput.value = window.connectionSettings.websocketUrl;
+        websocketUrlInput.addEventListener('change', function () {
+            window.connectionSettings.websocketUrl = this.value.trim() || window.DEFAULT_WEBSOCKET_URL;
+            this.value = window.connectionSettings.websocketUrl;
+            localStorage.setItem('droneConnectionSettings', JSON.stringify(window.connectionSettings));
 
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                if (trimmedLine) {
-                    processReceivedData(trimmedLine);
-                }
+            // Rebuild the transport so the next connect uses the new URL
+            if (!window.isConnected && window.transport && window.transport.type === 'websocket') {
+                window.transport = null;
             }
-        }
-    } catch (error) {
+        });
+    }
+
+    transportSelect.addEventListener('change', async function () {
         if (window.isConnected) {
-            let errorMessage = 'Serial communication error';
+            await disconnectDevice();
+        }
 
-            if (error.name === 'NetworkError') {
-                errorMessage = 'Device disconnected unexpectedly';
-            } else if (error.name === 'InvalidStateError') {
-                errorMessage = 'Serial port closed unexpectedly';
-            } else {
-                errorMessage = `Serial read error: ${error.message}`;
-            }
+        window.connectionSettings.transportType = this.value;
+        window.transport = null;
+        localStorage.setItem('droneConnectionSettings', JSON.stringify(window.connectionSettings));
+        updateUrlVisibility();
+        mainLog(`Link type set to ${this.options[this.selectedIndex].textContent}`, LOG_LEVEL.INFO);
+    });
 
-            addLogEntry(errorMessage, LOG_LEVEL.ERROR);
+    updateUrlVisibility();
+}
 
-            // Auto-recovery for signal noise
-            if (errorMessage.includes('Framing') || errorMessage.includes('Parity') || errorMessage.includes('Overrun')) {
-                addLogEntry(`Signal noise detected. Reconnecting...`, LOG_LEVEL.WARNING);
-                await disconnectDevice();
-                setTimeout(connectImmediately, 1000);
-                return;
-            }
-            // Ignore hardware noise errors (Framing error, Parity error, etc)
-            if (errorMessage.includes('Framing') || errorMessage.includes('Parity') || errorMessage.includes('Overrun')) {
-                addLogEntry(`Warning: ${errorMessage} (ignoring)`, LOG_LEVEL.WARNING);
-                // Don't disconnect, just try to continue reading loop
-                // We need to restart the loop logic if we break here, but actually we are in the catch block
-                // which means the reader threw. We might need to handle this differently.
-                // The reader stream might be dead. Let's see if we can just return/break.
-                // If the error is fatal for the stream, we HAVE to disconnect/reconnect.
-                // But often these errors do kill the stream.
-                // Let's at least Log it as warning first.
-                // Actually, if the reader throws, the stream is likely broken. We have to disconnect.
-                // But user reported "Serial read error: Framing error" -> "ESP32 disconnected". 
-                // If it happens on connect, maybe we can auto-retry? 
-
-                // Let's try to NOT disconnect for now and see if we can re-create reader?
-                // Re-creating reader without closing port might be tricky.
-
-                // Better approach: Just log it and disconnect, but add a message that it might be noise.
-                // Wait, if I disconnect, the user has to manually reconnect. That sucks.
-
-                // Let's try to just log and NOT disconnect if it's not a NetworkError?
-                // But the loop exited.
-            }
+// ================== SERIAL DATA HANDLING ==================
 
-            addLogEntry(errorMessage, LOG_LEVEL.ERROR);
-            await disconnectDevice();
+// Routes lines and link errors from the transport into the station
+function readSerialData(transport = window.transport) {
+    if (!transport) return;
 
-            if (window.connectionSettings.autoConnect) {
-                handleConnectionLoss();
-            }
-        }
+    transport.onLine(processReceivedData);
+    transport.onError(handleTransportError);
+    if (transport.onRaw) {
+        transport.onRaw(chunk => {
+            if (window.recordConsoleBytes) window.recordConsoleBytes('rx', chunk);
+        });
     }
 }
 
 window.readSerialData = readSerialData;
 
+async function handleTransportError(error) {
+    if (!window.isConnected) return;
+
+    let errorMessage = 'Serial communication error';
+
+    if (error.name === 'NetworkError') {
+        errorMessage = `Device disconnected unexpectedly: ${error.message}`;
+    } else if (error.name === 'InvalidStateError') {
+        errorMessage = 'Serial port closed unexpectedly';
+    } else {
+        errorMessage = `Serial read error: ${error.message}`;
+    }
+
+    mainLog(errorMessage, LOG_LEVEL.ERROR);
+    document.dispatchEvent(new CustomEvent('link-lost', { detail: { message: errorMessage } }));
+
+    // Web Serial reports a full receive buffer as BufferOverrunError
+    if (window.recordLinkOverrun && /overrun/i.test(`${error.name} ${error.message}`)) {
+        window.recordLinkOverrun();
+    }
+
+    // Auto-recovery for signal noise
+    if (errorMessage.includes('Framing') || errorMessage.includes('Parity') || errorMessage.includes('Overrun')) {
+        mainLog(`Signal noise detected. Reconnecting...`, LOG_LEVEL.WARNING);
+        await disconnectDevice();
+        setTimeout(connectImmediately, 1000);
+        return;
+    }
+
+    await disconnectDevice();
+
+    if (window.connectionSettings.autoConnect) {
+        handleConnectionLoss();
+    }
+}
+
+// start_mission command for the current plan (docs/API.md)
+function buildMissionCommand() {
+    return {
+        action: 'start_mission',
+        waypoints: window.waypoints.map(wp => ({
+            name: wp.name,
+            latitude: wp.lat,
+            longitude: wp.lng,
+            altitude: wp.alt
+        })),
+        max_speed: window.missionSettings.maxSpeed,
+        max_altitude: window.missionSettings.maxAltitude,
+        return_to_home: window.missionSettings.returnToHome,
+        total_waypoints: window.waypoints.length,
+        created_at: new Date().toISOString().replace('T', ' ').substring(0, 19)   // becomes the mission_id
+    };
+}
+
+window.buildMissionCommand = buildMissionCommand;
+
+// Commands with a documented response are tracked until acknowledged
+// (see commands.js); the promise resolves once that happens or fails
 async function sendCommand(command) {
-    if (!window.isConnected || !window.writer || !window.serialPort) {
-        addLogEntry('Device not connected - cannot send command', LOG_LEVEL.WARNING);
+    if (window.requiresAcknowledgement && window.requiresAcknowledgement(command)) {
+        if (!window.isConnected) {
+            mainLog('Device not connected - cannot send command', LOG_LEVEL.WARNING);
+            return false;
+        }
+        return window.sendTrackedCommand(command);
+    }
+
+    return writeCommand(command);
+}
+
+window.sendCommand = sendCommand;
+
+// Largest single line the firmware reads in one go; bigger missions are
+// sent in chunks by mission-upload.js
+const MAX_COMMAND_BYTES = 4096;
+
+window.MAX_COMMAND_BYTES = MAX_COMMAND_BYTES;
+
+// Most waypoints the firmware holds in one mission (MAX_WAYPOINTS, docs/API.md)
+const MAX_MISSION_WAYPOINTS = 100;
+
+window.MAX_MISSION_WAYPOINTS = MAX_MISSION_WAYPOINTS;
+
+// quiet skips the per-command log line (mission upload items)
+async function writeCommand(command, quiet) {
+    if (!window.isConnected || !window.transport || !window.transport.isOpen) {
+        mainLog('Device not connected - cannot send command', LOG_LEVEL.WARNING);
         return false;
     }
 
     try {
         if (!command || typeof command !== 'object') {
-            addLogEntry('Invalid command format', LOG_LEVEL.ERROR);
+            mainLog('Invalid command format', LOG_LEVEL.ERROR);
             return false;
         }
 
         const jsonCommand = JSON.stringify(command);
 
-        if (jsonCommand.length > 4096) {
-            addLogEntry('Command too large - consider splitting waypoints', LOG_LEVEL.ERROR);
+        if (jsonCommand.length > MAX_COMMAND_BYTES) {
+            mainLog(`Command too large (${jsonCommand.length} bytes, limit ${MAX_COMMAND_BYTES})`, LOG_LEVEL.ERROR);
             return false;
         }
 
-        await window.writer.write(jsonCommand + '\n');
+        await window.transport.write(jsonCommand);
 
-        const actionName = command.action || command.type || 'unknown';
-        addLogEntry(`Command sent: ${actionName}`, LOG_LEVEL.INFO);
+        if (window.recordConsoleLine) {
+            window.recordConsoleLine('tx', jsonCommand);
+        }
+
+        if (!quiet) {
+            const actionName = command.action || command.type || 'unknown';
+            mainLog(`Command sent: ${actionName}${command.seq !== undefined ? ` (#${command.seq})` : ''}`, LOG_LEVEL.INFO, { payload: command });
+        }
 
         return true;
 
@@ -628,34 +569,51 @@ async function sendCommand(command) {
             errorMessage = `Send error: ${error.message}`;
         }
 
-        addLogEntry(errorMessage, LOG_LEVEL.ERROR);
+        mainLog(errorMessage, LOG_LEVEL.ERROR);
         return false;
     }
 }
 
-window.sendCommand = sendCommand;
+window.writeCommand = writeCommand;
 
-function processReceivedData(data) {
+function processReceivedData(data, source = 'link') {
     try {
         if (!data || data.trim().length === 0) {
             return;
         }
 
+        // Playback lines were recorded when they first arrived
+        if (source === 'link' && window.recordReceivedLine) {
+            window.recordReceivedLine(data);
+        }
+
+        if (window.recordConsoleLine) {
+            window.recordConsoleLine('rx', data, source);
+        }
+
         let jsonData;
         try {
             jsonData = JSON.parse(data);
         } catch (parseError) {
+            if (window.recordLinkBadLine) {
+                window.recordLinkBadLine(data, source);
+            }
+
             if (data.includes('GPS') || data.includes('Mission') || data.includes('Waypoint') ||
                 data.includes('Ready') || data.includes('Loading') || data.includes('Navigation')) {
-                addLogEntry(`Receiver: ${data}`, LOG_LEVEL.INFO);
+                mainLog(`Receiver: ${data}`, LOG_LEVEL.INFO);
             } else {
-                addLogEntry(`Received non-JSON data: ${data.substring(0, 100)}`, LOG_LEVEL.WARNING);
+                mainLog(`Received non-JSON data: ${data.substring(0, 100)}${data.length > 100 ? '... (full line in the entry details)' : ''}`, LOG_LEVEL.WARNING, { payload: { line: data } });
             }
             return;
         }
 
+        if (window.recordLinkMessage) {
+            window.recordLinkMessage(jsonData, source);
+        }
+
         if (!jsonData.type) {
-            addLogEntry(`Received JSON without type field: ${data}`, LOG_LEVEL.WARNING);
+            mainLog('Received JSON without type field', LOG_LEVEL.WARNING, { payload: jsonData });
             return;
         }
 
@@ -665,11 +623,12 @@ function processReceivedData(data) {
         }
 
     } catch (error) {
-        addLogEntry(`Error processing data: ${error.message}`, LOG_LEVEL.ERROR);
-        addLogEntry(`Raw data: ${data.substring(0, 200)}`, LOG_LEVEL.ERROR);
+        mainLog(`Error processing data: ${error.message}`, LOG_LEVEL.ERROR, { payload: { line: data, stack: error.stack } });
     }
 }
 
+window.processReceivedData = processReceivedData;
+
 // ================== UTILITY FUNCTIONS ==================
 
 function initializeSystemClock() {
@@ -696,11 +655,11 @@ function initializeConnectionMonitoring() {
     if (!connectionStatus) return;
 
     window.addEventListener('online', () => {
-        addLogEntry('Network connection restored', LOG_LEVEL.INFO);
+        mainLog('Network connection restored', LOG_LEVEL.INFO);
     });
 
     window.addEventListener('offline', () => {
-        addLogEntry('Network connection lost', LOG_LEVEL.ERROR);
+        mainLog('Network connection lost', LOG_LEVEL.ERROR);
     });
 
     // Monitor connection health
@@ -711,7 +670,7 @@ function initializeConnectionMonitoring() {
         if (window.isConnected) {
             const now = Date.now();
             if (window.lastTelemetryTime > 0 && (now - window.lastTelemetryTime) > connectionTimeoutMs) {
-                addLogEntry('No data received - connection may be lost', LOG_LEVEL.WARNING);
+                mainLog('No data received - connection may be lost', LOG_LEVEL.WARNING);
                 updateConnectionStatus('warning', 'No Data Received');
 
                 if (window.connectionSettings.autoConnect) {
@@ -734,14 +693,14 @@ function initializeStartupSequence() {
     let messageIndex = 0;
     const startupInterval = setInterval(() => {
         if (messageIndex < startupMessages.length - 1) {
-            addLogEntry(startupMessages[messageIndex], LOG_LEVEL.INFO);
+            mainLog(startupMessages[messageIndex], LOG_LEVEL.INFO);
             messageIndex++;
         } else {
-            addLogEntry(startupMessages[messageIndex], LOG_LEVEL.INFO);
+            mainLog(startupMessages[messageIndex], LOG_LEVEL.INFO);
             clearInterval(startupInterval);
 
             setTimeout(() => {
-                addLogEntry('Ready for connection via Web Serial API', LOG_LEVEL.INFO);
+                mainLog('Ready for connection via Web Serial API', LOG_LEVEL.INFO);
             }, 1000);
         }
     }, 800);
@@ -766,7 +725,8 @@ function initializeMissionSettings() {
             const value = parseFloat(this.value);
             maxSpeedValue.textContent = value.toFixed(1);
             window.missionSettings.maxSpeed = value;
-            addLogEntry(`Max speed set to ${value.toFixed(1)} km/h`, LOG_LEVEL.INFO);
+            mainLog(`Max speed set to ${value.toFixed(1)} km/h`, LOG_LEVEL.INFO);
+            document.dispatchEvent(new CustomEvent('mission-settings-changed', { detail: { setting: 'maxSpeed' } }));
         });
     }
 
@@ -781,7 +741,8 @@ function initializeMissionSettings() {
             const value = parseFloat(this.value);
             maxAltitudeValue.textContent = value.toFixed(1);
             window.missionSettings.maxAltitude = value;
-            addLogEntry(`Max altitude set to ${value.toFixed(1)} m`, LOG_LEVEL.INFO);
+            mainLog(`Max altitude set to ${value.toFixed(1)} m`, LOG_LEVEL.INFO);
+            document.dispatchEvent(new CustomEvent('mission-settings-changed', { detail: { setting: 'maxAltitude' } }));
         });
     }
 
@@ -789,11 +750,70 @@ function initializeMissionSettings() {
     missionEndRadios.forEach(radio => {
         radio.addEventListener('change', function () {
             window.missionSettings.returnToHome = this.value === 'returnHome';
-            addLogEntry(`Mission end action: ${this.value === 'returnHome' ? 'Return to Home' : 'Land at Last Waypoint'}`, LOG_LEVEL.INFO);
+            mainLog(`Mission end action: ${this.value === 'returnHome' ? 'Return to Home' : 'Land at Last Waypoint'}`, LOG_LEVEL.INFO);
+            document.dispatchEvent(new CustomEvent('mission-settings-changed', { detail: { setting: 'returnToHome' } }));
         });
     });
 }
 
+// Applies settings from outside the sliders (imports, history) and keeps the controls in sync
+function applyMissionSettings(settings) {
+    Object.assign(window.missionSettings, settings);
+
+    const maxSpeedSlider = document.getElementById('maxSpeed');
+    const maxSpeedValue = document.getElementById('maxSpeedValue');
+    if (maxSpeedSlider && maxSpeedValue) {
+        maxSpeedSlider.value = window.missionSettings.maxSpeed;
+        maxSpeedValue.textContent = window.missionSettings.maxSpeed.toFixed(1);
+    }
+
+    const maxAltitudeSlider = document.getElementById('maxAltitude');
+    const maxAltitudeValue = document.getElementById('maxAltitudeValue');
+    if (maxAltitudeSlider && maxAltitudeValue) {
+        maxAltitudeSlider.value = window.missionSettings.maxAltitude;
+        maxAltitudeValue.textContent = window.missionSettings.maxAltitude.toFixed(1);
+    }
+
+    const missionEndValue = window.missionSettings.returnToHome ? 'returnHome' : 'landAtLast';
+    document.querySelectorAll('input[name="missionEnd"]').forEach(radio => {
+        radio.checked = radio.value === missionEndValue;
+    });
+
+    document.dispatchEvent(new CustomEvent('mission-settings-changed', { detail: { setting: 'all' } }));
+}
+
+window.applyMissionSettings = applyMissionSettings;
+
+// ================== MISSION START CHECKS ==================
+
+// Modules that can veto a mission (geofence, validation, checklist) register
+// a check returning a list of problems; an empty list lets the mission start
+const MISSION_START_CHECKS = [];
+
+function registerMissionStartCheck(name, check) {
+    MISSION_START_CHECKS.push({ name: name, check: check });
+}
+
+window.registerMissionStartCheck = registerMissionStartCheck;
+
+// excludeName lets a check run all the others (the checklist's "mission validated")
+function runMissionStartChecks(excludeName) {
+    const problems = [];
+
+    MISSION_START_CHECKS.forEach(({ name, check }) => {
+        if (name === excludeName) return;
+        try {
+            problems.push(...check());
+        } catch (error) {
+            problems.push(`${name} check failed: ${error.message}`);
+        }
+    });
+
+    return problems;
+}
+
+window.runMissionStartChecks = runMissionStartChecks;
+
 // ================== EVENT LISTENERS ==================
 
 function initializeEventListeners() {
@@ -806,28 +826,34 @@ function initializeEventListeners() {
     if (startMissionBtn) {
         startMissionBtn.addEventListener('click', async function () {
             if (!window.waypoints || window.waypoints.length === 0) {
-                addLogEntry('Cannot start mission: No waypoints added', LOG_LEVEL.WARNING);
+                mainLog('Cannot start mission: No waypoints added', LOG_LEVEL.WARNING);
+                return;
+            }
+
+            const problems = runMissionStartChecks();
+            if (problems.length > 0) {
+                problems.forEach(problem => mainLog(`Mission blocked: ${problem}`, LOG_LEVEL.ERROR));
+                if (window.showNotification) {
+                    window.showNotification(`Mission blocked: ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}`, 'error', 6000);
+                }
                 return;
             }
 
-            const confirmed = confirm(`Start mission with ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''}?`);
+            const target = window.describeActiveVehicle ? window.describeActiveVehicle() : null;
+            const confirmed = confirm(`Start mission${target ? ` on ${target}` : ''} with ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''}?`);
             if (!confirmed) return;
 
-            const missionCommand = {
-                action: 'start_mission',
-                waypoints: window.waypoints.map(wp => ({
-                    name: wp.name,
-                    latitude: wp.lat,
-                    longitude: wp.lng,
-                    altitude: wp.alt
-                })),
-                max_speed: window.missionSettings.maxSpeed,
-                max_altitude: window.missionSettings.maxAltitude,
-                return_to_home: window.missionSettings.returnToHome,
-                total_waypoints: window.waypoints.length
-            };
-
-            await sendCommand(missionCommand);
+            if (window.recordPreflightChecklist) {
+                window.recordPreflightChecklist();
+            }
+
+            const missionCommand = buildMissionCommand();
+
+            if (window.uploadMission) {
+                await window.uploadMission(missionCommand);
+            } else {
+                await sendCommand(missionCommand);
+            }
         });
     }
 
@@ -841,7 +867,8 @@ function initializeEventListeners() {
     const emergencyStopBtn = document.getElementById('emergencyStop');
     if (emergencyStopBtn) {
         emergencyStopBtn.addEventListener('click', async function () {
-            const confirmed = confirm('Are you sure you want to activate emergency stop?');
+            const target = window.describeActiveVehicle ? window.describeActiveVehicle() : null;
+            const confirmed = confirm(`Are you sure you want to activate emergency stop${target ? ` on ${target}` : ''}?`);
             if (confirmed) {
                 await sendCommand({ action: 'emergency_stop' });
             }
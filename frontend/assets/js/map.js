@@ -2,14 +2,16 @@
  * map.js - Leaflet Map Management
  * 
  * Handles:
- * - Leaflet map initialization and configuration
- * - Adding/removing waypoints on map
- * - Drawing flight path between waypoints
+ * - Leaflet map initialization and configuration (base maps in tiles.js)
+ * - Adding, inserting, moving, reordering and removing waypoints on map
+ * - Drawing the planned route with direction arrows, leg labels and the RTH leg
  * - Map controls (center, zoom)
  * - Map info overlay (scale, coordinates, altitude, camera distance)
  * - Drone marker positioning and updates
  */
 
+const mapLog = window.createLogger('map');
+
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize the map
     window.map = L.map('map', {
@@ -30,42 +32,31 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeMapInfoOverlay();
     initializeDroneMarker();
     initializeMapEvents();
+    
+    // The return leg and the ETA depend on the mission settings and home
+    ['mission-settings-changed', 'home-changed'].forEach(eventName => {
+        document.addEventListener(eventName, function() {
+            drawRouteLayer();
+            if (window.waypoints.length > 0) {
+                updateEtaDisplay();
+            }
+        });
+    });
 });
 
 // ================== MAP LAYERS ==================
 
 function initializeMapLayers() {
-    const satelliteLayer = L.tileLayer('https://mt1.google.com/vt/lyrs=s&x={x}&y={y}&z={z}', {
-        attribution: '&copy; Google',
-        maxZoom: 22,
-        maxNativeZoom: 20,
-        subdomains: ['mt0', 'mt1', 'mt2', 'mt3']
-    }).addTo(window.map);
-
-    satelliteLayer.on('tileerror', function(error) {
-        console.error('Tile error:', error);
-        if (window.addLogEntry) {
-            window.addLogEntry('Map tile loading error. Retrying...', window.LOG_LEVEL.WARNING);
-        }
-    });
-    
-    satelliteLayer.on('load', function() {
-        if (window.addLogEntry) {
-            window.addLogEntry('Satellite imagery loaded successfully', window.LOG_LEVEL.INFO);
-        }
-    });
+    // Base maps, the layer switcher and the offline tile cache live in tiles.js
+    window.initializeBaseLayers();
     
     window.map.on('load', function() {
-        if (window.addLogEntry) {
-            window.addLogEntry('Map fully loaded with all tiles.');
-        }
+        mapLog('Map fully loaded with all tiles.');
     });
     
     setTimeout(function() {
         window.map.invalidateSize();
-        if (window.addLogEntry) {
-            window.addLogEntry('Map display refreshed');
-        }
+        mapLog('Map display refreshed');
     }, 500);
 }
 
@@ -76,9 +67,7 @@ function initializeMapControls() {
     if (centerMapBtn) {
         centerMapBtn.addEventListener('click', function() {
             window.map.setView([window.HOME_COORDINATES.lat, window.HOME_COORDINATES.lng], 15);
-            if (window.addLogEntry) {
-                window.addLogEntry('Map centered to home position');
-            }
+            mapLog('Map centered to home position');
         });
     }
 }
@@ -178,18 +167,23 @@ function updateMapCoordinates() {
 
 // ================== DRONE MARKER ==================
 
-function initializeDroneMarker() {
-    window.gpsLocationSet = false;
-    
-    const droneIcon = L.divIcon({
-        html: '<div style="font-size: 36px; color: #FF5722; text-shadow: 0 0 25px rgba(255, 87, 34, 0.9);">➤</div>',
+// size shrinks the arrow for vehicles that are not selected (vehicles.js)
+function createDroneIcon(color = '#FF5722', size = 36) {
+    return L.divIcon({
+        html: `<div style="font-size: ${size}px; color: ${color}; text-shadow: 0 0 ${Math.round(size * 0.7)}px ${color};">➤</div>`,
         className: 'drone-marker',
-        iconSize: [40, 40],
-        iconAnchor: [20, 20]
+        iconSize: [size + 4, size + 4],
+        iconAnchor: [(size + 4) / 2, (size + 4) / 2]
     });
+}
+
+window.createDroneIcon = createDroneIcon;
+
+function initializeDroneMarker() {
+    window.gpsLocationSet = false;
     
     window.droneMarker = L.marker([window.HOME_COORDINATES.lat, window.HOME_COORDINATES.lng], {
-        icon: droneIcon, 
+        icon: createDroneIcon(), 
         zIndexOffset: 1000
     }).addTo(window.map);
 }
@@ -200,9 +194,7 @@ function updateDronePosition(lat, lng) {
         
         if (!window.gpsLocationSet) {
             window.map.setView([lat, lng], 18);
-            if (window.addLogEntry) {
-                window.addLogEntry(`GPS lock acquired! Centered map on live location`, window.LOG_LEVEL.INFO);
-            }
+            mapLog(`GPS lock acquired! Centered map on live location`, window.LOG_LEVEL.INFO);
             window.gpsLocationSet = true;
         }
     }
@@ -212,51 +204,184 @@ window.updateDronePosition = updateDronePosition;
 
 // ================== WAYPOINT MANAGEMENT ==================
 
-function addWaypoint(lat, lng, alt) {
+// Default names follow the waypoint's position; names typed by the user are kept
+const DEFAULT_WAYPOINT_NAME = /^Waypoint \d+$/;
+
+function createWaypointIcon(waypointNumber) {
+    return L.divIcon({
+        html: `<div class="waypoint-number" style="background: #3498db; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 14px; box-shadow: 0 2px 5px rgba(0,0,0,0.3);">${waypointNumber}</div>`,
+        className: 'waypoint-marker',
+        iconSize: [30, 30],
+        iconAnchor: [15, 15]
+    });
+}
+
+function getWaypointPopupContent(waypoint) {
+    const name = String(waypoint.name).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return `${name}<br>Lat: ${waypoint.lat.toFixed(6)}<br>Lng: ${waypoint.lng.toFixed(6)}<br>Alt: ${waypoint.alt}m`;
+}
+
+window.getWaypointPopupContent = getWaypointPopupContent;
+
+function createWaypointMarker(waypoint, waypointNumber) {
+    const marker = L.marker([waypoint.lat, waypoint.lng], {
+        icon: createWaypointIcon(waypointNumber),
+        draggable: true
+    }).addTo(window.map);
+    marker.bindPopup(getWaypointPopupContent(waypoint));
+    
+    // Look the index up on drop, earlier edits may have shifted it
+    marker.on('dragend', function() {
+        const position = marker.getLatLng();
+        moveWaypoint(window.waypoints.indexOf(waypoint), position.lat, position.lng);
+    });
+    
+    return marker;
+}
+
+function updateEtaDisplay() {
+    if (!window.calculateETA) return;
+    // While flying, the live ETA from progress.js owns the display
+    if (window.missionProgress && window.missionProgress.active) return;
+    
+    window.calculateETA().then(eta => {
+        const etaElement = document.querySelector('.eta-value');
+        if (etaElement) {
+            etaElement.innerHTML = eta;
+        }
+    });
+}
+
+// Brings names, marker icons, popups, the list, the route and the ETA in line
+// with window.waypoints after any edit
+function syncWaypoints(action) {
+    window.waypoints.forEach((wp, index) => {
+        if (DEFAULT_WAYPOINT_NAME.test(wp.name)) {
+            wp.name = `Waypoint ${index + 1}`;
+        }
+        
+        if (wp.marker) {
+            wp.marker.setLatLng([wp.lat, wp.lng]);
+            wp.marker.setIcon(createWaypointIcon(index + 1));
+            wp.marker.setPopupContent(getWaypointPopupContent(wp));
+        }
+    });
+    
+    if (window.updateWaypointsList) {
+        window.updateWaypointsList();
+    }
+    
+    drawRouteLayer();
+    
+    if (window.waypoints.length > 0) {
+        updateEtaDisplay();
+    } else {
+        const etaElement = document.querySelector('.eta-value');
+        if (etaElement) {
+            etaElement.textContent = '--:--';
+        }
+        window.flightPathAnalysisData = null;
+    }
+    
+    document.dispatchEvent(new CustomEvent('waypoints-changed', { detail: { action: action } }));
+}
+
+window.syncWaypoints = syncWaypoints;
+
+function insertWaypoint(index, lat, lng, alt, name) {
     if (alt === undefined) {
         alt = window.missionSettings.maxAltitude;
     }
     
-    const waypointNumber = window.waypoints.length + 1;
+    index = Math.max(0, Math.min(index, window.waypoints.length));
+    
     const waypoint = {
         lat: lat,
         lng: lng,
         alt: alt,
-        name: `Waypoint ${waypointNumber}`
+        name: name || `Waypoint ${index + 1}`
     };
     
-    const waypointIcon = L.divIcon({
-        html: `<div class="waypoint-number" style="background: #3498db; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 14px; box-shadow: 0 2px 5px rgba(0,0,0,0.3);">${waypointNumber}</div>`,
-        className: 'waypoint-marker',
-        iconSize: [30, 30],
-        iconAnchor: [15, 15]
-    });
+    waypoint.marker = createWaypointMarker(waypoint, index + 1);
+    window.waypoints.splice(index, 0, waypoint);
     
-    const marker = L.marker([lat, lng], { icon: waypointIcon }).addTo(window.map);
-    marker.bindPopup(`${waypoint.name}<br>Lat: ${lat.toFixed(6)}<br>Lng: ${lng.toFixed(6)}<br>Alt: ${alt}m`);
+    syncWaypoints('insert');
+    return waypoint;
+}
+
+window.insertWaypoint = insertWaypoint;
+
+function addWaypoint(lat, lng, alt, name) {
+    const waypoint = insertWaypoint(window.waypoints.length, lat, lng, alt, name);
     
-    waypoint.marker = marker;
-    window.waypoints.push(waypoint);
+    mapLog(`Added ${waypoint.name} at ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
+}
+
+window.addWaypoint = addWaypoint;
+
+function moveWaypoint(index, lat, lng) {
+    const waypoint = window.waypoints[index];
+    if (!waypoint) return;
     
-    if (window.updateWaypointsList) {
-        window.updateWaypointsList();
+    waypoint.lat = lat;
+    waypoint.lng = lng;
+    syncWaypoints('move');
+    
+    mapLog(`Moved ${waypoint.name} to ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
+}
+
+window.moveWaypoint = moveWaypoint;
+
+// Applies inline edits from the list: any of lat, lng, alt and name
+function updateWaypoint(index, changes) {
+    const waypoint = window.waypoints[index];
+    if (!waypoint) return false;
+    
+    const lat = changes.lat !== undefined ? changes.lat : waypoint.lat;
+    const lng = changes.lng !== undefined ? changes.lng : waypoint.lng;
+    const alt = changes.alt !== undefined ? changes.alt : waypoint.alt;
+    
+    if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+        mapLog(`Invalid coordinates for ${waypoint.name}`, window.LOG_LEVEL.WARNING);
+        return false;
     }
     
-    if (window.addLogEntry) {
-        window.addLogEntry(`Added ${waypoint.name} at ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
+    if (isNaN(alt) || alt < 0) {
+        mapLog(`Invalid altitude for ${waypoint.name}`, window.LOG_LEVEL.WARNING);
+        return false;
     }
     
-    if (window.calculateETA) {
-        window.calculateETA().then(eta => {
-            const etaElement = document.querySelector('.eta-value');
-            if (etaElement) {
-                etaElement.innerHTML = eta;
-            }
-        });
+    waypoint.lat = lat;
+    waypoint.lng = lng;
+    waypoint.alt = alt;
+    
+    if (changes.name !== undefined) {
+        waypoint.name = changes.name.trim() || `Waypoint ${index + 1}`;
     }
+    
+    syncWaypoints('update');
+    
+    mapLog(`Updated ${waypoint.name}`);
+    return true;
 }
 
-window.addWaypoint = addWaypoint;
+window.updateWaypoint = updateWaypoint;
+
+function reorderWaypoint(fromIndex, toIndex) {
+    if (fromIndex === toIndex ||
+        fromIndex < 0 || fromIndex >= window.waypoints.length ||
+        toIndex < 0 || toIndex >= window.waypoints.length) {
+        return;
+    }
+    
+    const [waypoint] = window.waypoints.splice(fromIndex, 1);
+    window.waypoints.splice(toIndex, 0, waypoint);
+    syncWaypoints('reorder');
+    
+    mapLog(`Moved ${waypoint.name} from position ${fromIndex + 1} to ${toIndex + 1}`);
+}
+
+window.reorderWaypoint = reorderWaypoint;
 
 function removeWaypoint(index) {
     if (index >= 0 && index < window.waypoints.length) {
@@ -267,53 +392,26 @@ function removeWaypoint(index) {
         }
         
         window.waypoints.splice(index, 1);
+        syncWaypoints('remove');
         
-        window.waypoints.forEach((wp, newIndex) => {
-            wp.name = `Waypoint ${newIndex + 1}`;
-            
-            if (wp.marker) {
-                const newIcon = L.divIcon({
-                    html: `<div class="waypoint-number" style="background: #3498db; color: white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 14px; box-shadow: 0 2px 5px rgba(0,0,0,0.3);">${newIndex + 1}</div>`,
-                    className: 'waypoint-marker',
-                    iconSize: [30, 30],
-                    iconAnchor: [15, 15]
-                });
-                wp.marker.setIcon(newIcon);
-                wp.marker.setPopupContent(`${wp.name}<br>Lat: ${wp.lat.toFixed(6)}<br>Lng: ${wp.lng.toFixed(6)}<br>Alt: ${wp.alt}m`);
-            }
-        });
-        
-        if (window.updateWaypointsList) {
-            window.updateWaypointsList();
-        }
-        
-        if (window.addLogEntry) {
-            window.addLogEntry(`Removed waypoint ${index + 1}`, window.LOG_LEVEL.INFO);
-        }
-        
-        if (window.calculateETA) {
-            window.calculateETA().then(eta => {
-                const etaElement = document.querySelector('.eta-value');
-                if (etaElement) {
-                    etaElement.innerHTML = eta;
-                }
-            });
-        }
+        mapLog(`Removed waypoint ${index + 1}`, window.LOG_LEVEL.INFO);
     }
 }
 
 window.removeWaypoint = removeWaypoint;
 
-function clearAllWaypoints() {
+function clearAllWaypoints(skipConfirm = false) {
     if (window.waypoints.length === 0) {
-        if (window.addLogEntry) {
-            window.addLogEntry('No waypoints to clear', window.LOG_LEVEL.INFO);
+        if (!skipConfirm) {
+            mapLog('No waypoints to clear', window.LOG_LEVEL.INFO);
         }
         return;
     }
     
-    const confirmed = confirm(`Clear all ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''}?`);
-    if (!confirmed) return;
+    if (!skipConfirm) {
+        const confirmed = confirm(`Clear all ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''}?`);
+        if (!confirmed) return;
+    }
     
     window.waypoints.forEach(waypoint => {
         if (waypoint.marker) {
@@ -326,29 +424,140 @@ function clearAllWaypoints() {
     });
     
     window.waypoints.splice(0, window.waypoints.length);
+    syncWaypoints('clear');
     
-    if (window.updateWaypointsList) {
-        window.updateWaypointsList();
-    }
+    mapLog('All waypoints cleared', window.LOG_LEVEL.INFO);
+}
+
+window.clearAllWaypoints = clearAllWaypoints;
+
+// Swaps the whole mission for a saved list of { lat, lng, alt, name } without logging each waypoint
+function replaceWaypoints(waypointData, action) {
+    window.waypoints.forEach(waypoint => {
+        if (waypoint.marker) {
+            window.map.removeLayer(waypoint.marker);
+        }
+    });
+    window.waypoints.splice(0, window.waypoints.length);
+    
+    waypointData.forEach((data, index) => {
+        const waypoint = { lat: data.lat, lng: data.lng, alt: data.alt, name: data.name };
+        waypoint.marker = createWaypointMarker(waypoint, index + 1);
+        window.waypoints.push(waypoint);
+    });
     
-    if (window.addLogEntry) {
-        window.addLogEntry('All waypoints cleared', window.LOG_LEVEL.INFO);
+    syncWaypoints(action || 'replace');
+}
+
+window.replaceWaypoints = replaceWaypoints;
+
+// ================== ROUTE LAYER ==================
+
+function formatRouteDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+}
+
+window.formatRouteDistance = formatRouteDistance;
+
+// Draws Home → WP1 → … → WPn (and the dashed return leg) with a direction
+// arrow and a distance/bearing label per leg. Clicking a leg inserts a
+// waypoint into it.
+function drawRouteLayer() {
+    if (!window.routeLayer) {
+        window.routeLayer = L.layerGroup().addTo(window.map);
     }
+    window.routeLayer.clearLayers();
+    
+    if (window.waypoints.length === 0) return;
     
-    const etaElement = document.querySelector('.eta-value');
-    if (etaElement) {
-        etaElement.textContent = '--:--';
+    const home = { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng, alt: 0 };
+    const points = [home, ...window.waypoints];
+    const returnToHome = window.missionSettings.returnToHome;
+    if (returnToHome) {
+        points.push(home);
     }
     
-    window.flightPathAnalysisData = null;
+    // Segment order matches points: Home → WP1, WP1 → WP2, …, WPn → Home
+    const segments = window.calculateETALocally
+        ? window.calculateETALocally(window.waypoints, window.missionSettings.maxSpeed, returnToHome).segments
+        : [];
+    
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const insertIndex = i - 1;
+        const isReturnLeg = returnToHome && i === points.length - 1;
+        
+        const leg = L.polyline([[from.lat, from.lng], [to.lat, to.lng]], {
+            color: isReturnLeg ? '#f39c12' : '#3498db',
+            weight: 4,
+            opacity: 0.8,
+            dashArray: isReturnLeg ? '10 8' : null,
+            bubblingMouseEvents: false
+        }).addTo(window.routeLayer);
+        
+        leg.bindTooltip(isReturnLeg ? 'Return to home - click to add a final waypoint' : 'Click to insert a waypoint', { sticky: true });
+        leg.on('click', function(e) {
+            let alt;
+            if (isReturnLeg) {
+                alt = from.alt;
+            } else if (i === 1) {
+                alt = to.alt;
+            } else {
+                alt = (from.alt + to.alt) / 2;
+            }
+            insertWaypoint(insertIndex, e.latlng.lat, e.latlng.lng, alt);
+            
+            mapLog(`Inserted waypoint ${insertIndex + 1} at ${e.latlng.lat.toFixed(4)}, ${e.latlng.lng.toFixed(4)}`);
+        });
+        
+        const bearing = calculateBearing(from.lat, from.lng, to.lat, to.lng);
+        const distance = segments[i - 1] ? segments[i - 1].distance : calculateDistance(from.lat, from.lng, to.lat, to.lng);
+        const middle = [(from.lat + to.lat) / 2, (from.lng + to.lng) / 2];
+        
+        // The arrow glyph points east, so rotate by bearing - 90
+        L.marker(middle, {
+            icon: L.divIcon({
+                html: `<div class="route-arrow" style="transform: rotate(${(bearing - 90).toFixed(1)}deg);">➤</div>`,
+                className: 'route-arrow-marker',
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            }),
+            interactive: false,
+            keyboard: false
+        }).addTo(window.routeLayer);
+        
+        L.marker(middle, {
+            icon: L.divIcon({
+                html: `<div class="route-label${isReturnLeg ? ' route-label-rth' : ''}">${formatRouteDistance(distance)} · ${Math.round(bearing).toString().padStart(3, '0')}°</div>`,
+                className: 'route-label-marker',
+                iconSize: [0, 0],
+                iconAnchor: [-12, 10]
+            }),
+            interactive: false,
+            keyboard: false
+        }).addTo(window.routeLayer);
+    }
 }
 
-window.clearAllWaypoints = clearAllWaypoints;
+window.drawRouteLayer = drawRouteLayer;
 
 // ================== MAP EVENTS ==================
 
+// Drawing tools take over map clicks while active; the interceptor returns
+// true when it consumed the click
+function setMapClickInterceptor(interceptor) {
+    window.mapClickInterceptor = interceptor || null;
+}
+
+window.setMapClickInterceptor = setMapClickInterceptor;
+
 function initializeMapEvents() {
     window.map.on('click', function(e) {
+        if (window.mapClickInterceptor && window.mapClickInterceptor(e)) {
+            return;
+        }
+        
         addWaypoint(e.latlng.lat, e.latlng.lng);
         
         const clickIndicator = L.circleMarker([e.latlng.lat, e.latlng.lng], {
@@ -380,3 +589,33 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 window.calculateDistance = calculateDistance;
+
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const lat1Rad = lat1 * Math.PI / 180;
+    const lat2Rad = lat2 * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+              Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+window.calculateBearing = calculateBearing;
+
+function calculateDestination(lat, lon, bearing, distance) {
+    const R = 6371000; // Earth's radius in meters
+    const angularDistance = distance / R;
+    const bearingRad = bearing * Math.PI / 180;
+    const latRad = lat * Math.PI / 180;
+    const lonRad = lon * Math.PI / 180;
+    const destLatRad = Math.asin(Math.sin(latRad) * Math.cos(angularDistance) +
+                                 Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearingRad));
+    const destLonRad = lonRad + Math.atan2(Math.sin(bearingRad) * Math.sin(angularDistance) * Math.cos(latRad),
+                                           Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(destLatRad));
+    return {
+        lat: destLatRad * 180 / Math.PI,
+        lng: ((destLonRad * 180 / Math.PI) + 540) % 360 - 180
+    };
+}
+
+window.calculateDestination = calculateDestination;
@@ -0,0 +1,643 @@
+/**
+ * mission-io.js - Mission Import and Export
+ *
+ * Handles:
+ * - QGroundControl .plan JSON
+ * - MAVLink QGC WPL 110 waypoint text files
+ * - KML Placemarks and LineString
+ * - GPX routes
+ * - The station's own mission JSON (data/mission_data.json shape)
+ * - Format detection, file download and the Mission File modal
+ *
+ * Every parser returns the same mission shape:
+ *   { waypoints: [{ name, lat, lng, alt }], home: { lat, lng, alt } | null,
+ *     settings: { maxSpeed, maxAltitude, returnToHome } (only keys found) }
+ */
+
+const missionIoLog = window.createLogger('mission-io');
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeMissionFileControls();
+});
+
+// ================== MAVLINK CONSTANTS ==================
+
+const MAV_CMD = {
+    NAV_WAYPOINT: 16,
+    NAV_RETURN_TO_LAUNCH: 20,
+    NAV_LAND: 21,
+    DO_CHANGE_SPEED: 178
+};
+
+const MAV_FRAME = {
+    GLOBAL: 0,
+    GLOBAL_RELATIVE_ALT: 3
+};
+
+const MISSION_FORMATS = {
+    plan: { label: 'QGroundControl (.plan)', extension: 'plan', mimeType: 'application/json' },
+    wpl: { label: 'MAVLink QGC WPL 110 (.waypoints)', extension: 'waypoints', mimeType: 'text/plain' },
+    kml: { label: 'KML (.kml)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    gpx: { label: 'GPX route (.gpx)', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    json: { label: 'Station mission JSON (.json)', extension: 'json', mimeType: 'application/json' }
+};
+
+// ================== CURRENT MISSION SNAPSHOT ==================
+
+function getCurrentMission() {
+    return {
+        waypoints: window.waypoints.map(wp => ({ name: wp.name, lat: wp.lat, lng: wp.lng, alt: wp.alt })),
+        home: { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng, alt: 0 },
+        settings: {
+            maxSpeed: window.missionSettings.maxSpeed,
+            maxAltitude: window.missionSettings.maxAltitude,
+            returnToHome: window.missionSettings.returnToHome
+        }
+    };
+}
+
+function metersPerSecondToKmh(speed) {
+    return Math.round(speed * 36) / 10;
+}
+
+function isValidCoordinate(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' &&
+        !isNaN(lat) && !isNaN(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// ================== QGROUNDCONTROL .PLAN ==================
+
+function exportPlan(mission) {
+    const items = mission.waypoints.map((wp, index) => ({
+        type: 'SimpleItem',
+        autoContinue: true,
+        command: MAV_CMD.NAV_WAYPOINT,
+        doJumpId: index + 1,
+        frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+        params: [0, 0, 0, null, wp.lat, wp.lng, wp.alt],
+        Altitude: wp.alt,
+        AltitudeMode: 1,
+        AMSLAltAboveTerrain: null
+    }));
+
+    items.push({
+        type: 'SimpleItem',
+        autoContinue: true,
+        command: mission.settings.returnToHome ? MAV_CMD.NAV_RETURN_TO_LAUNCH : MAV_CMD.NAV_LAND,
+        doJumpId: items.length + 1,
+        frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+        params: [0, 0, 0, null, 0, 0, 0],
+        Altitude: 0,
+        AltitudeMode: 1,
+        AMSLAltAboveTerrain: null
+    });
+
+    const speedMs = mission.settings.maxSpeed / 3.6;
+
+    return JSON.stringify({
+        fileType: 'Plan',
+        version: 1,
+        groundStation: 'Drone Telemetry Control Station',
+        mission: {
+            version: 2,
+            firmwareType: 12,
+            vehicleType: 2,
+            cruiseSpeed: speedMs,
+            hoverSpeed: speedMs,
+            globalPlanAltitudeMode: 1,
+            plannedHomePosition: [mission.home.lat, mission.home.lng, mission.home.alt || 0],
+            items: items,
+            maxAltitude: mission.settings.maxAltitude
+        },
+        geoFence: { version: 2, polygons: [], circles: [] },
+        rallyPoints: { version: 2, points: [] }
+    }, null, 2);
+}
+
+function parsePlan(data) {
+    if (!data.mission || !Array.isArray(data.mission.items)) {
+        throw new Error('Plan file has no mission items');
+    }
+
+    const mission = { waypoints: [], home: null, settings: {} };
+    const home = data.mission.plannedHomePosition;
+    if (Array.isArray(home) && isValidCoordinate(home[0], home[1])) {
+        mission.home = { lat: home[0], lng: home[1], alt: home[2] || 0 };
+    }
+
+    const speed = data.mission.hoverSpeed || data.mission.cruiseSpeed;
+    if (speed) {
+        mission.settings.maxSpeed = metersPerSecondToKmh(speed);
+    }
+    if (typeof data.mission.maxAltitude === 'number') {
+        mission.settings.maxAltitude = data.mission.maxAltitude;
+    }
+
+    let skippedComplex = 0;
+
+    data.mission.items.forEach(item => {
+        if (item.type !== 'SimpleItem') {
+            skippedComplex++;
+            return;
+        }
+
+        const params = item.params || [];
+        switch (item.command) {
+            case MAV_CMD.NAV_WAYPOINT:
+                if (isValidCoordinate(params[4], params[5])) {
+                    mission.waypoints.push({ lat: params[4], lng: params[5], alt: params[6] || 0 });
+                }
+                break;
+            case MAV_CMD.NAV_RETURN_TO_LAUNCH:
+                mission.settings.returnToHome = true;
+                break;
+            case MAV_CMD.NAV_LAND:
+                mission.settings.returnToHome = false;
+                break;
+            case MAV_CMD.DO_CHANGE_SPEED:
+                if (params[1] > 0) mission.settings.maxSpeed = metersPerSecondToKmh(params[1]);
+                break;
+        }
+    });
+
+    if (skippedComplex > 0) {
+        missionIoLog(`Skipped ${skippedComplex} complex plan item(s) (surveys/structure scans)`, window.LOG_LEVEL.WARNING);
+    }
+
+    return mission;
+}
+
+// ================== QGC WPL 110 ==================
+
+function exportWpl(mission) {
+    const lines = ['QGC WPL 110'];
+    const row = (index, current, frame, command, p1, p2, p3, p4, x, y, z) =>
+        [index, current, frame, command, p1, p2, p3, p4, x, y, z, 1].join('\t');
+
+    lines.push(row(0, 1, MAV_FRAME.GLOBAL, MAV_CMD.NAV_WAYPOINT, 0, 0, 0, 0,
+        mission.home.lat.toFixed(8), mission.home.lng.toFixed(8), (mission.home.alt || 0).toFixed(2)));
+    lines.push(row(1, 0, MAV_FRAME.GLOBAL_RELATIVE_ALT, MAV_CMD.DO_CHANGE_SPEED, 1,
+        (mission.settings.maxSpeed / 3.6).toFixed(2), -1, 0, 0, 0, 0));
+
+    mission.waypoints.forEach((wp, i) => {
+        lines.push(row(i + 2, 0, MAV_FRAME.GLOBAL_RELATIVE_ALT, MAV_CMD.NAV_WAYPOINT, 0, 0, 0, 0,
+            wp.lat.toFixed(8), wp.lng.toFixed(8), wp.alt.toFixed(2)));
+    });
+
+    const endCommand = mission.settings.returnToHome ? MAV_CMD.NAV_RETURN_TO_LAUNCH : MAV_CMD.NAV_LAND;
+    lines.push(row(mission.waypoints.length + 2, 0, MAV_FRAME.GLOBAL_RELATIVE_ALT, endCommand, 0, 0, 0, 0, 0, 0, 0));
+
+    return lines.join('\n') + '\n';
+}
+
+function parseWpl(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (!/^QGC WPL 1[12]0/.test(lines[0])) {
+        throw new Error('Missing "QGC WPL 110" header');
+    }
+
+    const mission = { waypoints: [], home: null, settings: {} };
+
+    lines.slice(1).forEach(line => {
+        const fields = line.split(/\s+/).map(Number);
+        if (fields.length < 12 || fields.some(isNaN)) return;
+
+        const [index, , , command, , p2, , , x, y, z] = fields;
+
+        // Item 0 is the home position by QGC convention
+        if (index === 0) {
+            if (isValidCoordinate(x, y)) mission.home = { lat: x, lng: y, alt: z };
+            return;
+        }
+
+        switch (command) {
+            case MAV_CMD.NAV_WAYPOINT:
+                if (isValidCoordinate(x, y)) mission.waypoints.push({ lat: x, lng: y, alt: z });
+                break;
+            case MAV_CMD.NAV_RETURN_TO_LAUNCH:
+                mission.settings.returnToHome = true;
+                break;
+            case MAV_CMD.NAV_LAND:
+                mission.settings.returnToHome = false;
+                break;
+            case MAV_CMD.DO_CHANGE_SPEED:
+                if (p2 > 0) mission.settings.maxSpeed = metersPerSecondToKmh(p2);
+                break;
+        }
+    });
+
+    return mission;
+}
+
+// ================== KML ==================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function exportKml(mission) {
+    const point = (name, lat, lng, alt) => `
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <Point>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>${lng},${lat},${alt}</coordinates>
+      </Point>
+    </Placemark>`;
+
+    const homeCoordinate = `${mission.home.lng},${mission.home.lat},0`;
+    const route = [homeCoordinate, ...mission.waypoints.map(wp => `${wp.lng},${wp.lat},${wp.alt}`)];
+    if (mission.settings.returnToHome) {
+        route.push(homeCoordinate);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Mission</name>
+    <ExtendedData>
+      <Data name="maxSpeed"><value>${mission.settings.maxSpeed}</value></Data>
+      <Data name="maxAltitude"><value>${mission.settings.maxAltitude}</value></Data>
+      <Data name="returnToHome"><value>${mission.settings.returnToHome}</value></Data>
+    </ExtendedData>${point('Home', mission.home.lat, mission.home.lng, 0)}${mission.waypoints.map(wp => point(wp.name, wp.lat, wp.lng, wp.alt)).join('')}
+    <Placemark>
+      <name>Route</name>
+      <LineString>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>${route.join(' ')}</coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/).map(tuple => {
+        const [lng, lat, alt] = tuple.split(',').map(Number);
+        return { lat: lat, lng: lng, alt: isNaN(alt) ? 0 : alt };
+    }).filter(coord => isValidCoordinate(coord.lat, coord.lng));
+}
+
+function readExtendedData(root) {
+    const values = {};
+    Array.from(root.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+        const value = data.getElementsByTagNameNS('*', 'value')[0];
+        if (value) values[data.getAttribute('name')] = value.textContent.trim();
+    });
+    return values;
+}
+
+function parseKml(doc) {
+    const mission = { waypoints: [], home: null, settings: {} };
+    let lineString = null;
+
+    Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+        const nameElement = placemark.getElementsByTagNameNS('*', 'name')[0];
+        const name = nameElement ? nameElement.textContent.trim() : '';
+        const pointElement = placemark.getElementsByTagNameNS('*', 'Point')[0];
+        const lineElement = placemark.getElementsByTagNameNS('*', 'LineString')[0];
+
+        if (pointElement) {
+            const coordinates = pointElement.getElementsByTagNameNS('*', 'coordinates')[0];
+            const coord = coordinates ? parseKmlCoordinates(coordinates.textContent)[0] : null;
+            if (!coord) return;
+
+            if (/^home$/i.test(name)) {
+                mission.home = coord;
+            } else {
+                mission.waypoints.push({ name: name, ...coord });
+            }
+        } else if (lineElement && !lineString) {
+            const coordinates = lineElement.getElementsByTagNameNS('*', 'coordinates')[0];
+            lineString = coordinates ? parseKmlCoordinates(coordinates.textContent) : null;
+        }
+    });
+
+    // Routes drawn in Google Earth usually come as a bare LineString
+    if (mission.waypoints.length === 0 && lineString) {
+        mission.waypoints = lineString;
+    }
+
+    const extended = readExtendedData(doc);
+    if (extended.maxSpeed) mission.settings.maxSpeed = parseFloat(extended.maxSpeed);
+    if (extended.maxAltitude) mission.settings.maxAltitude = parseFloat(extended.maxAltitude);
+    if (extended.returnToHome) mission.settings.returnToHome = extended.returnToHome === 'true';
+
+    return mission;
+}
+
+// ================== GPX ==================
+
+function exportGpx(mission) {
+    const routePoints = mission.waypoints.map(wp => `
+    <rtept lat="${wp.lat}" lon="${wp.lng}">
+      <ele>${wp.alt}</ele>
+      <name>${escapeXml(wp.name)}</name>
+    </rtept>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Drone Telemetry Control Station" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gcs="urn:drone-telemetry:mission">
+  <metadata>
+    <name>Mission</name>
+    <extensions>
+      <gcs:maxSpeed>${mission.settings.maxSpeed}</gcs:maxSpeed>
+      <gcs:maxAltitude>${mission.settings.maxAltitude}</gcs:maxAltitude>
+      <gcs:returnToHome>${mission.settings.returnToHome}</gcs:returnToHome>
+    </extensions>
+  </metadata>
+  <wpt lat="${mission.home.lat}" lon="${mission.home.lng}">
+    <ele>0</ele>
+    <name>Home</name>
+  </wpt>
+  <rte>
+    <name>Mission</name>${routePoints}
+  </rte>
+</gpx>
+`;
+}
+
+function readGpxPoint(element) {
+    const lat = parseFloat(element.getAttribute('lat'));
+    const lng = parseFloat(element.getAttribute('lon'));
+    if (!isValidCoordinate(lat, lng)) return null;
+
+    const ele = element.getElementsByTagNameNS('*', 'ele')[0];
+    const name = element.getElementsByTagNameNS('*', 'name')[0];
+    return {
+        name: name ? name.textContent.trim() : '',
+        lat: lat,
+        lng: lng,
+        alt: ele ? parseFloat(ele.textContent) || 0 : 0
+    };
+}
+
+function parseGpx(doc) {
+    const mission = { waypoints: [], home: null, settings: {} };
+    const points = tagName => Array.from(doc.getElementsByTagNameNS('*', tagName)).map(readGpxPoint).filter(Boolean);
+
+    const standalone = points('wpt');
+    const home = standalone.find(point => /^home$/i.test(point.name));
+    if (home) {
+        mission.home = { lat: home.lat, lng: home.lng, alt: home.alt };
+    }
+
+    // Routes first, then tracks, then loose waypoints
+    mission.waypoints = points('rtept');
+    if (mission.waypoints.length === 0) mission.waypoints = points('trkpt');
+    if (mission.waypoints.length === 0) mission.waypoints = standalone.filter(point => point !== home);
+
+    const setting = name => {
+        const element = doc.getElementsByTagNameNS('*', name)[0];
+        return element ? element.textContent.trim() : null;
+    };
+    if (setting('maxSpeed')) mission.settings.maxSpeed = parseFloat(setting('maxSpeed'));
+    if (setting('maxAltitude')) mission.settings.maxAltitude = parseFloat(setting('maxAltitude'));
+    if (setting('returnToHome')) mission.settings.returnToHome = setting('returnToHome') === 'true';
+
+    return mission;
+}
+
+// ================== STATION MISSION JSON ==================
+
+function exportStationJson(mission) {
+    const now = new Date();
+    return JSON.stringify({
+        status: 'planned',
+        waypoints: mission.waypoints.map(wp => ({
+            name: wp.name,
+            latitude: wp.lat,
+            longitude: wp.lng,
+            altitude: wp.alt
+        })),
+        current_waypoint: 0,
+        max_speed: mission.settings.maxSpeed,
+        max_altitude: mission.settings.maxAltitude,
+        return_to_home: mission.settings.returnToHome,
+        total_waypoints: mission.waypoints.length,
+        home: {
+            latitude: mission.home.lat,
+            longitude: mission.home.lng
+        },
+        created_at: now.toISOString().replace('T', ' ').substring(0, 19),
+        timestamp: Math.floor(now.getTime() / 1000)
+    }, null, 4);
+}
+
+function parseStationJson(data) {
+    const mission = { waypoints: [], home: null, settings: {} };
+
+    mission.waypoints = data.waypoints
+        .map(wp => ({ name: wp.name || '', lat: wp.latitude, lng: wp.longitude, alt: wp.altitude || 0 }))
+        .filter(wp => isValidCoordinate(wp.lat, wp.lng));
+
+    if (data.home && isValidCoordinate(data.home.latitude, data.home.longitude)) {
+        mission.home = { lat: data.home.latitude, lng: data.home.longitude, alt: 0 };
+    }
+    if (typeof data.max_speed === 'number') mission.settings.maxSpeed = data.max_speed;
+    if (typeof data.max_altitude === 'number') mission.settings.maxAltitude = data.max_altitude;
+    if (typeof data.return_to_home === 'boolean') mission.settings.returnToHome = data.return_to_home;
+
+    return mission;
+}
+
+// ================== FORMAT DETECTION ==================
+
+function parseMissionFile(text) {
+    const trimmed = text.trim();
+
+    if (/^QGC WPL/.test(trimmed)) {
+        return { format: 'wpl', mission: parseWpl(trimmed) };
+    }
+
+    if (trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        if (data.fileType === 'Plan') {
+            return { format: 'plan', mission: parsePlan(data) };
+        }
+        if (Array.isArray(data.waypoints)) {
+            return { format: 'json', mission: parseStationJson(data) };
+        }
+        throw new Error('Unrecognised JSON mission file');
+    }
+
+    if (trimmed.startsWith('<')) {
+        const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML');
+        }
+
+        const rootName = doc.documentElement.localName.toLowerCase();
+        if (rootName === 'kml') return { format: 'kml', mission: parseKml(doc) };
+        if (rootName === 'gpx') return { format: 'gpx', mission: parseGpx(doc) };
+        throw new Error(`Unsupported XML document <${rootName}>`);
+    }
+
+    throw new Error('Unrecognised mission file format');
+}
+
+function serializeMission(format, mission) {
+    switch (format) {
+        case 'plan': return exportPlan(mission);
+        case 'wpl': return exportWpl(mission);
+        case 'kml': return exportKml(mission);
+        case 'gpx': return exportGpx(mission);
+        case 'json': return exportStationJson(mission);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+window.parseMissionFile = parseMissionFile;
+window.serializeMission = serializeMission;
+window.getCurrentMission = getCurrentMission;
+
+// ================== APPLY IMPORTED MISSION ==================
+
+function applyImportedMission(mission, format) {
+    if (mission.waypoints.length === 0) {
+        throw new Error('File contains no waypoints');
+    }
+
+    if (window.waypoints.length > 0) {
+        const confirmed = confirm(`Replace the current ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''} with the imported mission?`);
+        if (!confirmed) return false;
+    }
+
+    if (mission.home) {
+        window.setHomePosition(mission.home.lat, mission.home.lng, 'import');
+    }
+
+    const replaceMission = () => {
+        if (Object.keys(mission.settings).length > 0) {
+            window.applyMissionSettings(mission.settings);
+        }
+
+        window.clearAllWaypoints(true);
+        mission.waypoints.forEach(wp => {
+            window.addWaypoint(wp.lat, wp.lng, wp.alt, wp.name);
+        });
+    };
+
+    if (window.runAsSingleEdit) {
+        window.runAsSingleEdit(`Import ${MISSION_FORMATS[format].label}`, replaceMission);
+    } else {
+        replaceMission();
+    }
+
+    const bounds = L.latLngBounds(mission.waypoints.map(wp => [wp.lat, wp.lng]));
+    if (mission.home) {
+        bounds.extend([mission.home.lat, mission.home.lng]);
+    }
+    window.map.fitBounds(bounds, { padding: [40, 40] });
+
+    missionIoLog(`Imported ${mission.waypoints.length} waypoints from ${MISSION_FORMATS[format].label}`, window.LOG_LEVEL.INFO);
+    return true;
+}
+
+// ================== FILE HANDLING ==================
+
+function downloadTextFile(filename, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+window.downloadTextFile = downloadTextFile;
+
+function exportMission(format) {
+    if (!window.waypoints || window.waypoints.length === 0) {
+        missionIoLog('Cannot export mission: No waypoints added', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    const definition = MISSION_FORMATS[format];
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').substring(0, 13).replace('T', '-');
+    const text = serializeMission(format, getCurrentMission());
+
+    downloadTextFile(`mission-${stamp}.${definition.extension}`, text, definition.mimeType);
+    missionIoLog(`Mission exported as ${definition.label}`, window.LOG_LEVEL.INFO);
+}
+
+function importMissionFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = function() {
+        try {
+            const { format, mission } = parseMissionFile(reader.result);
+            if (applyImportedMission(mission, format)) {
+                window.hideModal(document.getElementById('missionFileModal'));
+            }
+        } catch (error) {
+            missionIoLog(`Mission import failed (${file.name}): ${error.message}`, window.LOG_LEVEL.ERROR);
+            if (window.showNotification) {
+                window.showNotification(`Import failed: ${error.message}`, 'error');
+            }
+        }
+    };
+
+    reader.onerror = function() {
+        missionIoLog(`Cannot read ${file.name}`, window.LOG_LEVEL.ERROR);
+    };
+
+    reader.readAsText(file);
+}
+
+// ================== MISSION FILE MODAL ==================
+
+function initializeMissionFileControls() {
+    const openBtn = document.getElementById('openMissionFile');
+    const missionFileModal = document.getElementById('missionFileModal');
+    if (!openBtn || !missionFileModal) return;
+
+    openBtn.addEventListener('click', function() {
+        window.showModal(missionFileModal);
+    });
+
+    const closeBtn = document.getElementById('missionFileModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(missionFileModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === missionFileModal) {
+            window.hideModal(missionFileModal);
+        }
+    });
+
+    const fileInput = document.getElementById('missionFileInput');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (this.files.length > 0) {
+                importMissionFile(this.files[0]);
+            }
+            this.value = '';
+        });
+    }
+
+    const formatSelect = document.getElementById('missionExportFormat');
+    if (formatSelect) {
+        formatSelect.innerHTML = Object.keys(MISSION_FORMATS)
+            .map(format => `<option value="${format}">${MISSION_FORMATS[format].label}</option>`)
+            .join('');
+    }
+
+    const exportBtn = document.getElementById('missionExport');
+    if (exportBtn && formatSelect) {
+        exportBtn.addEventListener('click', function() {
+            exportMission(formatSelect.value);
+        });
+    }
+}
@@ -0,0 +1,419 @@
+/**
+ * mission-upload.js - Chunked Mission Upload and Read-back
+ *
+ * Handles:
+ * - Loading missions that fit one line with a single mission_load command
+ * - Splitting larger missions into mission_begin / mission_item / mission_end,
+ *   with an acknowledgement per item and a resend of the items the vehicle reports missing
+ * - Upload and read-back progress in the Mission Control panel
+ * - Reading the stored mission back from the vehicle item by item
+ * - Diffing the read-back mission against the plan and showing the differences
+ *
+ * Uploads only load the mission. It is read back and checked against what
+ * was sent, and mission_start is sent only when the vehicle holds the plan.
+ */
+
+const missionUploadLog = window.createLogger('mission-upload');
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeMissionUploadControls();
+});
+
+// ================== UPLOAD SETTINGS ==================
+
+// Room left for the seq field the command tracker adds
+const MISSION_SINGLE_MESSAGE_MARGIN = 64;  // bytes
+
+// mission_end passes: the first sends every item, later ones only the missing
+const MISSION_UPLOAD_MAX_PASSES = 3;
+
+// The firmware stores coordinates as 32-bit floats, which are only good
+// to about a metre at large longitudes
+const MISSION_POSITION_TOLERANCE = 1;     // m
+const MISSION_ALTITUDE_TOLERANCE = 0.1;   // m
+const MISSION_SPEED_TOLERANCE = 0.01;     // km/h
+
+let missionTransferActive = false;
+
+function isMissionTransferActive() {
+    return missionTransferActive;
+}
+
+window.isMissionTransferActive = isMissionTransferActive;
+
+// ================== MISSION UPLOAD ==================
+
+// Resolves true once the vehicle has loaded the mission, it has been
+// verified and the vehicle has started it
+async function uploadMission(missionCommand) {
+    if (missionTransferActive) {
+        missionUploadLog('Mission transfer already in progress', window.LOG_LEVEL.WARNING);
+        return false;
+    }
+
+    const loadCommand = { ...missionCommand, action: 'mission_load' };
+    const size = JSON.stringify(loadCommand).length;
+    let loaded = false;
+
+    if (size + MISSION_SINGLE_MESSAGE_MARGIN <= window.MAX_COMMAND_BYTES) {
+        loaded = await window.sendCommand(loadCommand);
+    } else {
+        missionUploadLog(`Mission is ${size} bytes - uploading ${missionCommand.waypoints.length} waypoints in chunks`, window.LOG_LEVEL.INFO);
+
+        missionTransferActive = true;
+        try {
+            loaded = await uploadMissionInChunks(missionCommand);
+        } finally {
+            missionTransferActive = false;
+            renderTransferProgress(null);
+        }
+    }
+    if (!loaded) return false;
+
+    if (!await verifyUploadedMission(missionCommand)) {
+        missionUploadLog('Mission loaded but not started: read-back did not confirm the plan', window.LOG_LEVEL.ERROR);
+        return false;
+    }
+
+    return window.sendCommand({ action: 'mission_start' });
+}
+
+window.uploadMission = uploadMission;
+
+function failUpload(message) {
+    missionUploadLog(`Mission upload failed: ${message}`, window.LOG_LEVEL.ERROR);
+    if (window.showNotification) {
+        window.showNotification(`Mission upload failed: ${message}`, 'error', 6000);
+    }
+    return false;
+}
+
+async function uploadMissionInChunks(missionCommand) {
+    const waypoints = missionCommand.waypoints;
+    const total = waypoints.length;
+
+    renderTransferProgress('Preparing upload', 0, total);
+    const header = await window.sendTrackedRequest({
+        action: 'mission_begin',
+        total_waypoints: total,
+        created_at: missionCommand.created_at,
+        max_speed: missionCommand.max_speed,
+        max_altitude: missionCommand.max_altitude,
+        return_to_home: missionCommand.return_to_home
+    });
+
+    if (!header) return failUpload('no answer to mission_begin');
+    if (header.status !== 'ready') {
+        const limit = header.max_waypoints ? ` (vehicle holds at most ${header.max_waypoints})` : '';
+        return failUpload(`vehicle rejected the mission: ${header.reason || header.status}${limit}`);
+    }
+
+    let pending = waypoints.map((wp, index) => index);
+
+    for (let pass = 1; pass <= MISSION_UPLOAD_MAX_PASSES; pass++) {
+        let sent = 0;
+
+        for (const index of pending) {
+            if (!window.isConnected) return failUpload('connection lost');
+
+            const wp = waypoints[index];
+            const ack = await window.sendTrackedRequest({
+                action: 'mission_item',
+                index: index,
+                name: wp.name,
+                latitude: wp.latitude,
+                longitude: wp.longitude,
+                altitude: wp.altitude
+            });
+
+            // A lost item is left for mission_end to report; a rejected one means
+            // the vehicle dropped the upload and resending cannot help
+            if (ack && ack.status !== 'ok') {
+                return failUpload(`waypoint ${index + 1} rejected (${ack.reason || ack.status})`);
+            }
+
+            sent++;
+            renderTransferProgress(pass === 1 ? 'Uploading' : `Resending (pass ${pass})`,
+                total - pending.length + sent, total);
+        }
+
+        const result = await window.sendTrackedRequest({ action: 'mission_end' });
+        if (!result) return failUpload('no answer to mission_end');
+
+        if (result.type === 'mission_confirmation') {
+            missionUploadLog(`Mission uploaded in ${pass} pass${pass > 1 ? 'es' : ''}`, window.LOG_LEVEL.INFO);
+            return true;
+        }
+        if (result.status !== 'incomplete' || !Array.isArray(result.missing)) {
+            return failUpload(`vehicle rejected the mission: ${result.reason || result.status}`);
+        }
+
+        pending = result.missing.filter(index => index >= 0 && index < total);
+        missionUploadLog(`Vehicle is missing ${pending.length} waypoint${pending.length !== 1 ? 's' : ''} - resending`, window.LOG_LEVEL.WARNING);
+    }
+
+    return failUpload(`waypoints still missing after ${MISSION_UPLOAD_MAX_PASSES} passes`);
+}
+
+// ================== MISSION READ-BACK ==================
+
+// Resolves { missionId, missionState, settings, waypoints } or null
+async function readBackMission() {
+    const info = await window.sendTrackedRequest({ action: 'mission_request' });
+    if (!info) {
+        missionUploadLog('Read-back failed: no answer to mission_request', window.LOG_LEVEL.ERROR);
+        return null;
+    }
+
+    const total = info.total_waypoints || 0;
+    const waypoints = [];
+
+    for (let index = 0; index < total; index++) {
+        if (!window.isConnected) {
+            missionUploadLog('Read-back failed: connection lost', window.LOG_LEVEL.ERROR);
+            return null;
+        }
+
+        const item = await window.sendTrackedRequest({ action: 'mission_item_request', index: index });
+        if (!item || item.error) {
+            missionUploadLog(`Read-back failed at waypoint ${index + 1}${item ? ` (${item.error})` : ''}`, window.LOG_LEVEL.ERROR);
+            return null;
+        }
+
+        waypoints.push({ name: item.name, lat: item.latitude, lng: item.longitude, alt: item.altitude });
+        renderTransferProgress('Reading back', index + 1, total);
+    }
+
+    return {
+        missionId: info.mission_id || null,
+        missionState: info.mission_state,
+        settings: {
+            maxSpeed: info.max_speed,
+            maxAltitude: info.max_altitude,
+            returnToHome: info.return_to_home
+        },
+        waypoints: waypoints
+    };
+}
+
+window.readBackMission = readBackMission;
+
+// Same shape as a read-back, built from a start_mission command
+function getPlannedMission(missionCommand) {
+    return {
+        settings: {
+            maxSpeed: missionCommand.max_speed,
+            maxAltitude: missionCommand.max_altitude,
+            returnToHome: missionCommand.return_to_home
+        },
+        waypoints: missionCommand.waypoints.map(wp => ({
+            name: wp.name,
+            lat: wp.latitude,
+            lng: wp.longitude,
+            alt: wp.altitude
+        }))
+    };
+}
+
+// ================== MISSION DIFF ==================
+
+// Returns { matches, settings: [...], waypoints: [...] }; every waypoint row
+// has a status of match, changed, missing (planned only) or extra (vehicle only)
+function diffMission(planned, vehicle) {
+    const settings = [];
+    const compareSetting = (label, plannedValue, vehicleValue, equal) => {
+        if (!equal(plannedValue, vehicleValue)) {
+            settings.push({ label: label, planned: plannedValue, vehicle: vehicleValue });
+        }
+    };
+
+    compareSetting('Max speed', planned.settings.maxSpeed, vehicle.settings.maxSpeed,
+        (a, b) => Math.abs(a - b) <= MISSION_SPEED_TOLERANCE);
+    compareSetting('Max altitude', planned.settings.maxAltitude, vehicle.settings.maxAltitude,
+        (a, b) => Math.abs(a - b) <= MISSION_ALTITUDE_TOLERANCE);
+    compareSetting('Return to home', planned.settings.returnToHome, vehicle.settings.returnToHome,
+        (a, b) => !!a === !!b);
+
+    const waypoints = [];
+    const count = Math.max(planned.waypoints.length, vehicle.waypoints.length);
+
+    for (let index = 0; index < count; index++) {
+        const plannedWp = planned.waypoints[index];
+        const vehicleWp = vehicle.waypoints[index];
+
+        if (!vehicleWp) {
+            waypoints.push({ index: index, status: 'missing', planned: plannedWp, vehicle: null, differences: [] });
+            continue;
+        }
+        if (!plannedWp) {
+            waypoints.push({ index: index, status: 'extra', planned: null, vehicle: vehicleWp, differences: [] });
+            continue;
+        }
+
+        const differences = [];
+        const offset = window.calculateDistance(plannedWp.lat, plannedWp.lng, vehicleWp.lat, vehicleWp.lng);
+        if (!(offset <= MISSION_POSITION_TOLERANCE)) {
+            differences.push(`position off by ${window.formatRouteDistance(offset)}`);
+        }
+        if (!(Math.abs(plannedWp.alt - vehicleWp.alt) <= MISSION_ALTITUDE_TOLERANCE)) {
+            differences.push(`altitude ${Number(plannedWp.alt).toFixed(1)} m → ${Number(vehicleWp.alt).toFixed(1)} m`);
+        }
+        if (plannedWp.name !== vehicleWp.name) {
+            differences.push(`name "${plannedWp.name}" → "${vehicleWp.name}"`);
+        }
+
+        waypoints.push({
+            index: index,
+            status: differences.length > 0 ? 'changed' : 'match',
+            planned: plannedWp,
+            vehicle: vehicleWp,
+            differences: differences
+        });
+    }
+
+    return {
+        matches: settings.length === 0 && waypoints.every(row => row.status === 'match'),
+        settings: settings,
+        waypoints: waypoints
+    };
+}
+
+window.diffMission = diffMission;
+
+async function verifyUploadedMission(missionCommand) {
+    missionTransferActive = true;
+    let vehicle;
+    try {
+        vehicle = await readBackMission();
+    } finally {
+        missionTransferActive = false;
+        renderTransferProgress(null);
+    }
+    if (!vehicle) return false;
+
+    const diff = diffMission(getPlannedMission(missionCommand), vehicle);
+    if (diff.matches) {
+        missionUploadLog(`Read-back verified: vehicle holds the planned ${vehicle.waypoints.length} waypoints`, window.LOG_LEVEL.INFO);
+        return true;
+    }
+
+    missionUploadLog('Read-back differs from the planned mission', window.LOG_LEVEL.ERROR);
+    if (window.showNotification) {
+        window.showNotification('Mission on the vehicle differs from the plan - see the read-back report', 'error', 8000);
+    }
+    showMissionDiff(diff, vehicle);
+    return false;
+}
+
+// ================== TRANSFER PROGRESS ==================
+
+// label null hides the progress row
+function renderTransferProgress(label, done, total) {
+    const panel = document.getElementById('missionUpload');
+    if (!panel) return;
+
+    panel.classList.toggle('active', label !== null);
+    if (label === null) return;
+
+    const text = document.getElementById('missionUploadLabel');
+    if (text) {
+        text.textContent = total > 0 ? `${label} ${done}/${total}` : label;
+    }
+
+    const bar = document.getElementById('missionUploadBar');
+    if (bar) {
+        bar.style.width = total > 0 ? `${(done / total * 100).toFixed(1)}%` : '0%';
+    }
+}
+
+// ================== READ-BACK DIALOG ==================
+
+function escapeDiffText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatDiffWaypoint(wp) {
+    if (!wp) return '—';
+    return `${escapeDiffText(wp.name)}<br><small>${Number(wp.lat).toFixed(6)}, ${Number(wp.lng).toFixed(6)} · ${Number(wp.alt).toFixed(1)} m</small>`;
+}
+
+function showMissionDiff(diff, vehicle) {
+    const modal = document.getElementById('missionDiffModal');
+    const content = document.getElementById('missionDiffContent');
+    if (!modal || !content) return;
+
+    const changed = diff.waypoints.filter(row => row.status !== 'match').length;
+    const summary = diff.matches
+        ? '<div class="mission-diff-summary mission-diff-match"><i class="fas fa-check-circle"></i> Vehicle mission matches the plan</div>'
+        : `<div class="mission-diff-summary mission-diff-mismatch"><i class="fas fa-exclamation-circle"></i> ${changed} waypoint${changed !== 1 ? 's' : ''} and ${diff.settings.length} setting${diff.settings.length !== 1 ? 's' : ''} differ</div>`;
+
+    const missionLine = `<div class="mission-diff-meta">Vehicle mission ${escapeDiffText(vehicle.missionId || 'none')} · ${vehicle.waypoints.length} waypoint${vehicle.waypoints.length !== 1 ? 's' : ''}</div>`;
+
+    const settingRows = diff.settings.map(row =>
+        `<tr class="mission-diff-changed"><td>${escapeDiffText(row.label)}</td><td>${escapeDiffText(row.planned)}</td><td>${escapeDiffText(row.vehicle)}</td><td></td></tr>`
+    ).join('');
+
+    const waypointRows = diff.waypoints.map(row => {
+        const note = row.status === 'missing' ? 'not on vehicle'
+            : row.status === 'extra' ? 'not in plan'
+            : row.differences.map(escapeDiffText).join('<br>');
+        return `<tr class="mission-diff-${row.status}"><td>#${row.index + 1}</td><td>${formatDiffWaypoint(row.planned)}</td><td>${formatDiffWaypoint(row.vehicle)}</td><td>${note}</td></tr>`;
+    }).join('');
+
+    content.innerHTML = `${summary}${missionLine}
+        <table class="mission-diff-table">
+            <thead><tr><th></th><th>Planned</th><th>Vehicle</th><th>Difference</th></tr></thead>
+            <tbody>${settingRows}${waypointRows}</tbody>
+        </table>`;
+
+    window.showModal(modal);
+}
+
+// ================== UPLOAD CONTROLS ==================
+
+function initializeMissionUploadControls() {
+    const readBackBtn = document.getElementById('readBackMission');
+    const diffModal = document.getElementById('missionDiffModal');
+    if (!readBackBtn || !diffModal) return;
+
+    readBackBtn.addEventListener('click', async function() {
+        if (!window.isConnected) {
+            missionUploadLog('Device not connected - cannot read back mission', window.LOG_LEVEL.WARNING);
+            return;
+        }
+        if (missionTransferActive) {
+            missionUploadLog('Mission transfer already in progress', window.LOG_LEVEL.WARNING);
+            return;
+        }
+
+        missionTransferActive = true;
+        readBackBtn.disabled = true;
+        let vehicle;
+        try {
+            vehicle = await readBackMission();
+        } finally {
+            missionTransferActive = false;
+            readBackBtn.disabled = false;
+            renderTransferProgress(null);
+        }
+        if (!vehicle) return;
+
+        const diff = diffMission(getPlannedMission(window.buildMissionCommand()), vehicle);
+        missionUploadLog(`Read back ${vehicle.waypoints.length} waypoints: ${diff.matches ? 'matches the plan' : 'differs from the plan'}`,
+            diff.matches ? window.LOG_LEVEL.INFO : window.LOG_LEVEL.WARNING);
+        showMissionDiff(diff, vehicle);
+    });
+
+    const closeBtn = document.getElementById('missionDiffModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(diffModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === diffModal) {
+            window.hideModal(diffModal);
+        }
+    });
+}
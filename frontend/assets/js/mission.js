@@ -2,7 +2,7 @@
  * mission.js - Mission and Waypoint Management
  * 
  * Handles:
- * - Waypoint list display and updates
+ * - Waypoint list display, inline editing and drag-to-reorder
  * - Mission start/stop logic
  * - Return to home (RTH) functionality
  * - Flight time calculation and ETA
@@ -10,6 +10,8 @@
  * - Flight path analysis modal
  */
 
+const missionLog = window.createLogger('mission');
+
 document.addEventListener('DOMContentLoaded', function() {
     initializeWaypointsList();
     initializeWaypointButtons();
@@ -59,18 +61,30 @@ function updateWaypointsList() {
     window.waypoints.forEach((wp, index) => {
         const waypointItem = document.createElement('div');
         waypointItem.className = 'waypoint-item';
+        waypointItem.setAttribute('data-waypoint-index', index);
+        
+        const dragHandle = document.createElement('div');
+        dragHandle.className = 'waypoint-drag-handle';
+        dragHandle.setAttribute('title', 'Drag to reorder');
+        dragHandle.innerHTML = '<i class="fas fa-grip-vertical"></i>';
         
         const waypointNumber = document.createElement('div');
         waypointNumber.className = 'waypoint-number';
         waypointNumber.textContent = index + 1;
+        waypointNumber.setAttribute('title', 'Show on map');
+        
+        const nameInput = createWaypointInput(index, 'name', wp.name, 'text', 'Name');
+        nameInput.classList.add('waypoint-name-input');
         
         const waypointCoords = document.createElement('div');
         waypointCoords.className = 'waypoint-coords';
-        waypointCoords.textContent = `${wp.lat.toFixed(4)}, ${wp.lng.toFixed(4)}`;
+        waypointCoords.appendChild(createWaypointInput(index, 'lat', wp.lat.toFixed(6), 'number', 'Latitude'));
+        waypointCoords.appendChild(createWaypointInput(index, 'lng', wp.lng.toFixed(6), 'number', 'Longitude'));
         
         const waypointAlt = document.createElement('div');
         waypointAlt.className = 'waypoint-alt';
-        waypointAlt.textContent = `${wp.alt.toFixed(1)}m`;
+        waypointAlt.appendChild(createWaypointInput(index, 'alt', wp.alt.toFixed(1), 'number', 'Altitude (m)'));
+        waypointAlt.appendChild(document.createTextNode('m'));
         
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'waypoint-delete';
@@ -86,7 +100,46 @@ function updateWaypointsList() {
             }
         });
         
+        waypointNumber.addEventListener('click', function() {
+            if (wp.marker) {
+                window.map.panTo([wp.lat, wp.lng]);
+                wp.marker.openPopup();
+            }
+        });
+        
+        // Only the handle starts a drag, so text in the inputs stays selectable
+        dragHandle.addEventListener('mousedown', function() {
+            waypointItem.draggable = true;
+        });
+        waypointItem.addEventListener('dragstart', function(e) {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            waypointItem.classList.add('dragging');
+        });
+        waypointItem.addEventListener('dragend', function() {
+            waypointItem.draggable = false;
+            waypointItem.classList.remove('dragging');
+        });
+        waypointItem.addEventListener('dragover', function(e) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            waypointItem.classList.add('drag-over');
+        });
+        waypointItem.addEventListener('dragleave', function() {
+            waypointItem.classList.remove('drag-over');
+        });
+        waypointItem.addEventListener('drop', function(e) {
+            e.preventDefault();
+            waypointItem.classList.remove('drag-over');
+            const fromIndex = parseInt(e.dataTransfer.getData('text/plain'));
+            if (!isNaN(fromIndex) && window.reorderWaypoint) {
+                window.reorderWaypoint(fromIndex, index);
+            }
+        });
+        
+        waypointItem.appendChild(dragHandle);
         waypointItem.appendChild(waypointNumber);
+        waypointItem.appendChild(nameInput);
         waypointItem.appendChild(waypointCoords);
         waypointItem.appendChild(waypointAlt);
         waypointItem.appendChild(deleteBtn);
@@ -95,6 +148,38 @@ function updateWaypointsList() {
     });
 }
 
+function createWaypointInput(index, field, value, type, title) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'waypoint-input';
+    input.value = value;
+    input.title = title;
+    if (type === 'number') {
+        input.step = field === 'alt' ? '0.1' : '0.000001';
+    }
+    
+    // Commit on change (blur or Enter); invalid values are reverted by the redraw
+    input.addEventListener('change', function() {
+        const changes = {};
+        changes[field] = field === 'name' ? this.value : parseFloat(this.value);
+        
+        if (!window.updateWaypoint || !window.updateWaypoint(index, changes)) {
+            updateWaypointsList();
+        }
+    });
+    
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            this.blur();
+        } else if (e.key === 'Escape') {
+            this.value = value;
+            this.blur();
+        }
+    });
+    
+    return input;
+}
+
 window.updateWaypointsList = updateWaypointsList;
 
 // ================== WAYPOINT BUTTONS ==================
@@ -116,9 +201,7 @@ function initializeWaypointButtons() {
         addWaypointBtn.addEventListener('click', function(e) {
             e.preventDefault();
             e.stopPropagation();
-            if (window.addLogEntry) {
-                window.addLogEntry('Click on the map to add a waypoint', window.LOG_LEVEL.INFO);
-            }
+            missionLog('Click on the map to add a waypoint', window.LOG_LEVEL.INFO);
         });
     }
 }
@@ -138,9 +221,7 @@ async function calculateETA() {
         return etaData.eta;
     } catch (error) {
         console.error('Error calculating ETA:', error);
-        if (window.addLogEntry) {
-            window.addLogEntry(`ETA calculation error: ${error.message}`);
-        }
+        missionLog(`ETA calculation error: ${error.message}`);
         return calculateFallbackETA();
     }
 }
@@ -215,6 +296,8 @@ function calculateETALocally(waypoints, speedKmh, returnToHome) {
     };
 }
 
+window.calculateETALocally = calculateETALocally;
+
 function calculateFallbackETA() {
     if (!window.waypoints || window.waypoints.length === 0) return '--:--:--';
     const estimatedTime = window.waypoints.length * 60;
@@ -233,6 +316,8 @@ function formatTime(seconds) {
     }
 }
 
+window.formatTime = formatTime;
+
 // ================== FLIGHT TIME MODAL ==================
 
 function initializeFlightTimeModal() {
@@ -244,9 +329,7 @@ function initializeFlightTimeModal() {
     if (calculateFlightTimeBtn) {
         calculateFlightTimeBtn.addEventListener('click', async function() {
             if (!window.waypoints || window.waypoints.length === 0) {
-                if (window.addLogEntry) {
-                    window.addLogEntry('Cannot calculate flight time: No waypoints added');
-                }
+                missionLog('Cannot calculate flight time: No waypoints added');
                 flightTimeAnalysisContent.innerHTML = '<div class="no-waypoints">No waypoints have been added yet. Add waypoints to see flight path analysis.</div>';
                 flightTimeModal.style.display = 'flex';
                 return;
@@ -265,15 +348,11 @@ function initializeFlightTimeModal() {
                 flightTimeAnalysisContent.innerHTML = formatFlightPathAnalysis();
                 flightTimeModal.style.display = 'flex';
                 
-                if (window.addLogEntry) {
-                    window.addLogEntry('Flight time analysis calculated and displayed');
-                }
+                missionLog('Flight time analysis calculated and displayed');
             } catch (error) {
                 flightTimeAnalysisContent.innerHTML = `<div class="error-message">Error calculating flight time: ${error.message}</div>`;
                 flightTimeModal.style.display = 'flex';
-                if (window.addLogEntry) {
-                    window.addLogEntry(`Error calculating flight time: ${error.message}`);
-                }
+                missionLog(`Error calculating flight time: ${error.message}`);
             } finally {
                 this.innerHTML = '<i class="fas fa-clock"></i> Calculate Flight Time';
             }
@@ -0,0 +1,447 @@
+/**
+ * patterns.js - Orbit, Search and Structure-Scan Generators
+ *
+ * Handles:
+ * - Picking (and dragging) the point of interest the pattern is built around
+ * - Orbit: a circle of points at a fixed radius, either direction, any number of laps
+ * - Search: expanding square or spiral around the last known position
+ * - Structure scan: stacked orbits from a bottom to a top altitude
+ * - Preview with waypoint count, pattern length and the mission flight time
+ * - Appending the pattern as ordinary waypoints in one undo step
+ *
+ * Orbits and scans start on the side of the point of interest facing home.
+ */
+
+const patternsLog = window.createLogger('patterns');
+
+document.addEventListener('DOMContentLoaded', function() {
+    window.patternLayer = L.layerGroup().addTo(window.map);
+
+    loadPatternSettings();
+    initializePatternControls();
+
+    document.addEventListener('mission-settings-changed', updatePatternPreview);
+    document.addEventListener('home-changed', updatePatternPreview);
+    // The pattern is appended, so the mission's waypoints count against the limit
+    document.addEventListener('waypoints-changed', updatePatternPreview);
+});
+
+// ================== PATTERN SETTINGS ==================
+
+const DEFAULT_PATTERN_SETTINGS = {
+    type: 'orbit',            // orbit | search | scan
+    radius: 30,               // m
+    points: 12,               // per lap, layer or spiral turn
+    direction: 'cw',          // cw | ccw
+    laps: 1,
+    altitude: 40,             // m, orbit and search
+    searchType: 'square',     // square | spiral
+    spacing: 20,              // m between search tracks
+    size: 150,                // m from the centre: spiral radius, half the square's side
+    bottomAltitude: 10,       // m, structure scan
+    topAltitude: 40,
+    layerStep: 10
+};
+
+// The vehicle's waypoint limit (main.js)
+const PATTERN_MAX_WAYPOINTS = window.MAX_MISSION_WAYPOINTS;
+
+window.patternSettings = { ...DEFAULT_PATTERN_SETTINGS };
+
+let patternCenter = null;
+let patternCenterMarker = null;
+let patternPicking = false;
+let patternPanelOpen = false;
+let patternResult = null;     // last generated { waypoints, error }
+
+function loadPatternSettings() {
+    const savedSettings = localStorage.getItem('dronePatternSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.patternSettings = { ...DEFAULT_PATTERN_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.patternSettings = { ...DEFAULT_PATTERN_SETTINGS };
+    }
+}
+
+function savePatternSettings() {
+    localStorage.setItem('dronePatternSettings', JSON.stringify(window.patternSettings));
+}
+
+// ================== GENERATORS ==================
+
+// Bearing from the point of interest towards home, so the first leg is short
+function getStartBearing(center) {
+    const home = window.HOME_COORDINATES;
+    if (window.calculateDistance(center.lat, center.lng, home.lat, home.lng) < 1) return 0;
+    return window.calculateBearing(center.lat, center.lng, home.lat, home.lng);
+}
+
+function generateOrbitPoints(center, radius, count, direction, startBearing, alt) {
+    const step = 360 / count * (direction === 'ccw' ? -1 : 1);
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const point = window.calculateDestination(center.lat, center.lng, startBearing + i * step, radius);
+        points.push({ lat: point.lat, lng: point.lng, alt: alt });
+    }
+    return points;
+}
+
+// Legs of 1, 1, 2, 2, 3, 3, ... track spacings, turning 90° after each.
+// Like the spiral it stops one point past the limit, which generatePattern
+// then rejects, so a small spacing over a large area cannot hang the page.
+function generateExpandingSquare(center, settings) {
+    const points = [{ lat: center.lat, lng: center.lng, alt: settings.altitude }];
+    const turn = settings.direction === 'ccw' ? -90 : 90;
+    let position = center;
+    let bearing = 0;
+
+    for (let leg = 0; points.length <= PATTERN_MAX_WAYPOINTS; leg++) {
+        const length = settings.spacing * (Math.floor(leg / 2) + 1);
+        if (length > settings.size * 2) break;
+
+        position = window.calculateDestination(position.lat, position.lng, bearing, length);
+        points.push({ lat: position.lat, lng: position.lng, alt: settings.altitude });
+        bearing = (bearing + turn + 360) % 360;
+    }
+    return points;
+}
+
+// Archimedean spiral: the radius grows by one track spacing per turn
+function generateSpiral(center, settings) {
+    const points = [{ lat: center.lat, lng: center.lng, alt: settings.altitude }];
+    const stepDegrees = 360 / settings.points;
+    const sign = settings.direction === 'ccw' ? -1 : 1;
+
+    for (let i = 1; points.length <= PATTERN_MAX_WAYPOINTS; i++) {
+        const turns = i / settings.points;
+        const radius = settings.spacing * turns;
+        if (radius > settings.size) break;
+
+        const point = window.calculateDestination(center.lat, center.lng, sign * i * stepDegrees, radius);
+        points.push({ lat: point.lat, lng: point.lng, alt: settings.altitude });
+    }
+    return points;
+}
+
+const PATTERN_TYPES = {
+    orbit: {
+        label: 'Orbit',
+        generate(center, settings) {
+            const start = getStartBearing(center);
+            const lap = generateOrbitPoints(center, settings.radius, settings.points, settings.direction, start, settings.altitude);
+            const points = [];
+            for (let i = 0; i < settings.laps; i++) {
+                points.push(...lap.map(point => ({ ...point })));
+            }
+            // Back to the first point so the last lap is complete
+            points.push({ ...lap[0] });
+            return points;
+        }
+    },
+    search: {
+        label: 'Search',
+        generate(center, settings) {
+            return settings.searchType === 'spiral'
+                ? generateSpiral(center, settings)
+                : generateExpandingSquare(center, settings);
+        }
+    },
+    scan: {
+        label: 'Structure scan',
+        generate(center, settings) {
+            if (settings.topAltitude < settings.bottomAltitude) {
+                throw new Error('Top altitude is below the bottom altitude');
+            }
+
+            // Each layer climbs on the leg that closes the orbit below it
+            const start = getStartBearing(center);
+            const points = [];
+            for (let alt = settings.bottomAltitude; alt <= settings.topAltitude + 0.001; alt += settings.layerStep) {
+                points.push(...generateOrbitPoints(center, settings.radius, settings.points, settings.direction, start, alt));
+            }
+            return points;
+        }
+    }
+};
+
+// Returns { waypoints } or { error }. existingCount is the number of
+// mission waypoints the pattern is appended to
+function generatePattern(center, settings, existingCount = 0) {
+    const patternType = PATTERN_TYPES[settings.type];
+    if (!center) return { error: 'Pick the point of interest on the map' };
+    if (!patternType) return { error: `Unknown pattern ${settings.type}` };
+
+    let waypoints;
+    try {
+        waypoints = patternType.generate(center, settings);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (waypoints.length < 2) return { error: 'Pattern is too small for these settings' };
+    if (waypoints.length > PATTERN_MAX_WAYPOINTS) {
+        return { error: `More than ${PATTERN_MAX_WAYPOINTS} waypoints - reduce the points, laps or size` };
+    }
+    if (existingCount + waypoints.length > PATTERN_MAX_WAYPOINTS) {
+        return { error: `${waypoints.length} pattern waypoints + ${existingCount} in the mission exceed the vehicle's ${PATTERN_MAX_WAYPOINTS} - reduce the points, laps or size` };
+    }
+    return { waypoints: waypoints };
+}
+
+window.generatePattern = generatePattern;
+
+// ================== PREVIEW ==================
+
+function updatePatternPreview() {
+    if (!window.patternLayer) return;
+
+    patternResult = generatePattern(patternCenter, window.patternSettings, window.waypoints.length);
+    drawPatternLayer();
+    renderPatternStats();
+}
+
+function drawPatternLayer() {
+    window.patternLayer.clearLayers();
+    if (!patternPanelOpen || !patternResult || !patternResult.waypoints) return;
+
+    const waypoints = patternResult.waypoints;
+    L.polyline(waypoints.map(wp => [wp.lat, wp.lng]), {
+        color: '#f1c40f',
+        weight: 2,
+        opacity: 0.9,
+        interactive: false
+    }).addTo(window.patternLayer);
+
+    L.circleMarker([waypoints[0].lat, waypoints[0].lng], {
+        radius: 5,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#2ecc71',
+        fillOpacity: 1,
+        interactive: false
+    }).addTo(window.patternLayer);
+}
+
+function renderPatternCenter() {
+    if (patternCenterMarker) {
+        window.map.removeLayer(patternCenterMarker);
+        patternCenterMarker = null;
+    }
+    if (!patternPanelOpen || !patternCenter) return;
+
+    patternCenterMarker = L.marker([patternCenter.lat, patternCenter.lng], {
+        icon: L.divIcon({ className: 'pattern-center', html: '<i class="fas fa-crosshairs"></i>', iconSize: [20, 20], iconAnchor: [10, 10] }),
+        draggable: true,
+        title: 'Point of interest'
+    }).addTo(window.map);
+
+    patternCenterMarker.on('drag', function() {
+        const position = patternCenterMarker.getLatLng();
+        patternCenter = { lat: position.lat, lng: position.lng };
+        updatePatternPreview();
+    });
+}
+
+function getPatternLength(waypoints) {
+    let length = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+        length += window.calculateDistance(waypoints[i - 1].lat, waypoints[i - 1].lng, waypoints[i].lat, waypoints[i].lng);
+    }
+    return length;
+}
+
+function renderPatternStats() {
+    const stats = document.getElementById('patternStats');
+    const applyBtn = document.getElementById('patternApply');
+
+    const ready = !!(patternResult && patternResult.waypoints);
+    if (applyBtn) applyBtn.disabled = !ready;
+    if (!stats) return;
+
+    stats.classList.toggle('pattern-stats-error', !!(patternCenter && patternResult && patternResult.error));
+
+    if (patternPicking) {
+        stats.textContent = 'Click the map to place the point of interest';
+        return;
+    }
+    if (!ready) {
+        stats.textContent = patternResult ? patternResult.error : '';
+        return;
+    }
+
+    // Flight time of the whole mission once the pattern is appended
+    const waypoints = patternResult.waypoints;
+    const mission = window.waypoints.concat(waypoints);
+    const plan = window.calculateETALocally(mission, window.missionSettings.maxSpeed, window.missionSettings.returnToHome);
+    stats.innerHTML = `
+        <span>${waypoints.length} waypoints · ${window.formatRouteDistance(getPatternLength(waypoints))} pattern</span>
+        <span>Mission ${mission.length} waypoints · ${plan.eta} at ${window.missionSettings.maxSpeed} km/h</span>`;
+}
+
+// ================== POINT OF INTEREST ==================
+
+function startPatternPicking() {
+    patternPicking = true;
+    window.setMapClickInterceptor(handlePatternPickClick);
+    renderPatternStats();
+}
+
+function handlePatternPickClick(e) {
+    if (!patternPicking) return false;
+
+    patternCenter = { lat: e.latlng.lat, lng: e.latlng.lng };
+    endPatternPicking();
+    renderPatternCenter();
+    updatePatternPreview();
+    return true;
+}
+
+function endPatternPicking() {
+    if (!patternPicking) return;
+
+    patternPicking = false;
+    window.setMapClickInterceptor(null);
+}
+
+// ================== ADD TO MISSION ==================
+
+function applyPattern() {
+    if (!patternResult || !patternResult.waypoints) return;
+
+    const waypoints = patternResult.waypoints;
+    const label = PATTERN_TYPES[window.patternSettings.type].label;
+    if (window.waypoints.length + waypoints.length > PATTERN_MAX_WAYPOINTS) {
+        patternsLog(`${label} pattern not added: the mission would have more than ${PATTERN_MAX_WAYPOINTS} waypoints`, window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    // Plain waypoints afterwards: every point can be moved, edited or deleted
+    window.runAsSingleEdit(`${label} pattern`, () => {
+        waypoints.forEach(wp => window.addWaypoint(wp.lat, wp.lng, wp.alt));
+    });
+
+    patternsLog(`${label} pattern added: ${waypoints.length} waypoints around ${patternCenter.lat.toFixed(5)}, ${patternCenter.lng.toFixed(5)}`, window.LOG_LEVEL.INFO);
+    updatePatternPreview();
+}
+
+// ================== PATTERN PANEL ==================
+
+// patterns lists the pattern types a field belongs to
+const PATTERN_FIELDS = [
+    { id: 'patternRadius', key: 'radius', min: 1, patterns: ['orbit', 'scan'] },
+    { id: 'patternPoints', key: 'points', min: 3, max: 72, integer: true, patterns: ['orbit', 'scan', 'spiral'] },
+    { id: 'patternLaps', key: 'laps', min: 1, max: 20, integer: true, patterns: ['orbit'] },
+    { id: 'patternAltitude', key: 'altitude', min: 1, patterns: ['orbit', 'search'] },
+    { id: 'patternSpacing', key: 'spacing', min: 1, patterns: ['search'] },
+    { id: 'patternSize', key: 'size', min: 1, patterns: ['search'] },
+    { id: 'patternBottomAltitude', key: 'bottomAltitude', min: 1, patterns: ['scan'] },
+    { id: 'patternTopAltitude', key: 'topAltitude', min: 1, patterns: ['scan'] },
+    { id: 'patternLayerStep', key: 'layerStep', min: 1, patterns: ['scan'] }
+];
+
+const PATTERN_SELECTS = [
+    { id: 'patternType', key: 'type' },
+    { id: 'patternDirection', key: 'direction' },
+    { id: 'patternSearchType', key: 'searchType' }
+];
+
+function isPatternFieldVisible(patterns) {
+    const settings = window.patternSettings;
+    if (patterns.includes(settings.type)) return true;
+    return settings.type === 'search' && settings.searchType === 'spiral' && patterns.includes('spiral');
+}
+
+// Each field's row carries data-pattern-row; rows of other patterns are hidden
+function updatePatternFieldVisibility() {
+    PATTERN_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        const row = input ? input.closest('[data-pattern-row]') : null;
+        if (row) row.style.display = isPatternFieldVisible(field.patterns) ? '' : 'none';
+    });
+
+    const searchRow = document.getElementById('patternSearchTypeRow');
+    if (searchRow) searchRow.style.display = window.patternSettings.type === 'search' ? '' : 'none';
+}
+
+function closePatternPanel() {
+    const panel = document.getElementById('patternPanel');
+    const openBtn = document.getElementById('openPatterns');
+    if (!panel || !patternPanelOpen) return;
+
+    patternPanelOpen = false;
+    panel.style.display = 'none';
+    if (openBtn) openBtn.classList.remove('active');
+    endPatternPicking();
+    renderPatternCenter();
+    drawPatternLayer();
+}
+
+window.closePatternPanel = closePatternPanel;
+
+function initializePatternControls() {
+    const panel = document.getElementById('patternPanel');
+    const openBtn = document.getElementById('openPatterns');
+    if (!panel || !openBtn) return;
+
+    openBtn.addEventListener('click', function() {
+        if (patternPanelOpen) {
+            closePatternPanel();
+            return;
+        }
+
+        // The survey panel sits in the same place
+        if (window.closeSurveyPanel) window.closeSurveyPanel();
+
+        patternPanelOpen = true;
+        panel.style.display = 'flex';
+        openBtn.classList.add('active');
+        renderPatternCenter();
+        updatePatternPreview();
+    });
+
+    PATTERN_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.patternSettings[field.key];
+        input.addEventListener('change', function() {
+            let value = parseFloat(this.value);
+            if (field.integer) value = Math.round(value);
+            if (isNaN(value) || value < field.min || (field.max !== undefined && value > field.max)) {
+                this.value = window.patternSettings[field.key];
+                return;
+            }
+            this.value = value;
+            window.patternSettings[field.key] = value;
+            savePatternSettings();
+            updatePatternPreview();
+        });
+    });
+
+    PATTERN_SELECTS.forEach(field => {
+        const select = document.getElementById(field.id);
+        if (!select) return;
+
+        select.value = window.patternSettings[field.key];
+        select.addEventListener('change', function() {
+            window.patternSettings[field.key] = this.value;
+            savePatternSettings();
+            updatePatternFieldVisibility();
+            updatePatternPreview();
+        });
+    });
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('patternClose', closePatternPanel);
+    bind('patternPickCenter', startPatternPicking);
+    bind('patternApply', applyPattern);
+
+    updatePatternFieldVisibility();
+    renderPatternStats();
+}
@@ -0,0 +1,316 @@
+/**
+ * progress.js - Live Mission Progress
+ *
+ * Handles:
+ * - Following navigation_update and mission_status messages from the vehicle
+ * - Highlighting the active target waypoint on the map and in the list
+ * - Greying out reached waypoints along with their reach accuracy
+ * - Progress bar (waypoints reached of total) and distance remaining
+ * - Live ETA from the current position and the actual ground speed
+ *
+ * Progress starts over with each new connection, playback, navigation start
+ * or emergency stop.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.addEventListener('navigation-update-received', function(e) {
+        handleNavigationProgress(e.detail);
+    });
+
+    document.addEventListener('mission-status-received', function(e) {
+        handleMissionStatusProgress(e.detail);
+    });
+
+    document.addEventListener('telemetry-received', function(e) {
+        updateProgressPosition(e.detail);
+    });
+
+    // An emergency stop ends the mission on the vehicle without a mission_complete
+    document.addEventListener('status-received', function(e) {
+        if (e.detail.status === 'emergency_stop') {
+            resetMissionProgress();
+        }
+    });
+
+    // Markers and list rows are rebuilt on every edit, so the styling goes back on
+    document.addEventListener('waypoints-changed', renderMissionProgress);
+    document.addEventListener('mission-settings-changed', renderMissionProgress);
+    document.addEventListener('home-changed', renderMissionProgress);
+
+    ['recording-session-started', 'playback-started', 'playback-seeked'].forEach(eventName => {
+        document.addEventListener(eventName, resetMissionProgress);
+    });
+
+    renderMissionProgress();
+});
+
+// ================== PROGRESS STATE ==================
+
+// Below this the vehicle is hovering or turning; the planned speed gives a steadier ETA
+const PROGRESS_MIN_GROUND_SPEED = 1;  // km/h
+
+function createMissionProgress() {
+    return {
+        active: false,
+        status: 'idle',
+        targetIndex: -1,
+        total: 0,
+        reached: {},          // waypoint index -> accuracy in metres (null when unknown)
+        position: null,
+        groundSpeed: null
+    };
+}
+
+window.missionProgress = createMissionProgress();
+
+function resetMissionProgress() {
+    const { position, groundSpeed } = window.missionProgress;
+    window.missionProgress = createMissionProgress();
+    window.missionProgress.position = position;
+    window.missionProgress.groundSpeed = groundSpeed;
+    renderMissionProgress();
+}
+
+window.resetMissionProgress = resetMissionProgress;
+
+// Waypoints before the current target have been passed even if the
+// reached message for them was missed
+function markReachedBefore(index) {
+    for (let i = 0; i < index; i++) {
+        if (!(i in window.missionProgress.reached)) {
+            window.missionProgress.reached[i] = null;
+        }
+    }
+}
+
+function handleNavigationProgress(data) {
+    const progress = window.missionProgress;
+    const index = data.current_waypoint_index;
+
+    if (typeof data.total_waypoints === 'number') {
+        progress.total = data.total_waypoints;
+    }
+    if (typeof data.current_lat === 'number' && typeof data.current_lng === 'number' &&
+        !(data.current_lat === 0 && data.current_lng === 0)) {
+        progress.position = { lat: data.current_lat, lng: data.current_lng };
+    }
+
+    switch (data.status) {
+        case 'navigation_started':
+            progress.reached = {};
+            progress.active = true;
+            progress.targetIndex = typeof index === 'number' ? index : 0;
+            break;
+
+        case 'navigating_to':
+            progress.active = true;
+            progress.targetIndex = index;
+            markReachedBefore(index);
+            break;
+
+        case 'waypoint_reached':
+            progress.active = true;
+            progress.reached[index] = typeof data.accuracy_meters === 'number' ? data.accuracy_meters : null;
+            markReachedBefore(index);
+            // Stays on the reached waypoint until navigating_to names the next one
+            progress.targetIndex = index;
+            break;
+
+        case 'returning_home':
+            progress.active = true;
+            progress.targetIndex = -1;
+            markReachedBefore(progress.total || window.waypoints.length);
+            break;
+
+        case 'mission_complete':
+            progress.active = false;
+            progress.targetIndex = -1;
+            markReachedBefore(progress.total || window.waypoints.length);
+            break;
+
+        default:
+            return;
+    }
+
+    progress.status = data.status;
+    renderMissionProgress();
+}
+
+function handleMissionStatusProgress(data) {
+    const progress = window.missionProgress;
+
+    if (typeof data.total_waypoints === 'number') {
+        progress.total = data.total_waypoints;
+    }
+
+    if (data.mission_active) {
+        progress.active = true;
+        if (progress.status !== 'returning_home' && typeof data.current_waypoint === 'number') {
+            progress.targetIndex = data.current_waypoint;
+            progress.status = 'navigating_to';
+            markReachedBefore(data.current_waypoint);
+        }
+    } else if (progress.status !== 'returning_home') {
+        // An idle vehicle still reporting a finished mission keeps the final picture
+        progress.active = false;
+        progress.targetIndex = -1;
+    }
+
+    renderMissionProgress();
+}
+
+function updateProgressPosition(data) {
+    if (data.lat === 0 && data.lng === 0) return;
+
+    window.missionProgress.position = { lat: data.lat, lng: data.lng };
+    if (typeof data.speed === 'number') {
+        window.missionProgress.groundSpeed = data.speed;
+    }
+
+    if (window.missionProgress.active) {
+        renderProgressPanel();
+    }
+}
+
+// ================== REMAINING DISTANCE AND ETA ==================
+
+// Metres still to fly: current position → target, the legs after it and
+// the return leg when the mission ends at home
+function getRemainingDistance() {
+    const progress = window.missionProgress;
+    const waypoints = window.waypoints;
+    const home = window.HOME_COORDINATES;
+    if (!progress.active) return null;
+
+    if (progress.status === 'returning_home') {
+        if (!progress.position) return null;
+        return window.calculateDistance(progress.position.lat, progress.position.lng, home.lat, home.lng);
+    }
+
+    const target = waypoints[progress.targetIndex];
+    if (!target) return null;
+
+    const from = progress.position ||
+        (progress.targetIndex > 0 ? waypoints[progress.targetIndex - 1] : home);
+    let distance = progress.targetIndex in progress.reached
+        ? 0
+        : window.calculateDistance(from.lat, from.lng, target.lat, target.lng);
+
+    for (let i = progress.targetIndex + 1; i < waypoints.length; i++) {
+        distance += window.calculateDistance(waypoints[i - 1].lat, waypoints[i - 1].lng, waypoints[i].lat, waypoints[i].lng);
+    }
+
+    if (window.missionSettings.returnToHome) {
+        const last = waypoints[waypoints.length - 1];
+        distance += window.calculateDistance(last.lat, last.lng, home.lat, home.lng);
+    }
+
+    return distance;
+}
+
+function getLiveEtaSeconds(distance) {
+    const groundSpeed = window.missionProgress.groundSpeed;
+    const speedKmh = groundSpeed !== null && groundSpeed >= PROGRESS_MIN_GROUND_SPEED
+        ? groundSpeed
+        : window.missionSettings.maxSpeed;
+    return distance / (speedKmh / 3.6);
+}
+
+// ================== RENDERING ==================
+
+function renderMissionProgress() {
+    applyWaypointProgressStyles();
+    renderProgressPanel();
+}
+
+function getWaypointProgressState(index) {
+    const progress = window.missionProgress;
+    if (index in progress.reached) return 'reached';
+    if (progress.active && index === progress.targetIndex) return 'active';
+    return null;
+}
+
+function formatAccuracy(accuracy) {
+    return accuracy === null ? 'Reached' : `Reached ±${accuracy.toFixed(1)} m`;
+}
+
+function applyWaypointProgressStyles() {
+    const progress = window.missionProgress;
+    const waypointsList = document.querySelector('.waypoints-list');
+
+    window.waypoints.forEach((wp, index) => {
+        const state = getWaypointProgressState(index);
+        const accuracyText = state === 'reached' ? formatAccuracy(progress.reached[index]) : '';
+
+        const markerElement = wp.marker && wp.marker.getElement ? wp.marker.getElement() : null;
+        if (markerElement) {
+            markerElement.classList.toggle('waypoint-active', state === 'active');
+            markerElement.classList.toggle('waypoint-reached', state === 'reached');
+            markerElement.title = accuracyText;
+        }
+
+        const item = waypointsList ? waypointsList.querySelector(`.waypoint-item[data-waypoint-index="${index}"]`) : null;
+        if (!item) return;
+
+        item.classList.toggle('waypoint-active', state === 'active');
+        item.classList.toggle('waypoint-reached', state === 'reached');
+
+        let badge = item.querySelector('.waypoint-progress-badge');
+        if (!state) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'waypoint-progress-badge';
+            item.insertBefore(badge, item.querySelector('.waypoint-delete'));
+        }
+        badge.textContent = state === 'active' ? 'Target' : accuracyText.replace('Reached ', '');
+        badge.title = state === 'active' ? 'Current target' : accuracyText;
+    });
+}
+
+function renderProgressPanel() {
+    const panel = document.getElementById('missionProgress');
+    if (!panel) return;
+
+    const progress = window.missionProgress;
+    const total = progress.total || window.waypoints.length;
+    const reachedCount = Math.min(Object.keys(progress.reached).length, total);
+    const finished = progress.status === 'mission_complete';
+
+    panel.classList.toggle('active', progress.active || finished);
+
+    const label = document.getElementById('missionProgressLabel');
+    if (label) {
+        if (progress.status === 'returning_home') {
+            label.textContent = `${reachedCount} of ${total} waypoints · returning home`;
+        } else if (finished) {
+            label.textContent = `${reachedCount} of ${total} waypoints · mission complete`;
+        } else {
+            label.textContent = `${reachedCount} of ${total} waypoints`;
+        }
+    }
+
+    const bar = document.getElementById('missionProgressBar');
+    if (bar) {
+        bar.style.width = total > 0 ? `${(reachedCount / total * 100).toFixed(1)}%` : '0%';
+    }
+
+    const distance = getRemainingDistance();
+    const remaining = document.getElementById('missionProgressRemaining');
+    if (remaining) {
+        remaining.textContent = distance !== null ? `${window.formatRouteDistance(distance)} to go` : '';
+    }
+
+    if (progress.active || finished) {
+        const etaElement = document.querySelector('.eta-value');
+        if (etaElement) {
+            if (finished) {
+                etaElement.textContent = window.formatTime(0);
+            } else {
+                etaElement.textContent = distance !== null ? window.formatTime(getLiveEtaSeconds(distance)) : '--:--';
+            }
+        }
+    }
+}
@@ -0,0 +1,646 @@
+/**
+ * recorder.js - Flight Recorder and Session Playback
+ *
+ * Handles:
+ * - IndexedDB database shared by the station (sessions, lines, offline map tiles, system log)
+ * - Recording every received line with its receive time
+ * - Session records, including the link statistics saved with them
+ * - Session list (play, export the session's log, delete)
+ * - Playback through the normal processing path with play/pause,
+ *   1x-16x speed and a scrub timeline
+ */
+
+const recorderLog = window.createLogger('recorder');
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeRecorderControls();
+    initializePlaybackBar();
+});
+
+// ================== SESSION DATABASE ==================
+
+const RECORDER_DB_NAME = 'droneGroundStation';
+const RECORDER_DB_VERSION = 4;
+const RECORDER_FLUSH_INTERVAL_MS = 1000;
+
+let recorderDatabasePromise = null;
+
+function openRecorderDatabase() {
+    if (recorderDatabasePromise) return recorderDatabasePromise;
+
+    recorderDatabasePromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(RECORDER_DB_NAME, RECORDER_DB_VERSION);
+
+        request.onupgradeneeded = function() {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+            }
+
+            if (!db.objectStoreNames.contains('lines')) {
+                const lines = db.createObjectStore('lines', { autoIncrement: true });
+                lines.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+
+            // Version 2: offline map tiles (tiles.js)
+            if (!db.objectStoreNames.contains('tiles')) {
+                const tiles = db.createObjectStore('tiles', { keyPath: 'key' });
+                tiles.createIndex('source', 'source', { unique: false });
+            }
+
+            // Version 3: system log entries (system-log.js)
+            if (!db.objectStoreNames.contains('logs')) {
+                const logs = db.createObjectStore('logs', { autoIncrement: true });
+                logs.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+
+            // Version 4: log entries by the flight recording they were made during
+            const logs = request.transaction.objectStore('logs');
+            if (!logs.indexNames.contains('recordingSessionId')) {
+                logs.createIndex('recordingSessionId', 'recordingSessionId', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    recorderDatabasePromise.catch(() => {
+        recorderDatabasePromise = null;
+    });
+
+    return recorderDatabasePromise;
+}
+
+window.openRecorderDatabase = openRecorderDatabase;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+window.requestToPromise = requestToPromise;
+window.transactionDone = transactionDone;
+
+// ================== RECORDING ==================
+
+window.currentRecordingSessionId = null;
+
+let pendingLines = [];
+let flushTimer = null;
+let sessionStarting = null;
+
+async function startRecordingSession(label) {
+    if (window.currentRecordingSessionId !== null) {
+        await endRecordingSession();
+    }
+
+    sessionStarting = (async () => {
+        try {
+            const db = await openRecorderDatabase();
+            const transaction = db.transaction('sessions', 'readwrite');
+            const id = await requestToPromise(transaction.objectStore('sessions').add({
+                label: label || 'Session',
+                startedAt: Date.now(),
+                endedAt: null,
+                lineCount: 0
+            }));
+            await transactionDone(transaction);
+
+            window.currentRecordingSessionId = id;
+            flushTimer = setInterval(flushPendingLines, RECORDER_FLUSH_INTERVAL_MS);
+            document.dispatchEvent(new CustomEvent('recording-session-started', { detail: { sessionId: id } }));
+            return id;
+        } catch (error) {
+            recorderLog(`Flight recorder unavailable: ${error.message}`, window.LOG_LEVEL.WARNING);
+            return null;
+        } finally {
+            sessionStarting = null;
+        }
+    })();
+
+    return sessionStarting;
+}
+
+window.startRecordingSession = startRecordingSession;
+
+async function endRecordingSession() {
+    // Taken now, before a vehicle switch or disconnect resets the statistics
+    const linkStats = window.getLinkStatsForSession ? window.getLinkStatsForSession() : null;
+
+    if (sessionStarting) {
+        await sessionStarting;
+    }
+
+    const sessionId = window.currentRecordingSessionId;
+    if (sessionId === null) return;
+
+    clearInterval(flushTimer);
+    flushTimer = null;
+    await flushPendingLines();
+
+    window.currentRecordingSessionId = null;
+
+    try {
+        const db = await openRecorderDatabase();
+        const transaction = db.transaction('sessions', 'readwrite');
+        const store = transaction.objectStore('sessions');
+        const session = await requestToPromise(store.get(sessionId));
+        if (session) {
+            session.endedAt = Date.now();
+            if (linkStats) session.linkStats = linkStats;
+            store.put(session);
+        }
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn('Error closing recorder session:', error);
+    }
+
+    document.dispatchEvent(new CustomEvent('recording-session-ended', { detail: { sessionId: sessionId } }));
+}
+
+window.endRecordingSession = endRecordingSession;
+
+// Merges extra fields (such as link statistics) into a session record
+async function updateRecordingSession(sessionId, changes) {
+    const db = await openRecorderDatabase();
+    const transaction = db.transaction('sessions', 'readwrite');
+    const store = transaction.objectStore('sessions');
+    const session = await requestToPromise(store.get(sessionId));
+    if (session) {
+        store.put({ ...session, ...changes });
+    }
+    await transactionDone(transaction);
+}
+
+window.updateRecordingSession = updateRecordingSession;
+
+function recordReceivedLine(line) {
+    if (window.currentRecordingSessionId === null) return;
+
+    pendingLines.push({
+        sessionId: window.currentRecordingSessionId,
+        time: Date.now(),
+        direction: 'rx',
+        line: line
+    });
+}
+
+window.recordReceivedLine = recordReceivedLine;
+
+// Lines are written in batches to keep IndexedDB transactions cheap at high rates
+async function flushPendingLines() {
+    if (pendingLines.length === 0) return;
+
+    const batch = pendingLines;
+    pendingLines = [];
+
+    try {
+        const db = await openRecorderDatabase();
+        const transaction = db.transaction(['lines', 'sessions'], 'readwrite');
+        const lineStore = transaction.objectStore('lines');
+        batch.forEach(record => lineStore.add(record));
+
+        const sessionStore = transaction.objectStore('sessions');
+        const session = await requestToPromise(sessionStore.get(batch[0].sessionId));
+        if (session) {
+            session.lineCount += batch.length;
+            sessionStore.put(session);
+        }
+
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn('Error writing recorder lines:', error);
+    }
+}
+
+// ================== SESSION QUERIES ==================
+
+async function listRecordingSessions() {
+    const db = await openRecorderDatabase();
+    const transaction = db.transaction('sessions', 'readonly');
+    const sessions = await requestToPromise(transaction.objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+async function loadSessionLines(sessionId) {
+    const db = await openRecorderDatabase();
+    const transaction = db.transaction('lines', 'readonly');
+    const lines = await requestToPromise(transaction.objectStore('lines').index('sessionId').getAll(sessionId));
+    return lines.sort((a, b) => a.time - b.time);
+}
+
+async function deleteRecordingSession(sessionId) {
+    const db = await openRecorderDatabase();
+    const transaction = db.transaction(['sessions', 'lines', 'logs'], 'readwrite');
+    transaction.objectStore('sessions').delete(sessionId);
+
+    const index = transaction.objectStore('lines').index('sessionId');
+    const keys = await requestToPromise(index.getAllKeys(sessionId));
+    const lineStore = transaction.objectStore('lines');
+    keys.forEach(key => lineStore.delete(key));
+
+    // The session's log entries go with it
+    const logStore = transaction.objectStore('logs');
+    const logKeys = await requestToPromise(logStore.index('recordingSessionId').getAllKeys(sessionId));
+    logKeys.forEach(key => logStore.delete(key));
+
+    await transactionDone(transaction);
+}
+
+window.listRecordingSessions = listRecordingSessions;
+window.loadSessionLines = loadSessionLines;
+
+// ================== PLAYBACK ENGINE ==================
+
+const PLAYBACK_SPEEDS = [1, 2, 4, 8, 16];
+
+window.playback = {
+    active: false,
+    playing: false,
+    sessionId: null,
+    records: [],
+    cursor: 0,
+    position: 0,     // ms from session start
+    duration: 0,
+    speed: 1,
+    timer: null,
+    lastWallTime: 0
+};
+
+async function startPlayback(sessionId) {
+    if (window.isConnected) {
+        recorderLog('Disconnect the vehicle before starting playback', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    const records = await loadSessionLines(sessionId);
+    if (records.length === 0) {
+        recorderLog('Recorded session is empty', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    stopPlayback();
+
+    const playback = window.playback;
+    const startTime = records[0].time;
+    playback.records = records.map(record => ({ ...record, offset: record.time - startTime }));
+    playback.sessionId = sessionId;
+    playback.cursor = 0;
+    playback.position = 0;
+    playback.duration = playback.records[playback.records.length - 1].offset;
+    playback.active = true;
+    window.gpsLocationSet = false;
+
+    document.body.classList.add('playback-active');
+    updatePlaybackBar();
+    document.dispatchEvent(new CustomEvent('playback-started', { detail: { sessionId: sessionId } }));
+    recorderLog(`Playback loaded: ${records.length} lines, ${formatPlaybackTime(playback.duration)}`, window.LOG_LEVEL.INFO);
+
+    playPlayback();
+}
+
+window.startPlayback = startPlayback;
+
+function playPlayback() {
+    const playback = window.playback;
+    if (!playback.active || playback.playing) return;
+
+    if (playback.cursor >= playback.records.length) {
+        seekPlayback(0);
+    }
+
+    playback.playing = true;
+    playback.lastWallTime = performance.now();
+    schedulePlaybackTick();
+    updatePlaybackBar();
+}
+
+function pausePlayback() {
+    const playback = window.playback;
+    playback.playing = false;
+    clearTimeout(playback.timer);
+    playback.timer = null;
+    updatePlaybackBar();
+}
+
+function stopPlayback() {
+    const playback = window.playback;
+    if (!playback.active) return;
+
+    pausePlayback();
+    playback.active = false;
+    playback.records = [];
+    playback.sessionId = null;
+    document.body.classList.remove('playback-active');
+    updatePlaybackBar();
+}
+
+window.stopPlayback = stopPlayback;
+
+function schedulePlaybackTick() {
+    const playback = window.playback;
+    clearTimeout(playback.timer);
+
+    const next = playback.records[playback.cursor];
+    if (!next) {
+        pausePlayback();
+        recorderLog('Playback finished', window.LOG_LEVEL.INFO);
+        return;
+    }
+
+    const wait = Math.max(0, (next.offset - playback.position) / playback.speed);
+    playback.timer = setTimeout(playbackTick, Math.min(wait, 250));
+}
+
+function playbackTick() {
+    const playback = window.playback;
+    if (!playback.playing) return;
+
+    const now = performance.now();
+    playback.position += (now - playback.lastWallTime) * playback.speed;
+    playback.lastWallTime = now;
+
+    while (playback.cursor < playback.records.length &&
+           playback.records[playback.cursor].offset <= playback.position) {
+        replayRecord(playback.records[playback.cursor]);
+        playback.cursor++;
+    }
+
+    playback.position = Math.min(playback.position, playback.duration);
+    updatePlaybackBar();
+    schedulePlaybackTick();
+}
+
+function replayRecord(record) {
+    if (record.direction !== 'rx') return;
+    if (window.processReceivedData) {
+        window.processReceivedData(record.line, 'playback');
+    }
+}
+
+// Jumping replays only the latest fix before the target so the marker and
+// telemetry grid match the scrubbed position without flooding the log.
+// The fixes before it go out with playback-seeked as history, so the
+// track, charts and battery model can rebuild what led up to it.
+function seekPlayback(position) {
+    const playback = window.playback;
+    if (!playback.active) return;
+
+    playback.position = Math.max(0, Math.min(position, playback.duration));
+    playback.cursor = playback.records.findIndex(record => record.offset > playback.position);
+    if (playback.cursor === -1) {
+        playback.cursor = playback.records.length;
+    }
+
+    let lastFixIndex = -1;
+    for (let i = playback.cursor - 1; i >= 0; i--) {
+        if (getPlaybackTelemetry(playback.records[i])) {
+            lastFixIndex = i;
+            break;
+        }
+    }
+
+    const history = lastFixIndex > 0 ? getPlaybackTelemetryHistory(lastFixIndex) : [];
+    document.dispatchEvent(new CustomEvent('playback-seeked', { detail: { position: playback.position, history: history } }));
+
+    if (lastFixIndex !== -1) {
+        replayRecord(playback.records[lastFixIndex]);
+    }
+
+    playback.lastWallTime = performance.now();
+    updatePlaybackBar();
+
+    if (playback.playing) {
+        schedulePlaybackTick();
+    }
+}
+
+// Parsed once per record and kept on it, since scrubbing seeks many times
+function getPlaybackTelemetry(record) {
+    if (record.telemetry === undefined) {
+        record.telemetry = null;
+        if (record.direction === 'rx' && record.line.includes('"telemetry"')) {
+            try {
+                const message = JSON.parse(record.line);
+                if (message.type === 'telemetry') record.telemetry = message;
+            } catch (error) {
+                // Not JSON; stays null
+            }
+        }
+    }
+    return record.telemetry;
+}
+
+// { time, data } for each fix before endIndex, oldest first. Times are
+// shifted so the fix at endIndex, which is replayed now, falls on now.
+function getPlaybackTelemetryHistory(endIndex) {
+    const records = window.playback.records;
+    const endTime = records[endIndex].time;
+    const now = Date.now();
+    const history = [];
+
+    for (let i = 0; i < endIndex; i++) {
+        const data = getPlaybackTelemetry(records[i]);
+        if (data) {
+            history.push({ time: now - (endTime - records[i].time), data: data });
+        }
+    }
+    return history;
+}
+
+function formatPlaybackTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// ================== PLAYBACK BAR ==================
+
+function initializePlaybackBar() {
+    const playPauseBtn = document.getElementById('playbackPlayPause');
+    const speedSelect = document.getElementById('playbackSpeed');
+    const timeline = document.getElementById('playbackTimeline');
+    const closeBtn = document.getElementById('playbackClose');
+
+    if (speedSelect) {
+        speedSelect.innerHTML = PLAYBACK_SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('');
+        speedSelect.addEventListener('change', function() {
+            window.playback.speed = parseInt(this.value);
+        });
+    }
+
+    if (playPauseBtn) {
+        playPauseBtn.addEventListener('click', function() {
+            if (window.playback.playing) {
+                pausePlayback();
+            } else {
+                playPlayback();
+            }
+        });
+    }
+
+    if (timeline) {
+        timeline.addEventListener('input', function() {
+            seekPlayback(parseFloat(this.value));
+        });
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            stopPlayback();
+            recorderLog('Playback closed', window.LOG_LEVEL.INFO);
+        });
+    }
+
+    updatePlaybackBar();
+}
+
+function updatePlaybackBar() {
+    const playbackBar = document.getElementById('playbackBar');
+    if (!playbackBar) return;
+
+    const playback = window.playback;
+    playbackBar.style.display = playback.active ? 'flex' : 'none';
+    if (!playback.active) return;
+
+    const playPauseBtn = document.getElementById('playbackPlayPause');
+    if (playPauseBtn) {
+        playPauseBtn.innerHTML = playback.playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+    }
+
+    const timeline = document.getElementById('playbackTimeline');
+    if (timeline) {
+        timeline.max = playback.duration;
+        timeline.value = playback.position;
+    }
+
+    const timeLabel = document.getElementById('playbackTime');
+    if (timeLabel) {
+        timeLabel.textContent = `${formatPlaybackTime(playback.position)} / ${formatPlaybackTime(playback.duration)}`;
+    }
+}
+
+// ================== RECORDER MODAL ==================
+
+function initializeRecorderControls() {
+    const openBtn = document.getElementById('openRecorder');
+    const recorderModal = document.getElementById('recorderModal');
+    const closeBtn = document.getElementById('recorderModalClose');
+    if (!openBtn || !recorderModal) return;
+
+    openBtn.addEventListener('click', async function() {
+        await renderSessionList();
+        window.showModal(recorderModal);
+    });
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(recorderModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === recorderModal) {
+            window.hideModal(recorderModal);
+        }
+    });
+
+    const sessionList = document.getElementById('recorderSessionList');
+    if (sessionList) {
+        sessionList.addEventListener('click', async function(e) {
+            const playBtn = e.target.closest('.session-play');
+            const logBtn = e.target.closest('.session-log');
+            const deleteBtn = e.target.closest('.session-delete');
+
+            if (playBtn) {
+                window.hideModal(recorderModal);
+                try {
+                    await startPlayback(parseInt(playBtn.getAttribute('data-session-id')));
+                } catch (error) {
+                    recorderLog(`Cannot play recorded session: ${error.message}`, window.LOG_LEVEL.ERROR);
+                }
+            } else if (logBtn) {
+                try {
+                    await window.exportRecordingLog(parseInt(logBtn.getAttribute('data-session-id')));
+                } catch (error) {
+                    recorderLog(`Cannot export session log: ${error.message}`, window.LOG_LEVEL.ERROR);
+                }
+            } else if (deleteBtn) {
+                const sessionId = parseInt(deleteBtn.getAttribute('data-session-id'));
+                if (sessionId === window.currentRecordingSessionId) {
+                    recorderLog('Cannot delete the session being recorded', window.LOG_LEVEL.WARNING);
+                    return;
+                }
+                if (!confirm('Delete this recorded session?')) return;
+                try {
+                    await deleteRecordingSession(sessionId);
+                } catch (error) {
+                    recorderLog(`Cannot delete recorded session: ${error.message}`, window.LOG_LEVEL.ERROR);
+                }
+                await renderSessionList();
+            }
+        });
+    }
+}
+
+async function renderSessionList() {
+    const sessionList = document.getElementById('recorderSessionList');
+    if (!sessionList) return;
+
+    let sessions;
+    try {
+        sessions = await listRecordingSessions();
+    } catch (error) {
+        sessionList.innerHTML = `<div class="error-message">Flight recorder unavailable: ${error.message}</div>`;
+        return;
+    }
+
+    if (sessions.length === 0) {
+        sessionList.innerHTML = '<div class="no-waypoints">No recorded sessions yet. Sessions are recorded automatically while connected.</div>';
+        return;
+    }
+
+    sessionList.innerHTML = sessions.map(session => {
+        const started = new Date(session.startedAt);
+        const duration = session.endedAt ? formatPlaybackTime(session.endedAt - session.startedAt) : 'recording';
+        const isLive = session.id === window.currentRecordingSessionId;
+        const linkSummary = session.linkStats && session.linkStats.quality !== null
+            ? ` • link ${session.linkStats.quality}%, ${session.linkStats.gaps} gaps` : '';
+
+        return `
+            <div class="session-item">
+                <div class="session-info">
+                    <div class="session-title">${started.toLocaleDateString()} ${started.toLocaleTimeString()} • ${session.label}</div>
+                    <div class="session-details">${duration} • ${session.lineCount} lines${linkSummary}</div>
+                </div>
+                <button class="btn btn-sm session-play" data-session-id="${session.id}" ${isLive ? 'disabled' : ''} title="Play session">
+                    <i class="fas fa-play"></i>
+                </button>
+                <button class="btn btn-sm session-log" data-session-id="${session.id}" title="Export session log">
+                    <i class="fas fa-file-lines"></i>
+                </button>
+                <button class="btn btn-sm session-delete" data-session-id="${session.id}" title="Delete session">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
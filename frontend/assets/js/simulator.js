@@ -0,0 +1,765 @@
+/**
+ * simulator.js - Software-in-the-Loop Drone Simulator
+ *
+ * Handles:
+ * - Simulated vehicle speaking the UART JSON protocol (see docs/API.md)
+ * - Kinematic mission flight at max_speed with climb/descent
+ * - telemetry, mission_confirmation, navigation_update, status and mission_status messages
+ * - Chunked mission upload and mission read-back
+ * - Battery drain while flying (voltage, percentage and current)
+ * - GPS noise, satellite dropouts and link loss injection
+ * - "Simulator" link type registered with the transport layer
+ * - Simulator settings modal
+ */
+
+const simulatorLog = window.createLogger('simulator');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadSimulatorSettings();
+    initializeSimulatorControls();
+});
+
+// ================== SIMULATOR SETTINGS ==================
+
+const SIMULATOR_TICK_MS = 200;
+const SIMULATOR_TELEMETRY_INTERVAL_MS = 2000;
+const SIMULATOR_WAYPOINT_REACHED_DISTANCE = 5.0;
+const SIMULATOR_CLIMB_RATE = 2.0; // m/s
+const SIMULATOR_MAX_WAYPOINTS = 100;  // same limit as the firmware
+const SIMULATOR_COMMAND_REPEAT_MS = 60000;  // same repeat window as the firmware
+const SIMULATOR_BATTERY_MAH = 5000;
+const SIMULATOR_BATTERY_CELLS = 4;
+const SIMULATOR_HOVER_CURRENT = 12.0; // A, plus a little per km/h of ground speed
+const SIMULATOR_IDLE_CURRENT = 0.4;   // A on the ground
+
+const DEFAULT_SIMULATOR_SETTINGS = {
+    gpsNoiseMeters: 1.5,
+    satellites: 10,
+    gpsDropoutChance: 0,      // probability per telemetry interval
+    gpsDropoutSeconds: 10,
+    messageDropRate: 0,       // probability per message, both directions
+    linkOutageChance: 0,      // probability per telemetry interval
+    linkOutageSeconds: 8
+};
+
+window.simulatorSettings = { ...DEFAULT_SIMULATOR_SETTINGS };
+
+function loadSimulatorSettings() {
+    const savedSettings = localStorage.getItem('droneSimulatorSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.simulatorSettings = { ...DEFAULT_SIMULATOR_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.simulatorSettings = { ...DEFAULT_SIMULATOR_SETTINGS };
+    }
+}
+
+function saveSimulatorSettings() {
+    localStorage.setItem('droneSimulatorSettings', JSON.stringify(window.simulatorSettings));
+}
+
+// ================== SIMULATED VEHICLE ==================
+
+const SIM_MISSION_STATE = {
+    WAITING: 0,
+    LOADED: 1,
+    NAVIGATING: 2,
+    COMPLETE: 3
+};
+
+function createSimulatedVehicle(link) {
+    const home = window.HOME_COORDINATES;
+    const vehicle = {
+        vehicleId: `SIM-${Math.floor(Math.random() * 0x10000).toString(16).toUpperCase().padStart(4, '0')}`,
+        lat: home.lat,
+        lng: home.lng,
+        alt: 0,
+        groundSpeed: 0,   // km/h
+        heading: 0,
+        bootTime: Date.now(),
+        commandSeq: undefined,
+        lastCommand: null,  // { line, at, reply } - a resent command only gets its first reply again
+        missionState: SIM_MISSION_STATE.WAITING,
+        missionActive: false,
+        missionId: '',
+        waypoints: [],
+        currentWaypointIndex: -1,
+        maxSpeed: 12,
+        maxAltitude: 0,
+        returnToHome: true,
+        returningHome: false,
+        gpsDropoutUntil: 0,
+        linkOutageUntil: 0,
+        batteryUsedMah: 0,
+        current: 0,       // A
+        missionLoadedAt: 0,
+        upload: null      // chunked upload in progress
+    };
+
+    let tickTimer = null;
+    let telemetryTimer = null;
+    let lastTick = 0;
+
+    link.onLine(receiveCommand);
+
+    // ---------- link with fault injection ----------
+
+    function isLinkDown() {
+        return Date.now() < vehicle.linkOutageUntil;
+    }
+
+    function shouldDropMessage() {
+        return isLinkDown() || Math.random() < window.simulatorSettings.messageDropRate;
+    }
+
+    function sendJSON(type, doc) {
+        doc.type = type;
+        doc.timestamp = Date.now() - vehicle.bootTime;
+        if (vehicle.commandSeq !== undefined) doc.seq = vehicle.commandSeq;
+
+        const line = JSON.stringify(doc);
+        if (vehicle.commandSeq !== undefined && vehicle.lastCommand && vehicle.lastCommand.reply === null) {
+            vehicle.lastCommand.reply = line;
+        }
+
+        if (shouldDropMessage()) return;
+        link.send(line);
+    }
+
+    // Mirrors the firmware's Serial.println() debug output
+    function sendDebug(text) {
+        if (shouldDropMessage()) return;
+        link.send(text);
+    }
+
+    // ---------- GPS model ----------
+
+    function hasGpsFix() {
+        return Date.now() >= vehicle.gpsDropoutUntil;
+    }
+
+    function gaussian() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    function readGps() {
+        const settings = window.simulatorSettings;
+        const north = gaussian() * settings.gpsNoiseMeters;
+        const east = gaussian() * settings.gpsNoiseMeters;
+        const metersPerDegree = 111320;
+        const satellites = Math.max(0, Math.round(settings.satellites + gaussian() * 0.7));
+
+        return {
+            lat: vehicle.lat + north / metersPerDegree,
+            lng: vehicle.lng + east / (metersPerDegree * Math.cos(vehicle.lat * Math.PI / 180)),
+            alt: vehicle.alt + gaussian() * settings.gpsNoiseMeters * 1.5,
+            sat: satellites,
+            hdop: Math.max(0.6, 0.8 + Math.max(0, 12 - satellites) * 0.25 + Math.abs(gaussian()) * 0.1)
+        };
+    }
+
+    // ---------- command handling ----------
+
+    function receiveCommand(line) {
+        if (isLinkDown() || Math.random() < window.simulatorSettings.messageDropRate) return;
+
+        let doc;
+        try {
+            doc = JSON.parse(line);
+        } catch (error) {
+            sendJSON('status', { status: 'command_error' });
+            return;
+        }
+
+        // Like the firmware, a resent command (same line, same seq) is not run
+        // twice: a lost mission_confirmation must not restart the mission
+        const last = vehicle.lastCommand;
+        if (doc.seq !== undefined && last && last.line === line && Date.now() - last.at < SIMULATOR_COMMAND_REPEAT_MS) {
+            if (last.reply !== null && !shouldDropMessage()) link.send(last.reply);
+            return;
+        }
+        vehicle.lastCommand = { line: line, at: Date.now(), reply: null };
+
+        // Replies sent while handling a command echo its sequence id
+        vehicle.commandSeq = doc.seq;
+        handleCommand(doc);
+        vehicle.commandSeq = undefined;
+    }
+
+    function handleCommand(doc) {
+        switch (doc.action) {
+            case 'start_mission':
+                loadMission(doc, true);
+                break;
+
+            case 'mission_load':
+                loadMission(doc, false);
+                break;
+
+            case 'mission_start':
+                startLoadedMission();
+                break;
+
+            case 'mission_begin':
+                beginUpload(doc);
+                break;
+
+            case 'mission_item':
+                receiveUploadItem(doc);
+                break;
+
+            case 'mission_end':
+                endUpload();
+                break;
+
+            case 'mission_request':
+                sendJSON('mission_info', {
+                    mission_id: vehicle.missionId,
+                    total_waypoints: vehicle.waypoints.length,
+                    max_speed: vehicle.maxSpeed,
+                    max_altitude: vehicle.maxAltitude,
+                    return_to_home: vehicle.returnToHome,
+                    mission_state: vehicle.missionState
+                });
+                break;
+
+            case 'mission_item_request': {
+                const wp = vehicle.waypoints[doc.index];
+                sendJSON('mission_item', wp
+                    ? { index: doc.index, name: wp.name, latitude: wp.lat, longitude: wp.lng, altitude: wp.alt }
+                    : { index: doc.index, error: 'bad_index' });
+                break;
+            }
+
+            case 'get_status':
+                sendMissionStatus();
+                break;
+
+            case 'emergency_stop':
+                vehicle.missionActive = false;
+                vehicle.returningHome = false;
+                sendDebug('EMERGENCY STOP');
+                resetMission();
+                sendJSON('status', { status: 'emergency_stop' });
+                break;
+
+            case 'return_home':
+                if (vehicle.missionActive) {
+                    sendDebug('Return to Home');
+                    vehicle.missionState = SIM_MISSION_STATE.COMPLETE;
+                    vehicle.returningHome = true;
+                    sendJSON('navigation_update', { mission_id: vehicle.missionId, status: 'returning_home' });
+                } else {
+                    sendJSON('status', { status: 'no_active_mission' });
+                }
+                break;
+
+            default:
+                sendJSON('status', { status: 'unknown_command' });
+        }
+    }
+
+    function toSimulatedWaypoint(wp, index, maxAltitude) {
+        return {
+            name: wp.name || `Waypoint ${index + 1}`,
+            lat: wp.latitude,
+            lng: wp.longitude,
+            alt: wp.altitude !== undefined ? wp.altitude : (maxAltitude || 0),
+            reached: false
+        };
+    }
+
+    // start_mission loads and starts at once; mission_load only loads
+    function loadMission(doc, start) {
+        const waypointArray = Array.isArray(doc.waypoints) ? doc.waypoints : [];
+
+        vehicle.waypoints = waypointArray
+            .slice(0, SIMULATOR_MAX_WAYPOINTS)
+            .map((wp, index) => toSimulatedWaypoint(wp, index, doc.max_altitude));
+        vehicle.maxSpeed = doc.max_speed || vehicle.maxSpeed;
+        vehicle.maxAltitude = doc.max_altitude || 0;
+        vehicle.returnToHome = doc.return_to_home !== false;
+        commitMission();
+        if (start) startLoadedMission();
+    }
+
+    // ---------- chunked upload ----------
+
+    function beginUpload(doc) {
+        const total = doc.total_waypoints || 0;
+        if (total < 1 || total > SIMULATOR_MAX_WAYPOINTS) {
+            vehicle.upload = null;
+            sendJSON('mission_upload', { status: 'rejected', reason: 'too_many_waypoints', total_waypoints: total, max_waypoints: SIMULATOR_MAX_WAYPOINTS });
+            return;
+        }
+
+        vehicle.upload = {
+            total: total,
+            items: new Array(total).fill(null),
+            maxSpeed: doc.max_speed,
+            maxAltitude: doc.max_altitude,
+            returnToHome: doc.return_to_home !== false
+        };
+        sendDebug(`Mission upload started: ${total} waypoints`);
+        sendJSON('mission_upload', { status: 'ready', total_waypoints: total, max_waypoints: SIMULATOR_MAX_WAYPOINTS });
+    }
+
+    function receiveUploadItem(doc) {
+        const upload = vehicle.upload;
+        if (!upload || !(doc.index >= 0 && doc.index < upload.total)) {
+            sendJSON('mission_item_ack', { index: doc.index, status: 'rejected', reason: upload ? 'bad_index' : 'no_upload' });
+            return;
+        }
+
+        upload.items[doc.index] = toSimulatedWaypoint(doc, doc.index, upload.maxAltitude);
+        sendJSON('mission_item_ack', { index: doc.index, status: 'ok' });
+    }
+
+    function endUpload() {
+        const upload = vehicle.upload;
+
+        // mission_end again after the commit (its confirmation was lost): confirm again
+        if (!upload && vehicle.missionState === SIM_MISSION_STATE.LOADED &&
+            Date.now() - vehicle.missionLoadedAt < SIMULATOR_COMMAND_REPEAT_MS) {
+            sendMissionLoaded();
+            return;
+        }
+
+        if (!upload) {
+            sendJSON('mission_upload', { status: 'rejected', reason: 'no_upload' });
+            return;
+        }
+
+        const missing = [];
+        upload.items.forEach((item, index) => {
+            if (!item) missing.push(index);
+        });
+        if (missing.length > 0) {
+            sendJSON('mission_upload', { status: 'incomplete', total_waypoints: upload.total, missing: missing });
+            return;
+        }
+
+        vehicle.upload = null;
+        vehicle.waypoints = upload.items;
+        vehicle.maxSpeed = upload.maxSpeed || vehicle.maxSpeed;
+        vehicle.maxAltitude = upload.maxAltitude || 0;
+        vehicle.returnToHome = upload.returnToHome;
+        sendDebug('Mission upload complete, loading...');
+        commitMission();
+    }
+
+    // Held in LOADED until mission_start; a mission being flown stops here
+    function commitMission() {
+        vehicle.missionId = new Date().toISOString().replace('T', ' ').substring(0, 19);
+
+        sendDebug('Mission Loading...');
+        vehicle.waypoints.forEach((wp, i) => {
+            sendDebug(`WP${i + 1}: ${wp.name} (${wp.lat.toFixed(6)}, ${wp.lng.toFixed(6)})`);
+        });
+
+        vehicle.missionActive = false;
+        vehicle.returningHome = false;
+        vehicle.currentWaypointIndex = 0;
+        vehicle.missionState = SIM_MISSION_STATE.LOADED;
+        vehicle.missionLoadedAt = Date.now();
+        sendMissionLoaded();
+    }
+
+    function sendMissionLoaded() {
+        sendJSON('mission_confirmation', {
+            mission_id: vehicle.missionId,
+            total_waypoints: vehicle.waypoints.length,
+            status: 'mission_loaded'
+        });
+    }
+
+    function startLoadedMission() {
+        if (vehicle.missionState !== SIM_MISSION_STATE.LOADED || vehicle.waypoints.length === 0) {
+            sendJSON('status', { status: 'no_mission_loaded' });
+            return;
+        }
+
+        vehicle.missionActive = true;
+        vehicle.missionState = SIM_MISSION_STATE.NAVIGATING;
+        sendDebug(`Navigation started to: ${vehicle.waypoints[0].name}`);
+        sendJSON('navigation_update', {
+            mission_id: vehicle.missionId,
+            status: 'navigation_started',
+            current_waypoint_index: 0,
+            total_waypoints: vehicle.waypoints.length,
+            waypoint_name: vehicle.waypoints[0].name,
+            target_lat: vehicle.waypoints[0].lat,
+            target_lng: vehicle.waypoints[0].lng,
+            target_alt: vehicle.waypoints[0].alt
+        });
+    }
+
+    function sendMissionStatus() {
+        const status = {
+            vehicle_id: vehicle.vehicleId,
+            mission_active: vehicle.missionActive,
+            mission_state: vehicle.missionState,
+            current_waypoint: vehicle.currentWaypointIndex,
+            total_waypoints: vehicle.waypoints.length
+        };
+
+        const target = vehicle.waypoints[vehicle.currentWaypointIndex];
+        if (vehicle.missionActive && target) {
+            status.current_waypoint_name = target.name;
+            status.target_lat = target.lat;
+            status.target_lng = target.lng;
+        }
+
+        sendJSON('mission_status', status);
+    }
+
+    function resetMission() {
+        vehicle.waypoints = [];
+        vehicle.currentWaypointIndex = -1;
+        vehicle.missionId = '';
+        vehicle.missionState = SIM_MISSION_STATE.WAITING;
+        sendDebug('Ready for next mission');
+    }
+
+    // ---------- navigation ----------
+
+    function checkWaypoint() {
+        if (vehicle.missionState !== SIM_MISSION_STATE.NAVIGATING || !hasGpsFix()) return;
+
+        const wp = vehicle.waypoints[vehicle.currentWaypointIndex];
+        if (!wp || wp.reached) return;
+
+        const gps = readGps();
+        const dist = window.calculateDistance(gps.lat, gps.lng, wp.lat, wp.lng);
+        if (dist > SIMULATOR_WAYPOINT_REACHED_DISTANCE) return;
+
+        wp.reached = true;
+        sendDebug(`Waypoint reached: ${wp.name} (${vehicle.currentWaypointIndex + 1}/${vehicle.waypoints.length}) - ${dist.toFixed(1)}m accuracy`);
+        sendJSON('navigation_update', {
+            mission_id: vehicle.missionId,
+            status: 'waypoint_reached',
+            current_waypoint_index: vehicle.currentWaypointIndex,
+            total_waypoints: vehicle.waypoints.length,
+            waypoint_name: wp.name,
+            accuracy_meters: dist,
+            current_lat: gps.lat,
+            current_lng: gps.lng,
+            current_alt: gps.alt
+        });
+
+        vehicle.currentWaypointIndex++;
+
+        if (vehicle.currentWaypointIndex < vehicle.waypoints.length) {
+            const next = vehicle.waypoints[vehicle.currentWaypointIndex];
+            sendDebug(`Next target: ${next.name}`);
+            sendJSON('navigation_update', {
+                mission_id: vehicle.missionId,
+                status: 'navigating_to',
+                current_waypoint_index: vehicle.currentWaypointIndex,
+                total_waypoints: vehicle.waypoints.length,
+                waypoint_name: next.name,
+                target_lat: next.lat,
+                target_lng: next.lng,
+                target_alt: next.alt
+            });
+        } else {
+            completeMission();
+        }
+    }
+
+    function completeMission() {
+        sendDebug(`Mission complete! ${vehicle.waypoints.length} waypoints reached`);
+        vehicle.missionState = SIM_MISSION_STATE.COMPLETE;
+        vehicle.missionActive = false;
+
+        if (vehicle.returnToHome) {
+            sendDebug('Returning to home');
+            vehicle.returningHome = true;
+            sendJSON('navigation_update', { mission_id: vehicle.missionId, status: 'returning_home' });
+        } else {
+            sendJSON('navigation_update', { mission_id: vehicle.missionId, status: 'mission_complete' });
+            resetMission();
+        }
+    }
+
+    function currentTarget() {
+        if (vehicle.returningHome) {
+            return { lat: window.HOME_COORDINATES.lat, lng: window.HOME_COORDINATES.lng, alt: 0 };
+        }
+        if (vehicle.missionState === SIM_MISSION_STATE.NAVIGATING) {
+            return vehicle.waypoints[vehicle.currentWaypointIndex] || null;
+        }
+        return null;
+    }
+
+    // ---------- battery model ----------
+
+    function drainBattery(dt) {
+        const airborne = vehicle.alt > 0.2;
+        vehicle.current = airborne ? SIMULATOR_HOVER_CURRENT + vehicle.groundSpeed * 0.3 : SIMULATOR_IDLE_CURRENT;
+        vehicle.batteryUsedMah = Math.min(SIMULATOR_BATTERY_MAH, vehicle.batteryUsedMah + vehicle.current * dt * 1000 / 3600);
+    }
+
+    function readBattery() {
+        const percent = 100 * (1 - vehicle.batteryUsedMah / SIMULATOR_BATTERY_MAH);
+        // Roughly linear resting curve with a small sag under load
+        const cellVoltage = 3.5 + 0.7 * percent / 100 - vehicle.current * 0.004;
+        return {
+            battery_percent: percent,
+            battery_voltage: cellVoltage * SIMULATOR_BATTERY_CELLS,
+            current: vehicle.current
+        };
+    }
+
+    function step(dt) {
+        const target = currentTarget();
+        drainBattery(dt);
+
+        if (!target) {
+            vehicle.groundSpeed = 0;
+            // Land at the last position once idle
+            vehicle.alt = Math.max(0, vehicle.alt - SIMULATOR_CLIMB_RATE * dt);
+            return;
+        }
+
+        const distance = window.calculateDistance(vehicle.lat, vehicle.lng, target.lat, target.lng);
+        const speed = vehicle.maxSpeed / 3.6;
+        const travel = Math.min(distance, speed * dt);
+
+        if (travel > 0.01) {
+            vehicle.heading = window.calculateBearing(vehicle.lat, vehicle.lng, target.lat, target.lng);
+            const next = window.calculateDestination(vehicle.lat, vehicle.lng, vehicle.heading, travel);
+            vehicle.lat = next.lat;
+            vehicle.lng = next.lng;
+        }
+        vehicle.groundSpeed = (travel / dt) * 3.6;
+
+        const climb = SIMULATOR_CLIMB_RATE * dt;
+        vehicle.alt += Math.max(-climb, Math.min(climb, target.alt - vehicle.alt));
+
+        if (vehicle.returningHome && distance - travel < 0.5) {
+            vehicle.returningHome = false;
+            sendJSON('navigation_update', { mission_id: vehicle.missionId, status: 'mission_complete' });
+            resetMission();
+            return;
+        }
+
+        checkWaypoint();
+    }
+
+    // ---------- periodic output ----------
+
+    function injectFaults() {
+        const settings = window.simulatorSettings;
+        const now = Date.now();
+
+        if (hasGpsFix() && Math.random() < settings.gpsDropoutChance) {
+            vehicle.gpsDropoutUntil = now + settings.gpsDropoutSeconds * 1000;
+        }
+        if (!isLinkDown() && Math.random() < settings.linkOutageChance) {
+            vehicle.linkOutageUntil = now + settings.linkOutageSeconds * 1000;
+        }
+    }
+
+    function sendTelemetry() {
+        injectFaults();
+
+        if (!hasGpsFix()) {
+            sendJSON('status', { status: 'waiting_gps_fix' });
+            return;
+        }
+
+        const gps = readGps();
+        sendJSON('telemetry', {
+            lat: gps.lat,
+            lng: gps.lng,
+            alt: gps.alt,
+            sat: gps.sat,
+            speed: vehicle.groundSpeed,
+            hdop: gps.hdop,
+            direction: vehicle.heading,
+            ...readBattery()
+        });
+    }
+
+    return {
+        state: vehicle,
+
+        start() {
+            vehicle.bootTime = Date.now();
+            lastTick = Date.now();
+
+            sendDebug('GPS Telemetry Ready');
+            sendJSON('status', { status: 'system_ready', vehicle_id: vehicle.vehicleId });
+
+            tickTimer = setInterval(() => {
+                const now = Date.now();
+                step((now - lastTick) / 1000);
+                lastTick = now;
+            }, SIMULATOR_TICK_MS);
+
+            telemetryTimer = setInterval(sendTelemetry, SIMULATOR_TELEMETRY_INTERVAL_MS);
+        },
+
+        stop() {
+            clearInterval(tickTimer);
+            clearInterval(telemetryTimer);
+            tickTimer = null;
+            telemetryTimer = null;
+        },
+
+        forceGpsDropout(seconds) {
+            vehicle.gpsDropoutUntil = Date.now() + seconds * 1000;
+        },
+
+        forceLinkOutage(seconds) {
+            vehicle.linkOutageUntil = Date.now() + seconds * 1000;
+        }
+    };
+}
+
+window.createSimulatedVehicle = createSimulatedVehicle;
+
+// ================== SIMULATOR TRANSPORT ==================
+
+function createSimulatorTransport() {
+    const transport = window.createLoopbackTransport();
+    const vehicle = createSimulatedVehicle(transport.peer);
+    const openLoopback = transport.open;
+    const closeLoopback = transport.close;
+
+    transport.type = 'simulator';
+    transport.label = 'Simulator';
+
+    transport.open = async function() {
+        await openLoopback();
+        vehicle.start();
+        window.simulatedVehicle = vehicle;
+    };
+
+    transport.close = async function() {
+        vehicle.stop();
+        if (window.simulatedVehicle === vehicle) {
+            window.simulatedVehicle = null;
+        }
+        await closeLoopback();
+    };
+
+    transport.getInfo = function() {
+        return { simulator: true };
+    };
+
+    return transport;
+}
+
+if (window.registerTransport) {
+    window.registerTransport('simulator', {
+        label: 'Simulator',
+        create: () => createSimulatorTransport()
+    });
+}
+
+// ================== SIMULATOR CONTROLS ==================
+
+const SIMULATOR_FIELDS = [
+    { id: 'simGpsNoise', key: 'gpsNoiseMeters', scale: 1 },
+    { id: 'simSatellites', key: 'satellites', scale: 1 },
+    { id: 'simGpsDropoutChance', key: 'gpsDropoutChance', scale: 100 },
+    { id: 'simGpsDropoutSeconds', key: 'gpsDropoutSeconds', scale: 1 },
+    { id: 'simMessageDropRate', key: 'messageDropRate', scale: 100 },
+    { id: 'simLinkOutageChance', key: 'linkOutageChance', scale: 100 },
+    { id: 'simLinkOutageSeconds', key: 'linkOutageSeconds', scale: 1 }
+];
+
+function formatSimulatorField(field) {
+    return Math.round(window.simulatorSettings[field.key] * field.scale * 1000) / 1000;
+}
+
+function initializeSimulatorControls() {
+    const simulatorBtn = document.getElementById('simulatorSettings');
+    const simulatorModal = document.getElementById('simulatorModal');
+    const transportSelect = document.getElementById('transportSelect');
+    if (!simulatorBtn || !simulatorModal) return;
+
+    function updateButtonVisibility() {
+        const isSimulator = transportSelect && transportSelect.value === 'simulator';
+        simulatorBtn.style.display = isSimulator ? '' : 'none';
+    }
+
+    if (transportSelect) {
+        transportSelect.addEventListener('change', updateButtonVisibility);
+    }
+    updateButtonVisibility();
+
+    SIMULATOR_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = formatSimulatorField(field);
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < 0) {
+                this.value = formatSimulatorField(field);
+                return;
+            }
+            window.simulatorSettings[field.key] = value / field.scale;
+            saveSimulatorSettings();
+        });
+    });
+
+    simulatorBtn.addEventListener('click', function() {
+        window.showModal(simulatorModal);
+    });
+
+    const closeBtn = document.getElementById('simulatorModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(simulatorModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === simulatorModal) {
+            window.hideModal(simulatorModal);
+        }
+    });
+
+    const forceGpsBtn = document.getElementById('simForceGpsDropout');
+    if (forceGpsBtn) {
+        forceGpsBtn.addEventListener('click', function() {
+            if (!window.simulatedVehicle) {
+                simulatorLog('Simulator is not running', window.LOG_LEVEL.WARNING);
+                return;
+            }
+            window.simulatedVehicle.forceGpsDropout(window.simulatorSettings.gpsDropoutSeconds);
+            simulatorLog(`Simulator: GPS dropout for ${window.simulatorSettings.gpsDropoutSeconds}s`, window.LOG_LEVEL.INFO);
+        });
+    }
+
+    const forceLinkBtn = document.getElementById('simForceLinkOutage');
+    if (forceLinkBtn) {
+        forceLinkBtn.addEventListener('click', function() {
+            if (!window.simulatedVehicle) {
+                simulatorLog('Simulator is not running', window.LOG_LEVEL.WARNING);
+                return;
+            }
+            window.simulatedVehicle.forceLinkOutage(window.simulatorSettings.linkOutageSeconds);
+            simulatorLog(`Simulator: link outage for ${window.simulatorSettings.linkOutageSeconds}s`, window.LOG_LEVEL.INFO);
+        });
+    }
+
+    const resetBtn = document.getElementById('simResetDefaults');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', function() {
+            window.simulatorSettings = { ...DEFAULT_SIMULATOR_SETTINGS };
+            saveSimulatorSettings();
+            SIMULATOR_FIELDS.forEach(field => {
+                const input = document.getElementById(field.id);
+                if (input) input.value = formatSimulatorField(field);
+            });
+        });
+    }
+}
@@ -0,0 +1,512 @@
+/**
+ * survey.js - Survey (Lawnmower) Pattern Generator
+ *
+ * Handles:
+ * - Drawing and editing the survey area polygon on the map
+ * - Back-and-forth coverage lines from a line spacing, or from the camera
+ *   footprint at the survey altitude and the side overlap
+ * - Grid angle, survey altitude and turnaround distance past the area edge
+ * - Preview with waypoint count, total distance and flight time
+ * - Refusing a pattern that would take the mission past the vehicle's waypoint limit
+ * - Adding the pattern to the mission as one undo step
+ *
+ * The sweep starts at whichever corner of the pattern is closest to home.
+ * In concave areas the leg between two parts of the same line crosses the gap.
+ */
+
+const surveyLog = window.createLogger('survey');
+
+document.addEventListener('DOMContentLoaded', function() {
+    window.surveyLayer = L.layerGroup().addTo(window.map);
+    window.surveyHandleLayer = L.layerGroup().addTo(window.map);
+
+    loadSurveySettings();
+    initializeSurveyControls();
+
+    // Flight time follows the mission speed and return-to-home setting
+    document.addEventListener('mission-settings-changed', updateSurveyPreview);
+    document.addEventListener('home-changed', updateSurveyPreview);
+    // An appended survey counts against the waypoint limit together with the mission
+    document.addEventListener('waypoints-changed', updateSurveyPreview);
+});
+
+// ================== SURVEY SETTINGS ==================
+
+const DEFAULT_SURVEY_SETTINGS = {
+    spacingMode: 'spacing',   // spacing | camera
+    lineSpacing: 30,          // m
+    cameraFov: 70,            // horizontal field of view, degrees
+    sideOverlap: 70,          // %
+    angle: 0,                 // bearing of the survey lines, degrees
+    altitude: 50,             // m
+    turnaround: 10            // m flown past the area edge before turning
+};
+
+// Guards against a tiny spacing over a large area
+const SURVEY_MAX_LINES = 500;
+
+window.surveySettings = { ...DEFAULT_SURVEY_SETTINGS };
+
+let surveyArea = [];          // polygon corners { lat, lng }
+let surveyDrawing = false;
+let surveyPanelOpen = false;
+let surveyPattern = null;     // last generated { waypoints, lines, spacing, error }
+
+function loadSurveySettings() {
+    const savedSettings = localStorage.getItem('droneSurveySettings');
+    if (!savedSettings) return;
+
+    try {
+        window.surveySettings = { ...DEFAULT_SURVEY_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.surveySettings = { ...DEFAULT_SURVEY_SETTINGS };
+    }
+}
+
+function saveSurveySettings() {
+    localStorage.setItem('droneSurveySettings', JSON.stringify(window.surveySettings));
+}
+
+// Ground width one image covers at the survey altitude
+function getCameraFootprint(settings) {
+    return 2 * settings.altitude * Math.tan(settings.cameraFov / 2 * Math.PI / 180);
+}
+
+function getSurveyLineSpacing(settings) {
+    if (settings.spacingMode === 'camera') {
+        return getCameraFootprint(settings) * (1 - settings.sideOverlap / 100);
+    }
+    return settings.lineSpacing;
+}
+
+// ================== PATTERN GENERATION ==================
+
+// Flat projection in metres around the area's first corner
+function createSurveyProjection(origin) {
+    const metersPerDegree = 6371000 * Math.PI / 180;
+    const cosLat = Math.cos(origin.lat * Math.PI / 180);
+
+    return {
+        toLocal: point => ({
+            x: (point.lng - origin.lng) * metersPerDegree * cosLat,
+            y: (point.lat - origin.lat) * metersPerDegree
+        }),
+        toLatLng: point => ({
+            lat: origin.lat + point.y / metersPerDegree,
+            lng: origin.lng + point.x / (metersPerDegree * cosLat)
+        })
+    };
+}
+
+// Stretches of the line { p : p·normal = offset } that lie inside the polygon,
+// as [start, end] positions along the line direction
+function getLineSegments(polygon, direction, normal, offset) {
+    const crossings = [];
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[j];
+        const b = polygon[i];
+        const aOffset = a.x * normal.x + a.y * normal.y;
+        const bOffset = b.x * normal.x + b.y * normal.y;
+
+        if ((aOffset > offset) === (bOffset > offset)) continue;
+
+        const t = (offset - aOffset) / (bOffset - aOffset);
+        const x = a.x + t * (b.x - a.x);
+        const y = a.y + t * (b.y - a.y);
+        crossings.push(x * direction.x + y * direction.y);
+    }
+
+    crossings.sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+        segments.push([crossings[i], crossings[i + 1]]);
+    }
+    return segments;
+}
+
+// Returns { waypoints: [{ lat, lng, alt }], lines, spacing } or { error }.
+// existingCount is the number of mission waypoints the survey is appended to
+function generateSurveyPattern(area, settings, existingCount = 0) {
+    if (area.length < 3) return { error: 'Draw an area with at least 3 corners' };
+
+    const spacing = getSurveyLineSpacing(settings);
+    if (!(spacing > 0)) return { error: 'Line spacing must be above 0 m' };
+
+    const projection = createSurveyProjection(area[0]);
+    const polygon = area.map(projection.toLocal);
+
+    // Lines run along the bearing; offsets step across them
+    const angle = settings.angle * Math.PI / 180;
+    const direction = { x: Math.sin(angle), y: Math.cos(angle) };
+    const normal = { x: Math.cos(angle), y: -Math.sin(angle) };
+
+    const offsets = polygon.map(p => p.x * normal.x + p.y * normal.y);
+    const minOffset = Math.min(...offsets);
+    const maxOffset = Math.max(...offsets);
+    const lineCount = Math.max(1, Math.ceil((maxOffset - minOffset) / spacing));
+    if (lineCount > SURVEY_MAX_LINES) {
+        return { error: `Line spacing ${spacing.toFixed(1)} m needs ${lineCount} lines (max ${SURVEY_MAX_LINES})` };
+    }
+
+    // Lines are centred in the area, so both edges get the same margin
+    const firstOffset = minOffset + ((maxOffset - minOffset) - (lineCount - 1) * spacing) / 2;
+    const lines = [];
+    for (let i = 0; i < lineCount; i++) {
+        const offset = firstOffset + i * spacing;
+        const segments = getLineSegments(polygon, direction, normal, offset);
+        if (segments.length > 0) {
+            lines.push({ offset: offset, segments: segments });
+        }
+    }
+    if (lines.length === 0) return { error: 'The area is too narrow for this spacing' };
+
+    const toPoint = (offset, along) => projection.toLatLng({
+        x: normal.x * offset + direction.x * along,
+        y: normal.y * offset + direction.y * along
+    });
+
+    // Sweeps back and forth; reverse flips the line order, flip the first direction
+    const buildSweep = (reverse, flip) => {
+        const ordered = reverse ? lines.slice().reverse() : lines;
+        const points = [];
+
+        ordered.forEach((line, index) => {
+            const forward = (index % 2 === 0) !== flip;
+            const segments = forward ? line.segments : line.segments.slice().reverse();
+
+            segments.forEach(([start, end]) => {
+                const from = (forward ? start - settings.turnaround : end + settings.turnaround);
+                const to = (forward ? end + settings.turnaround : start - settings.turnaround);
+                points.push(toPoint(line.offset, from), toPoint(line.offset, to));
+            });
+        });
+        return points;
+    };
+
+    const home = window.HOME_COORDINATES;
+    let best = null;
+    let bestDistance = Infinity;
+    [[false, false], [false, true], [true, false], [true, true]].forEach(([reverse, flip]) => {
+        const points = buildSweep(reverse, flip);
+        const distance = window.calculateDistance(home.lat, home.lng, points[0].lat, points[0].lng);
+        if (distance < bestDistance) {
+            best = points;
+            bestDistance = distance;
+        }
+    });
+
+    const maxWaypoints = window.MAX_MISSION_WAYPOINTS;
+    if (existingCount + best.length > maxWaypoints) {
+        return {
+            error: existingCount > 0
+                ? `${best.length} survey waypoints + ${existingCount} in the mission exceed the vehicle's ${maxWaypoints} - widen the spacing, shrink the area or replace the mission`
+                : `${best.length} survey waypoints exceed the vehicle's ${maxWaypoints} - widen the spacing or shrink the area`
+        };
+    }
+
+    return {
+        waypoints: best.map(point => ({ lat: point.lat, lng: point.lng, alt: settings.altitude })),
+        lines: lines.length,
+        spacing: spacing
+    };
+}
+
+window.generateSurveyPattern = generateSurveyPattern;
+
+// ================== PREVIEW ==================
+
+// Waypoints already in the mission that the survey would be appended to
+function getSurveyExistingCount() {
+    const replace = document.getElementById('surveyReplace');
+    return replace && !replace.checked ? window.waypoints.length : 0;
+}
+
+function updateSurveyPreview() {
+    if (!window.surveyLayer) return;
+
+    surveyPattern = surveyArea.length >= 3
+        ? generateSurveyPattern(surveyArea, window.surveySettings, getSurveyExistingCount())
+        : null;
+    drawSurveyLayer();
+    renderSurveyStats();
+}
+
+function drawSurveyLayer() {
+    window.surveyLayer.clearLayers();
+    if (!surveyPanelOpen) return;
+
+    if (surveyArea.length > 0) {
+        const latLngs = surveyArea.map(p => [p.lat, p.lng]);
+        const style = { color: '#9b59b6', weight: 2, fillOpacity: 0.08, interactive: false };
+
+        if (surveyDrawing || surveyArea.length < 3) {
+            L.polyline(latLngs, { ...style, dashArray: '4 4' }).addTo(window.surveyLayer);
+        } else {
+            L.polygon(latLngs, style).addTo(window.surveyLayer);
+        }
+    }
+
+    if (surveyPattern && surveyPattern.waypoints) {
+        L.polyline(surveyPattern.waypoints.map(wp => [wp.lat, wp.lng]), {
+            color: '#f1c40f',
+            weight: 2,
+            opacity: 0.9,
+            interactive: false
+        }).addTo(window.surveyLayer);
+
+        const start = surveyPattern.waypoints[0];
+        L.circleMarker([start.lat, start.lng], {
+            radius: 5,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#2ecc71',
+            fillOpacity: 1,
+            interactive: false
+        }).addTo(window.surveyLayer);
+    }
+}
+
+function renderSurveyHandles() {
+    window.surveyHandleLayer.clearLayers();
+    if (!surveyPanelOpen) return;
+
+    surveyArea.forEach(point => {
+        const handle = L.marker([point.lat, point.lng], {
+            icon: L.divIcon({ className: 'survey-handle', iconSize: [12, 12], iconAnchor: [6, 6] }),
+            draggable: true
+        });
+
+        // Only the preview is redrawn while dragging so the handle survives
+        handle.on('drag', function() {
+            const position = handle.getLatLng();
+            point.lat = position.lat;
+            point.lng = position.lng;
+            updateSurveyPreview();
+        });
+
+        handle.addTo(window.surveyHandleLayer);
+    });
+}
+
+function renderSurveyStats() {
+    const stats = document.getElementById('surveyStats');
+    const applyBtn = document.getElementById('surveyApply');
+    const footprint = document.getElementById('surveyFootprint');
+
+    if (footprint) {
+        const settings = window.surveySettings;
+        footprint.textContent = `Footprint ${getCameraFootprint(settings).toFixed(1)} m → spacing ${getSurveyLineSpacing({ ...settings, spacingMode: 'camera' }).toFixed(1)} m`;
+    }
+
+    const ready = !!(surveyPattern && surveyPattern.waypoints);
+    if (applyBtn) applyBtn.disabled = !ready || surveyDrawing;
+    if (!stats) return;
+
+    stats.classList.toggle('survey-stats-error', !!(surveyPattern && surveyPattern.error));
+
+    if (surveyDrawing) {
+        stats.textContent = `${surveyArea.length} corner${surveyArea.length !== 1 ? 's' : ''} - click the map to add more, then Finish`;
+        return;
+    }
+    if (!surveyPattern) {
+        stats.textContent = 'Draw the survey area to preview the pattern';
+        return;
+    }
+    if (surveyPattern.error) {
+        stats.textContent = surveyPattern.error;
+        return;
+    }
+
+    // Flight time covers the whole route: home, the pattern and the return leg
+    const plan = window.calculateETALocally(surveyPattern.waypoints, window.missionSettings.maxSpeed, window.missionSettings.returnToHome);
+    stats.innerHTML = `
+        <span>${surveyPattern.waypoints.length} waypoints · ${surveyPattern.lines} lines · ${surveyPattern.spacing.toFixed(1)} m apart</span>
+        <span>${window.formatRouteDistance(plan.totalDistance)} · ${plan.eta} at ${window.missionSettings.maxSpeed} km/h</span>`;
+}
+
+// ================== DRAWING ==================
+
+function startSurveyDrawing() {
+    surveyArea = [];
+    surveyDrawing = true;
+    window.map.doubleClickZoom.disable();
+    window.setMapClickInterceptor(handleSurveyDrawClick);
+
+    renderSurveyHandles();
+    updateSurveyPreview();
+    setSurveyDrawingVisible(true);
+}
+
+function handleSurveyDrawClick(e) {
+    if (!surveyDrawing) return false;
+
+    surveyArea.push({ lat: e.latlng.lat, lng: e.latlng.lng });
+    renderSurveyHandles();
+    updateSurveyPreview();
+    return true;
+}
+
+function finishSurveyDrawing() {
+    if (!surveyDrawing) return;
+
+    if (surveyArea.length < 3) {
+        surveyLog('A survey area needs at least 3 corners', window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    endSurveyDrawing();
+    updateSurveyPreview();
+}
+
+function endSurveyDrawing() {
+    if (!surveyDrawing) return;
+
+    surveyDrawing = false;
+    window.map.doubleClickZoom.enable();
+    window.setMapClickInterceptor(null);
+    setSurveyDrawingVisible(false);
+}
+
+function clearSurveyArea() {
+    endSurveyDrawing();
+    surveyArea = [];
+    renderSurveyHandles();
+    updateSurveyPreview();
+}
+
+function setSurveyDrawingVisible(visible) {
+    const finishBtn = document.getElementById('surveyFinish');
+    if (finishBtn) {
+        finishBtn.style.display = visible ? '' : 'none';
+    }
+}
+
+// ================== ADD TO MISSION ==================
+
+function applySurveyPattern() {
+    if (!surveyPattern || !surveyPattern.waypoints) return;
+
+    const replace = document.getElementById('surveyReplace');
+    const replaceMission = replace ? replace.checked : true;
+
+    if (replaceMission && window.waypoints.length > 0) {
+        const confirmed = confirm(`Replace the current ${window.waypoints.length} waypoint${window.waypoints.length > 1 ? 's' : ''} with the ${surveyPattern.waypoints.length}-waypoint survey?`);
+        if (!confirmed) return;
+    }
+
+    const existing = replaceMission ? [] : window.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng, alt: wp.alt, name: wp.name }));
+    if (existing.length + surveyPattern.waypoints.length > window.MAX_MISSION_WAYPOINTS) {
+        surveyLog(`Survey not added: the mission would have more than ${window.MAX_MISSION_WAYPOINTS} waypoints`, window.LOG_LEVEL.WARNING);
+        return;
+    }
+    const combined = existing.concat(surveyPattern.waypoints.map((wp, index) => ({
+        ...wp,
+        name: `Waypoint ${existing.length + index + 1}`
+    })));
+
+    window.runAsSingleEdit('Survey pattern', () => window.replaceWaypoints(combined, 'survey'));
+
+    surveyLog(`Survey pattern ${replaceMission ? 'set' : 'appended'}: ${surveyPattern.waypoints.length} waypoints on ${surveyPattern.lines} lines, ${surveyPattern.spacing.toFixed(1)} m apart`, window.LOG_LEVEL.INFO);
+
+    clearSurveyArea();
+}
+
+// ================== SURVEY PANEL ==================
+
+const SURVEY_FIELDS = [
+    { id: 'surveyLineSpacing', key: 'lineSpacing', min: 0.5 },
+    { id: 'surveyCameraFov', key: 'cameraFov', min: 1, max: 170 },
+    { id: 'surveyOverlap', key: 'sideOverlap', min: 0, max: 95 },
+    { id: 'surveyAngle', key: 'angle', min: -360, max: 360 },
+    { id: 'surveyAltitude', key: 'altitude', min: 1 },
+    { id: 'surveyTurnaround', key: 'turnaround', min: 0 }
+];
+
+function updateSpacingModeFields() {
+    const cameraMode = window.surveySettings.spacingMode === 'camera';
+    const spacingRow = document.getElementById('surveySpacingFields');
+    const cameraRow = document.getElementById('surveyCameraFields');
+
+    if (spacingRow) spacingRow.style.display = cameraMode ? 'none' : '';
+    if (cameraRow) cameraRow.style.display = cameraMode ? '' : 'none';
+}
+
+function setSurveyPanelOpen(open) {
+    const panel = document.getElementById('surveyPanel');
+    const openBtn = document.getElementById('openSurvey');
+    if (!panel || !openBtn) return;
+
+    // The pattern panel sits in the same place
+    if (open && window.closePatternPanel) window.closePatternPanel();
+
+    surveyPanelOpen = open;
+    panel.style.display = open ? 'flex' : 'none';
+    openBtn.classList.toggle('active', open);
+    if (!open) endSurveyDrawing();
+    renderSurveyHandles();
+    updateSurveyPreview();
+}
+
+function closeSurveyPanel() {
+    if (surveyPanelOpen) setSurveyPanelOpen(false);
+}
+
+window.closeSurveyPanel = closeSurveyPanel;
+
+function initializeSurveyControls() {
+    const panel = document.getElementById('surveyPanel');
+    const openBtn = document.getElementById('openSurvey');
+    if (!panel || !openBtn) return;
+
+    openBtn.addEventListener('click', function() {
+        setSurveyPanelOpen(!surveyPanelOpen);
+    });
+
+    SURVEY_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.surveySettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < field.min || (field.max !== undefined && value > field.max)) {
+                this.value = window.surveySettings[field.key];
+                return;
+            }
+            window.surveySettings[field.key] = value;
+            saveSurveySettings();
+            updateSurveyPreview();
+        });
+    });
+
+    const modeSelect = document.getElementById('surveySpacingMode');
+    if (modeSelect) {
+        modeSelect.value = window.surveySettings.spacingMode;
+        modeSelect.addEventListener('change', function() {
+            window.surveySettings.spacingMode = this.value;
+            saveSurveySettings();
+            updateSpacingModeFields();
+            updateSurveyPreview();
+        });
+    }
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('surveyClose', closeSurveyPanel);
+    bind('surveyDraw', startSurveyDrawing);
+    bind('surveyFinish', finishSurveyDrawing);
+    bind('surveyClearArea', clearSurveyArea);
+    bind('surveyApply', applySurveyPattern);
+
+    const replaceBox = document.getElementById('surveyReplace');
+    if (replaceBox) replaceBox.addEventListener('change', updateSurveyPreview);
+
+    updateSpacingModeFields();
+    setSurveyDrawingVisible(false);
+    renderSurveyStats();
+}
@@ -0,0 +1,601 @@
+/**
+ * system-log.js - System Log
+ *
+ * Handles:
+ * - addLogEntry(), per-module loggers and the log levels used by every module
+ * - Structured entries: time, level, source module, vehicle, message and an optional payload
+ * - Saving entries to IndexedDB, one log per page session, keeping the latest sessions
+ * - Tagging entries with the flight recording in progress, so a recording's
+ *   log can be exported with it
+ * - Level, vehicle and source filters and free-text search, applied to new entries too
+ * - Virtualized list, so thousands of entries stay fast
+ * - Viewing earlier sessions and exporting to CSV, JSON or plain text
+ *
+ * Loaded before main.js so every module can log from its first line. The
+ * database is opened by recorder.js, which loads later; entries wait in
+ * memory until the first save.
+ */
+
+document.addEventListener('DOMContentLoaded', function () {
+    initializeSystemLog();
+
+    setInterval(flushLogEntries, LOG_FLUSH_INTERVAL_MS);
+    window.addEventListener('pagehide', flushLogEntries);
+
+    setTimeout(pruneLogSessions, LOG_PRUNE_DELAY_MS);
+});
+
+// ================== LOG ENTRIES ==================
+
+const LOG_LEVEL = {
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+const LOG_FLUSH_INTERVAL_MS = 1000;
+const LOG_MEMORY_LIMIT = 20000;       // entries of this session kept for the list
+const LOG_MEMORY_TRIM = 1000;
+const LOG_SESSIONS_KEPT = 20;
+const LOG_PRUNE_DELAY_MS = 5000;
+const LOG_ROW_HEIGHT = 24;            // px; rows are one line so the list can be virtualized
+const LOG_OVERSCAN_ROWS = 10;
+
+// A page load is one log session
+const logSessionId = Date.now();
+
+let logRecords = [];                  // this session, oldest first
+let pendingLogRecords = [];
+let logSourcesSeen = new Set();
+
+// vehicleId tags the entry for the vehicle filter; it defaults to the
+// selected vehicle (vehicles.js) since most messages come from its link.
+// details: { source, payload } - modules log through createLogger(), which fills in source
+function addLogEntry(message, level = LOG_LEVEL.INFO, vehicleId = window.activeVehicleId, details = {}) {
+    const vehicle = window.getVehicle ? window.getVehicle(vehicleId) : null;
+
+    // Only the selected vehicle is recorded, so only its entries belong to the recording
+    const isRecordedVehicle = !vehicle || vehicle.id === window.activeVehicleId;
+    const recordingSessionId = isRecordedVehicle && window.currentRecordingSessionId !== undefined
+        ? window.currentRecordingSessionId : null;
+
+    const record = {
+        sessionId: logSessionId,
+        recordingSessionId: recordingSessionId,
+        time: Date.now(),
+        level: level,
+        source: details.source || 'station',
+        vehicleId: vehicle ? vehicle.id : null,
+        vehicleLabel: vehicle ? vehicle.label : null,
+        message: String(message)
+    };
+    if (details.payload !== undefined) {
+        record.payload = details.payload;
+    }
+
+    logRecords.push(record);
+    pendingLogRecords.push(record);
+
+    if (!logSourcesSeen.has(record.source)) {
+        logSourcesSeen.add(record.source);
+        renderLogSourceFilter();
+    }
+
+    // Older entries of a long session are dropped from memory in batches; they stay saved
+    if (logRecords.length > LOG_MEMORY_LIMIT + LOG_MEMORY_TRIM) {
+        logRecords.splice(0, LOG_MEMORY_TRIM);
+        logClearedBefore = Math.max(0, logClearedBefore - LOG_MEMORY_TRIM);
+        if (logView.sessionId === logSessionId) {
+            applyLogFilters();
+        }
+        return;
+    }
+
+    if (logView.sessionId === logSessionId && isLogRecordVisible(record)) {
+        logView.records.push(record);
+        scheduleLogRender(true);
+    }
+}
+
+// Logs with every entry tagged as coming from source. The options are
+// { vehicleId, payload }, both optional, with the defaults of addLogEntry.
+// Each module keeps one: const tilesLog = window.createLogger('tiles');
+function createLogger(source) {
+    return (message, level, { vehicleId, payload } = {}) =>
+        addLogEntry(message, level, vehicleId, { source: source, payload: payload });
+}
+
+// Written in batches like the flight recorder; a failed save is only reported
+// to the console, since logging it would fail the same way
+async function flushLogEntries() {
+    if (pendingLogRecords.length === 0 || !window.openRecorderDatabase) return;
+
+    const batch = pendingLogRecords;
+    pendingLogRecords = [];
+
+    try {
+        const db = await window.openRecorderDatabase();
+        const transaction = db.transaction('logs', 'readwrite');
+        const store = transaction.objectStore('logs');
+        batch.forEach(record => store.add(record));
+        await window.transactionDone(transaction);
+    } catch (error) {
+        console.warn('Error saving system log:', error);
+    }
+}
+
+// ================== SAVED SESSIONS ==================
+
+async function listLogSessions() {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('logs', 'readonly');
+    const index = transaction.objectStore('logs').index('sessionId');
+
+    return new Promise((resolve, reject) => {
+        const sessionIds = [];
+        const request = index.openKeyCursor(null, 'nextunique');
+        request.onsuccess = function () {
+            const cursor = request.result;
+            if (cursor) {
+                sessionIds.push(cursor.key);
+                cursor.continue();
+            } else {
+                resolve(sessionIds.sort((a, b) => b - a));
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadLogSession(sessionId) {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('logs', 'readonly');
+    return window.requestToPromise(transaction.objectStore('logs').index('sessionId').getAll(sessionId));
+}
+
+async function pruneLogSessions() {
+    if (!window.openRecorderDatabase) return;
+
+    try {
+        const sessionIds = await listLogSessions();
+        const expired = sessionIds.filter(id => id !== logSessionId).slice(LOG_SESSIONS_KEPT - 1);
+        if (expired.length === 0) return;
+
+        const db = await window.openRecorderDatabase();
+        const transaction = db.transaction('logs', 'readwrite');
+        const store = transaction.objectStore('logs');
+        for (const sessionId of expired) {
+            await deleteUnrecordedLogEntries(store, sessionId);
+        }
+        await window.transactionDone(transaction);
+    } catch (error) {
+        console.warn('Error pruning system log:', error);
+    }
+}
+
+// Entries of a kept flight recording stay until the recording is deleted
+function deleteUnrecordedLogEntries(store, sessionId) {
+    return new Promise((resolve, reject) => {
+        const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+        request.onsuccess = function () {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (cursor.value.recordingSessionId === null || cursor.value.recordingSessionId === undefined) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ================== FILTERING ==================
+
+// Clear only hides what is already listed; the entries stay saved and exportable
+let logClearedBefore = 0;
+
+const logView = {
+    sessionId: logSessionId,
+    sessionRecords: null,             // records of an earlier session while one is shown
+    records: [],                      // records passing the filters, oldest first
+    selected: null
+};
+
+function getLogFilters() {
+    const value = (id, fallback) => {
+        const element = document.getElementById(id);
+        return element && element.value ? element.value : fallback;
+    };
+
+    return {
+        level: value('logFilter', 'all'),
+        vehicle: value('logVehicleFilter', 'all'),
+        source: value('logSourceFilter', 'all'),
+        search: value('logSearch', '').trim().toLowerCase()
+    };
+}
+
+// Entries without a vehicle are station messages and pass the vehicle filter
+function isLogRecordVisible(record, filters = getLogFilters()) {
+    if (filters.level !== 'all' && record.level !== filters.level) return false;
+    if (filters.vehicle !== 'all' && record.vehicleId !== null && String(record.vehicleId) !== filters.vehicle) return false;
+    if (filters.source !== 'all' && record.source !== filters.source) return false;
+
+    if (filters.search) {
+        const haystack = `${record.message} ${record.source} ${record.vehicleLabel || ''} ${record.payload !== undefined ? JSON.stringify(record.payload) : ''}`;
+        if (!haystack.toLowerCase().includes(filters.search)) return false;
+    }
+
+    return true;
+}
+
+function getShownSessionRecords() {
+    return logView.sessionId === logSessionId ? logRecords.slice(logClearedBefore) : logView.sessionRecords || [];
+}
+
+// Also called when the vehicle list changes (vehicles.js)
+function applyLogFilters() {
+    const filters = getLogFilters();
+    logView.records = getShownSessionRecords().filter(record => isLogRecordVisible(record, filters));
+    logView.selected = null;
+    renderLogDetail();
+    scheduleLogRender(true);
+}
+
+// ================== VIRTUALIZED LIST ==================
+
+let logRenderPending = false;
+let logScrollToEnd = false;
+let logFollowBottom = true;           // new entries keep the list scrolled to the end
+
+// Renders at most once per frame however many entries arrive
+function scheduleLogRender(follow) {
+    if (follow && logFollowBottom) logScrollToEnd = true;
+    if (logRenderPending) return;
+
+    logRenderPending = true;
+    requestAnimationFrame(() => {
+        logRenderPending = false;
+        const scrollToEnd = logScrollToEnd;
+        logScrollToEnd = false;
+        renderLogRows(scrollToEnd);
+    });
+}
+
+function formatLogTime(time, withDate) {
+    const date = new Date(time);
+    return withDate ? `${date.toLocaleDateString()} ${date.toLocaleTimeString()}` : date.toLocaleTimeString();
+}
+
+function createLogRow(record, index) {
+    const row = document.createElement('div');
+    row.className = `log-entry log-${record.level}${index === logView.selected ? ' selected' : ''}`;
+    row.style.top = `${index * LOG_ROW_HEIGHT}px`;
+    row.style.height = `${LOG_ROW_HEIGHT}px`;
+    row.dataset.index = index;
+    row.title = record.message;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'log-time';
+    timeSpan.textContent = formatLogTime(record.time);
+    row.appendChild(timeSpan);
+
+    // With several vehicles each entry shows whose it is
+    if (record.vehicleLabel && window.vehicles && window.vehicles.length > 1) {
+        const vehicle = window.getVehicle ? window.getVehicle(record.vehicleId) : null;
+        const vehicleSpan = document.createElement('span');
+        vehicleSpan.className = 'log-vehicle';
+        vehicleSpan.style.borderColor = vehicle ? vehicle.color : 'var(--color-border-emphasis)';
+        vehicleSpan.textContent = record.vehicleLabel;
+        row.appendChild(vehicleSpan);
+    }
+
+    const messageSpan = document.createElement('span');
+    messageSpan.className = 'log-message';
+    messageSpan.textContent = record.message;
+    row.appendChild(messageSpan);
+
+    if (record.payload !== undefined) {
+        const payloadIcon = document.createElement('i');
+        payloadIcon.className = 'fas fa-paperclip log-payload-icon';
+        row.appendChild(payloadIcon);
+    }
+
+    const sourceSpan = document.createElement('span');
+    sourceSpan.className = 'log-source';
+    sourceSpan.textContent = record.source;
+    row.appendChild(sourceSpan);
+
+    return row;
+}
+
+// Only the rows in view (plus a margin) exist in the DOM; a spacer gives
+// the list its full scroll height
+function renderLogRows(scrollToEnd) {
+    const systemLog = document.getElementById('system-log');
+    if (!systemLog) return;
+
+    let spacer = systemLog.querySelector('.log-spacer');
+    if (!spacer) {
+        systemLog.innerHTML = '<div class="log-spacer"></div>';
+        spacer = systemLog.querySelector('.log-spacer');
+    }
+
+    const total = logView.records.length;
+    spacer.style.height = `${total * LOG_ROW_HEIGHT}px`;
+
+    if (scrollToEnd) {
+        systemLog.scrollTop = systemLog.scrollHeight;
+    }
+
+    const first = Math.max(0, Math.floor(systemLog.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN_ROWS);
+    const last = Math.min(total, Math.ceil((systemLog.scrollTop + systemLog.clientHeight) / LOG_ROW_HEIGHT) + LOG_OVERSCAN_ROWS);
+
+    const fragment = document.createDocumentFragment();
+    for (let index = first; index < last; index++) {
+        fragment.appendChild(createLogRow(logView.records[index], index));
+    }
+    spacer.innerHTML = '';
+    spacer.appendChild(fragment);
+
+    if (total === 0) {
+        spacer.innerHTML = `<div class="log-empty">${logView.sessionId === logSessionId && logRecords.length > 0 ? 'No entries match the filters' : 'No log entries'}</div>`;
+    }
+
+    const countLabel = document.getElementById('logCount');
+    if (countLabel) {
+        const shown = getShownSessionRecords().length;
+        countLabel.textContent = total === shown ? `${total} entries` : `${total} of ${shown} entries`;
+    }
+}
+
+function renderLogDetail() {
+    const detail = document.getElementById('logDetail');
+    if (!detail) return;
+
+    const record = logView.selected !== null ? logView.records[logView.selected] : null;
+    if (!record) {
+        detail.style.display = 'none';
+        return;
+    }
+
+    detail.style.display = 'block';
+    detail.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'log-detail-header';
+    header.textContent = `${formatLogTime(record.time, true)} • ${record.level.toUpperCase()} • ${record.source}${record.vehicleLabel ? ` • ${record.vehicleLabel}` : ''}`;
+    detail.appendChild(header);
+
+    const message = document.createElement('div');
+    message.className = 'log-detail-message';
+    message.textContent = record.message;
+    detail.appendChild(message);
+
+    if (record.payload !== undefined) {
+        const payload = document.createElement('pre');
+        payload.className = 'log-detail-payload';
+        payload.textContent = typeof record.payload === 'string' ? record.payload : JSON.stringify(record.payload, null, 2);
+        detail.appendChild(payload);
+    }
+}
+
+function renderLogSourceFilter() {
+    const filter = document.getElementById('logSourceFilter');
+    if (!filter) return;
+
+    const selected = filter.value || 'all';
+    const sources = new Set(logSourcesSeen);
+    if (logView.sessionRecords) {
+        logView.sessionRecords.forEach(record => sources.add(record.source));
+    }
+
+    filter.innerHTML = '';
+
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        filter.appendChild(option);
+    };
+
+    addOption('all', 'All Sources');
+    [...sources].sort().forEach(source => addOption(source, source));
+    filter.value = sources.has(selected) ? selected : 'all';
+}
+
+async function renderLogSessionSelect() {
+    const select = document.getElementById('logSession');
+    if (!select || !window.openRecorderDatabase) return;
+
+    let sessionIds = [];
+    try {
+        sessionIds = await listLogSessions();
+    } catch (error) {
+        console.warn('Error listing log sessions:', error);
+    }
+
+    select.innerHTML = '<option value="current">This session</option>' + sessionIds
+        .filter(id => id !== logSessionId)
+        .map(id => `<option value="${id}">${formatLogTime(id, true)}</option>`)
+        .join('');
+    select.value = logView.sessionId === logSessionId ? 'current' : String(logView.sessionId);
+}
+
+async function showLogSession(value) {
+    if (value === 'current') {
+        logView.sessionId = logSessionId;
+        logView.sessionRecords = null;
+    } else {
+        const sessionId = Number(value);
+        try {
+            logView.sessionRecords = await loadLogSession(sessionId);
+            logView.sessionId = sessionId;
+        } catch (error) {
+            addLogEntry(`Cannot load saved log: ${error.message}`, LOG_LEVEL.WARNING);
+            return;
+        }
+    }
+
+    renderLogSourceFilter();
+    applyLogFilters();
+}
+
+// ================== EXPORT ==================
+
+function escapeLogCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const LOG_EXPORT_FORMATS = {
+    csv: {
+        extension: 'csv',
+        mimeType: 'text/csv',
+        build: records => ['time,level,source,vehicle,recording,message,payload'].concat(records.map(record => [
+            new Date(record.time).toISOString(),
+            record.level,
+            record.source,
+            record.vehicleLabel,
+            record.recordingSessionId,
+            record.message,
+            record.payload !== undefined ? JSON.stringify(record.payload) : ''
+        ].map(escapeLogCsv).join(','))).join('\r\n')
+    },
+    json: {
+        extension: 'json',
+        mimeType: 'application/json',
+        build: records => JSON.stringify(records.map(record => ({
+            time: new Date(record.time).toISOString(),
+            level: record.level,
+            source: record.source,
+            vehicle: record.vehicleLabel,
+            recording: record.recordingSessionId,
+            message: record.message,
+            payload: record.payload
+        })), null, 2)
+    },
+    txt: {
+        extension: 'txt',
+        mimeType: 'text/plain',
+        build: records => records.map(record =>
+            `${new Date(record.time).toISOString()} [${record.level.toUpperCase()}] [${record.source}]` +
+            `${record.vehicleLabel ? ` [${record.vehicleLabel}]` : ''} ${record.message}` +
+            `${record.payload !== undefined ? ` ${JSON.stringify(record.payload)}` : ''}`
+        ).join('\n')
+    }
+};
+
+// Exports the shown session with the current filters, including entries hidden by Clear
+function exportSystemLog(formatId) {
+    const format = LOG_EXPORT_FORMATS[formatId];
+    if (!format || !window.downloadTextFile) return;
+
+    const filters = getLogFilters();
+    const source = logView.sessionId === logSessionId ? logRecords : logView.sessionRecords || [];
+    const records = source.filter(record => isLogRecordVisible(record, filters));
+
+    const stamp = new Date(logView.sessionId).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    window.downloadTextFile(`system-log-${stamp}.${format.extension}`, format.build(records), format.mimeType);
+    addLogEntry(`Exported ${records.length} log entries as ${format.extension.toUpperCase()}`, LOG_LEVEL.INFO);
+}
+
+// Everything logged while a flight recording was made, from the recorder's session list
+async function exportRecordingLog(recordingSessionId, formatId = 'csv') {
+    const format = LOG_EXPORT_FORMATS[formatId];
+    if (!format || !window.downloadTextFile) return;
+
+    await flushLogEntries();
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('logs', 'readonly');
+    const records = await window.requestToPromise(
+        transaction.objectStore('logs').index('recordingSessionId').getAll(recordingSessionId));
+
+    if (records.length === 0) {
+        addLogEntry(`No log entries saved for recorded session ${recordingSessionId}`, LOG_LEVEL.WARNING);
+        return;
+    }
+
+    window.downloadTextFile(`session-${recordingSessionId}-log.${format.extension}`, format.build(records), format.mimeType);
+    addLogEntry(`Exported ${records.length} log entries of recorded session ${recordingSessionId}`, LOG_LEVEL.INFO);
+}
+
+window.exportRecordingLog = exportRecordingLog;
+
+// ================== LOG PANEL ==================
+
+function initializeSystemLog() {
+    const systemLog = document.getElementById('system-log');
+    if (!systemLog) return;
+
+    ['logFilter', 'logVehicleFilter', 'logSourceFilter'].forEach(id => {
+        const filter = document.getElementById(id);
+        if (filter) filter.addEventListener('change', applyLogFilters);
+    });
+
+    const searchInput = document.getElementById('logSearch');
+    if (searchInput) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', function () {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(applyLogFilters, 200);
+        });
+    }
+
+    const clearLogBtn = document.getElementById('clearLog');
+    if (clearLogBtn) {
+        clearLogBtn.addEventListener('click', function () {
+            if (logView.sessionId !== logSessionId) {
+                showLogSession('current');
+                renderLogSessionSelect();
+            }
+            logClearedBefore = logRecords.length;
+            applyLogFilters();
+            addLogEntry('Log view cleared (entries stay saved and can be exported)', LOG_LEVEL.INFO);
+        });
+    }
+
+    const sessionSelect = document.getElementById('logSession');
+    if (sessionSelect) {
+        sessionSelect.addEventListener('focus', renderLogSessionSelect);
+        sessionSelect.addEventListener('change', function () {
+            showLogSession(this.value);
+        });
+    }
+
+    const exportSelect = document.getElementById('logExport');
+    if (exportSelect) {
+        exportSelect.addEventListener('change', function () {
+            exportSystemLog(this.value);
+            this.value = '';
+        });
+    }
+
+    systemLog.addEventListener('scroll', function () {
+        logFollowBottom = systemLog.scrollHeight - systemLog.scrollTop - systemLog.clientHeight < LOG_ROW_HEIGHT;
+        scheduleLogRender(false);
+    });
+
+    systemLog.addEventListener('click', function (e) {
+        const row = e.target.closest('.log-entry');
+        if (!row) return;
+
+        const index = parseInt(row.dataset.index);
+        logView.selected = logView.selected === index ? null : index;
+        renderLogDetail();
+        scheduleLogRender(false);
+    });
+
+    window.addEventListener('resize', () => scheduleLogRender(false));
+
+    renderLogSourceFilter();
+    applyLogFilters();
+}
+
+window.addLogEntry = addLogEntry;
+window.createLogger = createLogger;
+window.LOG_LEVEL = LOG_LEVEL;
+window.refreshSystemLog = applyLogFilters;
@@ -10,11 +10,17 @@
  * - Validating telemetry data
  */
 
+const telemetryLog = window.createLogger('telemetry');
+
 // ================== TELEMETRY DATA PROCESSING ==================
 
 function handleTelemetryData(jsonData) {
     if (!jsonData || !jsonData.type) return;
 
+    if (window.handleCommandResponse) {
+        window.handleCommandResponse(jsonData);
+    }
+
     switch (jsonData.type) {
         case 'telemetry':
             if (validateTelemetryData(jsonData)) {
@@ -22,34 +28,41 @@ function handleTelemetryData(jsonData) {
                 if (window.updateDronePosition) {
                     window.updateDronePosition(jsonData.lat, jsonData.lng);
                 }
+                document.dispatchEvent(new CustomEvent('telemetry-received', { detail: jsonData }));
             }
             break;
 
         case 'mission_confirmation':
-            if (window.addLogEntry) {
-                window.addLogEntry(`Mission confirmed: ${jsonData.total_waypoints} waypoints`, window.LOG_LEVEL.INFO);
-                if (jsonData.mission_id) {
-                    window.addLogEntry(`Mission ID: ${jsonData.mission_id}`, window.LOG_LEVEL.INFO);
-                }
+            telemetryLog(`Mission confirmed: ${jsonData.total_waypoints} waypoints`, window.LOG_LEVEL.INFO);
+            if (jsonData.mission_id) {
+                telemetryLog(`Mission ID: ${jsonData.mission_id}`, window.LOG_LEVEL.INFO);
             }
             break;
 
         case 'navigation_update':
             handleNavigationUpdate(jsonData);
+            document.dispatchEvent(new CustomEvent('navigation-update-received', { detail: jsonData }));
             break;
 
         case 'status':
             handleStatusUpdate(jsonData);
+            document.dispatchEvent(new CustomEvent('status-received', { detail: jsonData }));
             break;
 
         case 'mission_status':
             handleMissionStatus(jsonData);
+            document.dispatchEvent(new CustomEvent('mission-status-received', { detail: jsonData }));
+            break;
+
+        // Chunked upload and read-back replies; consumed by the command tracker above
+        case 'mission_upload':
+        case 'mission_item_ack':
+        case 'mission_info':
+        case 'mission_item':
             break;
 
         default:
-            if (window.addLogEntry) {
-                window.addLogEntry(`Unknown message type: ${jsonData.type}`, window.LOG_LEVEL.WARNING);
-            }
+            telemetryLog(`Unknown message type: ${jsonData.type}`, window.LOG_LEVEL.WARNING);
     }
 }
 
@@ -62,16 +75,12 @@ function validateTelemetryData(data) {
     const missingFields = requiredFields.filter(field => data[field] === undefined);
 
     if (missingFields.length > 0) {
-        if (window.addLogEntry) {
-            window.addLogEntry(`Invalid telemetry data - missing: ${missingFields.join(', ')}`, window.LOG_LEVEL.WARNING);
-        }
+        telemetryLog(`Invalid telemetry data - missing: ${missingFields.join(', ')}`, window.LOG_LEVEL.WARNING);
         return false;
     }
 
     if (data.lat < -90 || data.lat > 90 || data.lng < -180 || data.lng > 180) {
-        if (window.addLogEntry) {
-            window.addLogEntry(`Invalid GPS coordinates: ${data.lat}, ${data.lng}`, window.LOG_LEVEL.WARNING);
-        }
+        telemetryLog(`Invalid GPS coordinates: ${data.lat}, ${data.lng}`, window.LOG_LEVEL.WARNING);
         return false;
     }
 
@@ -112,6 +121,20 @@ function updateTelemetryDisplay(data) {
         speedElement.innerHTML = `${data.speed.toFixed(1)} <small>km/h</small>`;
     }
 
+    // Update battery (optional fields, the tile stays blank without them)
+    const batteryPercent = window.getBatteryPercent ? window.getBatteryPercent(data) : null;
+    const batteryLevel = document.querySelector('.status-item .battery-level');
+    if (batteryLevel && batteryPercent !== null) {
+        batteryLevel.style.width = `${batteryPercent.toFixed(0)}%`;
+        const batteryText = batteryLevel.parentElement.querySelector('span');
+        if (batteryText) {
+            batteryText.textContent = `${batteryPercent.toFixed(0)}%`;
+        }
+        if (window.updateBatteryColor) {
+            window.updateBatteryColor(batteryLevel, batteryPercent);
+        }
+    }
+
     // Update heading
     const headingElement = document.querySelector('.telemetry-grid .telemetry-item:nth-child(3) span:last-child');
     if (headingElement && data.direction !== undefined) {
@@ -155,6 +178,8 @@ function updateTelemetryDisplay(data) {
     }
 }
 
+window.updateTelemetryDisplay = updateTelemetryDisplay;
+
 // ================== HELPER FUNCTIONS ==================
 
 function getCardinalDirection(degrees) {
@@ -166,31 +191,29 @@ function getCardinalDirection(degrees) {
 // ================== NAVIGATION UPDATES ==================
 
 function handleNavigationUpdate(data) {
-    if (!window.addLogEntry) return;
-
     const status = data.status;
     const waypointIndex = data.current_waypoint_index;
 
     switch (status) {
         case 'navigation_started':
-            window.addLogEntry('Navigation started', window.LOG_LEVEL.INFO);
+            telemetryLog('Navigation started', window.LOG_LEVEL.INFO);
             break;
 
         case 'waypoint_reached':
             const accuracy = data.accuracy_meters || 0;
-            window.addLogEntry(`Waypoint ${waypointIndex + 1} reached (${accuracy.toFixed(1)}m accuracy)`, window.LOG_LEVEL.INFO);
+            telemetryLog(`Waypoint ${waypointIndex + 1} reached (${accuracy.toFixed(1)}m accuracy)`, window.LOG_LEVEL.INFO);
             break;
 
         case 'navigating_to':
-            window.addLogEntry(`Navigating to waypoint ${waypointIndex + 1}`, window.LOG_LEVEL.INFO);
+            telemetryLog(`Navigating to waypoint ${waypointIndex + 1}`, window.LOG_LEVEL.INFO);
             break;
 
         case 'returning_home':
-            window.addLogEntry('UAV returning to home', window.LOG_LEVEL.INFO);
+            telemetryLog('UAV returning to home', window.LOG_LEVEL.INFO);
             break;
 
         case 'mission_complete':
-            window.addLogEntry('Mission completed successfully!', window.LOG_LEVEL.INFO);
+            telemetryLog('Mission completed successfully!', window.LOG_LEVEL.INFO);
             break;
     }
 }
@@ -198,13 +221,13 @@ function handleNavigationUpdate(data) {
 // ================== STATUS UPDATES ==================
 
 function handleStatusUpdate(data) {
-    if (!window.addLogEntry || !window.updateConnectionStatus) return;
+    if (!window.updateConnectionStatus) return;
 
     const status = data.status;
 
     switch (status) {
         case 'system_ready':
-            window.addLogEntry('System ready', window.LOG_LEVEL.INFO);
+            telemetryLog('System ready', window.LOG_LEVEL.INFO);
             break;
 
         case 'waiting_gps_fix':
@@ -212,15 +235,23 @@ function handleStatusUpdate(data) {
             break;
 
         case 'emergency_stop':
-            window.addLogEntry('Emergency stop activated', window.LOG_LEVEL.WARNING);
+            telemetryLog('Emergency stop activated', window.LOG_LEVEL.WARNING);
             break;
 
         case 'command_error':
-            window.addLogEntry('Command error', window.LOG_LEVEL.ERROR);
+            telemetryLog('Command error', window.LOG_LEVEL.ERROR);
             break;
 
         case 'unknown_command':
-            window.addLogEntry('Unknown command received', window.LOG_LEVEL.WARNING);
+            telemetryLog('Unknown command received', window.LOG_LEVEL.WARNING);
+            break;
+
+        case 'no_active_mission':
+            telemetryLog('Vehicle has no active mission', window.LOG_LEVEL.WARNING);
+            break;
+
+        case 'no_mission_loaded':
+            telemetryLog('Vehicle has no loaded mission to start', window.LOG_LEVEL.WARNING);
             break;
     }
 }
@@ -228,11 +259,9 @@ function handleStatusUpdate(data) {
 // ================== MISSION STATUS ==================
 
 function handleMissionStatus(data) {
-    if (!window.addLogEntry) return;
-
     if (data.mission_active) {
-        window.addLogEntry(`Mission active: ${data.current_waypoint + 1}/${data.total_waypoints}`, window.LOG_LEVEL.INFO);
+        telemetryLog(`Mission active: ${data.current_waypoint + 1}/${data.total_waypoints}`, window.LOG_LEVEL.INFO);
     } else {
-        window.addLogEntry('No active mission', window.LOG_LEVEL.INFO);
+        telemetryLog('No active mission', window.LOG_LEVEL.INFO);
     }
 }
@@ -0,0 +1,693 @@
+/**
+ * tiles.js - Base Maps and Offline Tiles
+ *
+ * Handles:
+ * - Base map sources (satellite, street, a local tile server, an MBTiles file) and the layer switcher
+ * - Serving tiles from the browser cache first, so downloaded areas show without internet
+ * - Downloading the tiles around the mission for a zoom range
+ * - Importing a raster MBTiles file into the cache as its own base map
+ * - Offline map settings (local tile URL, zoom range) and clearing the cache
+ *
+ * Cached tiles live in the 'tiles' store of the station database opened by
+ * recorder.js, keyed by source, zoom and tile coordinates. MBTiles tiles are
+ * only ever read from there; the file itself is not kept.
+ */
+
+const tilesLog = window.createLogger('tiles');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadMapSettings();
+    initializeOfflineMapControls();
+});
+
+// ================== MAP SETTINGS ==================
+
+const DEFAULT_MAP_SETTINGS = {
+    baseLayer: 'satellite',
+    localUrl: '',             // e.g. http://localhost:8080/{z}/{x}/{y}.png
+    localMaxZoom: 19,
+    mbtilesName: '',          // name of the imported MBTiles file, '' for none
+    mbtilesMaxZoom: 18,
+    offlineMinZoom: 12,
+    offlineMaxZoom: 18
+};
+
+window.mapSettings = { ...DEFAULT_MAP_SETTINGS };
+
+function loadMapSettings() {
+    const savedSettings = localStorage.getItem('droneMapSettings');
+    if (savedSettings) {
+        try {
+            window.mapSettings = { ...DEFAULT_MAP_SETTINGS, ...JSON.parse(savedSettings) };
+        } catch (error) {
+            window.mapSettings = { ...DEFAULT_MAP_SETTINGS };
+        }
+    }
+}
+
+function saveMapSettings() {
+    localStorage.setItem('droneMapSettings', JSON.stringify(window.mapSettings));
+}
+
+// ================== BASE MAP SOURCES ==================
+
+// bulkDownload is only true for a source the user runs themselves: the Google and
+// OpenStreetMap terms forbid pre-fetching their tiles
+const BASEMAP_SOURCES = {
+    satellite: {
+        label: 'Satellite',
+        url: () => 'https://{s}.google.com/vt/lyrs=s&x={x}&y={y}&z={z}',
+        attribution: '&copy; Google',
+        subdomains: ['mt0', 'mt1', 'mt2', 'mt3'],
+        maxNativeZoom: () => 20,
+        bulkDownload: false
+    },
+    street: {
+        label: 'Street',
+        url: () => 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; OpenStreetMap contributors',
+        subdomains: [],
+        maxNativeZoom: () => 19,
+        bulkDownload: false
+    },
+    local: {
+        label: 'Local tiles',
+        url: () => window.mapSettings.localUrl,
+        attribution: 'Local tile server',
+        subdomains: [],
+        maxNativeZoom: () => window.mapSettings.localMaxZoom,
+        bulkDownload: true
+    },
+    mbtiles: {
+        label: 'MBTiles',
+        url: () => '',
+        attribution: 'MBTiles file',
+        subdomains: [],
+        maxNativeZoom: () => window.mapSettings.mbtilesMaxZoom,
+        bulkDownload: false,
+        cacheOnly: true,      // tiles come from the import, never the network
+        available: () => !!window.mapSettings.mbtilesName
+    }
+};
+
+const TILE_ERROR_LOG_INTERVAL_MS = 10000;
+
+let baseLayers = {};          // source id -> tile layer
+let layerControl = null;
+let lastTileErrorLog = 0;
+
+// Same shape as L.TileLayer, but each tile is looked up in the cache before the network
+const CachedTileLayer = L.TileLayer.extend({
+    createTile: function(coords, done) {
+        const tile = document.createElement('img');
+        L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+        L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        const url = this.getTileUrl(coords);
+        getCachedTile(tileCacheKey(this.options.sourceId, coords.z, coords.x, coords.y))
+            .catch(() => null)
+            .then(blob => {
+                if (blob) {
+                    const objectUrl = URL.createObjectURL(blob);
+                    L.DomEvent.on(tile, 'load error', () => URL.revokeObjectURL(objectUrl));
+                    tile.src = objectUrl;
+                } else {
+                    tile.src = this.options.cacheOnly ? L.Util.emptyImageUrl : url;
+                }
+            });
+
+        return tile;
+    }
+});
+
+function createBaseLayer(sourceId) {
+    const source = BASEMAP_SOURCES[sourceId];
+    const options = {
+        sourceId: sourceId,
+        attribution: source.attribution,
+        maxZoom: 22,
+        maxNativeZoom: source.maxNativeZoom(),
+        cacheOnly: !!source.cacheOnly
+    };
+    if (source.subdomains.length > 0) {
+        options.subdomains = source.subdomains;
+    }
+    const layer = new CachedTileLayer(source.url(), options);
+
+    layer.on('tileerror', function() {
+        const now = Date.now();
+        if (now - lastTileErrorLog < TILE_ERROR_LOG_INTERVAL_MS) return;
+        lastTileErrorLog = now;
+        tilesLog(`${source.label} map tiles failed to load; downloaded areas still show offline`, window.LOG_LEVEL.WARNING);
+    });
+
+    layer.on('load', function() {
+        tilesLog(`${source.label} map tiles loaded`, window.LOG_LEVEL.INFO);
+    });
+
+    return layer;
+}
+
+// Called by map.js once the map exists
+function initializeBaseLayers() {
+    Object.keys(BASEMAP_SOURCES).forEach(sourceId => {
+        baseLayers[sourceId] = createBaseLayer(sourceId);
+    });
+
+    layerControl = L.control.layers({}, {}, { position: 'topleft' }).addTo(window.map);
+    refreshLayerControl();
+
+    let selected = window.mapSettings.baseLayer;
+    if (!isSourceAvailable(selected)) selected = 'satellite';
+    baseLayers[selected].addTo(window.map);
+
+    window.map.on('baselayerchange', function(e) {
+        window.mapSettings.baseLayer = e.layer.options.sourceId;
+        saveMapSettings();
+        tilesLog(`Base map: ${BASEMAP_SOURCES[window.mapSettings.baseLayer].label}`, window.LOG_LEVEL.INFO);
+        renderOfflineEstimate();
+    });
+}
+
+window.initializeBaseLayers = initializeBaseLayers;
+
+function isSourceAvailable(sourceId) {
+    const source = BASEMAP_SOURCES[sourceId];
+    if (!source) return false;
+    return source.available ? source.available() : !!source.url();
+}
+
+// The local and MBTiles sources are only offered once configured
+function refreshLayerControl() {
+    Object.keys(baseLayers).forEach(sourceId => {
+        layerControl.removeLayer(baseLayers[sourceId]);
+        if (isSourceAvailable(sourceId)) {
+            layerControl.addBaseLayer(baseLayers[sourceId], BASEMAP_SOURCES[sourceId].label);
+        }
+    });
+}
+
+function getActiveSourceId() {
+    const active = Object.keys(baseLayers).find(sourceId => window.map.hasLayer(baseLayers[sourceId]));
+    return active || window.mapSettings.baseLayer;
+}
+
+function setLocalTileUrl(url) {
+    const localLayer = baseLayers.local;
+    window.mapSettings.localUrl = url;
+    saveMapSettings();
+
+    // Tiles from the previous server no longer match the URL
+    clearTileCache('local').catch(() => {});
+
+    if (url) {
+        localLayer.setUrl(url);
+    } else if (window.map.hasLayer(localLayer)) {
+        window.map.removeLayer(localLayer);
+        baseLayers.satellite.addTo(window.map);
+    }
+    refreshLayerControl();
+    tilesLog(url ? `Local tile source set to ${url}` : 'Local tile source removed', window.LOG_LEVEL.INFO);
+}
+
+// name is '' once the imported tiles are gone
+function setMbtilesSource(name, maxZoom) {
+    const mbtilesLayer = baseLayers.mbtiles;
+    window.mapSettings.mbtilesName = name;
+    if (maxZoom) window.mapSettings.mbtilesMaxZoom = maxZoom;
+    saveMapSettings();
+
+    if (name) {
+        mbtilesLayer.options.maxNativeZoom = window.mapSettings.mbtilesMaxZoom;
+        mbtilesLayer.redraw();
+    } else if (window.map.hasLayer(mbtilesLayer)) {
+        window.map.removeLayer(mbtilesLayer);
+        baseLayers.satellite.addTo(window.map);
+    }
+    refreshLayerControl();
+}
+
+// ================== TILE CACHE ==================
+
+function tileCacheKey(sourceId, z, x, y) {
+    return `${sourceId}/${z}/${x}/${y}`;
+}
+
+async function getCachedTile(key) {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('tiles', 'readonly');
+    const record = await window.requestToPromise(transaction.objectStore('tiles').get(key));
+    return record ? record.blob : null;
+}
+
+async function storeCachedTile(key, sourceId, blob) {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('tiles', 'readwrite');
+    transaction.objectStore('tiles').put({ key: key, source: sourceId, blob: blob, savedAt: Date.now() });
+    await window.transactionDone(transaction);
+}
+
+async function storeCachedTiles(records) {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('tiles', 'readwrite');
+    const store = transaction.objectStore('tiles');
+    records.forEach(record => store.put(record));
+    await window.transactionDone(transaction);
+}
+
+async function countCachedTiles() {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('tiles', 'readonly');
+    return window.requestToPromise(transaction.objectStore('tiles').count());
+}
+
+// Clears one source, or every source when sourceId is omitted
+async function clearTileCache(sourceId) {
+    const db = await window.openRecorderDatabase();
+    const transaction = db.transaction('tiles', 'readwrite');
+    const store = transaction.objectStore('tiles');
+
+    if (sourceId) {
+        const keys = await window.requestToPromise(store.index('source').getAllKeys(sourceId));
+        keys.forEach(key => store.delete(key));
+    } else {
+        store.clear();
+    }
+    await window.transactionDone(transaction);
+}
+
+// ================== OFFLINE DOWNLOAD ==================
+
+const OFFLINE_MAX_TILES = 5000;
+const OFFLINE_CONCURRENCY = 4;
+const OFFLINE_PADDING_M = 200;
+
+let offlineDownload = null;   // { cancelled, done, failed, skipped, total } while downloading
+
+function lngToTileX(lng, z) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, z));
+}
+
+function latToTileY(lat, z) {
+    const latRad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, z));
+}
+
+// The mission and home with some margin, or the visible map when there is no mission
+function getOfflineBounds() {
+    if (window.waypoints.length === 0) {
+        const view = window.map.getBounds();
+        return { south: view.getSouth(), west: view.getWest(), north: view.getNorth(), east: view.getEast(), label: 'the visible map' };
+    }
+
+    const points = [window.HOME_COORDINATES, ...window.waypoints];
+    const lats = points.map(p => p.lat);
+    const lngs = points.map(p => p.lng);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const padLat = OFFLINE_PADDING_M / 111320;
+    const padLng = OFFLINE_PADDING_M / (111320 * Math.cos(midLat * Math.PI / 180));
+
+    return {
+        south: Math.min(...lats) - padLat,
+        west: Math.min(...lngs) - padLng,
+        north: Math.max(...lats) + padLat,
+        east: Math.max(...lngs) + padLng,
+        label: 'the mission'
+    };
+}
+
+function listOfflineTiles(bounds, minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const maxIndex = Math.pow(2, z) - 1;
+        const xMin = Math.max(0, lngToTileX(bounds.west, z));
+        const xMax = Math.min(maxIndex, lngToTileX(bounds.east, z));
+        const yMin = Math.max(0, latToTileY(bounds.north, z));
+        const yMax = Math.min(maxIndex, latToTileY(bounds.south, z));
+
+        for (let x = xMin; x <= xMax; x++) {
+            for (let y = yMin; y <= yMax; y++) {
+                tiles.push({ z: z, x: x, y: y });
+                if (tiles.length > OFFLINE_MAX_TILES) return tiles;
+            }
+        }
+    }
+    return tiles;
+}
+
+function buildTileUrl(sourceId, tile) {
+    const source = BASEMAP_SOURCES[sourceId];
+    const subdomains = source.subdomains;
+    return L.Util.template(source.url(), {
+        s: subdomains.length > 0 ? subdomains[Math.abs(tile.x + tile.y) % subdomains.length] : '',
+        x: tile.x,
+        y: tile.y,
+        z: tile.z
+    });
+}
+
+async function downloadOfflineTiles(sourceId, tiles) {
+    offlineDownload = { cancelled: false, done: 0, failed: 0, skipped: 0, total: tiles.length };
+    const progress = offlineDownload;
+    renderOfflineProgress();
+
+    // Ask the browser not to evict the cache under storage pressure
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+
+    let next = 0;
+    const worker = async () => {
+        while (next < tiles.length && !progress.cancelled) {
+            const tile = tiles[next++];
+            const key = tileCacheKey(sourceId, tile.z, tile.x, tile.y);
+
+            try {
+                if (await getCachedTile(key)) {
+                    progress.skipped++;
+                } else {
+                    const response = await fetch(buildTileUrl(sourceId, tile), { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await storeCachedTile(key, sourceId, await response.blob());
+                }
+            } catch (error) {
+                progress.failed++;
+            }
+
+            progress.done++;
+            renderOfflineProgress();
+        }
+    };
+
+    await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+    offlineDownload = null;
+    return progress;
+}
+
+async function startOfflineDownload() {
+    if (offlineDownload) return;
+
+    const sourceId = getActiveSourceId();
+    const source = BASEMAP_SOURCES[sourceId];
+    if (!source.bulkDownload) {
+        tilesLog(`${source.label} tiles may not be bulk-downloaded; use a local tile source or import an MBTiles file`, window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    const settings = window.mapSettings;
+    const bounds = getOfflineBounds();
+    const tiles = listOfflineTiles(bounds, settings.offlineMinZoom, Math.min(settings.offlineMaxZoom, source.maxNativeZoom()));
+    if (tiles.length > OFFLINE_MAX_TILES) {
+        tilesLog(`Offline area too large (over ${OFFLINE_MAX_TILES} tiles); lower the max zoom or shrink the area`, window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    tilesLog(`Downloading ${tiles.length} ${source.label} tiles around ${bounds.label} for offline use`, window.LOG_LEVEL.INFO);
+    const result = await downloadOfflineTiles(sourceId, tiles);
+    const stored = result.done - result.failed - result.skipped;
+
+    if (result.cancelled) {
+        tilesLog(`Offline download cancelled after ${result.done} of ${result.total} tiles`, window.LOG_LEVEL.WARNING);
+    } else if (result.failed > 0) {
+        tilesLog(`Offline download finished: ${stored} stored, ${result.skipped} already cached, ${result.failed} failed (the source may block downloads or be unreachable)`, window.LOG_LEVEL.WARNING);
+    } else {
+        tilesLog(`Offline download finished: ${stored} stored, ${result.skipped} already cached`, window.LOG_LEVEL.INFO);
+    }
+
+    renderOfflineProgress();
+    renderOfflineCacheInfo();
+}
+
+// ================== MBTILES IMPORT ==================
+
+const SQL_JS_BASE_URL = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/';
+const MBTILES_MAX_BYTES = 500 * 1024 * 1024;   // the whole file is read into memory
+const MBTILES_BATCH_SIZE = 200;
+const MBTILES_FORMATS = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+let sqlJsLoading = null;
+
+// sql.js reads the SQLite file in the browser; it is fetched on the first import only
+function loadSqlJs() {
+    if (!sqlJsLoading) {
+        sqlJsLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = `${SQL_JS_BASE_URL}sql-wasm.js`;
+            script.onload = () => resolve(window.initSqlJs({ locateFile: file => `${SQL_JS_BASE_URL}${file}` }));
+            script.onerror = () => reject(new Error('the SQLite reader could not be loaded; import once while online'));
+            document.head.appendChild(script);
+        }).catch(error => {
+            sqlJsLoading = null;
+            throw error;
+        });
+    }
+    return sqlJsLoading;
+}
+
+function readMbtilesMetadata(db) {
+    const metadata = {};
+    const result = db.exec('SELECT name, value FROM metadata');
+    if (result.length > 0) {
+        result[0].values.forEach(([name, value]) => {
+            metadata[name] = value;
+        });
+    }
+    return metadata;
+}
+
+// MBTiles rows follow TMS, counting tile_row up from the south; Leaflet counts y down from the north
+async function storeMbtilesTiles(db, type, total) {
+    offlineDownload = { cancelled: false, done: 0, failed: 0, skipped: 0, total: total };
+    const progress = offlineDownload;
+    renderOfflineProgress();
+
+    const statement = db.prepare('SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles');
+    try {
+        let batch = [];
+        let more = true;
+        while (more && !progress.cancelled) {
+            more = statement.step();
+            if (more) {
+                const [z, x, row, data] = statement.get();
+                batch.push({
+                    key: tileCacheKey('mbtiles', z, x, Math.pow(2, z) - 1 - row),
+                    source: 'mbtiles',
+                    blob: new Blob([data], { type: type }),
+                    savedAt: Date.now()
+                });
+            }
+            if (batch.length >= MBTILES_BATCH_SIZE || (!more && batch.length > 0)) {
+                await storeCachedTiles(batch);
+                progress.done += batch.length;
+                batch = [];
+                renderOfflineProgress();
+            }
+        }
+    } finally {
+        statement.free();
+        offlineDownload = null;
+    }
+    return progress;
+}
+
+async function importMbtilesFile(file) {
+    if (offlineDownload) return;
+    if (file.size > MBTILES_MAX_BYTES) {
+        tilesLog(`${file.name} is over ${MBTILES_MAX_BYTES / 1024 / 1024} MB; serve it from a local tile server instead`, window.LOG_LEVEL.WARNING);
+        return;
+    }
+
+    let db = null;
+    try {
+        const SQL = await loadSqlJs();
+        db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+
+        const metadata = readMbtilesMetadata(db);
+        const format = String(metadata.format || 'png').toLowerCase();
+        if (!MBTILES_FORMATS[format]) {
+            throw new Error(`${format} tiles are not supported, only raster png, jpg or webp`);
+        }
+        const [total, maxZoom] = db.exec('SELECT COUNT(*), MAX(zoom_level) FROM tiles')[0].values[0];
+        if (total === 0) {
+            throw new Error('the file holds no tiles');
+        }
+
+        // One MBTiles base map at a time: a new import replaces the previous file
+        await clearTileCache('mbtiles');
+        tilesLog(`Importing ${total} tiles from ${file.name}`, window.LOG_LEVEL.INFO);
+        const result = await storeMbtilesTiles(db, MBTILES_FORMATS[format], total);
+
+        if (result.cancelled) {
+            await clearTileCache('mbtiles');
+            setMbtilesSource('');
+            tilesLog(`MBTiles import cancelled after ${result.done} of ${result.total} tiles`, window.LOG_LEVEL.WARNING);
+        } else {
+            setMbtilesSource(metadata.name || file.name, maxZoom);
+            tilesLog(`MBTiles ${window.mapSettings.mbtilesName} imported: ${total} tiles up to zoom ${maxZoom}; pick MBTiles in the layer switcher`, window.LOG_LEVEL.INFO);
+        }
+    } catch (error) {
+        tilesLog(`Could not import ${file.name}: ${error.message}`, window.LOG_LEVEL.ERROR);
+    } finally {
+        if (db) db.close();
+        renderOfflineProgress();
+        renderOfflineCacheInfo();
+    }
+}
+
+// ================== OFFLINE MAPS MODAL ==================
+
+const OFFLINE_FIELDS = [
+    { id: 'offlineMinZoom', key: 'offlineMinZoom', min: 1, max: 22 },
+    { id: 'offlineMaxZoom', key: 'offlineMaxZoom', min: 1, max: 22 },
+    { id: 'mapLocalMaxZoom', key: 'localMaxZoom', min: 1, max: 22 }
+];
+
+function initializeOfflineMapControls() {
+    const openBtn = document.getElementById('openOfflineMaps');
+    const offlineModal = document.getElementById('offlineMapsModal');
+    if (!openBtn || !offlineModal) return;
+
+    OFFLINE_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.mapSettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseInt(this.value, 10);
+            if (isNaN(value) || value < field.min || value > field.max) {
+                this.value = window.mapSettings[field.key];
+                return;
+            }
+            window.mapSettings[field.key] = value;
+            saveMapSettings();
+
+            if (field.key === 'localMaxZoom' && baseLayers.local) {
+                baseLayers.local.options.maxNativeZoom = value;
+                baseLayers.local.redraw();
+            }
+            renderOfflineEstimate();
+        });
+    });
+
+    const urlInput = document.getElementById('mapLocalUrl');
+    if (urlInput) {
+        urlInput.value = window.mapSettings.localUrl;
+        urlInput.addEventListener('change', function() {
+            const url = this.value.trim();
+            if (url && !/\{z\}/.test(url)) {
+                tilesLog('Local tile URL needs {z}, {x} and {y} placeholders', window.LOG_LEVEL.WARNING);
+                this.value = window.mapSettings.localUrl;
+                return;
+            }
+            setLocalTileUrl(url);
+        });
+    }
+
+    const mbtilesInput = document.getElementById('mapMbtilesFile');
+    if (mbtilesInput) {
+        mbtilesInput.addEventListener('change', function() {
+            if (this.files.length > 0) {
+                importMbtilesFile(this.files[0]);
+            }
+            this.value = '';
+        });
+    }
+
+    const bind = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.addEventListener('click', handler);
+    };
+
+    bind('offlineDownload', startOfflineDownload);
+
+    bind('offlineCancel', function() {
+        if (offlineDownload) offlineDownload.cancelled = true;
+    });
+
+    bind('offlineClear', async function() {
+        if (offlineDownload || !confirm('Delete all downloaded map tiles?')) return;
+        try {
+            await clearTileCache();
+            if (window.mapSettings.mbtilesName) setMbtilesSource('');
+            tilesLog('Offline map tiles cleared', window.LOG_LEVEL.INFO);
+        } catch (error) {
+            tilesLog(`Could not clear offline tiles: ${error.message}`, window.LOG_LEVEL.ERROR);
+        }
+        renderOfflineCacheInfo();
+    });
+
+    openBtn.addEventListener('click', function() {
+        renderOfflineEstimate();
+        renderOfflineProgress();
+        renderOfflineCacheInfo();
+        window.showModal(offlineModal);
+    });
+
+    const closeBtn = document.getElementById('offlineMapsModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(offlineModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === offlineModal) {
+            window.hideModal(offlineModal);
+        }
+    });
+}
+
+function renderOfflineEstimate() {
+    const estimate = document.getElementById('offlineEstimate');
+    if (!estimate || !window.map) return;
+
+    const sourceId = getActiveSourceId();
+    const source = BASEMAP_SOURCES[sourceId];
+    if (!source.bulkDownload) {
+        estimate.textContent = source.cacheOnly
+            ? `${source.label} tiles are already stored from ${window.mapSettings.mbtilesName}`
+            : `${source.label} tiles cannot be downloaded; switch to a local tile source`;
+        return;
+    }
+
+    const settings = window.mapSettings;
+    const maxZoom = Math.min(settings.offlineMaxZoom, source.maxNativeZoom());
+    const bounds = getOfflineBounds();
+    const count = listOfflineTiles(bounds, settings.offlineMinZoom, maxZoom).length;
+
+    estimate.textContent = count > OFFLINE_MAX_TILES
+        ? `Over ${OFFLINE_MAX_TILES} tiles; lower the max zoom or shrink the area`
+        : `${source.label}: ${count} tiles around ${bounds.label}, zoom ${settings.offlineMinZoom}-${maxZoom}`;
+}
+
+function renderOfflineProgress() {
+    const container = document.getElementById('offlineProgress');
+    const bar = document.getElementById('offlineProgressBar');
+    const label = document.getElementById('offlineProgressLabel');
+    const downloadBtn = document.getElementById('offlineDownload');
+    const cancelBtn = document.getElementById('offlineCancel');
+
+    if (container) container.classList.toggle('active', !!offlineDownload);
+    if (downloadBtn) downloadBtn.disabled = !!offlineDownload;
+    if (cancelBtn) cancelBtn.disabled = !offlineDownload;
+    if (!offlineDownload) return;
+
+    const { done, failed, total } = offlineDownload;
+    if (bar) bar.style.width = `${total > 0 ? done / total * 100 : 0}%`;
+    if (label) label.textContent = `${done} / ${total} tiles${failed > 0 ? ` (${failed} failed)` : ''}`;
+}
+
+async function renderOfflineCacheInfo() {
+    const info = document.getElementById('offlineCacheInfo');
+    if (!info) return;
+
+    try {
+        const count = await countCachedTiles();
+        const mbtiles = window.mapSettings.mbtilesName;
+        info.textContent = `${count} tile${count === 1 ? '' : 's'} stored for offline use${mbtiles ? ` (MBTiles: ${mbtiles})` : ''}`;
+    } catch (error) {
+        info.textContent = 'Offline tile storage unavailable in this browser';
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * track.js - Live Flight Track (Breadcrumb Trail)
+ *
+ * Handles:
+ * - Keeping every validated telemetry fix of the current session
+ * - Drawing the trail coloured by altitude, speed or HDOP
+ * - Colour legend with the range currently on screen
+ * - Trail length limit, clearing and showing/hiding the layer
+ *
+ * The trail starts over when a new connection or a playback begins, and is
+ * rebuilt from the recording when playback jumps.
+ */
+
+const trackLog = window.createLogger('track');
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadTrackSettings();
+
+    window.trackLayer = L.layerGroup();
+    if (window.trackSettings.visible) {
+        window.trackLayer.addTo(window.map);
+    }
+
+    initializeTrackControls();
+
+    document.addEventListener('telemetry-received', function(e) {
+        addTrackPoint(e.detail);
+    });
+
+    ['recording-session-started', 'playback-started'].forEach(eventName => {
+        document.addEventListener(eventName, () => clearTrack(true));
+    });
+
+    document.addEventListener('playback-seeked', function(e) {
+        rebuildTrack(e.detail.history || []);
+    });
+});
+
+// ================== TRACK SETTINGS ==================
+
+const TRACK_MODES = {
+    altitude: { label: 'Altitude', unit: 'm', field: 'alt', lowIsGood: false },
+    speed: { label: 'Speed', unit: 'km/h', field: 'speed', lowIsGood: false },
+    hdop: { label: 'HDOP', unit: '', field: 'hdop', lowIsGood: true }
+};
+
+const TRACK_LENGTHS = [200, 1000, 5000, 0];  // 0 keeps the whole session
+
+const DEFAULT_TRACK_SETTINGS = {
+    mode: 'altitude',
+    maxPoints: 1000,
+    visible: true
+};
+
+const TRACK_NO_DATA_COLOR = '#7f8c8d';
+
+window.trackSettings = { ...DEFAULT_TRACK_SETTINGS };
+window.trackPoints = [];
+
+let trackRenderer = null;
+let trackSegments = [];   // trackSegments[i] joins trackPoints[i] and trackPoints[i + 1]
+let trackRange = null;    // colour scale the segments are drawn with
+
+function loadTrackSettings() {
+    const savedSettings = localStorage.getItem('droneTrackSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.trackSettings = { ...DEFAULT_TRACK_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.trackSettings = { ...DEFAULT_TRACK_SETTINGS };
+    }
+}
+
+function saveTrackSettings() {
+    localStorage.setItem('droneTrackSettings', JSON.stringify(window.trackSettings));
+}
+
+// ================== TRACK DATA ==================
+
+// 0,0 is what the firmware reports without a fix
+function hasTrackFix(data) {
+    return !(data.lat === 0 && data.lng === 0);
+}
+
+function toTrackPoint(data, time) {
+    return {
+        lat: data.lat,
+        lng: data.lng,
+        alt: data.alt,
+        speed: data.speed,
+        hdop: data.hdop,
+        time: time
+    };
+}
+
+function addTrackPoint(data) {
+    if (!hasTrackFix(data)) return;
+
+    window.trackPoints.push(toTrackPoint(data, Date.now()));
+
+    const points = window.trackPoints;
+    if (points.length > 1) {
+        trackSegments.push(createTrackSegment(points[points.length - 2], points[points.length - 1]));
+    }
+
+    const maxPoints = window.trackSettings.maxPoints;
+    while (maxPoints > 0 && points.length > maxPoints) {
+        points.shift();
+        const segment = trackSegments.shift();
+        if (segment) window.trackLayer.removeLayer(segment);
+    }
+
+    updateTrackColors();
+}
+
+function clearTrack(silent) {
+    window.trackPoints = [];
+    renderTrack();
+
+    if (!silent) {
+        trackLog('Flight track cleared', window.LOG_LEVEL.INFO);
+    }
+}
+
+window.clearTrack = clearTrack;
+
+// history: { time, data } fixes before a playback seek target, oldest first
+function rebuildTrack(history) {
+    const points = history.filter(entry => hasTrackFix(entry.data)).map(entry => toTrackPoint(entry.data, entry.time));
+
+    const maxPoints = window.trackSettings.maxPoints;
+    window.trackPoints = maxPoints > 0 ? points.slice(-maxPoints) : points;
+    renderTrack();
+}
+
+// ================== COLOUR SCALE ==================
+
+function getTrackRange(mode) {
+    const field = TRACK_MODES[mode].field;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of window.trackPoints) {
+        const value = point[field];
+        if (typeof value !== 'number') continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (min === Infinity) return null;
+
+    if (max - min < 0.1) {
+        max = min + 0.1;
+    }
+    return { min: min, max: max };
+}
+
+// Blue (low) to red (high); HDOP runs green (good) to red (poor)
+function getTrackColor(value, range, lowIsGood) {
+    if (typeof value !== 'number' || !range) return TRACK_NO_DATA_COLOR;
+
+    const t = Math.max(0, Math.min(1, (value - range.min) / (range.max - range.min)));
+    const hue = lowIsGood ? 120 * (1 - t) : 240 * (1 - t);
+    return `hsl(${hue.toFixed(0)}, 85%, 50%)`;
+}
+
+// ================== RENDERING ==================
+
+// New fixes only add their own segment; the rest are recoloured only when
+// the colour scale changes
+function createTrackSegment(from, to) {
+    // Canvas keeps thousands of short coloured segments cheap to redraw
+    if (!trackRenderer) {
+        trackRenderer = L.canvas({ padding: 0.5 });
+    }
+
+    return L.polyline([[from.lat, from.lng], [to.lat, to.lng]], {
+        color: TRACK_NO_DATA_COLOR,
+        weight: 4,
+        opacity: 0.9,
+        interactive: false,
+        renderer: trackRenderer
+    }).addTo(window.trackLayer);
+}
+
+function getTrackSegmentColor(index, range) {
+    const mode = TRACK_MODES[window.trackSettings.mode];
+    return getTrackColor(window.trackPoints[index + 1][mode.field], range, mode.lowIsGood);
+}
+
+function updateTrackColors() {
+    const range = getTrackRange(window.trackSettings.mode);
+    const rangeChanged = !range || !trackRange || range.min !== trackRange.min || range.max !== trackRange.max;
+    trackRange = range;
+
+    if (rangeChanged) {
+        trackSegments.forEach((segment, index) => segment.setStyle({ color: getTrackSegmentColor(index, range) }));
+    } else if (trackSegments.length > 0) {
+        const last = trackSegments.length - 1;
+        trackSegments[last].setStyle({ color: getTrackSegmentColor(last, range) });
+    }
+
+    renderTrackLegend(range);
+}
+
+// Full rebuild, for clearing and for mode or length changes
+function renderTrack() {
+    window.trackLayer.clearLayers();
+    trackSegments = [];
+    trackRange = null;
+
+    const points = window.trackPoints;
+    for (let i = 1; i < points.length; i++) {
+        trackSegments.push(createTrackSegment(points[i - 1], points[i]));
+    }
+
+    updateTrackColors();
+}
+
+function renderTrackLegend(range) {
+    const mode = TRACK_MODES[window.trackSettings.mode];
+
+    const gradient = document.getElementById('trackLegendGradient');
+    if (gradient) {
+        const stops = [0, 0.25, 0.5, 0.75, 1].map(t => getTrackColor(t, { min: 0, max: 1 }, mode.lowIsGood));
+        gradient.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+
+    const format = value => `${value.toFixed(1)}${mode.unit ? ' ' + mode.unit : ''}`;
+    const minLabel = document.getElementById('trackLegendMin');
+    const maxLabel = document.getElementById('trackLegendMax');
+    if (minLabel) minLabel.textContent = range ? format(range.min) : '--';
+    if (maxLabel) maxLabel.textContent = range ? format(range.max) : '--';
+
+    const count = document.getElementById('trackPointCount');
+    if (count) {
+        count.textContent = `${window.trackPoints.length} fixes`;
+    }
+}
+
+// ================== TRACK CONTROLS ==================
+
+function initializeTrackControls() {
+    const modeSelect = document.getElementById('trackColorMode');
+    if (modeSelect) {
+        modeSelect.innerHTML = Object.keys(TRACK_MODES)
+            .map(mode => `<option value="${mode}">${TRACK_MODES[mode].label}</option>`)
+            .join('');
+        modeSelect.value = window.trackSettings.mode;
+        modeSelect.addEventListener('change', function() {
+            window.trackSettings.mode = this.value;
+            saveTrackSettings();
+            renderTrack();
+        });
+    }
+
+    const lengthSelect = document.getElementById('trackLength');
+    if (lengthSelect) {
+        lengthSelect.innerHTML = TRACK_LENGTHS
+            .map(length => `<option value="${length}">${length > 0 ? `Last ${length} fixes` : 'Whole session'}</option>`)
+            .join('');
+        lengthSelect.value = window.trackSettings.maxPoints;
+        lengthSelect.addEventListener('change', function() {
+            window.trackSettings.maxPoints = parseInt(this.value);
+            saveTrackSettings();
+
+            const maxPoints = window.trackSettings.maxPoints;
+            if (maxPoints > 0 && window.trackPoints.length > maxPoints) {
+                window.trackPoints.splice(0, window.trackPoints.length - maxPoints);
+            }
+            renderTrack();
+        });
+    }
+
+    const visibleToggle = document.getElementById('trackVisible');
+    const trackPanel = document.getElementById('trackPanel');
+    if (visibleToggle) {
+        visibleToggle.checked = window.trackSettings.visible;
+        visibleToggle.addEventListener('change', function() {
+            window.trackSettings.visible = this.checked;
+            saveTrackSettings();
+
+            if (this.checked) {
+                window.trackLayer.addTo(window.map);
+            } else {
+                window.map.removeLayer(window.trackLayer);
+            }
+            if (trackPanel) {
+                trackPanel.classList.toggle('track-hidden', !this.checked);
+            }
+        });
+    }
+    if (trackPanel) {
+        trackPanel.classList.toggle('track-hidden', !window.trackSettings.visible);
+    }
+
+    const clearBtn = document.getElementById('trackClear');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => clearTrack(false));
+    }
+
+    renderTrackLegend(null);
+}
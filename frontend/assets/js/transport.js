@@ -0,0 +1,501 @@
+/**
+ * transport.js - Pluggable Link Transports
+ *
+ * Handles:
+ * - Common transport interface (open/close/write/onLine/onError)
+ * - Web Serial transport for USB-tethered ESP32 boards
+ * - WebSocket transport for telemetry radios bridged by a PC or an ESP32 in Wi-Fi mode
+ * - In-memory loopback transport for bench testing
+ * - Newline framing of incoming data into protocol lines
+ * - Raw received chunks for the traffic inspector's byte view
+ * - Transport registry used by the connection selector
+ */
+
+// ================== TRANSPORT INTERFACE ==================
+
+// Every transport returned by createTransport() exposes:
+//   open(options)  -> Promise, resolves once the link is usable
+//   close()        -> Promise, resolves once the link is released
+//   write(line)    -> Promise, sends one protocol line (without terminator)
+//   onLine(fn)     -> sets the handler called with each received line
+//   onError(fn)    -> sets the handler called when the link fails while open
+//   onRaw(fn)      -> optional; sets the handler called with each received chunk
+//                     before framing (Uint8Array for byte links, string otherwise)
+//   getInfo()      -> transport specific details (port ids, URL, ...)
+//   getPort()      -> serial only; the SerialPort last opened, kept after close
+// plus the read-only properties `type`, `label` and `isOpen`.
+
+const SERIAL_OPTIONS = {
+    baudRate: 115200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    flowControl: 'none'
+};
+
+const DEFAULT_WEBSOCKET_URL = 'ws://192.168.4.1:81/';
+
+function createTransportError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// ================== LINE FRAMING ==================
+
+function createLineFramer(emitLine) {
+    let buffer = '';
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                const trimmedLine = line.trim();
+                if (trimmedLine) {
+                    emitLine(trimmedLine);
+                }
+            }
+        },
+
+        // Bridges that send one JSON object per message without a newline
+        // would otherwise sit in the buffer forever
+        flushIfComplete() {
+            const pending = buffer.trim();
+            if (!pending.startsWith('{') || !pending.endsWith('}')) return;
+
+            try {
+                JSON.parse(pending);
+            } catch (error) {
+                return;
+            }
+
+            buffer = '';
+            emitLine(pending);
+        },
+
+        reset() {
+            buffer = '';
+        },
+
+        get pending() {
+            return buffer;
+        }
+    };
+}
+
+// ================== WEB SERIAL TRANSPORT ==================
+
+// open({ prompt: true }) asks the user for a port. Without a prompt,
+// options.port reopens that port; otherwise the first granted port not in
+// options.excludePorts is used.
+function createWebSerialTransport() {
+    let port = null;
+    let lastPort = null;      // survives close() so a reconnect finds the same board
+    let reader = null;
+    let writer = null;
+    let readableStreamClosed = null;
+    let writableStreamClosed = null;
+    let lineHandler = null;
+    let errorHandler = null;
+    let rawHandler = null;
+
+    const framer = createLineFramer(line => {
+        if (lineHandler) lineHandler(line);
+    });
+
+    const transport = {
+        type: 'serial',
+        label: 'USB Serial',
+        isOpen: false,
+
+        async open(options = {}) {
+            if (!('serial' in navigator)) {
+                throw createTransportError('NotSupportedError', 'Web Serial API not supported in this browser');
+            }
+
+            if (options.prompt) {
+                port = await navigator.serial.requestPort();
+            } else if (options.port) {
+                port = options.port;
+            } else {
+                const excluded = options.excludePorts || [];
+                const ports = (await navigator.serial.getPorts()).filter(candidate => !excluded.includes(candidate));
+                if (ports.length === 0) {
+                    throw createTransportError('NotFoundError', 'No previously granted serial ports');
+                }
+                port = ports[0];
+            }
+            lastPort = port;
+
+            // Port may already be open from a previous session
+            if (!port.readable) {
+                await port.open(SERIAL_OPTIONS);
+            }
+
+            setupStreams();
+            framer.reset();
+            transport.isOpen = true;
+            readLoop();
+        },
+
+        async close() {
+            transport.isOpen = false;
+
+            if (reader) {
+                try {
+                    await reader.cancel();
+                    if (readableStreamClosed) {
+                        await readableStreamClosed.catch(() => { });
+                    }
+                } catch (e) {
+                    console.warn('Reader cancel error:', e);
+                }
+                reader = null;
+                readableStreamClosed = null;
+            }
+
+            if (writer) {
+                try {
+                    await writer.close();
+                    if (writableStreamClosed) {
+                        await writableStreamClosed.catch(() => { });
+                    }
+                } catch (e) {
+                    console.warn('Writer close error:', e);
+                }
+                writer = null;
+                writableStreamClosed = null;
+            }
+
+            if (port) {
+                try {
+                    await port.close();
+                } catch (e) {
+                    console.warn('Serial port close error:', e);
+                }
+                port = null;
+            }
+
+            framer.reset();
+        },
+
+        async write(line) {
+            if (!transport.isOpen || !writer) {
+                throw createTransportError('InvalidStateError', 'Serial port not open');
+            }
+            await writer.write(line + '\n');
+        },
+
+        onLine(handler) {
+            lineHandler = handler;
+        },
+
+        onError(handler) {
+            errorHandler = handler;
+        },
+
+        onRaw(handler) {
+            rawHandler = handler;
+        },
+
+        getPort() {
+            return lastPort;
+        },
+
+        getInfo() {
+            if (!port) return null;
+            const info = port.getInfo();
+            return {
+                vendorId: info.usbVendorId,
+                productId: info.usbProductId
+            };
+        }
+    };
+
+    function setupStreams() {
+        // Bytes are passed on untouched; the tap only shows them to the byte view
+        const rawTap = new TransformStream({
+            transform(chunk, controller) {
+                if (rawHandler) rawHandler(chunk);
+                controller.enqueue(chunk);
+            }
+        });
+
+        const textDecoder = new TextDecoderStream();
+        readableStreamClosed = port.readable.pipeThrough(rawTap).pipeTo(textDecoder.writable);
+        reader = textDecoder.readable.getReader();
+
+        const textEncoder = new TextEncoderStream();
+        writableStreamClosed = textEncoder.readable.pipeTo(port.writable);
+        writer = textEncoder.writable.getWriter();
+
+        readableStreamClosed.catch(() => {
+            // Ignore errors during close
+        });
+
+        writableStreamClosed.catch(() => {
+            // Ignore errors during close
+        });
+    }
+
+    async function readLoop() {
+        try {
+            while (transport.isOpen && reader) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    if (transport.isOpen) {
+                        throw createTransportError('NetworkError', 'Serial stream ended');
+                    }
+                    break;
+                }
+                framer.push(value);
+            }
+        } catch (error) {
+            if (transport.isOpen && errorHandler) {
+                errorHandler(error);
+            }
+        }
+    }
+
+    return transport;
+}
+
+// ================== WEBSOCKET TRANSPORT ==================
+
+function createWebSocketTransport(url) {
+    let socket = null;
+    let lineHandler = null;
+    let errorHandler = null;
+    let rawHandler = null;
+    const textDecoder = new TextDecoder();
+
+    const framer = createLineFramer(line => {
+        if (lineHandler) lineHandler(line);
+    });
+
+    const transport = {
+        type: 'websocket',
+        label: 'WebSocket',
+        isOpen: false,
+
+        open() {
+            if (!('WebSocket' in window)) {
+                return Promise.reject(createTransportError('NotSupportedError', 'WebSocket not supported in this browser'));
+            }
+
+            return new Promise((resolve, reject) => {
+                try {
+                    socket = new WebSocket(url);
+                } catch (error) {
+                    reject(createTransportError('SyntaxError', `Invalid WebSocket URL: ${url}`));
+                    return;
+                }
+
+                socket.binaryType = 'arraybuffer';
+                framer.reset();
+
+                socket.onopen = function () {
+                    transport.isOpen = true;
+                    resolve();
+                };
+
+                socket.onmessage = function (event) {
+                    if (rawHandler) {
+                        rawHandler(typeof event.data === 'string' ? event.data : new Uint8Array(event.data));
+                    }
+                    const chunk = typeof event.data === 'string' ? event.data : textDecoder.decode(event.data);
+                    framer.push(chunk);
+                    framer.flushIfComplete();
+                };
+
+                socket.onerror = function () {
+                    if (!transport.isOpen) {
+                        reject(createTransportError('NetworkError', `Cannot reach ${url}`));
+                    }
+                };
+
+                socket.onclose = function (event) {
+                    const wasOpen = transport.isOpen;
+                    transport.isOpen = false;
+                    socket = null;
+
+                    if (wasOpen && errorHandler) {
+                        errorHandler(createTransportError('NetworkError', `WebSocket closed (code ${event.code})`));
+                    } else if (!wasOpen) {
+                        reject(createTransportError('NetworkError', `Cannot reach ${url}`));
+                    }
+                };
+            });
+        },
+
+        close() {
+            transport.isOpen = false;
+            framer.reset();
+
+            if (!socket) return Promise.resolve();
+
+            return new Promise(resolve => {
+                const closingSocket = socket;
+                socket = null;
+                closingSocket.onclose = () => resolve();
+                closingSocket.onerror = null;
+                closingSocket.onmessage = null;
+                try {
+                    closingSocket.close();
+                } catch (e) {
+                    console.warn('WebSocket close error:', e);
+                    resolve();
+                }
+            });
+        },
+
+        async write(line) {
+            if (!transport.isOpen || !socket || socket.readyState !== WebSocket.OPEN) {
+                throw createTransportError('InvalidStateError', 'WebSocket not open');
+            }
+            socket.send(line + '\n');
+        },
+
+        onLine(handler) {
+            lineHandler = handler;
+        },
+
+        onError(handler) {
+            errorHandler = handler;
+        },
+
+        onRaw(handler) {
+            rawHandler = handler;
+        },
+
+        getInfo() {
+            return { url: url };
+        }
+    };
+
+    return transport;
+}
+
+// ================== LOOPBACK TRANSPORT ==================
+
+// Lines written by the station are handed to the peer; lines sent by the
+// peer arrive as received data. With no peer attached, writes are echoed.
+function createLoopbackTransport() {
+    let lineHandler = null;
+    let peerHandler = null;
+    let rawHandler = null;
+
+    function receive(chunk) {
+        if (rawHandler) rawHandler(chunk);
+        framer.push(chunk);
+    }
+
+    const framer = createLineFramer(line => {
+        if (lineHandler) lineHandler(line);
+    });
+
+    const transport = {
+        type: 'loopback',
+        label: 'Loopback',
+        isOpen: false,
+
+        async open() {
+            framer.reset();
+            transport.isOpen = true;
+        },
+
+        async close() {
+            transport.isOpen = false;
+            framer.reset();
+        },
+
+        async write(line) {
+            if (!transport.isOpen) {
+                throw createTransportError('InvalidStateError', 'Loopback not open');
+            }
+
+            setTimeout(() => {
+                if (!transport.isOpen) return;
+                if (peerHandler) {
+                    peerHandler(line);
+                } else {
+                    receive(line + '\n');
+                }
+            }, 0);
+        },
+
+        onLine(handler) {
+            lineHandler = handler;
+        },
+
+        // Loopback links never fail on their own
+        onError() { },
+
+        onRaw(handler) {
+            rawHandler = handler;
+        },
+
+        getInfo() {
+            return { peer: peerHandler ? 'attached' : 'echo' };
+        },
+
+        peer: {
+            send(line) {
+                if (!transport.isOpen) return;
+                setTimeout(() => {
+                    if (transport.isOpen) receive(line + '\n');
+                }, 0);
+            },
+
+            onLine(handler) {
+                peerHandler = handler;
+            }
+        }
+    };
+
+    return transport;
+}
+
+// ================== TRANSPORT REGISTRY ==================
+
+const TRANSPORT_REGISTRY = {
+    serial: {
+        label: 'USB Serial',
+        create: () => createWebSerialTransport()
+    },
+    websocket: {
+        label: 'WebSocket',
+        create: settings => createWebSocketTransport(settings.websocketUrl || DEFAULT_WEBSOCKET_URL)
+    },
+    loopback: {
+        label: 'Loopback',
+        create: () => createLoopbackTransport()
+    }
+};
+
+function registerTransport(type, definition) {
+    TRANSPORT_REGISTRY[type] = definition;
+}
+
+function createTransport(type, settings = {}) {
+    const definition = TRANSPORT_REGISTRY[type] || TRANSPORT_REGISTRY.serial;
+    return definition.create(settings);
+}
+
+function getTransportTypes() {
+    return Object.keys(TRANSPORT_REGISTRY).map(type => ({
+        type: type,
+        label: TRANSPORT_REGISTRY[type].label
+    }));
+}
+
+window.createTransport = createTransport;
+window.registerTransport = registerTransport;
+window.getTransportTypes = getTransportTypes;
+window.createLineFramer = createLineFramer;
+window.createLoopbackTransport = createLoopbackTransport;
+window.DEFAULT_WEBSOCKET_URL = DEFAULT_WEBSOCKET_URL;
@@ -78,6 +78,8 @@ function updateBatteryColor(batteryElement, percentage) {
     }
 }
 
+window.updateBatteryColor = updateBatteryColor;
+
 // ================== UI ANIMATIONS ==================
 
 function initializeUIAnimations() {
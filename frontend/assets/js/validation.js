@@ -0,0 +1,287 @@
+/**
+ * validation.js - Mission Validation
+ *
+ * Handles:
+ * - Checking the mission after every waypoint edit and settings change
+ * - Per-waypoint problems: altitude above the limit, too far from home,
+ *   legs too long or too short (duplicate clicks), coordinates out of bounds
+ * - Mission problems: more waypoints than the vehicle holds, speed outside the
+ *   firmware range, flight time over endurance
+ * - Marking problems on the waypoint list, the map markers and their popups
+ * - Blocking Start Mission while any error remains
+ * - Validation dialog with the full report and the configurable limits
+ *
+ * Errors block the mission; warnings are shown but do not.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadValidationSettings();
+    initializeValidationControls();
+
+    document.addEventListener('waypoints-changed', validateMission);
+    document.addEventListener('mission-settings-changed', validateMission);
+    document.addEventListener('home-changed', validateMission);
+
+    if (window.registerMissionStartCheck) {
+        // Results are kept current by the events above; the checklist polls this every second
+        window.registerMissionStartCheck('validation', function() {
+            return window.missionValidation.issues
+                .filter(issue => issue.severity === 'error')
+                .map(issue => issue.message);
+        });
+    }
+
+    validateMission();
+});
+
+// ================== VALIDATION SETTINGS ==================
+
+// Range the firmware accepts for max_speed (docs/API.md)
+const VALIDATION_SPEED_RANGE = { min: 10, max: 25 };
+
+const DEFAULT_VALIDATION_SETTINGS = {
+    maxDistanceFromHome: 1000,  // m
+    maxSegmentLength: 1000,     // m
+    minSegmentLength: 2,        // m, shorter legs are usually a double click
+    enduranceMinutes: 20
+};
+
+window.validationSettings = { ...DEFAULT_VALIDATION_SETTINGS };
+window.missionValidation = { issues: [], errors: 0, warnings: 0 };
+
+function loadValidationSettings() {
+    const savedSettings = localStorage.getItem('droneValidationSettings');
+    if (!savedSettings) return;
+
+    try {
+        window.validationSettings = { ...DEFAULT_VALIDATION_SETTINGS, ...JSON.parse(savedSettings) };
+    } catch (error) {
+        window.validationSettings = { ...DEFAULT_VALIDATION_SETTINGS };
+    }
+}
+
+function saveValidationSettings() {
+    localStorage.setItem('droneValidationSettings', JSON.stringify(window.validationSettings));
+}
+
+// ================== VALIDATION RULES ==================
+
+function isValidCoordinate(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' && isFinite(lat) && isFinite(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+function collectMissionIssues(waypoints, settings, limits) {
+    const issues = [];
+    const home = window.HOME_COORDINATES;
+    const addIssue = (severity, message, waypointIndex) => {
+        issues.push({ severity: severity, message: message, waypointIndex: waypointIndex });
+    };
+
+    waypoints.forEach((wp, index) => {
+        const label = `${wp.name} (#${index + 1})`;
+
+        if (!isValidCoordinate(wp.lat, wp.lng)) {
+            addIssue('error', `${label}: coordinates out of bounds (${wp.lat}, ${wp.lng})`, index);
+            return;
+        }
+
+        if (wp.alt > settings.maxAltitude) {
+            addIssue('error', `${label}: altitude ${wp.alt.toFixed(1)} m is above the ${settings.maxAltitude} m limit`, index);
+        } else if (wp.alt <= 0) {
+            addIssue('warning', `${label}: altitude ${wp.alt.toFixed(1)} m is at or below the ground`, index);
+        }
+
+        const fromHome = window.calculateDistance(home.lat, home.lng, wp.lat, wp.lng);
+        if (fromHome > limits.maxDistanceFromHome) {
+            addIssue('error', `${label}: ${window.formatRouteDistance(fromHome)} from home (limit ${window.formatRouteDistance(limits.maxDistanceFromHome)})`, index);
+        }
+    });
+
+    // Legs: Home → WP1 → … → WPn (→ Home); a leg's problem is shown on the waypoint it ends at
+    const points = waypoints.filter(wp => isValidCoordinate(wp.lat, wp.lng)).length === waypoints.length
+        ? waypoints
+        : [];
+    points.forEach((wp, index) => {
+        const from = index === 0 ? home : points[index - 1];
+        const fromName = index === 0 ? 'Home' : points[index - 1].name;
+        const length = window.calculateDistance(from.lat, from.lng, wp.lat, wp.lng);
+
+        if (length > limits.maxSegmentLength) {
+            addIssue('warning', `Leg ${fromName} → ${wp.name} is ${window.formatRouteDistance(length)} (limit ${window.formatRouteDistance(limits.maxSegmentLength)})`, index);
+        } else if (index > 0 && length < limits.minSegmentLength) {
+            addIssue('warning', `${wp.name} is only ${length.toFixed(1)} m from ${fromName} - duplicate click?`, index);
+        }
+    });
+
+    if (settings.returnToHome && points.length > 0) {
+        const last = points[points.length - 1];
+        const length = window.calculateDistance(last.lat, last.lng, home.lat, home.lng);
+        if (length > limits.maxSegmentLength) {
+            addIssue('warning', `Return leg ${last.name} → Home is ${window.formatRouteDistance(length)} (limit ${window.formatRouteDistance(limits.maxSegmentLength)})`, points.length - 1);
+        }
+    }
+
+    if (waypoints.length > window.MAX_MISSION_WAYPOINTS) {
+        addIssue('error', `Mission has ${waypoints.length} waypoints; the vehicle holds at most ${window.MAX_MISSION_WAYPOINTS}`, null);
+    }
+
+    if (settings.maxSpeed < VALIDATION_SPEED_RANGE.min || settings.maxSpeed > VALIDATION_SPEED_RANGE.max) {
+        addIssue('error', `Max speed ${settings.maxSpeed} km/h is outside the ${VALIDATION_SPEED_RANGE.min}-${VALIDATION_SPEED_RANGE.max} km/h the vehicle accepts`, null);
+    }
+
+    if (points.length > 0 && window.calculateETALocally) {
+        const plan = window.calculateETALocally(points, settings.maxSpeed, settings.returnToHome);
+        if (plan.totalTimeSeconds > limits.enduranceMinutes * 60) {
+            addIssue('error', `Flight time ${plan.eta} exceeds the ${limits.enduranceMinutes} min endurance`, null);
+        }
+    }
+
+    return issues;
+}
+
+function validateMission() {
+    const issues = collectMissionIssues(window.waypoints || [], window.missionSettings, window.validationSettings);
+
+    window.missionValidation = {
+        issues: issues,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+
+    renderValidationResults();
+    return window.missionValidation;
+}
+
+window.validateMission = validateMission;
+
+// ================== VALIDATION DISPLAY ==================
+
+function escapeValidationText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function getWaypointIssues(index) {
+    return window.missionValidation.issues.filter(issue => issue.waypointIndex === index);
+}
+
+function renderValidationResults() {
+    const waypointsList = document.querySelector('.waypoints-list');
+
+    (window.waypoints || []).forEach((wp, index) => {
+        const issues = getWaypointIssues(index);
+        const severity = issues.some(issue => issue.severity === 'error') ? 'error'
+            : issues.length > 0 ? 'warning' : null;
+
+        const markerElement = wp.marker && wp.marker.getElement ? wp.marker.getElement() : null;
+        if (markerElement) {
+            markerElement.classList.toggle('waypoint-invalid-error', severity === 'error');
+            markerElement.classList.toggle('waypoint-invalid-warning', severity === 'warning');
+        }
+        if (wp.marker && window.getWaypointPopupContent) {
+            const notes = issues.map(issue => `<br><span class="validation-${issue.severity}">${escapeValidationText(issue.message)}</span>`).join('');
+            wp.marker.setPopupContent(window.getWaypointPopupContent(wp) + notes);
+        }
+
+        const item = waypointsList ? waypointsList.querySelector(`.waypoint-item[data-waypoint-index="${index}"]`) : null;
+        if (!item) return;
+
+        item.classList.toggle('waypoint-invalid-error', severity === 'error');
+        item.classList.toggle('waypoint-invalid-warning', severity === 'warning');
+
+        let icon = item.querySelector('.waypoint-validation-icon');
+        if (!severity) {
+            if (icon) icon.remove();
+            return;
+        }
+        if (!icon) {
+            icon = document.createElement('i');
+            item.insertBefore(icon, item.querySelector('.waypoint-delete'));
+        }
+        icon.className = `waypoint-validation-icon validation-${severity} fas ${severity === 'error' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}`;
+        icon.title = issues.map(issue => issue.message).join('\n');
+    });
+
+    renderValidationSummary();
+}
+
+function renderValidationSummary() {
+    const summary = document.getElementById('missionValidationSummary');
+    const { errors, warnings } = window.missionValidation;
+
+    if (summary) {
+        summary.classList.remove('validation-ok', 'validation-error', 'validation-warning');
+        if (!window.waypoints || window.waypoints.length === 0) {
+            summary.textContent = 'Mission check: no waypoints';
+            summary.classList.add('validation-ok');
+        } else if (errors === 0 && warnings === 0) {
+            summary.innerHTML = '<i class="fas fa-check-circle"></i> Mission check passed';
+            summary.classList.add('validation-ok');
+        } else {
+            const parts = [];
+            if (errors > 0) parts.push(`${errors} error${errors > 1 ? 's' : ''}`);
+            if (warnings > 0) parts.push(`${warnings} warning${warnings > 1 ? 's' : ''}`);
+            summary.innerHTML = `<i class="fas ${errors > 0 ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i> ${parts.join(', ')} - details`;
+            summary.classList.add(errors > 0 ? 'validation-error' : 'validation-warning');
+        }
+    }
+
+    const report = document.getElementById('validationReport');
+    if (report) {
+        report.innerHTML = window.missionValidation.issues.length === 0
+            ? '<div class="validation-issue validation-ok">No problems found</div>'
+            : window.missionValidation.issues.map(issue =>
+                `<div class="validation-issue validation-${issue.severity}"><i class="fas ${issue.severity === 'error' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i> ${escapeValidationText(issue.message)}</div>`
+            ).join('');
+    }
+}
+
+// ================== VALIDATION MODAL ==================
+
+const VALIDATION_FIELDS = [
+    { id: 'validationMaxDistance', key: 'maxDistanceFromHome', min: 1 },
+    { id: 'validationMaxSegment', key: 'maxSegmentLength', min: 1 },
+    { id: 'validationMinSegment', key: 'minSegmentLength', min: 0 },
+    { id: 'validationEndurance', key: 'enduranceMinutes', min: 1 }
+];
+
+function initializeValidationControls() {
+    const summary = document.getElementById('missionValidationSummary');
+    const validationModal = document.getElementById('validationModal');
+    if (!summary || !validationModal) return;
+
+    VALIDATION_FIELDS.forEach(field => {
+        const input = document.getElementById(field.id);
+        if (!input) return;
+
+        input.value = window.validationSettings[field.key];
+        input.addEventListener('change', function() {
+            const value = parseFloat(this.value);
+            if (isNaN(value) || value < field.min) {
+                this.value = window.validationSettings[field.key];
+                return;
+            }
+            window.validationSettings[field.key] = value;
+            saveValidationSettings();
+            validateMission();
+        });
+    });
+
+    summary.addEventListener('click', function() {
+        validateMission();
+        window.showModal(validationModal);
+    });
+
+    const closeBtn = document.getElementById('validationModalClose');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', function() {
+            window.hideModal(validationModal);
+        });
+    }
+
+    window.addEventListener('click', function(event) {
+        if (event.target === validationModal) {
+            window.hideModal(validationModal);
+        }
+    });
+}
@@ -0,0 +1,592 @@
+/**
+ * vehicles.js - Multi-vehicle Station
+ *
+ * Handles:
+ * - One record per vehicle: link, mission, last telemetry, colour and id
+ * - The vehicle selector; the selected vehicle owns the header link controls,
+ *   the telemetry panel, the mission editor and Start Mission / Return Home / E-Stop
+ * - Vehicles in the background: links stay open, markers and status cards keep
+ *   updating, and their messages go to the log tagged with the vehicle
+ * - Emergency stop for every connected vehicle at once
+ *
+ * The rest of the station works on window.transport, window.isConnected,
+ * window.waypoints and window.missionSettings. Selecting another vehicle
+ * parks those in the current vehicle's record and loads the new one's.
+ */
+
+const vehiclesLog = window.createLogger('vehicles');
+
+document.addEventListener('DOMContentLoaded', function() {
+    const first = createVehicleRecord();
+    window.vehicles.push(first);
+    window.activeVehicleId = first.id;
+
+    initializeVehicleControls();
+    renderVehicles();
+
+    document.addEventListener('telemetry-received', function(e) {
+        const vehicle = getActiveVehicle();
+        vehicle.telemetry = e.detail;
+        vehicle.lastSeen = Date.now();
+        renderVehicleCards();
+    });
+
+    document.addEventListener('mission-status-received', function(e) {
+        noteVehicleStatus(getActiveVehicle(), e.detail);
+        renderVehicleCards();
+    });
+
+    ['link-connected', 'link-disconnected'].forEach(eventName => {
+        document.addEventListener(eventName, function() {
+            const vehicle = getActiveVehicle();
+            vehicle.transport = window.transport;
+            vehicle.isConnected = !!window.isConnected;
+            vehicle.status = vehicle.isConnected ? 'Connected' : 'Disconnected';
+            if (vehicle.isConnected && window.transport.getPort) {
+                vehicle.serialPort = window.transport.getPort();
+            }
+            renderVehicleCards();
+        });
+    });
+
+    // Keeps "last seen" current
+    setInterval(renderVehicleCards, VEHICLE_CARD_REFRESH_MS);
+});
+
+// ================== VEHICLE RECORDS ==================
+
+const VEHICLE_COLORS = ['#FF5722', '#2ecc71', '#9b59b6', '#f1c40f', '#1abc9c', '#e91e63'];
+const VEHICLE_MAX = VEHICLE_COLORS.length;
+const VEHICLE_CARD_REFRESH_MS = 5000;
+const VEHICLE_STOP_RETRY_MS = 1000;
+const VEHICLE_STOP_RETRY_MAX_MS = 8000;
+const VEHICLE_STOP_ALERT_ATTEMPTS = 3;   // unconfirmed attempts before the notification
+
+window.vehicles = [];
+window.activeVehicleId = null;
+
+let nextVehicleId = 1;
+
+function createVehicleRecord() {
+    const usedColors = window.vehicles.map(vehicle => vehicle.color);
+    const id = nextVehicleId++;
+
+    return {
+        id: id,
+        label: `Vehicle ${id}`,
+        deviceId: null,          // vehicle_id reported by the board
+        color: VEHICLE_COLORS.find(color => !usedColors.includes(color)) || VEHICLE_COLORS[0],
+        transport: null,
+        serialPort: null,        // SerialPort the vehicle was last connected on
+        isConnected: false,
+        waypoints: [],
+        missionSettings: null,   // null until the vehicle has been selected once
+        telemetry: null,
+        lastSeen: null,
+        status: 'Not connected',
+        marker: null,            // shown while the vehicle is in the background
+        stopConfirmed: false,
+        stopLoop: null           // set while an emergency stop is resent in the background
+    };
+}
+
+function getVehicle(id) {
+    return window.vehicles.find(vehicle => vehicle.id === id) || null;
+}
+
+window.getVehicle = getVehicle;
+
+function getActiveVehicle() {
+    return getVehicle(window.activeVehicleId);
+}
+
+window.getActiveVehicle = getActiveVehicle;
+
+// Name of the selected vehicle for prompts and session labels, or null
+// while there is only one
+function describeActiveVehicle() {
+    if (window.vehicles.length < 2) return null;
+    const vehicle = getActiveVehicle();
+    return vehicle ? vehicle.label : null;
+}
+
+window.describeActiveVehicle = describeActiveVehicle;
+
+// Serial port to reopen for the selected vehicle, and the ports other
+// vehicles were connected on, which it must not take
+function getSerialPortChoice() {
+    const vehicle = getActiveVehicle();
+    return {
+        port: vehicle ? vehicle.serialPort : null,
+        excludePorts: window.vehicles
+            .filter(other => other !== vehicle && other.serialPort)
+            .map(other => other.serialPort)
+    };
+}
+
+window.getSerialPortChoice = getSerialPortChoice;
+
+function addVehicle() {
+    if (window.vehicles.length >= VEHICLE_MAX) {
+        vehiclesLog(`At most ${VEHICLE_MAX} vehicles`, window.LOG_LEVEL.WARNING, { vehicleId: null });
+        return null;
+    }
+
+    const vehicle = createVehicleRecord();
+    window.vehicles.push(vehicle);
+    vehiclesLog(`${vehicle.label} added; select it and connect its link`, window.LOG_LEVEL.INFO, { vehicleId: vehicle.id });
+    renderVehicles();
+    return vehicle;
+}
+
+function removeVehicle(id) {
+    const vehicle = getVehicle(id);
+    if (!vehicle || id === window.activeVehicleId) return;
+    if (vehicle.isConnected) {
+        vehiclesLog(`Disconnect ${vehicle.label} before removing it`, window.LOG_LEVEL.WARNING, { vehicleId: vehicle.id });
+        return;
+    }
+
+    if (vehicle.marker) {
+        window.map.removeLayer(vehicle.marker);
+    }
+    window.vehicles.splice(window.vehicles.indexOf(vehicle), 1);
+    vehiclesLog(`${vehicle.label} removed`, window.LOG_LEVEL.INFO, { vehicleId: null });
+    renderVehicles();
+}
+
+function renameVehicle(id) {
+    const vehicle = getVehicle(id);
+    if (!vehicle) return;
+
+    const label = prompt('Vehicle name', vehicle.label);
+    if (!label || !label.trim()) return;
+
+    vehicle.label = label.trim();
+    renderVehicles();
+}
+
+function noteVehicleStatus(vehicle, message) {
+    if (message.vehicle_id) {
+        vehicle.deviceId = String(message.vehicle_id);
+    }
+    if (message.type === 'mission_status') {
+        vehicle.status = message.mission_active
+            ? `Mission: waypoint ${message.current_waypoint + 1}/${message.total_waypoints}`
+            : 'Idle';
+    }
+}
+
+// ================== SELECTING A VEHICLE ==================
+
+// Resolves false when the switch is refused
+async function selectVehicle(id) {
+    const next = getVehicle(id);
+    const current = getActiveVehicle();
+    if (!next || next === current) return false;
+
+    if (window.isMissionTransferActive && window.isMissionTransferActive()) {
+        vehiclesLog('Wait for the mission transfer to finish before switching vehicles', window.LOG_LEVEL.WARNING);
+        return false;
+    }
+
+    parkActiveVehicle(current);
+    loadVehicle(next);
+
+    vehiclesLog(`${next.label} selected`, window.LOG_LEVEL.INFO);
+    document.dispatchEvent(new CustomEvent('vehicle-selected', { detail: { id: next.id } }));
+    renderVehicles();
+    return true;
+}
+
+window.selectVehicle = selectVehicle;
+
+function parkActiveVehicle(vehicle) {
+    vehicle.transport = window.transport || null;
+    vehicle.isConnected = !!window.isConnected;
+    vehicle.waypoints = window.waypoints.map(wp => ({ lat: wp.lat, lng: wp.lng, alt: wp.alt, name: wp.name }));
+    vehicle.missionSettings = { ...window.missionSettings };
+
+    // Answers to these would arrive on a link that is no longer selected.
+    // An unconfirmed emergency stop is not dropped: the background loop
+    // keeps resending it on the parked link
+    const canResendStop = !!vehicle.transport && vehicle.isConnected;
+    let handedOff = [];
+    if (window.cancelPendingCommands) {
+        handedOff = window.cancelPendingCommands('vehicle switched', canResendStop ? ['emergency_stop'] : []);
+    }
+    if (window.endRecordingSession) {
+        window.endRecordingSession();
+    }
+
+    if (vehicle.transport) {
+        vehicle.transport.onLine(line => handleBackgroundLine(vehicle, line));
+        vehicle.transport.onError(error => handleBackgroundError(vehicle, error));
+        if (vehicle.transport.onRaw) vehicle.transport.onRaw(null);
+    }
+    renderBackgroundMarker(vehicle);
+
+    if (handedOff.includes('emergency_stop')) {
+        vehiclesLog('Emergency stop not yet confirmed - resending it in the background', window.LOG_LEVEL.WARNING, { vehicleId: vehicle.id });
+        stopBackgroundVehicle(vehicle);
+    }
+}
+
+function loadVehicle(vehicle) {
+    window.activeVehicleId = vehicle.id;
+    window.transport = vehicle.transport;
+    window.isConnected = vehicle.isConnected && !!vehicle.transport && vehicle.transport.isOpen;
+
+    if (vehicle.marker) {
+        window.map.removeLayer(vehicle.marker);
+        vehicle.marker = null;
+    }
+
+    window.droneMarker.setIcon(window.createDroneIcon(vehicle.color));
+    const position = vehicle.telemetry || window.HOME_COORDINATES;
+    window.droneMarker.setLatLng([position.lat, position.lng]);
+    if (vehicle.telemetry && window.isConnected && window.updateTelemetryDisplay) {
+        window.updateTelemetryDisplay(vehicle.telemetry);
+    }
+
+    // The vehicle's own mission, loaded without becoming an undo step
+    if (vehicle.missionSettings) {
+        window.applyMissionSettings(vehicle.missionSettings);
+    }
+    window.replaceWaypoints(vehicle.waypoints, 'vehicle');
+    if (window.resetMissionHistory) {
+        window.resetMissionHistory();
+    }
+
+    window.updateConnectionStatus(window.isConnected ? 'connected' : 'disconnected', window.isConnected ? 'Connected' : 'Disconnected');
+    window.enableControlButtons(window.isConnected);
+
+    // Its link is read by the station again, so an unconfirmed stop goes back to the tracked path
+    const resumeStop = !!vehicle.stopLoop;
+    vehicle.stopLoop = null;
+
+    if (window.isConnected) {
+        window.readSerialData(window.transport);
+        if (window.startRecordingSession) {
+            window.startRecordingSession(window.getSessionLabel(window.transport));
+        }
+
+        if (resumeStop) {
+            vehiclesLog('Emergency stop still not confirmed - resending it on the selected link', window.LOG_LEVEL.WARNING, { vehicleId: vehicle.id });
+            window.sendCommand({ action: 'emergency_stop' });
+        }
+
+        // Brings mission progress up to date for this vehicle
+        window.sendCommand({ action: 'get_status' });
+    }
+}
+
+// ================== BACKGROUND VEHICLES ==================
+
+function handleBackgroundLine(vehicle, line) {
+    let message;
+    try {
+        message = JSON.parse(line);
+    } catch (error) {
+        vehiclesLog(`Receiver: ${line.substring(0, 100)}`, window.LOG_LEVEL.INFO, { vehicleId: vehicle.id });
+        return;
+    }
+
+    switch (message.type) {
+        case 'telemetry':
+            if (typeof message.lat === 'number' && typeof message.lng === 'number') {
+                vehicle.telemetry = message;
+                vehicle.lastSeen = Date.now();
+                renderBackgroundMarker(vehicle);
+            }
+            break;
+
+        case 'mission_status':
+            noteVehicleStatus(vehicle, message);
+            break;
+
+        case 'status':
+            noteVehicleStatus(vehicle, message);
+            if (message.status === 'emergency_stop') {
+                vehicle.stopConfirmed = true;
+                vehicle.status = 'Emergency stop';
+                vehiclesLog('Emergency stop confirmed', window.LOG_LEVEL.WARNING, { vehicleId: vehicle.id });
+            } else if (message.status === 'command_error' || message.status === 'unknown_command') {
+                vehiclesLog(`Vehicle reported ${message.status.replace('_', ' ')}`, window.LOG_LEVEL.ERROR, { vehicleId: vehicle.id });
+            }
+            break;
+
+        case 'navigation_update':
+            if (message.status) {
+                vehicle.status = message.status.replace(/_/g, ' ');
+            }
+            if (message.status === 'waypoint_reached' || message.status === 'mission_complete' || message.status === 'returning_home') {
+                vehiclesLog(`Navigation: ${vehicle.status}${message.waypoint_name ? ` (${message.waypoint_name})` : ''}`, window.LOG_LEVEL.INFO, { vehicleId: vehicle.id });
+            }
+            break;
+
+        case 'mission_confirmation':
+            vehiclesLog(`Mission confirmed: ${message.total_waypoints} waypoints`, window.LOG_LEVEL.INFO, { vehicleId: vehicle.id });
+            break;
+
+        // Upload and read-back replies only matter to the selected vehicle
+        default:
+            break;
+    }
+
+    renderVehicleCards();
+}
+
+function handleBackgroundError(vehicle, error) {
+    if (!vehicle.isConnected) return;
+
+    vehicle.isConnected = false;
+    vehicle.status = 'Link lost';
+    vehiclesLog(`Link lost: ${error.message}`, window.LOG_LEVEL.ERROR, { vehicleId: vehicle.id });
+    vehicle.transport.close().catch(() => {});
+    renderVehicleCards();
+}
+
+async function disconnectBackgroundVehicle(id) {
+    const vehicle = getVehicle(id);
+    if (!vehicle || id === window.activeVehicleId || !vehicle.transport) return;
+
+    vehicle.isConnected = false;
+    vehicle.status = 'Disconnected';
+    try {
+        await vehicle.transport.close();
+    } catch (error) {
+        vehiclesLog(`Error during disconnection: ${error.message}`, window.LOG_LEVEL.ERROR, { vehicleId: vehicle.id });
+    }
+    vehiclesLog('Device disconnected', window.LOG_LEVEL.INFO, { vehicleId: vehicle.id });
+    renderVehicleCards();
+}
+
+function renderBackgroundMarker(vehicle) {
+    if (vehicle.id === window.activeVehicleId || !vehicle.telemetry) return;
+
+    const position = [vehicle.telemetry.lat, vehicle.telemetry.lng];
+    if (!vehicle.marker) {
+        vehicle.marker = L.marker(position, {
+            icon: window.createDroneIcon(vehicle.color, 26),
+            zIndexOffset: 900
+        }).addTo(window.map);
+        vehicle.marker.bindTooltip(vehicle.label, { direction: 'top', offset: [0, -14] });
+        vehicle.marker.on('click', () => selectVehicle(vehicle.id));
+    } else {
+        vehicle.marker.setLatLng(position);
+    }
+}
+
+// ================== EMERGENCY STOP ALL ==================
+
+// The selected vehicle goes through the tracked command path; background
+// links are written directly and repeated until the vehicle confirms or
+// its link drops
+async function emergencyStopAllVehicles() {
+    const connected = window.vehicles.filter(vehicle =>
+        vehicle.id === window.activeVehicleId ? window.isConnected : vehicle.isConnected);
+    if (connected.length === 0) {
+        vehiclesLog('No connected vehicles to stop', window.LOG_LEVEL.WARNING, { vehicleId: null });
+        return;
+    }
+
+    if (!confirm(`Activate emergency stop on all ${connected.length} connected vehicle${connected.length > 1 ? 's' : ''}?`)) return;
+
+    vehiclesLog(`Emergency stop sent to ${connected.map(vehicle => vehicle.label).join(', ')}`, window.LOG_LEVEL.WARNING, { vehicleId: null });
+
+    await Promise.all(connected.map(vehicle => vehicle.id === window.activeVehicleId
+        ? window.sendCommand({ action: 'emergency_stop' })
+        : stopBackgroundVehicle(vehicle)));
+}
+
+// Resolves true once the vehicle confirms, false when the link drops or
+// the vehicle is selected (loadVehicle then resends on the tracked path)
+async function stopBackgroundVehicle(vehicle) {
+    const loop = {};
+    vehicle.stopLoop = loop;
+    vehicle.stopConfirmed = false;
+
+    let delay = VEHICLE_STOP_RETRY_MS;
+    for (let attempt = 1; ; attempt++) {
+        if (vehicle.stopLoop !== loop) return vehicle.stopConfirmed;
+        if (vehicle.stopConfirmed) break;
+        if (!vehicle.isConnected || !vehicle.transport) {
+            notifyStopUnconfirmed(vehicle, 'link lost');
+            break;
+        }
+
+        // A fresh seq per attempt, so the vehicle cannot answer with a replayed reply
+        try {
+            const seq = window.allocateCommandSeq ? window.allocateCommandSeq() : attempt;
+            await vehicle.transport.write(JSON.stringify({ action: 'emergency_stop', seq: seq }));
+        } catch (error) {
+            notifyStopUnconfirmed(vehicle, `could not be sent: ${error.message}`);
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, VEHICLE_STOP_RETRY_MAX_MS);
+
+        if (attempt === VEHICLE_STOP_ALERT_ATTEMPTS && vehicle.stopLoop === loop && !vehicle.stopConfirmed) {
+            notifyStopUnconfirmed(vehicle, `no response after ${attempt} attempts, still resending`);
+        }
+    }
+
+    vehicle.stopLoop = null;
+    return vehicle.stopConfirmed;
+}
+
+// Same notification as an unconfirmed stop on the selected vehicle (commands.js)
+function notifyStopUnconfirmed(vehicle, reason) {
+    vehiclesLog(`Emergency stop not confirmed: ${reason}`, window.LOG_LEVEL.ERROR, { vehicleId: vehicle.id });
+    if (window.showNotification) {
+        window.showNotification(`EMERGENCY STOP NOT CONFIRMED - ${vehicle.label}: ${reason}`, 'error', 15000);
+    }
+}
+
+// ================== VEHICLE PANEL ==================
+
+function initializeVehicleControls() {
+    const addBtn = document.getElementById('addVehicle');
+    if (addBtn) {
+        addBtn.addEventListener('click', addVehicle);
+    }
+
+    const stopAllBtn = document.getElementById('emergencyStopAll');
+    if (stopAllBtn) {
+        stopAllBtn.addEventListener('click', emergencyStopAllVehicles);
+    }
+
+    const list = document.getElementById('vehicleList');
+    if (list) {
+        list.addEventListener('click', function(e) {
+            const card = e.target.closest('[data-vehicle-id]');
+            if (!card) return;
+
+            const id = parseInt(card.dataset.vehicleId, 10);
+            const action = e.target.closest('[data-vehicle-action]');
+            if (!action) {
+                selectVehicle(id);
+            } else if (action.dataset.vehicleAction === 'rename') {
+                renameVehicle(id);
+            } else if (action.dataset.vehicleAction === 'disconnect') {
+                disconnectBackgroundVehicle(id);
+            } else if (action.dataset.vehicleAction === 'remove') {
+                removeVehicle(id);
+            }
+        });
+    }
+}
+
+function renderVehicles() {
+    renderVehicleCards();
+    renderLogVehicleFilter();
+}
+
+function formatLastSeen(vehicle) {
+    if (!vehicle.lastSeen) return '';
+    const seconds = Math.round((Date.now() - vehicle.lastSeen) / 1000);
+    return seconds < 5 ? 'now' : `${seconds}s ago`;
+}
+
+function renderVehicleCards() {
+    const list = document.getElementById('vehicleList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    window.vehicles.forEach(vehicle => {
+        const isActive = vehicle.id === window.activeVehicleId;
+        const isConnected = isActive ? !!window.isConnected : vehicle.isConnected;
+        const telemetry = vehicle.telemetry;
+
+        const card = document.createElement('div');
+        card.className = `vehicle-card${isActive ? ' active' : ''}${isConnected ? ' connected' : ''}`;
+        card.dataset.vehicleId = vehicle.id;
+        card.style.borderLeftColor = vehicle.color;
+        card.title = isActive ? 'Selected vehicle' : 'Click to select';
+
+        const header = document.createElement('div');
+        header.className = 'vehicle-card-header';
+
+        const name = document.createElement('span');
+        name.className = 'vehicle-name';
+        name.textContent = vehicle.label;
+        header.appendChild(name);
+
+        if (vehicle.deviceId) {
+            const deviceId = document.createElement('span');
+            deviceId.className = 'vehicle-device-id';
+            deviceId.textContent = vehicle.deviceId;
+            header.appendChild(deviceId);
+        }
+
+        const actions = document.createElement('span');
+        actions.className = 'vehicle-actions';
+        const addAction = (action, icon, title) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-sm';
+            button.dataset.vehicleAction = action;
+            button.title = title;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            actions.appendChild(button);
+        };
+        addAction('rename', 'fa-pen', 'Rename');
+        if (!isActive && isConnected) addAction('disconnect', 'fa-plug', 'Disconnect');
+        if (!isActive && !isConnected) addAction('remove', 'fa-times', 'Remove');
+        header.appendChild(actions);
+        card.appendChild(header);
+
+        const details = document.createElement('div');
+        details.className = 'vehicle-card-details';
+        const parts = [vehicle.status];
+        if (telemetry) {
+            parts.push(`${(telemetry.alt || 0).toFixed(1)} m`);
+            parts.push(`${(telemetry.speed || 0).toFixed(1)} km/h`);
+            if (typeof telemetry.sat === 'number') parts.push(`${telemetry.sat} sats`);
+            const batteryPercent = window.getBatteryPercent ? window.getBatteryPercent(telemetry) : null;
+            if (batteryPercent !== null) parts.push(`${Math.round(batteryPercent)}%`);
+        }
+        const lastSeen = formatLastSeen(vehicle);
+        if (lastSeen) parts.push(lastSeen);
+        details.textContent = parts.join(' • ');
+        card.appendChild(details);
+
+        list.appendChild(card);
+    });
+
+    const stopAllBtn = document.getElementById('emergencyStopAll');
+    if (stopAllBtn) {
+        stopAllBtn.disabled = !window.vehicles.some(vehicle =>
+            vehicle.id === window.activeVehicleId ? window.isConnected : vehicle.isConnected);
+    }
+
+    const addBtn = document.getElementById('addVehicle');
+    if (addBtn) {
+        addBtn.disabled = window.vehicles.length >= VEHICLE_MAX;
+    }
+}
+
+function renderLogVehicleFilter() {
+    const filter = document.getElementById('logVehicleFilter');
+    if (!filter) return;
+
+    const selected = filter.value || 'all';
+    filter.innerHTML = '';
+
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        filter.appendChild(option);
+    };
+
+    addOption('all', 'All Vehicles');
+    window.vehicles.forEach(vehicle => addOption(String(vehicle.id), vehicle.label));
+    filter.value = [...filter.options].some(option => option.value === selected) ? selected : 'all';
+    filter.style.display = window.vehicles.length > 1 ? '' : 'none';
+
+    if (window.refreshSystemLog) {
+        window.refreshSystemLog();
+    }
+}